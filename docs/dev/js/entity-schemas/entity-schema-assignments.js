@@ -0,0 +1,97 @@
+/**
+ * Entity Schema assignment panel
+ * Panel of the mapping step that assigns an Entity Schema to the items of a
+ * resource template or resource class, for batches mixing kinds of items
+ * @module entity-schemas/entity-schema-assignments
+ */
+
+import { eventSystem } from '../events.js';
+import { createElement, showMessage } from '../ui/components.js';
+import { createEntitySchemaSelector } from './entity-schema-selector.js';
+import {
+    describeSchemaGroup,
+    getSchemaGroupKey,
+    listSchemaGroupCandidates
+} from './entity-schema-groups.js';
+
+function getFetchedItems(fetchedData) {
+    if (Array.isArray(fetchedData)) return fetchedData;
+    if (Array.isArray(fetchedData?.items)) return fetchedData.items;
+    return fetchedData ? [fetchedData] : [];
+}
+
+/**
+ * Wires up the Entity Schema assignment panel of the mapping step
+ * @param {Object} state - Application state management instance
+ */
+export function setupEntitySchemaAssignmentPanel(state) {
+    const panel = document.getElementById('entity-schema-assignment-panel');
+    const rowsContainer = document.getElementById('entity-schema-assignment-rows');
+    if (!panel || !rowsContainer) return;
+
+    // Selectors listen for outside clicks on the document until cleaned up
+    let selectors = [];
+
+    function render() {
+        selectors.forEach(selector => selector._cleanup?.());
+        selectors = [];
+        rowsContainer.innerHTML = '';
+
+        const currentState = state.getState();
+        const assignments = state.getEntitySchemaAssignments();
+        const candidates = listSchemaGroupCandidates(getFetchedItems(currentState.fetchedData), currentState);
+
+        // Assignments for templates or classes no loaded item uses stay listed so they can be removed
+        const candidateKeys = new Set(candidates.map(candidate => getSchemaGroupKey(candidate.groupType, candidate.groupId)));
+        assignments
+            .filter(assignment => !candidateKeys.has(getSchemaGroupKey(assignment.groupType, assignment.groupId)))
+            .forEach(assignment => candidates.push({ groupType: assignment.groupType, groupId: assignment.groupId, label: assignment.groupLabel, count: 0 }));
+
+        if (candidates.length === 0) {
+            rowsContainer.appendChild(createElement('p', { className: 'placeholder' }, 'The loaded items have no resource template or class'));
+            return;
+        }
+
+        const defaultSchema = state.getSelectedEntitySchema();
+        candidates.forEach(candidate => {
+            const assignment = assignments.find(entry => entry.groupType === candidate.groupType && entry.groupId === candidate.groupId) || null;
+            const groupName = describeSchemaGroup({ groupType: candidate.groupType, groupId: candidate.groupId, groupLabel: candidate.label });
+
+            const selector = createEntitySchemaSelector({
+                selectedSchemaId: assignment?.schema?.id || '',
+                selectedSchema: assignment?.schema || null,
+                onSchemaSelect: (schema) => {
+                    state.setEntitySchemaAssignment(candidate.groupType, candidate.groupId, schema, candidate.label);
+                    showMessage(`${groupName} now uses Entity Schema ${schema.id}`, 'success', 3000);
+                }
+            });
+            selectors.push(selector);
+
+            rowsContainer.appendChild(createElement('div', { className: 'entity-schema-assignment-row' }, [
+                createElement('span', { className: 'entity-schema-assignment-row__group' }, [
+                    createElement('strong', {}, groupName),
+                    ` (${candidate.count} item${candidate.count === 1 ? '' : 's'})`
+                ]),
+                selector,
+                assignment
+                    ? createElement('button', {
+                        type: 'button',
+                        className: 'button button--secondary button--small',
+                        onClick: () => state.setEntitySchemaAssignment(candidate.groupType, candidate.groupId, null)
+                    }, defaultSchema ? `Use ${defaultSchema.id}` : 'Remove')
+                    : createElement('span', { className: 'entity-schema-assignment-row__default' },
+                        defaultSchema ? `uses ${defaultSchema.id}` : 'no schema')
+            ]));
+        });
+    }
+
+    render();
+
+    eventSystem.subscribe(eventSystem.Events.STATE_CHANGED, (event) => {
+        if (['entitySchemaAssignments', 'fetchedData', 'resourceClassCache', 'resourceTemplates', 'selectedEntitySchema'].includes(event.path)) {
+            render();
+        }
+    });
+    eventSystem.subscribe('entitySchemaSelected', render);
+    eventSystem.subscribe(eventSystem.Events.STATE_IMPORTED, render);
+}
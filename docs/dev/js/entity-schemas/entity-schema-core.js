@@ -7,6 +7,48 @@
 import { detectSourceRequirement } from './schema-property-mapper.js';
 import { parseShExCode } from './shex-parser.js';
 import { fetchPropertyData } from './wikidata-property-service.js';
+import { fetchWithCorsProxy } from '../utils/cors-proxy.js';
+
+/**
+ * Wikibase instance Entity Schemas are searched and fetched from by default
+ */
+export const WIKIDATA_WIKIBASE_URL = 'https://www.wikidata.org';
+
+/**
+ * Normalizes a Wikibase instance address typed by the user
+ * Accepts a bare host, a page URL or the API URL of the instance.
+ * @param {string} [wikibaseUrl] - Instance address, e.g. my-project.wikibase.cloud
+ * @returns {string} Origin of the instance without trailing slash
+ * @throws {Error} When the address is not a valid URL
+ */
+export function normalizeWikibaseUrl(wikibaseUrl = WIKIDATA_WIKIBASE_URL) {
+    const trimmed = String(wikibaseUrl || WIKIDATA_WIKIBASE_URL).trim();
+    const withProtocol = /^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
+    let url;
+    try {
+        url = new URL(withProtocol);
+    } catch (error) {
+        throw new Error(`"${trimmed}" is not a valid Wikibase address`);
+    }
+    return url.origin;
+}
+
+/**
+ * Builds the API and page URLs of a Wikibase instance
+ * Assumes the standard /w/api.php and /wiki/ paths used by Wikidata and Wikibase Cloud.
+ * @param {string} [wikibaseUrl] - Instance address
+ * @returns {{base: string, api: string, isWikidata: boolean, schemaPage: function(string): string, schemaText: function(string): string}} Endpoints
+ */
+export function getWikibaseEndpoints(wikibaseUrl = WIKIDATA_WIKIBASE_URL) {
+    const base = normalizeWikibaseUrl(wikibaseUrl);
+    return {
+        base,
+        api: `${base}/w/api.php`,
+        isWikidata: base === WIKIDATA_WIKIBASE_URL,
+        schemaPage: schemaId => `${base}/wiki/EntitySchema:${schemaId}`,
+        schemaText: schemaId => `${base}/wiki/Special:EntitySchemaText/${schemaId}`
+    };
+}
 
 /**
  * Default Entity Schemas for the application
@@ -43,15 +85,31 @@ export const DEFAULT_SCHEMAS = [
  */
 const entitySchemaCache = new Map();
 
+// Wikidata schemas keep their bare ID as cache key; other instances are prefixed
+function getSchemaCacheKey(schemaId, endpoints) {
+    return endpoints.isWikidata ? schemaId : `${endpoints.base}|${schemaId}`;
+}
+
 /**
- * Search Entity Schemas on Wikidata
+ * Search Entity Schemas on Wikidata or another Wikibase instance
  * @param {string} query - Search query
+ * @param {Object} [options] - Search options
+ * @param {string} [options.wikibaseUrl] - Instance to search, Wikidata by default
  * @returns {Promise<Array>} Array of entity schema results
  */
-export async function searchEntitySchemas(query) {
+export async function searchEntitySchemas(query, options = {}) {
     try {
+        const endpoints = getWikibaseEndpoints(options.wikibaseUrl);
+        const toResult = (id, label, description) => ({
+            id,
+            label,
+            description,
+            url: endpoints.schemaPage(id),
+            ...(endpoints.isWikidata ? {} : { source: { type: 'wikibase', wikibaseUrl: endpoints.base } })
+        });
+
         // Check cache first
-        const cacheKey = `search_${query.toLowerCase()}`;
+        const cacheKey = `search_${endpoints.isWikidata ? '' : `${endpoints.base}_`}${query.toLowerCase()}`;
         if (entitySchemaCache.has(cacheKey)) {
             return entitySchemaCache.get(cacheKey);
         }
@@ -61,7 +119,7 @@ export async function searchEntitySchemas(query) {
         // Method 1: Direct lookup if query looks like an E-identifier
         if (query.match(/^E\d+$/i)) {
             try {
-                const directResult = await fetchEntitySchemaDetails(query.toUpperCase());
+                const directResult = await fetchEntitySchemaDetails(query.toUpperCase(), options);
                 if (directResult) {
                     schemaResults = [directResult];
                 }
@@ -72,7 +130,7 @@ export async function searchEntitySchemas(query) {
 
         // Method 2: Search in Entity Schema namespace (640) for text queries
         if (schemaResults.length === 0) {
-            const searchUrl = `https://www.wikidata.org/w/api.php?action=query&list=search&srsearch=${encodeURIComponent(query)}&srnamespace=640&srlimit=20&format=json&origin=*`;
+            const searchUrl = `${endpoints.api}?action=query&list=search&srsearch=${encodeURIComponent(query)}&srnamespace=640&srlimit=20&format=json&origin=*`;
             
             const response = await fetch(searchUrl);
             const data = await response.json();
@@ -88,13 +146,13 @@ export async function searchEntitySchemas(query) {
                 const schemaPromises = schemaIds.map(async (id) => {
                     try {
                         // Try to get cached or fetch detailed info
-                        const cachedSchema = entitySchemaCache.get(id);
+                        const cachedSchema = entitySchemaCache.get(getSchemaCacheKey(id, endpoints));
                         if (cachedSchema && cachedSchema.label && cachedSchema.description) {
                             return cachedSchema;
                         }
                         
                         // Fetch just the label and description using a simpler API call
-                        const parseUrl = `https://www.wikidata.org/w/api.php?action=parse&page=EntitySchema:${id}&format=json&origin=*&prop=displaytitle`;
+                        const parseUrl = `${endpoints.api}?action=parse&page=EntitySchema:${id}&format=json&origin=*&prop=displaytitle`;
                         const parseResponse = await fetch(parseUrl);
                         
                         let label = `Entity Schema ${id}`;
@@ -117,20 +175,10 @@ export async function searchEntitySchemas(query) {
                             }
                         }
                         
-                        return {
-                            id: id,
-                            label: label,
-                            description: description,
-                            url: `https://www.wikidata.org/wiki/EntitySchema:${id}`
-                        };
+                        return toResult(id, label, description);
                     } catch (e) {
                         console.error(`Error fetching schema ${id}:`, e);
-                        return {
-                            id: id,
-                            label: `Entity Schema ${id}`,
-                            description: `Entity Schema ${id}`,
-                            url: `https://www.wikidata.org/wiki/EntitySchema:${id}`
-                        };
+                        return toResult(id, `Entity Schema ${id}`, `Entity Schema ${id}`);
                     }
                 });
                 
@@ -150,21 +198,26 @@ export async function searchEntitySchemas(query) {
 }
 
 /**
- * Fetch detailed Entity Schema information from Wikidata
+ * Fetch detailed Entity Schema information from Wikidata or another Wikibase instance
  * @param {string} schemaId - Entity Schema ID (e.g., 'E473')
+ * @param {Object} [options] - Fetch options
+ * @param {string} [options.wikibaseUrl] - Instance the schema lives on, Wikidata by default
  * @returns {Promise<Object|null>} Entity Schema details or null if not found
  */
-export async function fetchEntitySchemaDetails(schemaId) {
+export async function fetchEntitySchemaDetails(schemaId, options = {}) {
     try {
+        const endpoints = getWikibaseEndpoints(options.wikibaseUrl);
+        const cacheKey = getSchemaCacheKey(schemaId, endpoints);
+
         // Check cache first
-        if (entitySchemaCache.has(schemaId)) {
-            return entitySchemaCache.get(schemaId);
+        if (entitySchemaCache.has(cacheKey)) {
+            return entitySchemaCache.get(cacheKey);
         }
 
-        console.log('Fetching Entity Schema details for:', schemaId);
+        console.log('Fetching Entity Schema details for:', schemaId, endpoints.isWikidata ? '' : `from ${endpoints.base}`);
         
         // Method 1: Use MediaWiki parse API to get structured data
-        const parseUrl = `https://www.wikidata.org/w/api.php?action=parse&page=EntitySchema:${schemaId}&format=json&origin=*&prop=text|displaytitle`;
+        const parseUrl = `${endpoints.api}?action=parse&page=EntitySchema:${schemaId}&format=json&origin=*&prop=text|displaytitle`;
         
         const parseResponse = await fetch(parseUrl);
         
@@ -206,10 +259,16 @@ export async function fetchEntitySchemaDetails(schemaId) {
         // Fetch ShEx code
         let shexCode = null;
         try {
-            const shexUrl = `https://www.wikidata.org/wiki/Special:EntitySchemaText/${schemaId}`;
-            const shexResponse = await fetch(shexUrl);
-            if (shexResponse.ok) {
-                shexCode = await shexResponse.text();
+            const shexUrl = endpoints.schemaText(schemaId);
+            if (endpoints.isWikidata) {
+                const shexResponse = await fetch(shexUrl);
+                if (shexResponse.ok) {
+                    shexCode = await shexResponse.text();
+                }
+            } else {
+                // Other instances rarely send CORS headers for special pages
+                const result = await fetchWithCorsProxy(shexUrl, { responseType: 'text' });
+                shexCode = typeof result?.data === 'string' ? result.data : null;
             }
         } catch (e) {
             console.log('Could not fetch ShEx code:', e);
@@ -219,7 +278,8 @@ export async function fetchEntitySchemaDetails(schemaId) {
             id: schemaId,
             label: label,
             description: description,
-            url: `https://www.wikidata.org/wiki/EntitySchema:${schemaId}`,
+            url: endpoints.schemaPage(schemaId),
+            ...(endpoints.isWikidata ? {} : { source: { type: 'wikibase', wikibaseUrl: endpoints.base } }),
             shexCode: shexCode,
             properties: null, // Will be populated asynchronously
             loading: !!shexCode // Flag to indicate properties are loading
@@ -232,7 +292,7 @@ export async function fetchEntitySchemaDetails(schemaId) {
         }
         
         // Cache the result
-        entitySchemaCache.set(schemaId, schemaDetails);
+        entitySchemaCache.set(cacheKey, schemaDetails);
         
         return schemaDetails;
         
@@ -322,23 +382,28 @@ export async function parseShExProperties(shexCode, options = {}) {
 /**
  * Get Entity Schema by ID, trying cache first, then default schemas, then API
  * @param {string} schemaId - Entity Schema ID
+ * @param {Object} [options] - Fetch options
+ * @param {string} [options.wikibaseUrl] - Instance the schema lives on, Wikidata by default
  * @returns {Promise<Object|null>} Entity Schema details
  */
-export async function getEntitySchema(schemaId) {
+export async function getEntitySchema(schemaId, options = {}) {
+    const endpoints = getWikibaseEndpoints(options.wikibaseUrl);
+
     // Check cache first
-    if (entitySchemaCache.has(schemaId)) {
-        return entitySchemaCache.get(schemaId);
+    const cacheKey = getSchemaCacheKey(schemaId, endpoints);
+    if (entitySchemaCache.has(cacheKey)) {
+        return entitySchemaCache.get(cacheKey);
     }
     
     // Check default schemas
-    const defaultSchema = DEFAULT_SCHEMAS.find(schema => schema.id === schemaId);
+    const defaultSchema = endpoints.isWikidata && DEFAULT_SCHEMAS.find(schema => schema.id === schemaId);
     if (defaultSchema) {
         // Fetch full details for default schema
         return await fetchEntitySchemaDetails(schemaId);
     }
     
     // Fallback to API
-    return await fetchEntitySchemaDetails(schemaId);
+    return await fetchEntitySchemaDetails(schemaId, options);
 }
 
 /**
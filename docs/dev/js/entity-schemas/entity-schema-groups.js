@@ -0,0 +1,138 @@
+/**
+ * Entity Schemas per group of items
+ * A project can assign its own Entity Schema to the items of a resource
+ * template or resource class; the other items use the selected Entity Schema.
+ * Mapping status and validation are computed per group of items sharing a schema.
+ * @module entity-schemas/entity-schema-groups
+ */
+
+import { getItemResourceClassId, getItemResourceTemplateId } from '../input/core/item-filter.js';
+import { collectResourceClasses, itemMatchesMappingCondition } from '../mapping/core/mapping-conditions.js';
+import { collectResourceTemplates } from '../mapping/core/mapping-template-library.js';
+
+export const SCHEMA_GROUP_TYPES = {
+    RESOURCE_TEMPLATE: 'resourceTemplate',
+    RESOURCE_CLASS: 'resourceClass'
+};
+
+// Key of the group of items without an assignment
+export const DEFAULT_SCHEMA_GROUP_KEY = 'default';
+
+/**
+ * Gets the key of the group an assignment defines
+ * @param {string} groupType - One of SCHEMA_GROUP_TYPES
+ * @param {string} groupId - Omeka ID of the template or class
+ * @returns {string} Group key such as 'resourceTemplate:4'
+ */
+export function getSchemaGroupKey(groupType, groupId) {
+    return `${groupType}:${groupId}`;
+}
+
+/**
+ * Describes a group of items for headings
+ * @param {Object|null} assignment - Assignment of the group, null for items without one
+ * @returns {string} Description such as 'Template "Book"'
+ */
+export function describeSchemaGroup(assignment) {
+    if (!assignment) {
+        return 'Other items';
+    }
+    const kind = assignment.groupType === SCHEMA_GROUP_TYPES.RESOURCE_TEMPLATE ? 'Template' : 'Class';
+    return assignment.groupLabel
+        ? `${kind} "${assignment.groupLabel}"`
+        : `${kind} ${assignment.groupId}`;
+}
+
+/**
+ * Finds the assignment that applies to an item
+ * The resource template is more specific than the class, so its assignment wins.
+ * @param {Object} item - Omeka S item
+ * @param {Array<Object>} [assignments] - Entity Schema assignments from state
+ * @returns {Object|null} Assignment, or null when the item uses the selected Entity Schema
+ */
+export function findItemSchemaAssignment(item, assignments = []) {
+    const templateId = getItemResourceTemplateId(item);
+    const classId = getItemResourceClassId(item);
+    const find = (groupType, groupId) => groupId === null
+        ? null
+        : assignments.find(assignment => assignment?.schema && assignment.groupType === groupType && assignment.groupId === groupId) || null;
+
+    return find(SCHEMA_GROUP_TYPES.RESOURCE_TEMPLATE, templateId) || find(SCHEMA_GROUP_TYPES.RESOURCE_CLASS, classId);
+}
+
+/**
+ * Gets the Entity Schema an item is mapped and validated against
+ * @param {Object} item - Omeka S item
+ * @param {Array<Object>} assignments - Entity Schema assignments from state
+ * @param {Object|null} defaultSchema - Selected Entity Schema of the project
+ * @returns {Object|null} Entity Schema, or null when the item has none
+ */
+export function getItemEntitySchema(item, assignments, defaultSchema) {
+    return findItemSchemaAssignment(item, assignments)?.schema || defaultSchema || null;
+}
+
+/**
+ * Splits entries into groups that share an Entity Schema
+ * Groups follow the order of the assignments, with the other items last.
+ * Without any entries the selected schema still gets an (empty) group, so the
+ * mapping step can show it before items are loaded.
+ * @param {Array<Object>} entries - Omeka S items, or entries holding one
+ * @param {Array<Object>} assignments - Entity Schema assignments from state
+ * @param {Object|null} defaultSchema - Selected Entity Schema of the project
+ * @param {Function} [getItem] - Gets the Omeka S item of an entry
+ * @returns {Array<{key: string, assignment: Object|null, schema: Object|null, entries: Array<Object>}>} Groups with at least one entry
+ */
+export function groupItemsByEntitySchema(entries, assignments = [], defaultSchema = null, getItem = entry => entry) {
+    const groups = new Map();
+    assignments.filter(assignment => assignment?.schema).forEach(assignment => {
+        groups.set(getSchemaGroupKey(assignment.groupType, assignment.groupId), { assignment, entries: [] });
+    });
+    groups.set(DEFAULT_SCHEMA_GROUP_KEY, { assignment: null, entries: [] });
+
+    (entries || []).forEach(entry => {
+        const assignment = findItemSchemaAssignment(getItem(entry), assignments);
+        const key = assignment ? getSchemaGroupKey(assignment.groupType, assignment.groupId) : DEFAULT_SCHEMA_GROUP_KEY;
+        groups.get(key).entries.push(entry);
+    });
+
+    const result = Array.from(groups.entries())
+        .filter(([, group]) => group.entries.length > 0)
+        .map(([key, group]) => ({
+            key,
+            assignment: group.assignment,
+            schema: group.assignment ? group.assignment.schema : defaultSchema,
+            entries: group.entries
+        }));
+
+    if (result.length === 0 && defaultSchema) {
+        return [{ key: DEFAULT_SCHEMA_GROUP_KEY, assignment: null, schema: defaultSchema, entries: [] }];
+    }
+    return result;
+}
+
+/**
+ * Keeps the mapped keys whose condition lets them reach at least one of the items
+ * @param {Array<Object>} mappedKeys - Mapped keys from state
+ * @param {Array<Object>} items - Omeka S items of a group; all keys apply when empty
+ * @returns {Array<Object>} Mapped keys that apply to the group
+ */
+export function getApplicableMappedKeys(mappedKeys = [], items = []) {
+    if (items.length === 0) {
+        return mappedKeys;
+    }
+    return mappedKeys.filter(keyObj => items.some(item => itemMatchesMappingCondition(item, keyObj?.condition)));
+}
+
+/**
+ * Lists the templates and classes of a set of items that a schema can be assigned to
+ * @param {Array<Object>} items - Omeka S items
+ * @param {Object} currentState - Application state, for template definitions and the class cache
+ * @returns {Array<{groupType: string, groupId: string, label: string, count: number}>} Templates first, then classes, most used first
+ */
+export function listSchemaGroupCandidates(items, currentState) {
+    const templates = collectResourceTemplates(items, currentState?.resourceTemplates || [])
+        .map(template => ({ groupType: SCHEMA_GROUP_TYPES.RESOURCE_TEMPLATE, groupId: template.id, label: template.label, count: template.count }));
+    const classes = collectResourceClasses(items, currentState?.resourceClassCache || {})
+        .map(resourceClass => ({ groupType: SCHEMA_GROUP_TYPES.RESOURCE_CLASS, groupId: resourceClass.id, label: resourceClass.label, count: resourceClass.count }));
+    return [...templates, ...classes];
+}
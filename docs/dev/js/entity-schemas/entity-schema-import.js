@@ -0,0 +1,243 @@
+/**
+ * Entity Schema Import Component
+ * Modal for using Entity Schemas that are not on Wikidata: ShExC files or
+ * pasted text, schemas of another Wikibase instance, and the local library
+ * those imports are kept in
+ * @module entity-schemas/entity-schema-import
+ */
+
+import { createElement, showMessage } from '../ui/components.js';
+import {
+    createLocalEntitySchema,
+    describeEntitySchemaSource,
+    fetchWikibaseEntitySchema,
+    getEntitySchemaLibrary,
+    getLastWikibaseUrl,
+    removeFromEntitySchemaLibrary,
+    saveToEntitySchemaLibrary,
+    setLastWikibaseUrl
+} from './entity-schema-library.js';
+
+function closeModal() {
+    const modalContainer = document.getElementById('modal-container');
+    if (modalContainer) {
+        modalContainer.style.display = 'none';
+    }
+}
+
+function describeError(error) {
+    return error.line ? `${error.message} (line ${error.line})` : error.message;
+}
+
+function setStatus(status, text, isError = false) {
+    status.textContent = text;
+    status.classList.toggle('entity-schema-import__status--error', isError);
+}
+
+/**
+ * Open the Entity Schema import modal
+ * @param {Object} options - Modal options
+ * @param {Function} options.onSchemaSelect - Callback when a schema is imported or picked from the library
+ */
+export function openEntitySchemaImportModal(options = {}) {
+    const { onSchemaSelect = () => {} } = options;
+
+    const modalContainer = document.getElementById('modal-container');
+    const modalTitle = document.getElementById('modal-title');
+    const modalContentEl = document.getElementById('modal-content');
+    const modalFooter = document.getElementById('modal-footer');
+
+    if (!modalContainer || !modalTitle || !modalContentEl) {
+        console.error('Modal system not available');
+        return;
+    }
+
+    const useSchema = (schema) => {
+        if (!saveToEntitySchemaLibrary(schema)) {
+            showMessage('The schema is used in this project but could not be kept in the browser library', 'warning', 4000);
+        }
+        onSchemaSelect(schema);
+        closeModal();
+    };
+
+    modalTitle.textContent = 'Import Entity Schema';
+    modalContentEl.innerHTML = '';
+    modalContentEl.appendChild(createElement('div', { className: 'entity-schema-import' }, [
+        createShExCSection(useSchema),
+        createWikibaseSection(useSchema),
+        createLibrarySection(schema => {
+            onSchemaSelect(schema);
+            closeModal();
+        })
+    ]));
+
+    if (modalFooter) {
+        modalFooter.innerHTML = '';
+        modalFooter.appendChild(createElement('button', {
+            className: 'button button--secondary',
+            onClick: closeModal
+        }, 'Cancel'));
+    }
+
+    modalContainer.style.display = 'flex';
+}
+
+/**
+ * Create the section for uploading or pasting ShExC
+ * @param {Function} useSchema - Called with the imported schema
+ * @returns {HTMLElement} Section element
+ */
+function createShExCSection(useSchema) {
+    let fileName = '';
+
+    const labelInput = createElement('input', {
+        type: 'text',
+        className: 'entity-schema-import__input',
+        placeholder: 'Label, e.g. Photograph draft',
+        'aria-label': 'Schema label'
+    });
+    const textArea = createElement('textarea', {
+        className: 'entity-schema-import__shexc',
+        rows: 10,
+        spellcheck: 'false',
+        placeholder: 'PREFIX wdt: <http://www.wikidata.org/prop/direct/>\n\nstart = @<item>\n<item> {\n  wdt:P31 [ wd:Q125191 ] ;\n}',
+        'aria-label': 'ShExC text'
+    });
+    const status = createElement('div', { className: 'entity-schema-import__status' });
+
+    const fileInput = createElement('input', {
+        type: 'file',
+        accept: '.shex,.shexc,.txt,text/shex,text/plain',
+        onChange: async (event) => {
+            const file = event.target.files?.[0];
+            if (!file) return;
+            fileName = file.name;
+            textArea.value = await file.text();
+            if (!labelInput.value.trim()) {
+                labelInput.value = file.name.replace(/\.[^.]+$/, '');
+            }
+            setStatus(status, '');
+        }
+    });
+
+    const useButton = createElement('button', {
+        type: 'button',
+        className: 'button button--primary',
+        onClick: async () => {
+            setStatus(status, 'Reading schema...');
+            useButton.disabled = true;
+            try {
+                const schema = await createLocalEntitySchema({
+                    shexCode: textArea.value,
+                    label: labelInput.value,
+                    fileName
+                });
+                useSchema(schema);
+                showMessage(`Using local schema "${schema.label}"`, 'success', 3000);
+            } catch (error) {
+                setStatus(status, describeError(error), true);
+            } finally {
+                useButton.disabled = false;
+            }
+        }
+    }, 'Use Schema');
+
+    return createElement('div', { className: 'entity-schema-search__section' }, [
+        createElement('h4', { className: 'entity-schema-search__section-title' }, 'ShExC File or Text'),
+        createElement('p', { className: 'entity-schema-import__help' }, 'Test a draft before publishing it. Drafts are kept in this browser and saved with the project.'),
+        fileInput,
+        labelInput,
+        textArea,
+        status,
+        useButton
+    ]);
+}
+
+/**
+ * Create the section for fetching a schema from a Wikibase instance
+ * @param {Function} useSchema - Called with the fetched schema
+ * @returns {HTMLElement} Section element
+ */
+function createWikibaseSection(useSchema) {
+    const urlInput = createElement('input', {
+        type: 'text',
+        className: 'entity-schema-import__input',
+        value: getLastWikibaseUrl(),
+        placeholder: 'https://my-project.wikibase.cloud',
+        'aria-label': 'Wikibase address'
+    });
+    const idInput = createElement('input', {
+        type: 'text',
+        className: 'entity-schema-import__input entity-schema-import__input--id',
+        placeholder: 'E1',
+        'aria-label': 'Entity Schema ID'
+    });
+    const status = createElement('div', { className: 'entity-schema-import__status' });
+
+    const fetchButton = createElement('button', {
+        type: 'button',
+        className: 'button button--primary',
+        onClick: async () => {
+            setStatus(status, 'Fetching schema...');
+            fetchButton.disabled = true;
+            try {
+                const schema = await fetchWikibaseEntitySchema(idInput.value, urlInput.value);
+                setLastWikibaseUrl(urlInput.value);
+                useSchema(schema);
+                showMessage(`Using ${schema.id} from ${describeEntitySchemaSource(schema)}`, 'success', 3000);
+            } catch (error) {
+                setStatus(status, describeError(error), true);
+            } finally {
+                fetchButton.disabled = false;
+            }
+        }
+    }, 'Fetch Schema');
+
+    return createElement('div', { className: 'entity-schema-search__section' }, [
+        createElement('h4', { className: 'entity-schema-search__section-title' }, 'Other Wikibase Instance'),
+        createElement('div', { className: 'entity-schema-import__row' }, [urlInput, idInput, fetchButton]),
+        status
+    ]);
+}
+
+/**
+ * Create the list of schemas kept in the browser
+ * @param {Function} onSelect - Called with the picked schema
+ * @returns {HTMLElement} Section element
+ */
+function createLibrarySection(onSelect) {
+    const section = createElement('div', { className: 'entity-schema-search__section' });
+
+    function render() {
+        section.innerHTML = '';
+        section.appendChild(createElement('h4', { className: 'entity-schema-search__section-title' }, 'Local Schema Library'));
+
+        const library = getEntitySchemaLibrary();
+        if (library.length === 0) {
+            section.appendChild(createElement('p', { className: 'placeholder' }, 'Imported schemas will be listed here'));
+            return;
+        }
+
+        section.appendChild(createElement('ul', { className: 'entity-schema-import__library' }, library.map(schema => createElement('li', {}, [
+            createElement('span', { className: 'entity-schema-import__library-label' }, `${schema.label} (${schema.id})`),
+            createElement('span', { className: 'entity-schema-import__library-source' }, describeEntitySchemaSource(schema)),
+            createElement('button', {
+                type: 'button',
+                className: 'button button--secondary button--small',
+                onClick: () => onSelect(schema)
+            }, 'Use'),
+            createElement('button', {
+                type: 'button',
+                className: 'button button--secondary button--small',
+                title: 'Remove from the library; projects using it keep their copy',
+                onClick: () => {
+                    removeFromEntitySchemaLibrary(schema);
+                    render();
+                }
+            }, 'Remove')
+        ]))));
+    }
+
+    render();
+    return section;
+}
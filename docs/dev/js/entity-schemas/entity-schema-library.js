@@ -0,0 +1,192 @@
+/**
+ * Local Entity Schema library
+ * Keeps Entity Schemas imported from ShExC files, pasted text or other
+ * Wikibase instances in the browser, so drafts can be tested before they are
+ * published and reused across projects. Imported schemas go through the same
+ * parseShExProperties as schemas fetched from Wikidata.
+ * @module entity-schemas/entity-schema-library
+ */
+
+import { WIKIDATA_WIKIBASE_URL, getEntitySchema, normalizeWikibaseUrl, parseShExProperties } from './entity-schema-core.js';
+import { parseShExSchema } from './shex-schema.js';
+
+const STORAGE_KEY = 'entity_schema_library';
+const WIKIBASE_URL_KEY = 'entity_schema_wikibase_url';
+
+// Prefix of the IDs of schemas that only exist in this browser
+const LOCAL_ID_PREFIX = 'local:';
+
+function readStorage(key) {
+    try {
+        return typeof localStorage !== 'undefined' ? localStorage.getItem(key) : null;
+    } catch (error) {
+        console.warn(`Could not read ${key}:`, error);
+        return null;
+    }
+}
+
+function slugify(text) {
+    return String(text ?? '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60);
+}
+
+/**
+ * Tells whether a schema was imported from a file or pasted text
+ * @param {Object|null} schema - Entity Schema
+ * @returns {boolean} True for local drafts
+ */
+export function isLocalEntitySchema(schema) {
+    return schema?.source?.type === 'local' || String(schema?.id ?? '').startsWith(LOCAL_ID_PREFIX);
+}
+
+/**
+ * Describes where a schema comes from, for labels in the interface
+ * @param {Object|null} schema - Entity Schema
+ * @returns {string} "Local draft", the Wikibase host, or "Wikidata"
+ */
+export function describeEntitySchemaSource(schema) {
+    if (isLocalEntitySchema(schema)) {
+        return schema.source?.fileName ? `Local draft (${schema.source.fileName})` : 'Local draft';
+    }
+    if (schema?.source?.type === 'wikibase' && schema.source.wikibaseUrl) {
+        try {
+            return new URL(schema.source.wikibaseUrl).host;
+        } catch (error) {
+            return schema.source.wikibaseUrl;
+        }
+    }
+    return 'Wikidata';
+}
+
+/**
+ * Creates an Entity Schema from ShExC text
+ * The text must parse as ShExC; a label defaults to the file name.
+ * @param {Object} details - Schema details
+ * @param {string} details.shexCode - ShExC text
+ * @param {string} [details.label] - Label shown in the selector
+ * @param {string} [details.description] - Description
+ * @param {string} [details.fileName] - Name of the uploaded file
+ * @returns {Promise<Object>} Schema in the shape of fetchEntitySchemaDetails results
+ * @throws {ShExParseError} When the text is not valid ShExC
+ * @throws {Error} When there is no text or no label
+ */
+export async function createLocalEntitySchema({ shexCode, label = '', description = '', fileName = '' }) {
+    const text = String(shexCode ?? '');
+    if (!text.trim()) {
+        throw new Error('Paste ShExC text or choose a file first');
+    }
+    // Throws with the line of the first syntax error
+    parseShExSchema(text);
+
+    const name = String(label).trim() || String(fileName).replace(/\.[^.]+$/, '').trim();
+    const slug = slugify(name);
+    if (!slug) {
+        throw new Error('Give the schema a label');
+    }
+
+    return {
+        id: `${LOCAL_ID_PREFIX}${slug}`,
+        label: name,
+        description: String(description).trim() || 'Local ShExC draft',
+        url: null,
+        source: { type: 'local', fileName: String(fileName) || null, importedAt: new Date().toISOString() },
+        shexCode: text,
+        properties: await parseShExProperties(text),
+        loading: false
+    };
+}
+
+/**
+ * Fetches an Entity Schema from a Wikibase instance for the library
+ * @param {string} schemaId - Entity Schema ID on that instance (e.g., 'E12')
+ * @param {string} wikibaseUrl - Instance address
+ * @returns {Promise<Object>} Schema details
+ * @throws {Error} When the ID is invalid or the schema text cannot be fetched
+ */
+export async function fetchWikibaseEntitySchema(schemaId, wikibaseUrl) {
+    const id = String(schemaId ?? '').trim().replace(/^EntitySchema:/i, '').toUpperCase();
+    if (!/^E\d+$/.test(id)) {
+        throw new Error(`"${schemaId}" is not an Entity Schema ID such as E12`);
+    }
+
+    const schema = await getEntitySchema(id, { wikibaseUrl: normalizeWikibaseUrl(wikibaseUrl) });
+    if (!schema?.shexCode) {
+        throw new Error(`Could not fetch the ShExC text of ${id} from ${normalizeWikibaseUrl(wikibaseUrl)}`);
+    }
+    // Throws when the instance returned something other than ShExC
+    parseShExSchema(schema.shexCode);
+    return schema;
+}
+
+/**
+ * Returns the schemas kept in this browser
+ * @returns {Array<Object>} Schemas, most recently imported first
+ */
+export function getEntitySchemaLibrary() {
+    try {
+        const parsed = JSON.parse(readStorage(STORAGE_KEY) || '[]');
+        return Array.isArray(parsed) ? parsed.filter(schema => schema?.id && typeof schema.shexCode === 'string') : [];
+    } catch (error) {
+        console.warn('Could not load the Entity Schema library:', error);
+        return [];
+    }
+}
+
+function libraryKey(schema) {
+    return `${schema.source?.wikibaseUrl || ''}|${schema.id}`;
+}
+
+/**
+ * Adds a schema to the library, replacing an earlier import of the same schema
+ * @param {Object} schema - Schema with its ShExC text
+ * @returns {boolean} Whether the library was saved
+ */
+export function saveToEntitySchemaLibrary(schema) {
+    const key = libraryKey(schema);
+    const library = [schema, ...getEntitySchemaLibrary().filter(entry => libraryKey(entry) !== key)];
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(library));
+        return true;
+    } catch (error) {
+        console.warn('Could not save the Entity Schema library:', error);
+        return false;
+    }
+}
+
+/**
+ * Removes a schema from the library
+ * @param {Object} schema - Schema to remove
+ */
+export function removeFromEntitySchemaLibrary(schema) {
+    const key = libraryKey(schema);
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(getEntitySchemaLibrary().filter(entry => libraryKey(entry) !== key)));
+    } catch (error) {
+        console.warn('Could not update the Entity Schema library:', error);
+    }
+}
+
+/**
+ * Returns the Wikibase instance schemas were last fetched from
+ * @returns {string} Instance address, Wikidata when none was used
+ */
+export function getLastWikibaseUrl() {
+    return readStorage(WIKIBASE_URL_KEY) || WIKIDATA_WIKIBASE_URL;
+}
+
+/**
+ * Remembers the Wikibase instance schemas are fetched from
+ * @param {string} wikibaseUrl - Instance address
+ */
+export function setLastWikibaseUrl(wikibaseUrl) {
+    try {
+        localStorage.setItem(WIKIBASE_URL_KEY, normalizeWikibaseUrl(wikibaseUrl));
+    } catch (error) {
+        console.warn('Could not remember the Wikibase address:', error);
+    }
+}
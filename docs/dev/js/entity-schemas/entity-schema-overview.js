@@ -1,17 +1,29 @@
 /**
  * Entity Schema Overview Component
- * Displays selected Entity Schema information and mapping progress
+ * Displays selected Entity Schema information and mapping progress, per group
+ * of items when schemas are assigned to resource templates or classes
  * @module entity-schemas/entity-schema-overview
  */
 
 import { createElement } from '../ui/components.js';
 import { eventSystem } from '../events.js';
 import { 
-    getMappingStatus, 
     categorizeProperties, 
     generateSchemaSummary, 
     detectSourceRequirement 
 } from './schema-property-mapper.js';
+import { describeEntitySchemaSource } from './entity-schema-library.js';
+import {
+    describeSchemaGroup,
+    getApplicableMappedKeys,
+    groupItemsByEntitySchema
+} from './entity-schema-groups.js';
+
+function getFetchedItems(fetchedData) {
+    if (Array.isArray(fetchedData)) return fetchedData;
+    if (Array.isArray(fetchedData?.items)) return fetchedData.items;
+    return fetchedData ? [fetchedData] : [];
+}
 
 /**
  * Initialize the Entity Schema Overview component
@@ -24,22 +36,20 @@ export function initializeSchemaOverview(state) {
         id: 'entity-schema-overview'
     });
 
-    let isExpanded = false;
-    let currentSchema = null;
-    let headerElement = null;
-    let bodyElement = null;
+    // Keys of the groups whose property lists are open
+    const expandedGroups = new Set();
 
     // Initial render
     updateOverview();
 
     // Event listeners
-    eventSystem.subscribe('entitySchemaSelected', (event) => {
-        currentSchema = event.schema;
+    eventSystem.subscribe('entitySchemaSelected', () => {
         updateOverview();
     });
 
     eventSystem.subscribe(eventSystem.Events.STATE_CHANGED, (event) => {
-        if (event.path === 'mappings.mappedKeys' || event.path.includes('mappings')) {
+        if (event.path === 'mappings.mappedKeys' || event.path.includes('mappings') ||
+            event.path === 'entitySchemaAssignments' || event.path === 'fetchedData') {
             updateOverview();
         }
     });
@@ -48,10 +58,15 @@ export function initializeSchemaOverview(state) {
      * Update the entire overview display
      */
     function updateOverview() {
-        const selectedSchema = state.getSelectedEntitySchema();
+        const currentState = state.getState();
+        const groups = groupItemsByEntitySchema(
+            getFetchedItems(currentState.fetchedData),
+            state.getEntitySchemaAssignments(),
+            state.getSelectedEntitySchema()
+        ).filter(group => group.schema);
         
         // Hide if no schema selected
-        if (!selectedSchema) {
+        if (groups.length === 0) {
             container.style.display = 'none';
             container.innerHTML = '';
             return;
@@ -59,44 +74,67 @@ export function initializeSchemaOverview(state) {
 
         // Show and update content
         container.style.display = 'block';
-        currentSchema = selectedSchema;
+        container.innerHTML = '';
         
-        const mappedKeys = state.getState().mappings?.mappedKeys || [];
-        const categorizedProps = categorizeProperties(selectedSchema, mappedKeys);
-        const summary = generateSchemaSummary(selectedSchema, categorizedProps.progress);
-
-        renderOverview(summary, categorizedProps);
+        const mappedKeys = currentState.mappings?.mappedKeys || [];
+        const showGroupNames = groups.length > 1 || groups[0].assignment !== null;
+        groups.forEach(group => {
+            const categorizedProps = categorizeProperties(group.schema, getApplicableMappedKeys(mappedKeys, group.entries));
+            const summary = generateSchemaSummary(group.schema, categorizedProps.progress);
+            container.appendChild(createGroupBlock(group, summary, categorizedProps, showGroupNames));
+        });
     }
 
     /**
-     * Render the complete overview component
+     * Render the overview of one group of items
+     * @param {Object} group - Group from groupItemsByEntitySchema
      * @param {Object} summary - Schema summary data
      * @param {Object} categorizedProps - Categorized properties data
+     * @param {boolean} showGroupName - Whether to name the group above the schema
+     * @returns {HTMLElement} Group element
      */
-    function renderOverview(summary, categorizedProps) {
-        container.innerHTML = '';
+    function createGroupBlock(group, summary, categorizedProps, showGroupName) {
+        const block = createElement('div', { className: 'schema-overview-group' });
+
+        if (showGroupName) {
+            const count = group.entries.length;
+            block.appendChild(createElement('div', {
+                className: 'schema-overview-group__name'
+            }, `${describeSchemaGroup(group.assignment)} · ${count} item${count === 1 ? '' : 's'}`));
+        }
 
         // Create header (always visible)
-        headerElement = createHeader(summary);
-        container.appendChild(headerElement);
+        const headerElement = createHeader(summary, group.schema, () => {
+            if (expandedGroups.has(group.key)) {
+                expandedGroups.delete(group.key);
+            } else {
+                expandedGroups.add(group.key);
+            }
+            updateExpandedState(headerElement, bodyElement, expandedGroups.has(group.key));
+        });
+        block.appendChild(headerElement);
 
         // Create body (expandable)
-        bodyElement = createBody(categorizedProps);
-        container.appendChild(bodyElement);
+        const bodyElement = createBody(categorizedProps, group.schema);
+        block.appendChild(bodyElement);
 
         // Set initial expanded state
-        updateExpandedState();
+        updateExpandedState(headerElement, bodyElement, expandedGroups.has(group.key));
+
+        return block;
     }
 
     /**
      * Create the header section (collapsed view)
      * @param {Object} summary - Schema summary data
+     * @param {Object} schema - Entity Schema of the group
+     * @param {Function} onToggle - Called when the header is clicked
      * @returns {HTMLElement} Header element
      */
-    function createHeader(summary) {
+    function createHeader(summary, schema, onToggle) {
         const header = createElement('div', {
             className: 'schema-overview-header',
-            onClick: toggleExpansion
+            onClick: onToggle
         });
 
         const info = createElement('div', { className: 'schema-overview-collapsed' });
@@ -116,12 +154,20 @@ export function initializeSchemaOverview(state) {
         }, summary.label);
 
         // Schema ID with link
-        const idLink = createElement('a', {
-            className: 'schema-id-link',
-            href: summary.url,
-            target: '_blank',
-            onClick: (e) => e.stopPropagation() // Don't trigger expansion
-        }, `(${summary.id})`);
+        const idLink = summary.url
+            ? createElement('a', {
+                className: 'schema-id-link',
+                href: summary.url,
+                target: '_blank',
+                onClick: (e) => e.stopPropagation() // Don't trigger expansion
+            }, `(${summary.id})`)
+            : createElement('span', { className: 'schema-id-link' }, `(${summary.id})`);
+
+        // Where the schema comes from, when it is not Wikidata
+        const source = describeEntitySchemaSource(schema);
+        const sourceBadge = source !== 'Wikidata'
+            ? createElement('span', { className: 'schema-source-badge' }, source)
+            : null;
 
         // Required progress
         const requiredProgress = createElement('span', {
@@ -136,10 +182,13 @@ export function initializeSchemaOverview(state) {
         // Toggle indicator
         const toggleIndicator = createElement('span', {
             className: 'toggle-indicator'
-        }, isExpanded ? '▲' : '▼');
+        }, '▼');
 
         mainInfo.appendChild(label);
         metadata.appendChild(idLink);
+        if (sourceBadge) {
+            metadata.appendChild(sourceBadge);
+        }
         status.appendChild(requiredProgress);
         if (summary.hasOptionalProperties) {
             status.appendChild(optionalProgress);
@@ -158,16 +207,17 @@ export function initializeSchemaOverview(state) {
     /**
      * Create the body section (expanded view)
      * @param {Object} categorizedProps - Categorized properties data
+     * @param {Object} schema - Entity Schema of the group
      * @returns {HTMLElement} Body element
      */
-    function createBody(categorizedProps) {
+    function createBody(categorizedProps, schema) {
         const body = createElement('div', {
             className: 'schema-overview-expanded',
-            style: isExpanded ? 'display: block;' : 'display: none;'
+            style: 'display: none;'
         });
 
         // Check if schema is still loading
-        if (currentSchema && currentSchema.loading) {
+        if (schema && schema.loading) {
             const loadingMessage = createElement('div', {
                 className: 'loading-properties-message',
                 style: 'padding: 10px; font-style: italic; color: #666;'
@@ -176,6 +226,13 @@ export function initializeSchemaOverview(state) {
             return body;
         }
 
+        if (!categorizedProps.comparable) {
+            body.appendChild(createElement('div', {
+                className: 'no-properties-message'
+            }, 'This Entity Schema uses the properties of another Wikibase instance, so it is not comparable with Wikidata: mappings and exported items are not checked against it.'));
+            return body;
+        }
+
         // Required properties section
         if (categorizedProps.required.mapped.length > 0 || categorizedProps.required.unmapped.length > 0) {
             const requiredSection = createPropertySection(
@@ -311,19 +368,12 @@ export function initializeSchemaOverview(state) {
     }
 
     /**
-     * Toggle expansion state
+     * Update the expanded/collapsed state of a group
+     * @param {HTMLElement} headerElement - Group header
+     * @param {HTMLElement} bodyElement - Group body
+     * @param {boolean} isExpanded - Whether the body is shown
      */
-    function toggleExpansion() {
-        isExpanded = !isExpanded;
-        updateExpandedState();
-    }
-
-    /**
-     * Update the expanded/collapsed state
-     */
-    function updateExpandedState() {
-        if (!bodyElement || !headerElement) return;
-
+    function updateExpandedState(headerElement, bodyElement, isExpanded) {
         const toggleIndicator = headerElement.querySelector('.toggle-indicator');
         
         if (isExpanded) {
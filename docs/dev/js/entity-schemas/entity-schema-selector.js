@@ -9,16 +9,19 @@ import { DEFAULT_SCHEMAS, searchEntitySchemas, getEntitySchema } from './entity-
 import { eventSystem } from '../events.js';
 import { getBatchPropertyInfo } from '../api/wikidata.js';
 import { extractEntitySchemaProperties } from '../mapping/core/property-searcher.js';
+import { describeEntitySchemaSource, getEntitySchemaLibrary } from './entity-schema-library.js';
+import { openEntitySchemaImportModal } from './entity-schema-import.js';
 
 /**
  * Create the Entity Schema selector custom dropdown component
  * @param {Object} options - Configuration options
  * @param {string} options.selectedSchemaId - Currently selected schema ID
+ * @param {Object} [options.selectedSchema] - Currently selected schema, for schemas that are not defaults
  * @param {Function} options.onSchemaSelect - Callback when schema is selected
  * @returns {HTMLElement} The dropdown container element
  */
 export function createEntitySchemaSelector(options = {}) {
-    const { selectedSchemaId = '', onSchemaSelect = () => {} } = options;
+    const { selectedSchemaId = '', selectedSchema = null, onSchemaSelect = () => {} } = options;
     
     const container = createElement('div', { 
         className: 'entity-schema-selector-custom' 
@@ -36,7 +39,7 @@ export function createEntitySchemaSelector(options = {}) {
     });
     
     let isOpen = false;
-    let currentSchema = selectedSchemaId ? DEFAULT_SCHEMAS.find(s => s.id === selectedSchemaId) : null;
+    let currentSchema = selectedSchema || (selectedSchemaId ? DEFAULT_SCHEMAS.find(s => s.id === selectedSchemaId) : null);
     
     // Update button text
     function updateButtonText() {
@@ -52,6 +55,10 @@ export function createEntitySchemaSelector(options = {}) {
     // Toggle dropdown
     function toggleDropdown() {
         isOpen = !isOpen;
+        if (isOpen) {
+            // The library can change in the import modal
+            createDropdownOptions();
+        }
         dropdownContent.style.display = isOpen ? 'block' : 'none';
         dropdownButton.setAttribute('aria-expanded', isOpen);
     }
@@ -119,6 +126,36 @@ export function createEntitySchemaSelector(options = {}) {
             dropdownContent.appendChild(option);
         });
         
+        // Add schemas from the local library
+        const library = getEntitySchemaLibrary();
+        if (library.length > 0) {
+            dropdownContent.appendChild(createElement('div', {
+                className: 'entity-schema-selector-custom__group'
+            }, 'Local library'));
+        }
+        library.forEach(schema => {
+            const option = createElement('div', {
+                className: 'entity-schema-selector-custom__option'
+            }, createElement('div', {
+                className: 'entity-schema-selector-custom__option-content'
+            }, [
+                createElement('span', {
+                    className: 'entity-schema-selector-custom__option-label',
+                    onClick: () => {
+                        currentSchema = schema;
+                        updateButtonText();
+                        onSchemaSelect(schema);
+                        toggleDropdown();
+                    }
+                }, schema.label),
+                createElement('span', {
+                    className: 'entity-schema-selector-custom__option-source',
+                    title: schema.id
+                }, describeEntitySchemaSource(schema))
+            ]));
+            dropdownContent.appendChild(option);
+        });
+        
         // Add Custom/Other option
         const customOption = createElement('div', {
             className: 'entity-schema-selector-custom__option entity-schema-selector-custom__option--custom',
@@ -135,6 +172,23 @@ export function createEntitySchemaSelector(options = {}) {
         }, 'Custom/Other...');
         
         dropdownContent.appendChild(customOption);
+
+        // Add import option for ShExC drafts and other Wikibase instances
+        const importOption = createElement('div', {
+            className: 'entity-schema-selector-custom__option entity-schema-selector-custom__option--custom',
+            onClick: () => {
+                toggleDropdown();
+                openEntitySchemaImportModal({
+                    onSchemaSelect: (schema) => {
+                        currentSchema = schema;
+                        updateButtonText();
+                        onSchemaSelect(schema);
+                    }
+                });
+            }
+        }, 'Import ShExC or Other Wikibase...');
+
+        dropdownContent.appendChild(importOption);
     }
     
     createDropdownOptions();
@@ -487,6 +541,7 @@ export function initializeEntitySchemaSelector(state) {
     
     const selector = createEntitySchemaSelector({
         selectedSchemaId: selectedSchema?.id || '',
+        selectedSchema,
         onSchemaSelect: (schema) => {
             // Update state
             state.updateState('selectedEntitySchema', schema);
@@ -0,0 +1,190 @@
+/**
+ * Item RDF view
+ * Builds the RDF that Wikidata would publish for an item once the export's
+ * QuickStatements are run: truthy wdt: values, p:/ps:/pq: statement nodes with
+ * their prov:wasDerivedFrom references, and labels, descriptions and aliases.
+ * Each triple keeps the origin of the value it came from, so ShEx failures can
+ * be traced back to the reconciliation cell.
+ * @module entity-schemas/item-rdf-view
+ */
+
+const WD = 'http://www.wikidata.org/entity/';
+const WDS = 'http://www.wikidata.org/entity/statement/';
+const WDREF = 'http://www.wikidata.org/reference/';
+const WIKIBASE = 'http://wikiba.se/ontology#';
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+const RDFS_LABEL = 'http://www.w3.org/2000/01/rdf-schema#label';
+const SKOS = 'http://www.w3.org/2004/02/skos/core#';
+const SCHEMA = 'http://schema.org/';
+const PROV_WAS_DERIVED_FROM = 'http://www.w3.org/ns/prov#wasDerivedFrom';
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+const GEO_WKT_LITERAL = 'http://www.opengis.net/ont/geosparql#wktLiteral';
+const COMMONS_FILE_PATH = 'http://commons.wikimedia.org/wiki/Special:FilePath/';
+
+const PROPERTY_NAMESPACES = {
+    direct: 'http://www.wikidata.org/prop/direct/',
+    claim: 'http://www.wikidata.org/prop/',
+    statement: 'http://www.wikidata.org/prop/statement/',
+    qualifier: 'http://www.wikidata.org/prop/qualifier/',
+    reference: 'http://www.wikidata.org/prop/reference/'
+};
+
+// IRI of an item that does not exist on Wikidata yet
+const NEW_ITEM_NAMESPACE = 'urn:omekas-to-wikidata:new-item:';
+
+// Datatypes whose string values are IRIs in Wikidata's RDF
+const IRI_DATATYPES = new Set(['url', 'commonsMedia', 'geo-shape', 'tabular-data']);
+
+const literal = (value, extra = {}) => ({ type: 'Literal', value: String(value), ...extra });
+
+/**
+ * Returns the node an item is validated as
+ * @param {string} itemId - Reconciliation item ID (item-0)
+ * @param {string|null} linkedQid - QID of the existing Wikidata item, if linked
+ * @returns {string} Entity IRI, or a placeholder IRI for a new item
+ */
+export function getItemFocusNode(itemId, linkedQid = null) {
+    return linkedQid ? `${WD}${linkedQid}` : `${NEW_ITEM_NAMESPACE}${itemId}`;
+}
+
+function unquote(text) {
+    return text.slice(1, -1).replace(/""/g, '"');
+}
+
+/**
+ * Converts a QuickStatements value to the RDF term Wikidata stores for it
+ * @param {string} value - QuickStatements value (Q5, "text", en:"text", +2020-01-01T00:00:00Z/11, @48.1/11.5, 12)
+ * @param {string|null} [datatype] - Wikidata datatype of the property
+ * @returns {string|Object|null} IRI, literal {type, value, language, datatype}, or null when the value is not understood
+ */
+export function quickStatementsValueToTerm(value, datatype = null) {
+    const text = String(value ?? '').trim();
+
+    if (/^[QPL]\d+$/.test(text)) {
+        return `${WD}${text}`;
+    }
+
+    const monolingual = text.match(/^([a-z]{2,3}(?:-[a-z0-9]+)*):("[\s\S]*")$/i);
+    if (monolingual) {
+        return literal(unquote(monolingual[2]), { language: monolingual[1].toLowerCase() });
+    }
+
+    if (/^"[\s\S]*"$/.test(text)) {
+        const string = unquote(text);
+        if (IRI_DATATYPES.has(datatype)) {
+            return datatype === 'commonsMedia' ? `${COMMONS_FILE_PATH}${encodeURIComponent(string.replace(/ /g, '_'))}` : string;
+        }
+        return literal(string);
+    }
+
+    const time = text.match(/^([+-])(\d+)-(\d{2})-(\d{2})(T\d{2}:\d{2}:\d{2}Z)\/\d+$/);
+    if (time) {
+        // Wikidata publishes reduced-precision dates with month and day 01
+        const year = time[1] === '-' ? `-${time[2]}` : time[2];
+        const month = time[3] === '00' ? '01' : time[3];
+        const day = time[4] === '00' ? '01' : time[4];
+        return literal(`${year}-${month}-${day}${time[5]}`, { datatype: `${XSD}dateTime` });
+    }
+
+    const coordinate = text.match(/^@([+-]?\d+(?:\.\d+)?)\/([+-]?\d+(?:\.\d+)?)$/);
+    if (coordinate) {
+        return literal(`Point(${coordinate[2]} ${coordinate[1]})`, { datatype: GEO_WKT_LITERAL });
+    }
+
+    const quantity = text.match(/^([+-]?\d+(?:\.\d+)?)(?:~[\d.]+)?(?:U\d+)?$/);
+    if (quantity) {
+        return literal(quantity[1].startsWith('+') || quantity[1].startsWith('-') ? quantity[1] : `+${quantity[1]}`, { datatype: `${XSD}decimal` });
+    }
+
+    return null;
+}
+
+/**
+ * Builds the RDF triples of an item's prospective statements
+ * @param {string} focusNode - Item node from getItemFocusNode
+ * @param {Array<Object>} statements - Statements the export writes for the item
+ * @param {string} statements[].propertyId - QuickStatements property column (P31, Len, Den, Aen)
+ * @param {string} statements[].value - QuickStatements value
+ * @param {string|null} [statements[].datatype] - Wikidata datatype of the property
+ * @param {Array<{propertyId: string, value: string, datatype: string|null, origin: Object|null}>} [statements[].qualifiers] - Qualifiers
+ * @param {Array<{url: string, retrievedDate: string}>} [statements[].references] - References
+ * @param {Object|null} [statements[].origin] - Where the value came from: {itemId, mappingId, valueIndex}
+ * @returns {{triples: Array<{s: string, p: string, o: string|Object, origin: Object|null}>, skipped: Array<Object>}} Triples, and statements whose value could not be converted
+ */
+export function buildItemRdfView(focusNode, statements) {
+    const triples = [];
+    const skipped = [];
+    const add = (s, p, o, origin = null) => triples.push({ s, p, o, origin });
+    const focusName = focusNode.slice(focusNode.search(/[^:/]*$/));
+    let statementCount = 0;
+    let referenceCount = 0;
+
+    add(focusNode, RDF_TYPE, `${WIKIBASE}Item`);
+
+    statements.forEach(statement => {
+        const origin = statement.origin || null;
+        const term = String(statement.propertyId).match(/^([LDA])([a-z]{2,3}(?:-[a-z0-9]+)*)$/i);
+
+        if (term) {
+            const value = quickStatementsValueToTerm(statement.value);
+            if (!value || typeof value === 'string') {
+                skipped.push(statement);
+                return;
+            }
+            const text = literal(value.value, { language: term[2].toLowerCase() });
+            if (term[1] === 'L') {
+                add(focusNode, RDFS_LABEL, text, origin);
+                add(focusNode, `${SKOS}prefLabel`, text, origin);
+                add(focusNode, `${SCHEMA}name`, text, origin);
+            } else if (term[1] === 'D') {
+                add(focusNode, `${SCHEMA}description`, text, origin);
+            } else {
+                add(focusNode, `${SKOS}altLabel`, text, origin);
+            }
+            return;
+        }
+
+        if (!/^P\d+$/.test(statement.propertyId)) {
+            skipped.push(statement);
+            return;
+        }
+        const value = quickStatementsValueToTerm(statement.value, statement.datatype);
+        if (value === null) {
+            skipped.push(statement);
+            return;
+        }
+
+        const propertyId = statement.propertyId;
+        const statementNode = `${WDS}${focusName}-${++statementCount}`;
+        add(focusNode, `${PROPERTY_NAMESPACES.direct}${propertyId}`, value, origin);
+        add(focusNode, `${PROPERTY_NAMESPACES.claim}${propertyId}`, statementNode, origin);
+        add(statementNode, RDF_TYPE, `${WIKIBASE}Statement`, origin);
+        add(statementNode, `${WIKIBASE}rank`, `${WIKIBASE}NormalRank`, origin);
+        add(statementNode, `${PROPERTY_NAMESPACES.statement}${propertyId}`, value, origin);
+
+        (statement.qualifiers || []).forEach(qualifier => {
+            const qualifierValue = quickStatementsValueToTerm(qualifier.value, qualifier.datatype);
+            if (qualifierValue !== null) {
+                add(statementNode, `${PROPERTY_NAMESPACES.qualifier}${qualifier.propertyId}`, qualifierValue, qualifier.origin || origin);
+            }
+        });
+
+        const references = (statement.references || []).filter(reference => reference.url || reference.retrievedDate);
+        if (references.length > 0) {
+            // QuickStatements writes all source columns of a line as one reference
+            const referenceNode = `${WDREF}${focusName}-${++referenceCount}`;
+            add(statementNode, PROV_WAS_DERIVED_FROM, referenceNode, origin);
+            add(referenceNode, RDF_TYPE, `${WIKIBASE}Reference`, origin);
+            references.forEach(reference => {
+                if (reference.url) {
+                    add(referenceNode, `${PROPERTY_NAMESPACES.reference}P854`, reference.url, origin);
+                }
+                if (reference.retrievedDate) {
+                    add(referenceNode, `${PROPERTY_NAMESPACES.reference}P813`, literal(String(reference.retrievedDate).slice(0, 10) + 'T00:00:00Z', { datatype: `${XSD}dateTime` }), origin);
+                }
+            });
+        }
+    });
+
+    return { triples, skipped };
+}
@@ -0,0 +1,119 @@
+/**
+ * Entity Schema completeness dashboard
+ * Grid of the export step with items as rows and schema properties as
+ * columns, showing which items will get a value for each property
+ * @module entity-schemas/schema-completeness-dashboard
+ */
+
+import { createElement, showMessage } from '../ui/components.js';
+import { COMPLETENESS_STATES, downloadCompletenessGaps, listCompletenessGaps } from './schema-completeness.js';
+
+const STATE_SYMBOLS = {
+    [COMPLETENESS_STATES.PRESENT]: '✓',
+    [COMPLETENESS_STATES.MISSING]: '—',
+    [COMPLETENESS_STATES.SKIPPED]: '↷',
+    [COMPLETENESS_STATES.INVALID]: '✗'
+};
+
+/**
+ * Renders the completeness grids of the export
+ * @param {HTMLElement} container - Dashboard container
+ * @param {Array<{name: string, grid: Object}>} groups - Grids from buildCompletenessGrid, named when items use different schemas
+ */
+export function renderSchemaCompletenessDashboard(container, groups) {
+    container.innerHTML = '';
+    const gridGroups = groups.filter(group => group.grid.columns.length > 0 && group.grid.rows.length > 0);
+    if (gridGroups.length === 0) {
+        return;
+    }
+
+    // The filter survives the re-render that follows every export update
+    const failingRequiredOnly = container.dataset.failingRequiredOnly === 'true';
+
+    const filterToggle = createElement('label', { className: 'schema-completeness__filter' }, [
+        createElement('input', {
+            type: 'checkbox',
+            checked: failingRequiredOnly,
+            onChange: event => {
+                container.dataset.failingRequiredOnly = String(event.target.checked);
+                renderSchemaCompletenessDashboard(container, groups);
+            }
+        }),
+        ' Only items missing required properties'
+    ]);
+
+    const downloadButton = createElement('button', {
+        type: 'button',
+        className: 'button button--secondary button--small',
+        onClick: () => {
+            const gaps = gridGroups.flatMap(group => listCompletenessGaps(group.grid, { failingRequiredOnly }));
+            if (gaps.length === 0) {
+                showMessage('No gaps to export', 'info', 3000);
+                return;
+            }
+            downloadCompletenessGaps(gaps);
+            showMessage(`Gap list downloaded (${gaps.length} row${gaps.length === 1 ? '' : 's'})`, 'success', 3000);
+        }
+    }, 'Download Gap List (CSV)');
+
+    container.appendChild(createElement('h4', {}, 'Entity Schema completeness per item'));
+    container.appendChild(createElement('p', { className: 'shex-validation-report__note' },
+        'Whether each item gets a value for each schema property once exported. Items linked to existing Wikidata items only count the statements this export adds. Hover a cell for details.'));
+    container.appendChild(createElement('div', { className: 'schema-completeness__controls' }, [
+        filterToggle,
+        downloadButton,
+        createElement('span', { className: 'schema-completeness__legend' }, Object.entries(STATE_SYMBOLS).map(([state, symbol]) =>
+            createElement('span', { className: `schema-completeness__cell--${state}` }, `${symbol} ${state}`)
+        ))
+    ]));
+
+    gridGroups.forEach(group => {
+        container.appendChild(createGridSection(group, failingRequiredOnly));
+    });
+}
+
+/**
+ * Creates the grid of one group of items
+ * @param {{name: string, grid: Object}} group - Named grid
+ * @param {boolean} failingRequiredOnly - Whether to hide items with every required property present
+ * @returns {HTMLElement} Section element
+ */
+function createGridSection({ name, grid }, failingRequiredOnly) {
+    const complete = grid.rows.filter(row => row.requiredGaps === 0).length;
+    const rows = failingRequiredOnly ? grid.rows.filter(row => row.requiredGaps > 0) : grid.rows;
+    const schemaName = `${grid.schema.id}${grid.schema.label ? ` (${grid.schema.label})` : ''}`;
+
+    const headerRow = createElement('tr', {}, [
+        createElement('th', { className: 'schema-completeness__item' }, 'Item'),
+        ...grid.columns.map(column => createElement('th', {
+            className: column.required ? 'schema-completeness__required' : '',
+            title: `${column.label} (${column.id})${column.required ? ', required' : ', optional'}`
+        }, `${column.id}${column.required ? '*' : ''}`))
+    ]);
+
+    const bodyRows = rows.map(row => createElement('tr', {
+        className: row.requiredGaps > 0 ? 'schema-completeness__row--failing' : ''
+    }, [
+        createElement('td', {
+            className: 'schema-completeness__item',
+            title: row.exported ? row.itemId : `${row.itemId} is not exported: none of its values are reconciled`
+        }, `${row.title || row.itemId}${row.exported ? '' : ' (not exported)'}`),
+        ...grid.columns.map(column => {
+            const cell = row.cells[column.id];
+            return createElement('td', {
+                className: `schema-completeness__cell schema-completeness__cell--${cell.state}`,
+                title: `${column.label} (${column.id}): ${cell.state}${cell.detail ? ` – ${cell.detail}` : ''}`
+            }, STATE_SYMBOLS[cell.state]);
+        })
+    ]));
+
+    return createElement('div', { className: 'schema-completeness__group' }, [
+        createElement('h5', {}, `${name ? `${name}, ` : ''}Entity Schema ${schemaName}: ${complete} of ${grid.rows.length} item${grid.rows.length === 1 ? '' : 's'} have every required property`),
+        rows.length > 0
+            ? createElement('div', { className: 'schema-completeness__scroll' }, createElement('table', { className: 'schema-completeness__table' }, [
+                createElement('thead', {}, headerRow),
+                createElement('tbody', {}, bodyRows)
+            ]))
+            : createElement('p', { className: 'shex-validation-report__note' }, 'Every item has all required properties')
+    ]);
+}
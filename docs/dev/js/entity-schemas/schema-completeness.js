@@ -0,0 +1,178 @@
+/**
+ * Entity Schema completeness per item
+ * Where schema-property-mapper.js tells whether a schema property is mapped at
+ * all, this module tells, item by item, whether the export will write a value
+ * for it: present, missing from the Omeka record, skipped during
+ * reconciliation, or written but rejected by the schema.
+ * @module entity-schemas/schema-completeness
+ */
+
+import { recordsToCsv, downloadCsv } from '../utils/csv.js';
+
+export const COMPLETENESS_STATES = {
+    PRESENT: 'present',
+    MISSING: 'missing',
+    SKIPPED: 'skipped',
+    INVALID: 'invalid'
+};
+
+// Why reconciled values of a property produced no statement, by reconciliation status
+const VALUE_STATUS_DESCRIPTIONS = {
+    pending: 'not reconciled yet',
+    skipped: 'skipped',
+    'no-item': 'no Wikidata item',
+    error: 'reconciliation error'
+};
+
+const CSV_COLUMNS = [
+    { header: 'Omeka ID', value: gap => gap.omekaId },
+    { header: 'Omeka URI', value: gap => gap.omekaUri },
+    { header: 'Title', value: gap => gap.title },
+    { header: 'Entity Schema', value: gap => gap.schemaId },
+    { header: 'Property', value: gap => gap.propertyId },
+    { header: 'Property label', value: gap => gap.propertyLabel },
+    { header: 'Required', value: gap => (gap.required ? 'yes' : 'no') },
+    { header: 'State', value: gap => gap.state },
+    { header: 'Detail', value: gap => gap.detail }
+];
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+/**
+ * Lists the properties of a schema as grid columns
+ * @param {Object|null} schema - Entity Schema with properties
+ * @returns {Array<{id: string, label: string, required: boolean}>} Required properties first
+ */
+export function getCompletenessColumns(schema) {
+    const { required = [], optional = [] } = schema?.properties || {};
+    const seen = new Set();
+    return [
+        ...required.map(property => ({ ...property, required: true })),
+        ...optional.map(property => ({ ...property, required: false }))
+    ]
+        .filter(property => /^P\d+$/.test(property.id) && !seen.has(property.id) && seen.add(property.id))
+        .map(property => ({ id: property.id, label: property.label || property.id, required: property.required }));
+}
+
+function describeUnwrittenValues(reconciledValues) {
+    const counts = new Map();
+    reconciledValues.forEach(value => {
+        const description = VALUE_STATUS_DESCRIPTIONS[value?.status] || value?.status || 'unknown';
+        counts.set(description, (counts.get(description) || 0) + 1);
+    });
+    return Array.from(counts.entries()).map(([description, count]) => `${count} ${description}`).join(', ');
+}
+
+/**
+ * Works out the state of one schema property for one item
+ * @param {string} propertyId - Schema property
+ * @param {Object} row - Item, see buildCompletenessGrid
+ * @param {Array<Object>} failures - ShEx failures of the item
+ * @returns {{state: string, detail: string}} Cell
+ */
+function getCompletenessCell(propertyId, row, failures) {
+    const statements = (row.statements || []).filter(statement => statement.propertyId === propertyId);
+    const propertyFailures = failures.filter(failure => failure.propertyId === propertyId);
+
+    if (statements.length > 0) {
+        return propertyFailures.length > 0
+            ? { state: COMPLETENESS_STATES.INVALID, detail: propertyFailures.map(failure => failure.message).join('; ') }
+            : { state: COMPLETENESS_STATES.PRESENT, detail: plural(statements.length, 'value') };
+    }
+
+    // Statement mappings of the property; qualifiers do not give the item a value
+    const entries = Object.values(row.properties || {})
+        .filter(entry => entry?.propertyMetadata?.property?.id === propertyId && !entry.propertyMetadata.qualifierOf);
+    const reconciledValues = entries.flatMap(entry => entry.reconciled || []);
+
+    if (reconciledValues.length === 0) {
+        return {
+            state: COMPLETENESS_STATES.MISSING,
+            detail: entries.length > 0 ? 'The Omeka record has no value for the mapped field' : 'No mapped field gives this property'
+        };
+    }
+
+    const written = reconciledValues.filter(value => value?.selectedMatch && value.selectedMatch.type !== 'no-item');
+    if (written.length > 0) {
+        return { state: COMPLETENESS_STATES.INVALID, detail: `${plural(written.length, 'reconciled value')} could not be written; see the export warnings` };
+    }
+    return { state: COMPLETENESS_STATES.SKIPPED, detail: describeUnwrittenValues(reconciledValues) };
+}
+
+/**
+ * Builds the completeness grid of a group of items sharing an Entity Schema
+ * @param {Object} schema - Entity Schema with properties
+ * @param {Array<Object>} rows - Items of the group
+ * @param {string} rows[].itemId - Reconciliation item ID (item-0)
+ * @param {string} rows[].title - Item title
+ * @param {Object} rows[].item - Omeka S item
+ * @param {Object} rows[].properties - Reconciliation data of the item, by mapping ID
+ * @param {Array<Object>|null} rows[].statements - Statements the export writes, null when the item is not exported
+ * @param {Array<Object>} [validationResults] - Results of validateProspectiveItems for the exported items
+ * @returns {{schema: Object, columns: Array<Object>, rows: Array<{itemId: string, title: string, item: Object, exported: boolean, cells: Object<string, {state: string, detail: string}>, requiredGaps: number}>}} Grid
+ */
+export function buildCompletenessGrid(schema, rows, validationResults = []) {
+    const columns = getCompletenessColumns(schema);
+    const failuresByItem = new Map(validationResults.map(result => [result.itemId, result.failures || []]));
+
+    return {
+        schema,
+        columns,
+        rows: rows.map(row => {
+            const failures = failuresByItem.get(row.itemId) || [];
+            const cells = Object.fromEntries(columns.map(column => [column.id, getCompletenessCell(column.id, row, failures)]));
+            return {
+                itemId: row.itemId,
+                title: row.title || '',
+                item: row.item || null,
+                exported: Array.isArray(row.statements),
+                cells,
+                requiredGaps: columns.filter(column => column.required && cells[column.id].state !== COMPLETENESS_STATES.PRESENT).length
+            };
+        })
+    };
+}
+
+/**
+ * Lists the cells of a grid that are not present, one entry per item and property
+ * @param {Object} grid - Result of buildCompletenessGrid
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.failingRequiredOnly=false] - Keep only items with a gap in a required property
+ * @returns {Array<Object>} Gaps with the item, property and state
+ */
+export function listCompletenessGaps(grid, { failingRequiredOnly = false } = {}) {
+    return grid.rows
+        .filter(row => !failingRequiredOnly || row.requiredGaps > 0)
+        .flatMap(row => grid.columns
+            .filter(column => row.cells[column.id].state !== COMPLETENESS_STATES.PRESENT)
+            .map(column => ({
+                itemId: row.itemId,
+                omekaId: row.item?.['o:id'] ?? '',
+                omekaUri: row.item?.['@id'] ?? '',
+                title: row.title,
+                schemaId: grid.schema?.id || '',
+                propertyId: column.id,
+                propertyLabel: column.label,
+                required: column.required,
+                state: row.cells[column.id].state,
+                detail: row.cells[column.id].detail
+            })));
+}
+
+/**
+ * Serializes gaps as CSV, one row per item and property
+ * @param {Array<Object>} gaps - Result of listCompletenessGaps
+ * @returns {string} CSV text
+ */
+export function completenessGapsToCsv(gaps) {
+    return recordsToCsv(CSV_COLUMNS, gaps);
+}
+
+/**
+ * Downloads gaps as a CSV file
+ * @param {Array<Object>} gaps - Result of listCompletenessGaps
+ */
+export function downloadCompletenessGaps(gaps) {
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+    downloadCsv(completenessGapsToCsv(gaps), `entity-schema-gaps-${timestamp}.csv`);
+}
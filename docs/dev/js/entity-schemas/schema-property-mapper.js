@@ -4,15 +4,61 @@
  * @module entity-schemas/schema-property-mapper
  */
 
+import { listSchemaPredicates, parseShExSchema } from './shex-schema.js';
+
+// Property predicates of the RDF Wikidata publishes (wdt:, p:, ps:, pq:, pr:...)
+const WIKIDATA_PROPERTY_NAMESPACE = 'http://www.wikidata.org/prop/';
+const PROPERTY_PREDICATE_PATTERN = /\/prop\/(?:[a-z-]+\/)?P\d+$/;
+
+/**
+ * Tells whether a schema describes items with Wikidata's properties
+ * Schemas from other Wikibase instances usually declare their own wdt:/p:
+ * namespaces, so their P-numbers name that instance's properties and neither
+ * the mappings nor the prospective Wikidata statements can be checked
+ * against them.
+ * @param {Object|null} schema - Entity Schema ({shexCode, source})
+ * @returns {boolean} False when the schema uses another instance's properties
+ */
+export function isComparableWithWikidata(schema) {
+    if (schema?.shexCode) {
+        try {
+            const propertyPredicates = Array.from(listSchemaPredicates(parseShExSchema(schema.shexCode)))
+                .filter(predicate => PROPERTY_PREDICATE_PATTERN.test(predicate));
+            if (propertyPredicates.length > 0) {
+                return propertyPredicates.every(predicate => predicate.startsWith(WIKIDATA_PROPERTY_NAMESPACE));
+            }
+        } catch (error) {
+            // Unreadable schemas fall back to where they come from
+        }
+    }
+    return schema?.source?.type !== 'wikibase';
+}
+
 /**
  * Analyze mapping status for a given Entity Schema
  * @param {Object} schema - Entity Schema with properties
  * @param {Array} mappedKeys - Current mapped keys from state
- * @returns {Object} Categorized mapping status
+ * @returns {Object} Categorized mapping status; empty with comparable false when
+ *   the schema uses another Wikibase instance's properties
  */
 export function getMappingStatus(schema, mappedKeys = []) {
+    if (schema?.properties && !isComparableWithWikidata(schema)) {
+        return {
+            comparable: false,
+            requiredMapped: [],
+            requiredUnmapped: [],
+            optionalMapped: [],
+            optionalUnmapped: [],
+            progress: {
+                required: { mapped: 0, total: 0, percentage: 0, text: 'Not comparable with Wikidata', status: 'not-comparable' },
+                optional: { mapped: 0, total: 0, percentage: 0, text: 'No optional properties' }
+            }
+        };
+    }
+
     if (!schema?.properties) {
         return {
+            comparable: true,
             requiredMapped: [],
             requiredUnmapped: [],
             optionalMapped: [],
@@ -42,6 +88,7 @@ export function getMappingStatus(schema, mappedKeys = []) {
     );
 
     return {
+        comparable: true,
         requiredMapped,
         requiredUnmapped,
         optionalMapped,
@@ -133,6 +180,7 @@ export function categorizeProperties(schema, mappedKeys = []) {
     const mappingStatus = getMappingStatus(schema, mappedKeys);
     
     return {
+        comparable: mappingStatus.comparable,
         required: {
             mapped: mappingStatus.requiredMapped.map(prop => ({ ...prop, isMapped: true })),
             unmapped: mappingStatus.requiredUnmapped.map(prop => ({ ...prop, isMapped: false }))
@@ -159,7 +207,8 @@ export function generateSchemaSummary(schema, progress) {
     return {
         id: schema.id,
         label: schema.label || `Entity Schema ${schema.id}`,
-        url: schema.url || `https://www.wikidata.org/wiki/EntitySchema:${schema.id}`,
+        // Local drafts have no page to link to
+        url: schema.source?.type === 'local' ? null : (schema.url || `https://www.wikidata.org/wiki/EntitySchema:${schema.id}`),
         requiredText: progress.required.text,
         requiredStatus: progress.required.status,
         optionalText: progress.optional.text,
@@ -13,6 +13,7 @@ export const WIKIDATA_PREFIXES = {
   'wd': 'http://www.wikidata.org/entity/',
   'wdt': 'http://www.wikidata.org/prop/direct/',
   'wds': 'http://www.wikidata.org/entity/statement/',
+  'wdref': 'http://www.wikidata.org/reference/',
   'p': 'http://www.wikidata.org/prop/',
   'ps': 'http://www.wikidata.org/prop/statement/',
   'pq': 'http://www.wikidata.org/prop/qualifier/',
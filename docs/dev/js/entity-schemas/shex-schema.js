@@ -0,0 +1,129 @@
+/**
+ * ShExC schema parser
+ * Parses the complete ShExC text of an Entity Schema with the vendored
+ * @shexjs/parser into ShExJ, for validation by shex-validator.js. Unlike
+ * shex-parser.js, which only lists properties for the mapping step, this keeps
+ * the full structure: AND/OR/NOT, nested shapes and references, EachOf/OneOf
+ * groups, cardinalities, value sets, stems and facets.
+ * Shape references and inclusions are label strings, as in ShExJ; a max of -1
+ * means unbounded.
+ * @module entity-schemas/shex-schema
+ */
+
+import { WIKIDATA_PREFIXES, ShExParseError } from './shex-parser.js';
+import { loadShExParser } from '../vendor/index.js';
+
+const UNBOUNDED = -1;
+
+// Loaded once with the module, so parsing itself stays synchronous
+let ShExParser = null;
+let loadError = null;
+try {
+    ShExParser = await loadShExParser();
+} catch (error) {
+    console.error('Failed to load the ShEx parser:', error);
+    loadError = error;
+}
+
+// Turns a parser error into a one-line message with its position
+function toParseError(error, source) {
+    const first = Array.isArray(error.errors) ? error.errors[0] : error;
+    const location = first.location || null;
+    const text = String(first.message || error.message);
+    const unexpected = text.match(/got '([^']*)'\s*$/);
+    let message;
+    if (unexpected) {
+        message = unexpected[1] === 'EOF' ? 'Unexpected end of the schema' : `Unexpected ${unexpected[1]}`;
+    } else {
+        message = text.replace(/^Parse error[;:]\s*/, '').split('\n')[0];
+        message = message.charAt(0).toUpperCase() + message.slice(1);
+    }
+    return new ShExParseError(message, location ? location.first_line : null, location ? location.first_column + 1 : null, source);
+}
+
+/**
+ * Parses the ShExC text of an Entity Schema
+ * Prefixes the text does not declare fall back to the Wikidata ones; relative
+ * IRIs stay as written unless the schema sets a BASE.
+ * @param {string} shexCode - ShExC schema text
+ * @returns {{prefixes: Object<string, string>, base: string|null, start: Object|string|null, shapes: Map<string, Object>, tripleExprLabels: Map<string, Object>}} Shape expressions by label (full IRIs) and the start shape
+ * @throws {ShExParseError} When the text is not valid ShExC or the parser could not be loaded
+ */
+export function parseShExSchema(shexCode) {
+    if (!ShExParser) {
+        throw new ShExParseError(`The ShEx parser could not be loaded: ${loadError?.message || 'unknown error'}`);
+    }
+
+    const source = String(shexCode ?? '');
+    let parsed;
+    try {
+        parsed = ShExParser.construct(null, WIKIDATA_PREFIXES, { index: true }).parse(source);
+    } catch (error) {
+        throw toParseError(error, source);
+    }
+
+    const shapes = new Map((parsed.shapes || []).map(decl => [decl.id, decl.type === 'ShapeDecl' ? decl.shapeExpr : decl]));
+    if (shapes.size === 0 && !parsed.start) {
+        throw new ShExParseError('The schema declares no shapes');
+    }
+    return {
+        prefixes: { ...WIKIDATA_PREFIXES, ...parsed._prefixes },
+        base: parsed._base || null,
+        start: parsed.start || null,
+        shapes,
+        tripleExprLabels: new Map(Object.entries(parsed._index?.tripleExprs || {}))
+    };
+}
+
+/**
+ * Returns the label of the shape items are checked against
+ * The start shape wins; otherwise the first shape of the schema.
+ * @param {Object} schema - Parsed schema
+ * @returns {{label: string, shapeExpr: Object|string}|null} Shape label and expression
+ */
+export function getStartShape(schema) {
+    if (schema.start) {
+        const label = typeof schema.start === 'string' ? schema.start : 'start';
+        return { label, shapeExpr: schema.start };
+    }
+    const [first] = schema.shapes.entries();
+    return first ? { label: first[0], shapeExpr: first[1] } : null;
+}
+
+/**
+ * Lists the predicates of every triple constraint in a schema
+ * @param {Object} schema - Parsed schema
+ * @returns {Set<string>} Predicate IRIs
+ */
+export function listSchemaPredicates(schema) {
+    const predicates = new Set();
+    const visit = node => {
+        if (Array.isArray(node)) {
+            node.forEach(visit);
+        } else if (node && typeof node === 'object') {
+            if (node.type === 'TripleConstraint') predicates.add(node.predicate);
+            Object.values(node).forEach(visit);
+        }
+    };
+    visit([schema.start, ...schema.shapes.values(), ...schema.tripleExprLabels.values()]);
+    return predicates;
+}
+
+/**
+ * Shortens an IRI with the schema's prefixes for messages
+ * @param {string} iri - Full IRI
+ * @param {Object<string, string>} [prefixes] - Prefixes to use, longest namespace first
+ * @returns {string} Prefixed name, or the IRI in angle brackets
+ */
+export function shortenIri(iri, prefixes = WIKIDATA_PREFIXES) {
+    if (typeof iri !== 'string') return String(iri);
+    let best = null;
+    Object.entries(prefixes).forEach(([prefix, namespace]) => {
+        if (namespace && iri.startsWith(namespace) && (!best || namespace.length > best.namespace.length)) {
+            best = { prefix, namespace };
+        }
+    });
+    return best ? `${best.prefix}:${iri.slice(best.namespace.length)}` : `<${iri}>`;
+}
+
+export { UNBOUNDED };
@@ -0,0 +1,538 @@
+/**
+ * ShEx validator
+ * Checks a node of an RDF graph against the ShExJ of a schema parsed by
+ * shex-schema.js: node constraints (node kinds, datatypes, value sets,
+ * facets), shapes with EachOf/OneOf groups and cardinalities, EXTRA, CLOSED
+ * and EXTENDS, and nested shape references. Failures name the shape, the property and the triples they came
+ * from, so the caller can point back to the data at fault.
+ * @module entity-schemas/shex-validator
+ */
+
+import { UNBOUNDED, getStartShape, parseShExSchema, shortenIri } from './shex-schema.js';
+import { buildItemRdfView } from './item-rdf-view.js';
+import { ShExParseError } from './shex-parser.js';
+
+const RDF_LANG_STRING = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#langString';
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+const WIKIDATA_ENTITY = 'http://www.wikidata.org/entity/';
+
+// Upper bound on the ways triples are tried against constraints sharing a predicate
+const MAX_ASSIGNMENTS = 1024;
+
+const STEM_TYPES = new Set(['IriStem', 'IriStemRange', 'LiteralStem', 'Language', 'LanguageStem']);
+
+const XSD_LEXICAL_FORMS = {
+    [`${XSD}integer`]: /^[+-]?\d+$/,
+    [`${XSD}decimal`]: /^[+-]?(\d+(\.\d*)?|\.\d+)$/,
+    [`${XSD}double`]: /^([+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?|[+-]?INF|NaN)$/,
+    [`${XSD}boolean`]: /^(true|false|1|0)$/,
+    [`${XSD}date`]: /^-?\d{4,}-\d{2}-\d{2}(Z|[+-]\d{2}:\d{2})?$/,
+    [`${XSD}dateTime`]: /^-?\d{4,}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/
+};
+
+const NUMERIC_DATATYPES = new Set([`${XSD}integer`, `${XSD}decimal`, `${XSD}double`, `${XSD}float`]);
+
+const isLiteral = term => typeof term === 'object' && term !== null;
+const isBlankNode = term => typeof term === 'string' && term.startsWith('_:');
+
+function literalDatatype(term) {
+    if (term.language) return RDF_LANG_STRING;
+    return term.datatype || `${XSD}string`;
+}
+
+function lexicalForm(term) {
+    return isLiteral(term) ? String(term.value) : term;
+}
+
+function getPropertyId(predicate) {
+    const match = String(predicate).match(/\/(P\d+)$/);
+    return match ? match[1] : null;
+}
+
+function indexTriples(triples) {
+    const bySubject = new Map();
+    const byObject = new Map();
+    triples.forEach(triple => {
+        if (!bySubject.has(triple.s)) bySubject.set(triple.s, []);
+        bySubject.get(triple.s).push(triple);
+        if (!isLiteral(triple.o)) {
+            if (!byObject.has(triple.o)) byObject.set(triple.o, []);
+            byObject.get(triple.o).push(triple);
+        }
+    });
+    return { bySubject, byObject };
+}
+
+function cardinalityOf(expression) {
+    return {
+        min: expression.min ?? 1,
+        max: expression.max === UNBOUNDED ? Infinity : (expression.max ?? 1)
+    };
+}
+
+function describeCardinality(min, max) {
+    if (max === Infinity) return min === 0 ? 'any number' : `at least ${min}`;
+    if (min === max) return `exactly ${min}`;
+    return min === 0 ? `at most ${max}` : `between ${min} and ${max}`;
+}
+
+/**
+ * Creates a validator for a parsed schema
+ * @param {Object} schema - Schema from parseShExSchema
+ * @param {Array<{s: string, p: string, o: string|Object, origin: Object|null}>} triples - Graph; IRIs are strings, literals {value, language, datatype}
+ * @returns {{validateNode: function(string, string, Object): {valid: boolean, failures: Array<Object>, unverified: Array<string>}}} Validator
+ */
+export function createShExValidator(schema, triples) {
+    const { bySubject, byObject } = indexTriples(triples);
+    const short = iri => shortenIri(iri, schema.prefixes);
+    const describeTerm = term => {
+        if (!isLiteral(term)) return short(term);
+        const value = String(term.value).length > 60 ? `${String(term.value).slice(0, 57)}…` : term.value;
+        return term.language ? `"${value}"@${term.language}` : `"${value}"`;
+    };
+
+    // Completed results of shape references, and references being checked further up
+    const refResults = new Map();
+    const inProgress = new Set();
+    let unverified = new Set();
+
+    const failure = (context, message, { predicate = null, origins = [], nested = [] } = {}) => ({
+        shape: context.shape,
+        message,
+        propertyId: predicate ? getPropertyId(predicate) : null,
+        origins: origins.filter(Boolean),
+        nested
+    });
+
+    function matchesValueSetValue(term, value) {
+        if (typeof value === 'string') {
+            return term === value;
+        }
+        if (!STEM_TYPES.has(value.type)) {
+            if (!isLiteral(term) || String(term.value) !== String(value.value)) return false;
+            if (value.language) return term.language === value.language;
+            return literalDatatype(term) === (value.type || `${XSD}string`);
+        }
+
+        switch (value.type) {
+            case 'IriStem':
+                return !isLiteral(term) && term.startsWith(value.stem);
+            case 'IriStemRange':
+                if (isLiteral(term)) return false;
+                if (value.stem?.type !== 'Wildcard' && !term.startsWith(value.stem)) return false;
+                return !value.exclusions.some(exclusion => matchesValueSetValue(term, exclusion));
+            case 'LiteralStem':
+                return isLiteral(term) && String(term.value).startsWith(value.stem);
+            case 'Language':
+                return isLiteral(term) && term.language === value.languageTag;
+            case 'LanguageStem':
+                if (!isLiteral(term) || !term.language) return false;
+                return !value.stem || term.language === value.stem || term.language.startsWith(`${value.stem}-`);
+            default:
+                return false;
+        }
+    }
+
+    function checkNodeConstraint(term, constraint, context) {
+        const problems = [];
+
+        if (constraint.nodeKind) {
+            const kindOk = {
+                iri: !isLiteral(term) && !isBlankNode(term),
+                bnode: isBlankNode(term),
+                literal: isLiteral(term),
+                nonliteral: !isLiteral(term)
+            }[constraint.nodeKind];
+            if (!kindOk) problems.push(`${describeTerm(term)} is not ${constraint.nodeKind === 'iri' ? 'an IRI' : `a ${constraint.nodeKind}`}`);
+        }
+
+        if (constraint.datatype) {
+            if (!isLiteral(term)) {
+                problems.push(`${describeTerm(term)} is not a literal of type ${short(constraint.datatype)}`);
+            } else if (literalDatatype(term) !== constraint.datatype) {
+                problems.push(`${describeTerm(term)} has type ${short(literalDatatype(term))}, expected ${short(constraint.datatype)}`);
+            } else if (XSD_LEXICAL_FORMS[constraint.datatype] && !XSD_LEXICAL_FORMS[constraint.datatype].test(String(term.value))) {
+                problems.push(`${describeTerm(term)} is not a valid ${short(constraint.datatype)}`);
+            }
+        }
+
+        if (constraint.values && !constraint.values.some(value => matchesValueSetValue(term, value))) {
+            const allowed = constraint.values.slice(0, 5).map(value => {
+                if (typeof value === 'string') return short(value);
+                if (!STEM_TYPES.has(value.type)) return describeTerm(value);
+                if (value.type === 'Language') return `@${value.languageTag}`;
+                if (value.type === 'LanguageStem') return value.stem ? `@${value.stem}~` : '@~';
+                return value.stem?.type === 'Wildcard' ? '.' : `${typeof value.stem === 'string' && value.type !== 'LiteralStem' ? short(value.stem) : `"${value.stem}"`}~`;
+            });
+            const more = constraint.values.length > 5 ? `, … (${constraint.values.length} values)` : '';
+            problems.push(`${describeTerm(term)} is not one of [${allowed.join(', ')}${more}]`);
+        }
+
+        const lexical = lexicalForm(term);
+        if (constraint.length !== undefined && lexical.length !== constraint.length) {
+            problems.push(`${describeTerm(term)} must be ${constraint.length} characters long`);
+        }
+        if (constraint.minlength !== undefined && lexical.length < constraint.minlength) {
+            problems.push(`${describeTerm(term)} is shorter than ${constraint.minlength} characters`);
+        }
+        if (constraint.maxlength !== undefined && lexical.length > constraint.maxlength) {
+            problems.push(`${describeTerm(term)} is longer than ${constraint.maxlength} characters`);
+        }
+        if (constraint.pattern !== undefined) {
+            try {
+                const flags = (constraint.flags || '').replace(/[^ims]/g, '');
+                // The x flag (ignore whitespace in the pattern) has no JavaScript equivalent
+                const pattern = (constraint.flags || '').includes('x') ? constraint.pattern.replace(/\s+/g, '') : constraint.pattern;
+                if (!new RegExp(pattern, `${flags}u`).test(lexical)) {
+                    problems.push(`${describeTerm(term)} does not match /${constraint.pattern}/`);
+                }
+            } catch (error) {
+                console.warn(`Skipping invalid pattern /${constraint.pattern}/:`, error);
+            }
+        }
+
+        const numericFacets = ['mininclusive', 'minexclusive', 'maxinclusive', 'maxexclusive'].filter(facet => constraint[facet] !== undefined);
+        if (numericFacets.length > 0) {
+            const number = isLiteral(term) && NUMERIC_DATATYPES.has(literalDatatype(term)) ? Number(term.value) : NaN;
+            if (Number.isNaN(number)) {
+                problems.push(`${describeTerm(term)} is not a number`);
+            } else {
+                const bounds = {
+                    mininclusive: [number >= constraint.mininclusive, `at least ${constraint.mininclusive}`],
+                    minexclusive: [number > constraint.minexclusive, `more than ${constraint.minexclusive}`],
+                    maxinclusive: [number <= constraint.maxinclusive, `at most ${constraint.maxinclusive}`],
+                    maxexclusive: [number < constraint.maxexclusive, `less than ${constraint.maxexclusive}`]
+                };
+                numericFacets.forEach(facet => {
+                    if (!bounds[facet][0]) problems.push(`${describeTerm(term)} must be ${bounds[facet][1]}`);
+                });
+            }
+        }
+
+        return problems.map(message => failure(context, message));
+    }
+
+    function collectTripleConstraints(expression, found = [], seenLabels = new Set()) {
+        if (!expression) return found;
+        if (expression.type === 'TripleConstraint') {
+            found.push(expression);
+        } else if (expression.type === 'EachOf' || expression.type === 'OneOf') {
+            expression.expressions.forEach(child => collectTripleConstraints(child, found, seenLabels));
+        } else if (typeof expression === 'string' && !seenLabels.has(expression)) {
+            // Inclusion of a labelled triple expression
+            seenLabels.add(expression);
+            collectTripleConstraints(schema.tripleExprLabels.get(expression), found, seenLabels);
+        }
+        return found;
+    }
+
+    // Interval of the number of times an expression can be repeated to produce the counts
+    function repetitionRange(expression, counts, seenLabels = new Set()) {
+        let inner;
+        if (typeof expression === 'string') {
+            const included = schema.tripleExprLabels.get(expression);
+            if (!included || seenLabels.has(expression)) return [0, Infinity];
+            return repetitionRange(included, counts, new Set([...seenLabels, expression]));
+        } else if (expression.type === 'TripleConstraint') {
+            const count = counts.get(expression) || 0;
+            inner = [count, count];
+        } else {
+            const ranges = expression.expressions.map(child => repetitionRange(child, counts, seenLabels));
+            if (ranges.some(range => range === null)) return null;
+            if (expression.type === 'EachOf') {
+                inner = [Math.max(...ranges.map(range => range[0])), Math.min(...ranges.map(range => range[1]))];
+            } else {
+                // OneOf: every repetition picks one alternative
+                inner = [ranges.reduce((sum, range) => sum + range[0], 0), ranges.reduce((sum, range) => sum + range[1], 0)];
+            }
+            if (inner[0] > inner[1]) return null;
+        }
+
+        const { min, max } = cardinalityOf(expression);
+        const low = max === Infinity ? (inner[0] > 0 ? 1 : 0) : Math.ceil(inner[0] / max);
+        const high = min === 0 ? Infinity : Math.floor(inner[1] / min);
+        if (expression.type === 'TripleConstraint' && max === 0 && inner[0] > 0) return null;
+        return low <= high ? [low, high] : null;
+    }
+
+    // Cardinality each triple constraint has once its groups are taken into account
+    function effectiveCardinalities(expression, factor = { min: 1, max: 1 }, result = new Map(), seenLabels = new Set()) {
+        if (!expression) return result;
+        if (typeof expression === 'string') {
+            if (seenLabels.has(expression)) return result;
+            return effectiveCardinalities(schema.tripleExprLabels.get(expression), factor, result, new Set([...seenLabels, expression]));
+        }
+        const { min, max } = cardinalityOf(expression);
+        const scaled = { min: factor.min * min, max: factor.max * max };
+        if (expression.type === 'TripleConstraint') {
+            result.set(expression, scaled);
+        } else {
+            const childFactor = expression.type === 'OneOf' ? { min: 0, max: scaled.max } : scaled;
+            expression.expressions.forEach(child => effectiveCardinalities(child, childFactor, result, seenLabels));
+        }
+        return result;
+    }
+
+    function checkShape(node, shape, context) {
+        // Wikidata entities outside the graph cannot be checked without fetching them
+        if (!isLiteral(node) && node.startsWith(WIKIDATA_ENTITY) && !bySubject.has(node) && !context.focusNodes.has(node)) {
+            unverified.add(`${short(node)} against ${context.shape}`);
+            return [];
+        }
+
+        const constraints = collectTripleConstraints(shape.expression);
+        const extra = new Set(shape.extra || []);
+        const mentioned = new Set(constraints.filter(tc => !tc.inverse).map(tc => tc.predicate));
+        const mentionedInverse = new Set(constraints.filter(tc => tc.inverse).map(tc => tc.predicate));
+        const failures = [];
+
+        const outgoing = isLiteral(node) ? [] : (bySubject.get(node) || []);
+        const incoming = isLiteral(node) ? [] : (byObject.get(node) || []).filter(triple => mentionedInverse.has(triple.p));
+
+        // Constraints each triple satisfies, with the failures of those it does not
+        const candidates = [];
+        // EXTRA triples that fit no constraint, kept to explain a count that comes up short
+        const extraRejections = new Map();
+        // Number of triples per predicate already reported as not fitting
+        const reportedRejections = new Map();
+        const checkTriple = (triple, inverse) => {
+            const value = inverse ? triple.s : triple.o;
+            const matching = [];
+            const rejections = [];
+            constraints
+                .filter(tc => tc.predicate === triple.p && !!tc.inverse === inverse)
+                .forEach(tc => {
+                    const valueFailures = tc.valueExpr ? checkShapeExpression(value, tc.valueExpr, context) : [];
+                    if (valueFailures.length === 0) matching.push(tc);
+                    else rejections.push(...valueFailures);
+                });
+
+            if (matching.length > 0) {
+                // EXTRA triples may also be left to no constraint
+                candidates.push({ triple, options: extra.has(triple.p) ? [...matching, null] : matching });
+            } else if (extra.has(triple.p)) {
+                if (!extraRejections.has(triple.p)) extraRejections.set(triple.p, []);
+                extraRejections.get(triple.p).push({ triple, value, rejections });
+            } else {
+                const key = `${inverse ? '^' : ''}${triple.p}`;
+                reportedRejections.set(key, (reportedRejections.get(key) || 0) + 1);
+                const reason = rejections.length > 0 ? `: ${rejections[0].message}` : '';
+                failures.push(failure(context, `${short(triple.p)} value ${describeTerm(value)} does not fit the schema${reason}`, {
+                    predicate: triple.p,
+                    origins: [triple.origin, ...rejections.flatMap(rejection => rejection.origins)],
+                    nested: rejections
+                }));
+            }
+        };
+
+        outgoing.forEach(triple => {
+            if (mentioned.has(triple.p)) {
+                checkTriple(triple, false);
+            } else if (shape.closed && !extra.has(triple.p)) {
+                failures.push(failure(context, `${short(triple.p)} is not allowed by this closed shape`, {
+                    predicate: triple.p,
+                    origins: [triple.origin]
+                }));
+            }
+        });
+        incoming.forEach(triple => checkTriple(triple, true));
+
+        if (!shape.expression) {
+            return failures;
+        }
+
+        // Try the ways of spreading triples over their constraints until one fits the groups
+        const cardinalities = effectiveCardinalities(shape.expression);
+        let bestProblems = null;
+        let tried = 0;
+        const counts = new Map();
+        const assigned = new Map();
+
+        const cardinalityProblems = () => {
+            const problems = [];
+            // Constraints whose own count is wrong; their groups need no message of their own
+            const failing = new Set();
+            cardinalities.forEach(({ min, max }, tc) => {
+                const count = counts.get(tc) || 0;
+                if (count < min || count > max) {
+                    failing.add(tc);
+                    // Values already reported as not fitting explain the shortfall on their own
+                    const reported = reportedRejections.get(`${tc.inverse ? '^' : ''}${tc.predicate}`) || 0;
+                    if (count < min && count + reported >= min) return;
+                    const origins = (assigned.get(tc) || []).map(triple => triple.origin);
+                    // With EXTRA, values that do not fit are allowed but do not count either
+                    const rejected = count < min && !tc.inverse ? (extraRejections.get(tc.predicate) || []) : [];
+                    const reason = rejected.length > 0 && rejected[0].rejections.length > 0
+                        ? `; ${describeTerm(rejected[0].value)} does not fit: ${rejected[0].rejections[0].message}`
+                        : '';
+                    problems.push(failure(context, `${tc.inverse ? '^' : ''}${short(tc.predicate)}: expected ${describeCardinality(min, max)} value${max === 1 || (min === 1 && max === Infinity) ? '' : 's'}, found ${count}${reason}`, {
+                        predicate: tc.predicate,
+                        origins: [...origins, ...rejected.flatMap(entry => [entry.triple.origin, ...entry.rejections.flatMap(rejection => rejection.origins)])],
+                        nested: rejected.flatMap(entry => entry.rejections)
+                    }));
+                }
+            });
+            // Groups whose members are each fine but do not fit together
+            const checkGroups = expression => {
+                if (expression.type !== 'EachOf' && expression.type !== 'OneOf') return;
+                expression.expressions.forEach(checkGroups);
+                const members = collectTripleConstraints(expression);
+                if (members.some(tc => failing.has(tc))) return;
+                if (repetitionRange(expression, counts) === null && expression.expressions.every(child => repetitionRange(child, counts) !== null)) {
+                    const predicates = Array.from(new Set(members.map(tc => short(tc.predicate))));
+                    problems.push(failure(context, `${predicates.slice(0, 6).join(', ')} ${expression.type === 'OneOf' ? 'are alternatives' : 'go together'} in this shape, but the values do not fit that group`, {
+                        predicate: members.length === 1 ? members[0].predicate : null,
+                        origins: members.flatMap(tc => (assigned.get(tc) || []).map(triple => triple.origin))
+                    }));
+                }
+            };
+            checkGroups(shape.expression);
+            if (problems.length === 0 && failing.size === 0) {
+                const predicates = Array.from(new Set(constraints.map(tc => short(tc.predicate))));
+                problems.push(failure(context, `The combination of ${predicates.slice(0, 6).join(', ')} does not fit the grouping of this shape`, {
+                    origins: Array.from(assigned.values()).flat().map(triple => triple.origin)
+                }));
+            }
+            return problems;
+        };
+
+        const search = index => {
+            if (tried >= MAX_ASSIGNMENTS) return false;
+            if (index === candidates.length) {
+                tried++;
+                const range = repetitionRange(shape.expression, counts);
+                if (range && range[0] <= 1 && range[1] >= 1) return true;
+                const problems = cardinalityProblems();
+                if (!bestProblems || problems.length < bestProblems.length) bestProblems = problems;
+                return false;
+            }
+            const { triple, options } = candidates[index];
+            for (const tc of options) {
+                if (tc) {
+                    counts.set(tc, (counts.get(tc) || 0) + 1);
+                    if (!assigned.has(tc)) assigned.set(tc, []);
+                    assigned.get(tc).push(triple);
+                }
+                const found = search(index + 1);
+                if (tc) {
+                    counts.set(tc, counts.get(tc) - 1);
+                    assigned.get(tc).pop();
+                }
+                if (found) return true;
+            }
+            return false;
+        };
+
+        if (!search(0)) {
+            failures.push(...(bestProblems || [failure(context, 'Too many combinations of values to check this shape')]));
+        }
+        return failures;
+    }
+
+    function checkShapeRef(node, label, context) {
+        const shapeExpr = schema.shapes.get(label);
+        if (!shapeExpr) {
+            return [failure(context, `The schema has no shape ${short(label)}`)];
+        }
+
+        const key = `${isLiteral(node) ? JSON.stringify(node) : node}|${label}`;
+        if (refResults.has(key)) return refResults.get(key);
+        // A node already being checked against the shape is assumed to conform
+        if (inProgress.has(key)) return [];
+
+        inProgress.add(key);
+        const failures = checkShapeExpression(node, shapeExpr, { ...context, shape: short(label) });
+        inProgress.delete(key);
+        refResults.set(key, failures);
+        return failures;
+    }
+
+    function checkShapeExpression(node, shapeExpr, context) {
+        if (!shapeExpr) return [];
+        if (typeof shapeExpr === 'string') return checkShapeRef(node, shapeExpr, context);
+
+        switch (shapeExpr.type) {
+            case 'ShapeExternal':
+                return [];
+            case 'NodeConstraint':
+                return checkNodeConstraint(node, shapeExpr, context);
+            case 'Shape':
+                // EXTENDS is checked as the conjunction of the extended shapes and this one
+                return [
+                    ...(shapeExpr.extends || []).flatMap(parent => checkShapeExpression(node, parent, context)),
+                    ...checkShape(node, shapeExpr, context)
+                ];
+            case 'ShapeAnd':
+                return shapeExpr.shapeExprs.flatMap(child => checkShapeExpression(node, child, context));
+            case 'ShapeOr': {
+                const alternatives = [];
+                for (const child of shapeExpr.shapeExprs) {
+                    const childFailures = checkShapeExpression(node, child, context);
+                    if (childFailures.length === 0) return [];
+                    alternatives.push(childFailures);
+                }
+                // Report the alternative that came closest
+                alternatives.sort((a, b) => a.length - b.length);
+                return [failure(context, `${describeTerm(node)} matches none of the ${shapeExpr.shapeExprs.length} alternatives; closest: ${alternatives[0][0].message}`, {
+                    origins: alternatives[0].flatMap(childFailure => childFailure.origins),
+                    nested: alternatives[0]
+                })];
+            }
+            case 'ShapeNot': {
+                const before = unverified;
+                unverified = new Set();
+                const childFailures = checkShapeExpression(node, shapeExpr.shapeExpr, context);
+                unverified = before;
+                return childFailures.length === 0
+                    ? [failure(context, `${describeTerm(node)} must not match the negated shape`)]
+                    : [];
+            }
+            default:
+                return [failure(context, `Unsupported shape expression ${shapeExpr.type}`)];
+        }
+    }
+
+    /**
+     * Validates a node against a shape of the schema
+     * @param {string} node - IRI of the focus node
+     * @param {string} label - Shape label
+     * @param {Object} [options] - Options
+     * @param {Array<string>} [options.focusNodes] - Nodes that belong to the data, never treated as external
+     * @returns {{valid: boolean, failures: Array<{shape: string, message: string, propertyId: string|null, origins: Array<Object>, nested: Array<Object>}>, unverified: Array<string>}} Result
+     */
+    function validateNode(node, label, { focusNodes = [node] } = {}) {
+        unverified = new Set();
+        const context = { shape: short(label), focusNodes: new Set(focusNodes) };
+        const failures = label === 'start' && schema.start
+            ? checkShapeExpression(node, schema.start, context)
+            : checkShapeRef(node, label, context);
+        return { valid: failures.length === 0, failures, unverified: Array.from(unverified) };
+    }
+
+    return { validateNode };
+}
+
+/**
+ * Validates the prospective statements of export items against a ShEx schema
+ * Each item becomes its own graph, so one item's statements never make
+ * another item conform.
+ * @param {string} shexCode - ShExC text of the Entity Schema
+ * @param {Array<{itemId: string, focusNode: string, statements: Array<Object>}>} items - Items with the statements the export writes, see buildItemRdfView
+ * @returns {{shape: string, results: Array<{itemId: string, focusNode: string, valid: boolean, failures: Array<Object>, unverified: Array<string>, skipped: Array<Object>}>}} Results in item order
+ * @throws {ShExParseError} When the schema cannot be parsed or has no shape
+ */
+export function validateProspectiveItems(shexCode, items) {
+    const schema = parseShExSchema(shexCode);
+    const startShape = getStartShape(schema);
+    if (!startShape) {
+        throw new ShExParseError('The schema has no shape to validate items against');
+    }
+
+    const results = items.map(({ itemId, focusNode, statements }) => {
+        const { triples, skipped } = buildItemRdfView(focusNode, statements);
+        const result = createShExValidator(schema, triples).validateNode(focusNode, startShape.label);
+        return { itemId, focusNode, ...result, skipped };
+    });
+
+    return { shape: shortenIri(startShape.label, schema.prefixes), results };
+}
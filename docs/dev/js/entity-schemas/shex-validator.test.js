@@ -0,0 +1,81 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { validateProspectiveItems } from './shex-validator.js';
+import { ShExParseError } from './shex-parser.js';
+
+const readFixture = name => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+const statement = (propertyId, value, datatype = 'wikibase-item') => ({ propertyId, value, datatype });
+
+const validateOne = (shexCode, statements) => validateProspectiveItems(shexCode, [
+    { itemId: 'item', focusNode: 'urn:omekas-to-wikidata:new-item:item', statements }
+]).results[0];
+
+const BOOK = 'PREFIX wd: <http://www.wikidata.org/entity/>\nPREFIX wdt: <http://www.wikidata.org/prop/direct/>\n';
+
+JSON.parse(readFixture('prospective-items.json')).forEach(({ schema, note, item, expected }) => {
+    test(`${schema}: ${note}`, () => {
+        const { results: [result] } = validateProspectiveItems(readFixture(schema), [item]);
+        assert.equal(result.valid, expected.valid);
+        assert.deepEqual(result.failures.map(failure => failure.message), expected.failures);
+    });
+});
+
+test('reports a schema without shapes instead of failing on the missing start shape', () => {
+    assert.throws(
+        () => validateProspectiveItems('PREFIX wdt: <http://www.wikidata.org/prop/direct/>', []),
+        error => error instanceof ShExParseError && /no shape/.test(error.message)
+    );
+});
+
+test('reports syntax errors with their line', () => {
+    assert.throws(
+        () => validateProspectiveItems(`${BOOK}<book> {\n  wdt:P31 [ wd:Q571\n}`, []),
+        error => error instanceof ShExParseError && error.line === 5
+    );
+});
+
+test('names the shape items were checked against', () => {
+    const { shape } = validateProspectiveItems(`${BOOK}start = @<book>\n<other> { }\n<book> { wdt:P31 [wd:Q571] }`, []);
+    assert.equal(shape, '<book>');
+});
+
+test('checks value sets and points to the statement at fault', () => {
+    const result = validateOne(`${BOOK}<book> { wdt:P31 [wd:Q571 wd:Q7725634] }`, [statement('P31', 'Q5')]);
+    assert.equal(result.valid, false);
+    assert.match(result.failures[0].message, /wd:Q5 is not one of \[wd:Q571, wd:Q7725634\]/);
+    assert.equal(result.failures[0].propertyId, 'P31');
+});
+
+test('counts values against the cardinality', () => {
+    const schema = `${BOOK}<book> { wdt:P50 . {1,2} }`;
+    assert.equal(validateOne(schema, [statement('P50', 'Q1'), statement('P50', 'Q2')]).valid, true);
+    const result = validateOne(schema, [statement('P50', 'Q1'), statement('P50', 'Q2'), statement('P50', 'Q3')]);
+    assert.deepEqual(result.failures.map(failure => failure.message), ['wdt:P50: expected between 1 and 2 values, found 3']);
+});
+
+test('accepts either alternative of a OneOf group but not both', () => {
+    const schema = `${BOOK}<book> { ( wdt:P50 . | wdt:P2093 LITERAL ) }`;
+    assert.equal(validateOne(schema, [statement('P50', 'Q1')]).valid, true);
+    assert.equal(validateOne(schema, [statement('P2093', '"Anonymous"', 'string')]).valid, true);
+    assert.equal(validateOne(schema, [statement('P50', 'Q1'), statement('P2093', '"Anonymous"', 'string')]).valid, false);
+});
+
+test('rejects properties a closed shape does not mention', () => {
+    const result = validateOne(`${BOOK}<book> CLOSED { wdt:P31 [wd:Q571] }`, [statement('P31', 'Q571'), statement('P50', 'Q1')]);
+    assert.ok(result.failures.some(failure => failure.message === 'wdt:P50 is not allowed by this closed shape'));
+    assert.ok(!result.failures.some(failure => failure.propertyId === 'P31' && /wdt:P31/.test(failure.message)));
+});
+
+test('checks the shapes a shape extends', () => {
+    const schema = `${BOOK}start = @<novel>\n<book> { wdt:P31 [wd:Q571] }\n<novel> EXTENDS @<book> { wdt:P136 . }`;
+    assert.deepEqual(validateOne(schema, [statement('P136', 'Q8261')]).failures.map(failure => failure.message), ['wdt:P31: expected exactly 1 value, found 0']);
+    assert.equal(validateOne(schema, [statement('P31', 'Q571'), statement('P136', 'Q8261')]).valid, true);
+});
+
+test('reports references to Wikidata items as unverified instead of fetching them', () => {
+    const result = validateOne(`${BOOK}<book> { wdt:P50 @<human> }\n<human> { wdt:P31 [wd:Q5] }`, [statement('P50', 'Q42')]);
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.unverified, ['wd:Q42 against <human>']);
+});
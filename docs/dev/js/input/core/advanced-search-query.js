@@ -0,0 +1,120 @@
+/**
+ * Advanced search query module
+ * Reads and writes the Omeka S `property[n][joiner|property|type|text]`
+ * advanced search parameters of an API URL
+ * @module input/core/advanced-search-query
+ */
+
+/**
+ * Property query types understood by the Omeka S API
+ */
+export const PROPERTY_QUERY_TYPES = [
+    { value: 'eq', label: 'is exactly', needsText: true },
+    { value: 'neq', label: 'is not exactly', needsText: true },
+    { value: 'in', label: 'contains', needsText: true },
+    { value: 'nin', label: 'does not contain', needsText: true },
+    { value: 'sw', label: 'starts with', needsText: true },
+    { value: 'nsw', label: 'does not start with', needsText: true },
+    { value: 'ew', label: 'ends with', needsText: true },
+    { value: 'new', label: 'does not end with', needsText: true },
+    { value: 'res', label: 'is resource with ID', needsText: true },
+    { value: 'nres', label: 'is not resource with ID', needsText: true },
+    { value: 'ex', label: 'has any value', needsText: false },
+    { value: 'nex', label: 'has no values', needsText: false }
+];
+
+export const PROPERTY_QUERY_JOINERS = [
+    { value: 'and', label: 'AND' },
+    { value: 'or', label: 'OR' }
+];
+
+const PROPERTY_PARAM_PATTERN = /^property\[(\d+)\]\[(joiner|property|type|text)\]$/;
+
+/**
+ * Checks whether a query type needs a text value
+ * @param {string} type - Property query type
+ * @returns {boolean} False for `ex`/`nex`
+ */
+export function propertyQueryTypeNeedsText(type) {
+    return PROPERTY_QUERY_TYPES.find(entry => entry.value === type)?.needsText ?? true;
+}
+
+/**
+ * Creates an empty property filter
+ * @returns {{joiner: string, property: string, type: string, text: string}} Filter
+ */
+export function createPropertyFilter() {
+    return { joiner: 'and', property: '', type: 'eq', text: '' };
+}
+
+/**
+ * Reads the property filters from URL search parameters
+ * Filters are returned in index order; gaps in the indexes are closed.
+ * @param {URLSearchParams} searchParams - API URL parameters
+ * @returns {Array<{joiner: string, property: string, type: string, text: string}>} Filters
+ */
+export function parsePropertyFilters(searchParams) {
+    const filtersByIndex = new Map();
+
+    searchParams.forEach((value, name) => {
+        const match = PROPERTY_PARAM_PATTERN.exec(name);
+        if (!match) {
+            return;
+        }
+
+        const index = Number(match[1]);
+        const filter = filtersByIndex.get(index) || createPropertyFilter();
+        filter[match[2]] = value;
+        filtersByIndex.set(index, filter);
+    });
+
+    return Array.from(filtersByIndex.entries())
+        .sort(([a], [b]) => a - b)
+        .map(([, filter]) => filter);
+}
+
+/**
+ * Checks whether URL search parameters contain property filters
+ * @param {URLSearchParams} searchParams - API URL parameters
+ * @returns {boolean} True when at least one `property[n][...]` parameter is set
+ */
+export function hasPropertyFilters(searchParams) {
+    return Array.from(searchParams.keys()).some(name => PROPERTY_PARAM_PATTERN.test(name));
+}
+
+/**
+ * Checks whether a filter is complete enough to send
+ * @param {Object} filter - Property filter
+ * @returns {boolean} True when the filter has a type and, if needed, text
+ */
+export function isPropertyFilterComplete(filter) {
+    if (!filter?.type) {
+        return false;
+    }
+    return !propertyQueryTypeNeedsText(filter.type) || String(filter.text ?? '').trim() !== '';
+}
+
+/**
+ * Replaces the property filters in URL search parameters
+ * Incomplete filters are skipped and the rest are renumbered from 0.
+ * @param {URLSearchParams} searchParams - API URL parameters, modified in place
+ * @param {Array<Object>} filters - Property filters
+ */
+export function applyPropertyFilters(searchParams, filters = []) {
+    Array.from(searchParams.keys())
+        .filter(name => PROPERTY_PARAM_PATTERN.test(name))
+        .forEach(name => searchParams.delete(name));
+
+    filters.filter(isPropertyFilterComplete).forEach((filter, index) => {
+        const prefix = `property[${index}]`;
+        if (index > 0) {
+            searchParams.set(`${prefix}[joiner]`, filter.joiner || 'and');
+        }
+        // An empty property means "any property" to Omeka S
+        searchParams.set(`${prefix}[property]`, String(filter.property ?? '').trim());
+        searchParams.set(`${prefix}[type]`, filter.type);
+        if (propertyQueryTypeNeedsText(filter.type)) {
+            searchParams.set(`${prefix}[text]`, String(filter.text).trim());
+        }
+    });
+}
@@ -0,0 +1,125 @@
+/**
+ * Data sources module
+ * Keeps track of the Omeka installations a project's items were fetched from,
+ * so one project can combine for example a library and an archive
+ * @module input/core/data-sources
+ */
+
+/**
+ * Item key holding the id of the source an item came from. Keys starting
+ * with `@` are skipped by field analysis, so the tag is never offered as a
+ * mappable field.
+ */
+export const SOURCE_KEY = '@source';
+
+function slugify(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Suggests a source name from an API URL
+ * @param {string} apiUrl - Omeka S API URL
+ * @returns {string} Host name of the installation, or a generic name
+ */
+export function getDefaultSourceName(apiUrl) {
+    try {
+        return new URL(apiUrl).hostname;
+    } catch {
+        return 'Imported data';
+    }
+}
+
+/**
+ * Creates a source record
+ * The id is derived from the name and made unique within the project.
+ * @param {Object} details - Source details
+ * @param {string} details.name - Name shown to the user
+ * @param {string} [details.apiUrl] - API URL the items were fetched from
+ * @param {Array<Object>} [existingSources] - Sources already in the project
+ * @returns {{id: string, name: string, apiUrl: string, fetchedAt: string|null, itemCount: number, method: string|null, proxyUsed: string|null, lastHarvest: Object|null}} Source
+ */
+export function createDataSource(details, existingSources = []) {
+    const name = String(details.name || '').trim() || getDefaultSourceName(details.apiUrl);
+    const baseId = slugify(name) || 'source';
+    const usedIds = new Set(existingSources.map(source => source.id));
+
+    let id = baseId;
+    for (let suffix = 2; usedIds.has(id); suffix++) {
+        id = `${baseId}-${suffix}`;
+    }
+
+    return {
+        id,
+        name,
+        apiUrl: details.apiUrl || '',
+        fetchedAt: details.fetchedAt || null,
+        itemCount: details.itemCount || 0,
+        method: details.method || null,
+        proxyUsed: details.proxyUsed || null,
+        lastHarvest: details.lastHarvest || null
+    };
+}
+
+/**
+ * Gets the source id an item is tagged with
+ * @param {Object} item - Omeka S item
+ * @returns {string|null} Source id, or null for untagged items
+ */
+export function getItemSourceId(item) {
+    const sourceId = item && typeof item === 'object' ? item[SOURCE_KEY] : null;
+    return typeof sourceId === 'string' && sourceId !== '' ? sourceId : null;
+}
+
+/**
+ * Looks up the source record of an item
+ * @param {Object} item - Omeka S item
+ * @param {Array<Object>} [sources] - Sources in the project
+ * @returns {Object|null} Source record, or null when the item is untagged or the source is unknown
+ */
+export function getItemSource(item, sources = []) {
+    const sourceId = getItemSourceId(item);
+    return sourceId ? (sources || []).find(source => source.id === sourceId) || null : null;
+}
+
+/**
+ * Tags items with a source id
+ * @param {Array<Object>} items - Omeka S items
+ * @param {string} sourceId - Source id
+ * @returns {Array<Object>} Tagged copies of the items
+ */
+export function tagItemsWithSource(items = [], sourceId) {
+    return items.map(item => (item && typeof item === 'object' ? { ...item, [SOURCE_KEY]: sourceId } : item));
+}
+
+/**
+ * Replaces the items of one source
+ * Items of other sources keep their position; the new items are appended.
+ * @param {Array<Object>} items - Items of all sources
+ * @param {string} sourceId - Source whose items are replaced
+ * @param {Array<Object>} [sourceItems] - New items for the source, tagged or not
+ * @returns {Array<Object>} Combined items
+ */
+export function replaceSourceItems(items = [], sourceId, sourceItems = []) {
+    return items
+        .filter(item => getItemSourceId(item) !== sourceId)
+        .concat(tagItemsWithSource(sourceItems, sourceId));
+}
+
+/**
+ * Counts items per source id
+ * @param {Array<Object>} items - Items of all sources
+ * @returns {Map<string|null, number>} Item count by source id; untagged items count under null
+ */
+export function countItemsBySource(items = []) {
+    const counts = new Map();
+    items.forEach(item => {
+        const sourceId = getItemSourceId(item);
+        counts.set(sourceId, (counts.get(sourceId) || 0) + 1);
+    });
+    return counts;
+}
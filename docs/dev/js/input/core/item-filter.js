@@ -0,0 +1,310 @@
+/**
+ * Item filter module
+ * Narrows the loaded items before mapping with field, value, resource class
+ * and template predicates, followed by an optional reproducible sample
+ * @module input/core/item-filter
+ */
+
+import { getItemSourceId } from './data-sources.js';
+
+export const FILTER_PREDICATE_TYPES = {
+    FIELD_PRESENT: 'field-present',
+    FIELD_MISSING: 'field-missing',
+    VALUE_REGEX: 'value-regex',
+    RESOURCE_CLASS: 'resource-class',
+    RESOURCE_TEMPLATE: 'resource-template'
+};
+
+export const SAMPLING_MODES = {
+    NONE: 'none',
+    RANDOM: 'random',
+    STRATIFIED: 'stratified'
+};
+
+/**
+ * Item properties a stratified sample can be balanced on
+ */
+export const STRATIFY_OPTIONS = [
+    { value: 'resource-class', label: 'Resource class' },
+    { value: 'resource-template', label: 'Resource template' },
+    { value: 'source', label: 'Source' }
+];
+
+/**
+ * Creates an item filter that keeps every item
+ * @returns {{predicates: Array<Object>, sampling: {mode: string, size: number, stratifyBy: string, seed: number}}} Filter
+ */
+export function createItemFilter() {
+    return {
+        predicates: [],
+        sampling: {
+            mode: SAMPLING_MODES.NONE,
+            size: 50,
+            stratifyBy: 'resource-class',
+            seed: createSampleSeed()
+        }
+    };
+}
+
+/**
+ * Creates a new seed for the sample, which picks a different set of items
+ * @returns {number} 32-bit seed
+ */
+export function createSampleSeed() {
+    return Math.floor(Math.random() * 0xFFFFFFFF);
+}
+
+/**
+ * Creates an empty predicate
+ * @param {string} [type] - Predicate type from FILTER_PREDICATE_TYPES
+ * @returns {{type: string, field: string, value: string}} Predicate
+ */
+export function createFilterPredicate(type = FILTER_PREDICATE_TYPES.FIELD_PRESENT) {
+    return { type, field: '', value: '' };
+}
+
+/**
+ * Checks whether a predicate has everything it needs to be applied
+ * @param {Object} predicate - Filter predicate
+ * @returns {boolean} True when the predicate can be evaluated
+ */
+export function isFilterPredicateComplete(predicate) {
+    const field = String(predicate?.field ?? '').trim();
+    const value = String(predicate?.value ?? '').trim();
+
+    switch (predicate?.type) {
+        case FILTER_PREDICATE_TYPES.FIELD_PRESENT:
+        case FILTER_PREDICATE_TYPES.FIELD_MISSING:
+            return field !== '';
+        case FILTER_PREDICATE_TYPES.VALUE_REGEX:
+            return field !== '' && value !== '' && getPredicatePatternError(predicate) === null;
+        case FILTER_PREDICATE_TYPES.RESOURCE_CLASS:
+        case FILTER_PREDICATE_TYPES.RESOURCE_TEMPLATE:
+            return value !== '';
+        default:
+            return false;
+    }
+}
+
+/**
+ * Checks the regular expression of a value predicate
+ * @param {Object} predicate - Filter predicate
+ * @returns {string|null} Error message, or null when the pattern compiles
+ */
+export function getPredicatePatternError(predicate) {
+    try {
+        new RegExp(String(predicate?.value ?? ''), 'i');
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Checks whether a filter changes the dataset
+ * @param {Object} filter - Item filter
+ * @returns {boolean} True when a complete predicate or sampling is configured
+ */
+export function isItemFilterActive(filter) {
+    return Boolean(
+        filter &&
+        ((filter.predicates || []).some(isFilterPredicateComplete) ||
+            (filter.sampling?.mode && filter.sampling.mode !== SAMPLING_MODES.NONE))
+    );
+}
+
+function hasFieldValue(item, field) {
+    const fieldValue = item?.[field];
+    if (Array.isArray(fieldValue)) {
+        return fieldValue.length > 0;
+    }
+    return fieldValue !== undefined && fieldValue !== null && String(fieldValue).trim() !== '';
+}
+
+function getFieldTexts(item, field) {
+    const fieldValue = item?.[field];
+    return (Array.isArray(fieldValue) ? fieldValue : [fieldValue])
+        .map(value => {
+            if (value === null || value === undefined) return null;
+            if (typeof value !== 'object') return String(value);
+            return value['@value'] ?? value['@id'] ?? value['o:label'] ?? value.display_title ?? null;
+        })
+        .filter(text => text !== null && text !== '');
+}
+
+function getLinkedResourceId(reference) {
+    if (reference === null || reference === undefined) return null;
+    if (typeof reference !== 'object') return String(reference);
+    const id = reference['o:id'] ?? /\/(\d+)$/.exec(reference['@id'] || '')?.[1];
+    return id === undefined || id === null ? null : String(id);
+}
+
+/**
+ * Gets the resource class of an item as a comparable string
+ * @param {Object} item - Omeka S item
+ * @returns {string|null} Resource class ID
+ */
+export function getItemResourceClassId(item) {
+    return getLinkedResourceId(item?.['o:resource_class']);
+}
+
+/**
+ * Gets the resource template of an item as a comparable string
+ * @param {Object} item - Omeka S item
+ * @returns {string|null} Resource template ID
+ */
+export function getItemResourceTemplateId(item) {
+    return getLinkedResourceId(item?.['o:resource_template']);
+}
+
+// Accepts "12", "12, 14" or the full API URI of the class or template
+function matchesIdList(actualId, reference, expectedList) {
+    const expected = String(expectedList).split(',').map(entry => entry.trim()).filter(Boolean);
+    if (actualId !== null && expected.includes(actualId)) {
+        return true;
+    }
+
+    const referenceId = reference && typeof reference === 'object' ? reference['@id'] : null;
+    return Boolean(referenceId && expected.some(entry => referenceId === entry || referenceId.endsWith(`/${entry}`)));
+}
+
+function matchesPredicate(item, predicate) {
+    const field = String(predicate.field ?? '').trim();
+
+    switch (predicate.type) {
+        case FILTER_PREDICATE_TYPES.FIELD_PRESENT:
+            return hasFieldValue(item, field);
+        case FILTER_PREDICATE_TYPES.FIELD_MISSING:
+            return !hasFieldValue(item, field);
+        case FILTER_PREDICATE_TYPES.VALUE_REGEX: {
+            const pattern = new RegExp(String(predicate.value), 'i');
+            return getFieldTexts(item, field).some(text => pattern.test(text));
+        }
+        case FILTER_PREDICATE_TYPES.RESOURCE_CLASS:
+            return matchesIdList(getItemResourceClassId(item), item?.['o:resource_class'], predicate.value);
+        case FILTER_PREDICATE_TYPES.RESOURCE_TEMPLATE:
+            return matchesIdList(getItemResourceTemplateId(item), item?.['o:resource_template'], predicate.value);
+        default:
+            return true;
+    }
+}
+
+/**
+ * Checks an item against all complete predicates of a filter
+ * @param {Object} item - Omeka S item
+ * @param {Object} filter - Item filter
+ * @returns {boolean} True when the item matches every predicate
+ */
+export function matchesItemFilter(item, filter) {
+    return (filter?.predicates || [])
+        .filter(isFilterPredicateComplete)
+        .every(predicate => matchesPredicate(item, predicate));
+}
+
+// Small seeded generator so a saved filter always yields the same sample
+function createRandom(seed) {
+    let value = seed >>> 0;
+    return () => {
+        value = (value + 0x6D2B79F5) >>> 0;
+        let t = value;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function pickRandomIndexes(indexes, count, random) {
+    const shuffled = [...indexes];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled.slice(0, count);
+}
+
+function getStratumKey(item, stratifyBy) {
+    if (stratifyBy === 'resource-template') return getItemResourceTemplateId(item) ?? 'none';
+    if (stratifyBy === 'source') return getItemSourceId(item) ?? 'none';
+    return getItemResourceClassId(item) ?? 'none';
+}
+
+/**
+ * Draws a sample from a list of items
+ * Stratified samples give every group a share proportional to its size,
+ * with at least one item per group while the sample size allows. Sampled
+ * items keep their original order.
+ * @param {Array<Object>} items - Items to sample from
+ * @param {Object} sampling - Sampling settings of an item filter
+ * @returns {Array<Object>} Sampled items
+ */
+export function sampleItems(items, sampling) {
+    const size = Math.max(0, Math.floor(Number(sampling?.size) || 0));
+    if (!sampling || sampling.mode === SAMPLING_MODES.NONE || size >= items.length) {
+        return items;
+    }
+
+    const random = createRandom(sampling.seed ?? 0);
+    const allIndexes = items.map((_, index) => index);
+    let selected;
+
+    if (sampling.mode === SAMPLING_MODES.STRATIFIED) {
+        const strata = new Map();
+        items.forEach((item, index) => {
+            const key = getStratumKey(item, sampling.stratifyBy);
+            if (!strata.has(key)) strata.set(key, []);
+            strata.get(key).push(index);
+        });
+
+        const groups = Array.from(strata.values()).map(indexes => {
+            const exactShare = (indexes.length / items.length) * size;
+            const minimum = size >= strata.size ? 1 : 0;
+            return {
+                indexes,
+                quota: Math.min(indexes.length, Math.max(minimum, Math.floor(exactShare))),
+                remainder: exactShare - Math.floor(exactShare)
+            };
+        });
+
+        // Largest remainder method: hand out what is left, or take back what the minimums added
+        let assigned = groups.reduce((sum, group) => sum + group.quota, 0);
+        const byRemainder = [...groups].sort((a, b) => b.remainder - a.remainder);
+        for (let i = 0; assigned < size && i < byRemainder.length * size; i++) {
+            const group = byRemainder[i % byRemainder.length];
+            if (group.quota < group.indexes.length) {
+                group.quota++;
+                assigned++;
+            }
+        }
+        while (assigned > size) {
+            const largestGroup = groups.reduce((largest, group) => (group.quota > largest.quota ? group : largest));
+            largestGroup.quota--;
+            assigned--;
+        }
+
+        selected = groups.flatMap(group => pickRandomIndexes(group.indexes, group.quota, random));
+    } else {
+        selected = pickRandomIndexes(allIndexes, size, random);
+    }
+
+    const selectedSet = new Set(selected);
+    return items.filter((_, index) => selectedSet.has(index));
+}
+
+/**
+ * Applies a filter and its sampling to a list of items
+ * @param {Array<Object>} items - Items to filter
+ * @param {Object} filter - Item filter
+ * @returns {{items: Array<Object>, totalCount: number, matchedCount: number}} Remaining items and counts
+ */
+export function applyItemFilter(items = [], filter = null) {
+    if (!isItemFilterActive(filter)) {
+        return { items, totalCount: items.length, matchedCount: items.length };
+    }
+
+    const matched = items.filter(item => matchesItemFilter(item, filter));
+    return {
+        items: sampleItems(matched, filter.sampling),
+        totalCount: items.length,
+        matchedCount: matched.length
+    };
+}
@@ -0,0 +1,104 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    applyItemFilter,
+    createItemFilter,
+    isFilterPredicateComplete,
+    isItemFilterActive,
+    matchesItemFilter,
+    sampleItems,
+    FILTER_PREDICATE_TYPES,
+    SAMPLING_MODES
+} from './item-filter.js';
+
+const resourceClass = id => ({ '@id': `https://example.org/api/resource_classes/${id}`, 'o:id': id });
+
+const items = [
+    { 'o:id': 1, 'o:resource_class': resourceClass(40), 'dcterms:title': [{ '@value': 'Map of Amsterdam' }], 'dcterms:date': [{ '@value': '1650' }] },
+    { 'o:id': 2, 'o:resource_class': resourceClass(40), 'dcterms:title': [{ '@value': 'Map of Leiden' }] },
+    { 'o:id': 3, 'o:resource_class': resourceClass(31), 'o:resource_template': { 'o:id': 5 }, 'dcterms:title': [{ '@value': 'Letter' }], 'dcterms:date': [] },
+    { 'o:id': 4, 'dcterms:title': [{ '@value': 'Photograph' }], 'dcterms:subject': [{ '@id': 'http://vocab.example/maps' }] }
+];
+
+const withPredicates = (...predicates) => ({ ...createItemFilter(), predicates });
+const ids = result => result.map(item => item['o:id']);
+
+test('a new filter keeps every item', () => {
+    const filter = createItemFilter();
+    assert.equal(isItemFilterActive(filter), false);
+    assert.deepEqual(applyItemFilter(items, filter), { items, totalCount: 4, matchedCount: 4 });
+});
+
+test('field predicates treat empty arrays as missing', () => {
+    const present = withPredicates({ type: FILTER_PREDICATE_TYPES.FIELD_PRESENT, field: 'dcterms:date', value: '' });
+    const missing = withPredicates({ type: FILTER_PREDICATE_TYPES.FIELD_MISSING, field: 'dcterms:date', value: '' });
+    assert.deepEqual(ids(applyItemFilter(items, present).items), [1]);
+    assert.deepEqual(ids(applyItemFilter(items, missing).items), [2, 3, 4]);
+});
+
+test('value patterns ignore case and read literal and URI values', () => {
+    const filter = withPredicates({ type: FILTER_PREDICATE_TYPES.VALUE_REGEX, field: 'dcterms:title', value: '^map of' });
+    assert.deepEqual(ids(applyItemFilter(items, filter).items), [1, 2]);
+
+    const uri = withPredicates({ type: FILTER_PREDICATE_TYPES.VALUE_REGEX, field: 'dcterms:subject', value: 'vocab\\.example' });
+    assert.deepEqual(ids(applyItemFilter(items, uri).items), [4]);
+});
+
+test('an invalid value pattern is incomplete and not applied', () => {
+    const predicate = { type: FILTER_PREDICATE_TYPES.VALUE_REGEX, field: 'dcterms:title', value: '(map' };
+    assert.equal(isFilterPredicateComplete(predicate), false);
+    assert.equal(isItemFilterActive(withPredicates(predicate)), false);
+    assert.equal(matchesItemFilter(items[3], withPredicates(predicate)), true);
+});
+
+test('class and template predicates accept id lists and API URIs', () => {
+    const classes = withPredicates({ type: FILTER_PREDICATE_TYPES.RESOURCE_CLASS, field: '', value: '31, 40' });
+    assert.deepEqual(ids(applyItemFilter(items, classes).items), [1, 2, 3]);
+
+    const classUri = withPredicates({ type: FILTER_PREDICATE_TYPES.RESOURCE_CLASS, field: '', value: 'https://example.org/api/resource_classes/31' });
+    assert.deepEqual(ids(applyItemFilter(items, classUri).items), [3]);
+
+    const template = withPredicates({ type: FILTER_PREDICATE_TYPES.RESOURCE_TEMPLATE, field: '', value: '5' });
+    assert.deepEqual(ids(applyItemFilter(items, template).items), [3]);
+});
+
+test('every predicate must match', () => {
+    const filter = withPredicates(
+        { type: FILTER_PREDICATE_TYPES.RESOURCE_CLASS, field: '', value: '40' },
+        { type: FILTER_PREDICATE_TYPES.FIELD_MISSING, field: 'dcterms:date', value: '' }
+    );
+    assert.deepEqual(applyItemFilter(items, filter), { items: [items[1]], totalCount: 4, matchedCount: 1 });
+});
+
+const manyItems = Array.from({ length: 40 }, (_, index) => ({
+    'o:id': index + 1,
+    'o:resource_class': resourceClass(index < 30 ? 40 : 31)
+}));
+
+test('a random sample is reproducible from its seed and keeps item order', () => {
+    const sampling = { mode: SAMPLING_MODES.RANDOM, size: 10, stratifyBy: 'resource-class', seed: 1234 };
+    const first = sampleItems(manyItems, sampling);
+    assert.equal(first.length, 10);
+    assert.deepEqual(ids(sampleItems(manyItems, sampling)), ids(first));
+    assert.deepEqual(ids(first), [...ids(first)].sort((a, b) => a - b));
+    assert.notDeepEqual(ids(sampleItems(manyItems, { ...sampling, seed: 99 })), ids(first));
+});
+
+test('a stratified sample gives each group its share', () => {
+    const sample = sampleItems(manyItems, { mode: SAMPLING_MODES.STRATIFIED, size: 8, stratifyBy: 'resource-class', seed: 7 });
+    assert.equal(sample.length, 8);
+    assert.equal(sample.filter(item => item['o:resource_class']['o:id'] === 40).length, 6);
+    assert.equal(sample.filter(item => item['o:resource_class']['o:id'] === 31).length, 2);
+});
+
+test('a stratified sample keeps one item of small groups while the size allows', () => {
+    const skewed = [...manyItems.slice(0, 30), { 'o:id': 99, 'o:resource_class': resourceClass(12) }];
+    const sample = sampleItems(skewed, { mode: SAMPLING_MODES.STRATIFIED, size: 5, stratifyBy: 'resource-class', seed: 3 });
+    assert.equal(sample.length, 5);
+    assert.ok(sample.some(item => item['o:id'] === 99));
+});
+
+test('a sample at least as large as the matches keeps them all', () => {
+    const filter = { ...createItemFilter(), sampling: { mode: SAMPLING_MODES.RANDOM, size: 50, stratifyBy: 'resource-class', seed: 1 } };
+    assert.deepEqual(applyItemFilter(items, filter).items, items);
+});
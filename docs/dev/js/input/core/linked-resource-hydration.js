@@ -0,0 +1,290 @@
+/**
+ * Linked resource hydration module
+ * Fetches the Omeka S items, media and item sets that item values point to and
+ * copies their fields onto the referencing value objects
+ * @module input/core/linked-resource-hydration
+ */
+
+/**
+ * Prefix of the fields copied from a linked resource onto a value object,
+ * e.g. `linked:owl:sameAs` holds the linked person's first sameAs URI
+ */
+export const LINKED_FIELD_PREFIX = 'linked:';
+
+/**
+ * Values kept per linked property; further values get an index suffix such
+ * as `linked:owl:sameAs[2]`
+ */
+export const MAX_LINKED_VALUES_PER_PROPERTY = 5;
+
+export const DEFAULT_HYDRATION_CONCURRENCY = 4;
+
+/**
+ * Item keys holding references to other resources outside the value arrays
+ */
+const REFERENCE_KEYS = {
+    'o:media': 'media',
+    'o:item_set': 'item_sets'
+};
+
+/**
+ * Omeka system fields of a linked resource that are worth copying
+ */
+const LINKED_SYSTEM_FIELDS = ['o:title', 'o:source', 'o:media_type', 'o:original_url', 'o:lang'];
+
+// Fields of each hydrated resource by API URL, shared across hydration runs
+const linkedResourceCache = new Map();
+
+/**
+ * Gets the API URL of the resource a value points to
+ * @param {Object} value - Omeka S value object or reference entry
+ * @param {string} [key] - Item key the value belongs to
+ * @returns {string|null} Linked resource API URL, or null when the value is not a reference
+ */
+export function getLinkedResourceUrl(value, key = '') {
+    if (!value || typeof value !== 'object' || typeof value['@id'] !== 'string') {
+        return null;
+    }
+
+    const isValueResource = value.value_resource_id !== undefined && value.value_resource_id !== null;
+    return isValueResource || REFERENCE_KEYS[key] ? value['@id'] : null;
+}
+
+function getResourceKind(value, key) {
+    if (REFERENCE_KEYS[key]) {
+        return REFERENCE_KEYS[key];
+    }
+    if (value.value_resource_name) {
+        return value.value_resource_name;
+    }
+    return /\/api\/(items|media|item_sets)\//.exec(value['@id'])?.[1] || 'items';
+}
+
+/**
+ * Lists the distinct resources referenced by a set of items
+ * @param {Array<Object>} items - Omeka S items
+ * @returns {Map<string, {kind: string, referenceCount: number}>} Linked resources by API URL
+ */
+export function collectLinkedResourceReferences(items = []) {
+    const references = new Map();
+
+    items.forEach(item => {
+        if (!item || typeof item !== 'object') {
+            return;
+        }
+
+        Object.entries(item).forEach(([key, fieldValue]) => {
+            if (key.startsWith('@')) {
+                return;
+            }
+
+            (Array.isArray(fieldValue) ? fieldValue : [fieldValue]).forEach(value => {
+                const url = getLinkedResourceUrl(value, key);
+                if (!url) {
+                    return;
+                }
+
+                const entry = references.get(url) || { kind: getResourceKind(value, key), referenceCount: 0 };
+                entry.referenceCount++;
+                references.set(url, entry);
+            });
+        });
+    });
+
+    return references;
+}
+
+/**
+ * Counts distinct linked resources per kind
+ * @param {Map} references - Result of collectLinkedResourceReferences
+ * @returns {{items: number, media: number, item_sets: number}} Counts
+ */
+export function countLinkedResourcesByKind(references) {
+    const counts = { items: 0, media: 0, item_sets: 0 };
+    references.forEach(({ kind }) => {
+        counts[kind] = (counts[kind] || 0) + 1;
+    });
+    return counts;
+}
+
+function getLinkedValueText(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (typeof value !== 'object') {
+        return String(value);
+    }
+    if (value.type === 'uri' || String(value.type || '').startsWith('valuesuggest:')) {
+        return value['@id'] || value['@value'] || null;
+    }
+    return value['@value'] ?? value.display_title ?? value['o:label'] ?? value['@id'] ?? null;
+}
+
+/**
+ * Flattens a linked resource into `linked:` fields
+ * URI values contribute their URI, so authority links such as VIAF `sameAs`
+ * stay usable for identifier detection.
+ * @param {Object} resource - Omeka S item, media or item set
+ * @returns {Object} Field name to string value
+ */
+export function buildLinkedFields(resource) {
+    const fields = {};
+    if (!resource || typeof resource !== 'object') {
+        return fields;
+    }
+
+    LINKED_SYSTEM_FIELDS.forEach(field => {
+        const text = getLinkedValueText(resource[field]);
+        if (text) {
+            fields[`${LINKED_FIELD_PREFIX}${field}`] = text;
+        }
+    });
+
+    Object.entries(resource).forEach(([key, values]) => {
+        if (key.startsWith('@') || key.startsWith('o:') || !Array.isArray(values)) {
+            return;
+        }
+
+        values
+            .map(getLinkedValueText)
+            .filter(text => text !== null && String(text).trim() !== '')
+            .slice(0, MAX_LINKED_VALUES_PER_PROPERTY)
+            .forEach((text, index) => {
+                const suffix = index === 0 ? '' : `[${index + 1}]`;
+                fields[`${LINKED_FIELD_PREFIX}${key}${suffix}`] = String(text);
+            });
+    });
+
+    return fields;
+}
+
+/**
+ * Lists the `linked:` fields present on a value object
+ * @param {Object} value - Omeka S value object
+ * @returns {Array<[string, string]>} Field name and value pairs
+ */
+export function getLinkedResourceFields(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return [];
+    }
+
+    return Object.entries(value).filter(([key, fieldValue]) =>
+        key.startsWith(LINKED_FIELD_PREFIX) && typeof fieldValue === 'string' && fieldValue.trim() !== ''
+    );
+}
+
+/**
+ * Checks whether any value in a dataset already carries linked resource fields
+ * @param {Array<Object>} items - Omeka S items
+ * @returns {boolean} True when an earlier hydration pass was applied
+ */
+export function hasHydratedLinkedResources(items = []) {
+    return items.some(item => item && typeof item === 'object' && Object.values(item).some(fieldValue =>
+        (Array.isArray(fieldValue) ? fieldValue : [fieldValue]).some(value => getLinkedResourceFields(value).length > 0)
+    ));
+}
+
+function applyLinkedFields(items) {
+    return items.map(item => {
+        if (!item || typeof item !== 'object') {
+            return item;
+        }
+
+        const hydratedItem = { ...item };
+        Object.entries(item).forEach(([key, fieldValue]) => {
+            if (key.startsWith('@') || !fieldValue || typeof fieldValue !== 'object') {
+                return;
+            }
+
+            const hydrateValue = value => {
+                const fields = linkedResourceCache.get(getLinkedResourceUrl(value, key));
+                if (!fields) {
+                    return value;
+                }
+
+                // Drop fields from an earlier hydration so removed values do not linger
+                const baseValue = Object.fromEntries(
+                    Object.entries(value).filter(([field]) => !field.startsWith(LINKED_FIELD_PREFIX))
+                );
+                return { ...baseValue, ...fields };
+            };
+
+            hydratedItem[key] = Array.isArray(fieldValue)
+                ? fieldValue.map(hydrateValue)
+                : hydrateValue(fieldValue);
+        });
+        return hydratedItem;
+    });
+}
+
+/**
+ * Fetches the resources referenced by items and adds their fields to the referencing values
+ *
+ * Each distinct resource is requested once, and resources fetched by an earlier
+ * run are served from the cache. A resource that cannot be fetched is counted
+ * in `failed` and its references are left as they were.
+ *
+ * @param {Array<Object>} items - Omeka S items
+ * @param {Object} options - Hydration options
+ * @param {Function} options.fetchResource - (url, signal) => Promise<{data, method, proxyUsed}>
+ * @param {AbortSignal} [options.signal] - Stops starting new requests
+ * @param {number} [options.concurrency=4] - Parallel requests
+ * @param {boolean} [options.refresh=false] - Ignore cached resources
+ * @param {Function} [options.onProgress] - Called with {completed, total}
+ * @returns {Promise<{items: Array<Object>, total: number, fetched: number, cached: number, failed: number, cancelled: boolean, method: string, proxyUsed: string|null}>}
+ */
+export async function hydrateLinkedResources(items = [], options) {
+    const {
+        fetchResource,
+        signal = null,
+        concurrency = DEFAULT_HYDRATION_CONCURRENCY,
+        refresh = false,
+        onProgress = null
+    } = options;
+
+    const urls = Array.from(collectLinkedResourceReferences(items).keys());
+    const pendingUrls = urls.filter(url => refresh || !linkedResourceCache.has(url));
+    const cached = urls.length - pendingUrls.length;
+    let fetched = 0;
+    let failed = 0;
+    let method = 'direct';
+    let proxyUsed = null;
+    let nextIndex = 0;
+
+    onProgress?.({ completed: cached, total: urls.length });
+
+    async function worker() {
+        while (nextIndex < pendingUrls.length && !signal?.aborted) {
+            const url = pendingUrls[nextIndex++];
+
+            try {
+                const result = await fetchResource(url, signal);
+                linkedResourceCache.set(url, buildLinkedFields(result.data));
+                method = result.method || method;
+                proxyUsed = result.proxyUsed || proxyUsed;
+                fetched++;
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    return;
+                }
+                console.warn(`Could not fetch linked resource ${url}:`, error);
+                failed++;
+            }
+
+            onProgress?.({ completed: cached + fetched + failed, total: urls.length });
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.max(1, concurrency) }, () => worker()));
+
+    return {
+        items: applyLinkedFields(items),
+        total: urls.length,
+        fetched,
+        cached,
+        failed,
+        cancelled: Boolean(signal?.aborted),
+        method,
+        proxyUsed
+    };
+}
@@ -0,0 +1,383 @@
+/**
+ * OAI-PMH harvesting module
+ * Harvests oai_dc records with ListRecords and converts them into Omeka S
+ * shaped items (`dcterms:*` value arrays) for the mapping step
+ * @module input/core/oai-pmh-harvester
+ */
+
+import { fetchWithCorsProxy } from '../../utils/cors-proxy.js';
+
+const OAI_DC_NAMESPACE = 'http://www.openarchives.org/OAI/2.0/oai_dc/';
+const DC_NAMESPACE = 'http://purl.org/dc/elements/1.1/';
+const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+
+/**
+ * Default safety limit for resumption token pages in one harvest
+ */
+export const DEFAULT_OAI_PMH_MAX_PAGES = 500;
+
+/**
+ * Inline JSON-LD context attached to harvested items so dcterms keys
+ * resolve to full property URIs without a remote context request
+ */
+const OAI_PMH_CONTEXT = {
+    o: 'http://omeka.org/s/vocabs/o#',
+    dcterms: 'http://purl.org/dc/terms/'
+};
+
+/**
+ * Error raised for OAI-PMH protocol errors reported inside a 200 response
+ */
+export class OaiPmhError extends Error {
+    /**
+     * @param {string} code - OAI-PMH error code (e.g. "badArgument")
+     * @param {string} message - Error text from the repository
+     */
+    constructor(code, message) {
+        super(message ? `${code}: ${message}` : code);
+        this.name = 'OaiPmhError';
+        this.code = code;
+    }
+}
+
+/**
+ * Builds an OAI-PMH request URL
+ * A resumption token is an exclusive argument, so set/from/until and the
+ * metadata prefix are dropped when one is given.
+ * @param {string} baseUrl - Repository base URL
+ * @param {Object} params - Request parameters
+ * @param {string} params.verb - OAI-PMH verb (ListRecords, ListSets, ...)
+ * @param {string} [params.metadataPrefix] - Metadata format, e.g. "oai_dc"
+ * @param {string} [params.set] - setSpec to harvest
+ * @param {string} [params.from] - Lower datestamp bound (YYYY-MM-DD or full UTC)
+ * @param {string} [params.until] - Upper datestamp bound
+ * @param {string} [params.resumptionToken] - Token from the previous page
+ * @returns {string} Request URL
+ * @example
+ * buildOaiPmhRequestUrl('https://example.org/oai', { verb: 'ListRecords', metadataPrefix: 'oai_dc', set: 'maps' })
+ * // 'https://example.org/oai?verb=ListRecords&metadataPrefix=oai_dc&set=maps'
+ */
+export function buildOaiPmhRequestUrl(baseUrl, params = {}) {
+    const requestUrl = new URL(baseUrl);
+    ['verb', 'metadataPrefix', 'set', 'from', 'until', 'resumptionToken'].forEach(name => {
+        requestUrl.searchParams.delete(name);
+    });
+
+    requestUrl.searchParams.set('verb', params.verb);
+    if (params.resumptionToken) {
+        requestUrl.searchParams.set('resumptionToken', params.resumptionToken);
+        return requestUrl.toString();
+    }
+
+    ['metadataPrefix', 'set', 'from', 'until'].forEach(name => {
+        const value = typeof params[name] === 'string' ? params[name].trim() : '';
+        if (value) {
+            requestUrl.searchParams.set(name, value);
+        }
+    });
+
+    return requestUrl.toString();
+}
+
+function defaultParseXml(xmlText) {
+    if (typeof DOMParser === 'undefined') {
+        throw new Error('No XML parser available. Pass options.parseXml when running outside the browser.');
+    }
+    return new DOMParser().parseFromString(xmlText, 'application/xml');
+}
+
+function childElements(element, localName = null, namespaceUri = null) {
+    return Array.from(element?.childNodes || []).filter(node =>
+        node.nodeType === 1 &&
+        (!localName || node.localName === localName) &&
+        (!namespaceUri || node.namespaceURI === namespaceUri)
+    );
+}
+
+function firstDescendant(root, localName) {
+    return root?.getElementsByTagNameNS('*', localName)?.[0] || null;
+}
+
+function textOf(element) {
+    return (element?.textContent || '').trim();
+}
+
+function parseResumptionToken(listElement) {
+    const tokenElement = childElements(listElement, 'resumptionToken')[0];
+    if (!tokenElement) {
+        return null;
+    }
+
+    const completeListSize = parseInt(tokenElement.getAttribute('completeListSize'), 10);
+    const cursor = parseInt(tokenElement.getAttribute('cursor'), 10);
+
+    return {
+        token: textOf(tokenElement),
+        completeListSize: Number.isFinite(completeListSize) ? completeListSize : null,
+        cursor: Number.isFinite(cursor) ? cursor : null
+    };
+}
+
+function parseRecordHeader(headerElement) {
+    return {
+        identifier: textOf(childElements(headerElement, 'identifier')[0]),
+        datestamp: textOf(childElements(headerElement, 'datestamp')[0]),
+        setSpecs: childElements(headerElement, 'setSpec').map(textOf).filter(Boolean),
+        deleted: headerElement?.getAttribute('status') === 'deleted'
+    };
+}
+
+function parseDublinCore(metadataElement) {
+    const dcElement = childElements(metadataElement, 'dc', OAI_DC_NAMESPACE)[0]
+        || childElements(metadataElement, 'dc')[0];
+    const fields = {};
+
+    childElements(dcElement).forEach(element => {
+        if (element.namespaceURI && element.namespaceURI !== DC_NAMESPACE) {
+            return;
+        }
+
+        const value = textOf(element);
+        if (!value) {
+            return;
+        }
+
+        const language = element.getAttributeNS?.(XML_NAMESPACE, 'lang') || element.getAttribute('xml:lang') || '';
+        if (!fields[element.localName]) {
+            fields[element.localName] = [];
+        }
+        fields[element.localName].push({ value, language });
+    });
+
+    return fields;
+}
+
+/**
+ * Parses one OAI-PMH response document
+ * `noRecordsMatch` is treated as an empty result, every other protocol error
+ * throws an OaiPmhError.
+ * @param {string} xmlText - Response body
+ * @param {Object} [options] - Parser options
+ * @param {Function} [options.parseXml] - (text) => Document, defaults to the browser DOMParser
+ * @returns {{records: Array<Object>, sets: Array<Object>, resumptionToken: Object|null}} Parsed page
+ * @throws {OaiPmhError|Error} On protocol errors or malformed XML
+ */
+export function parseOaiPmhResponse(xmlText, options = {}) {
+    const parseXml = options.parseXml || defaultParseXml;
+    const documentRoot = parseXml(String(xmlText || ''));
+
+    if (firstDescendant(documentRoot, 'parsererror') || !firstDescendant(documentRoot, 'OAI-PMH')) {
+        throw new Error('Response is not a valid OAI-PMH XML document');
+    }
+
+    const errorElement = firstDescendant(documentRoot, 'error');
+    if (errorElement) {
+        const code = errorElement.getAttribute('code') || 'unknownError';
+        if (code === 'noRecordsMatch') {
+            return { records: [], sets: [], resumptionToken: null };
+        }
+        throw new OaiPmhError(code, textOf(errorElement));
+    }
+
+    const listRecords = firstDescendant(documentRoot, 'ListRecords');
+    const listSets = firstDescendant(documentRoot, 'ListSets');
+    const listElement = listRecords || listSets;
+
+    const records = childElements(listRecords, 'record').map(recordElement => ({
+        header: parseRecordHeader(childElements(recordElement, 'header')[0]),
+        metadata: parseDublinCore(childElements(recordElement, 'metadata')[0])
+    }));
+
+    const sets = childElements(listSets, 'set').map(setElement => ({
+        setSpec: textOf(childElements(setElement, 'setSpec')[0]),
+        setName: textOf(childElements(setElement, 'setName')[0])
+    }));
+
+    return {
+        records,
+        sets,
+        resumptionToken: parseResumptionToken(listElement)
+    };
+}
+
+function formatDcLabel(elementName) {
+    return elementName.charAt(0).toUpperCase() + elementName.slice(1);
+}
+
+/**
+ * Converts a parsed oai_dc record into an Omeka S shaped item
+ * Each Dublin Core element becomes a `dcterms:<element>` value array. Values
+ * that are a single http(s) URL become `uri` values, everything else is a
+ * `literal` with `@language` when the record supplied xml:lang.
+ * @param {Object} record - Record from parseOaiPmhResponse
+ * @param {number} index - Position in the harvest, used for `o:id`
+ * @returns {Object} Omeka S shaped item
+ */
+export function convertOaiDcRecordToItem(record, index = 0) {
+    const item = {
+        '@context': { ...OAI_PMH_CONTEXT },
+        '@type': ['o:Item'],
+        'o:id': index + 1,
+        'o:is_public': true,
+        'o:oai_identifier': record.header.identifier,
+        'o:oai_sets': record.header.setSpecs
+    };
+
+    if (record.header.datestamp) {
+        item['o:modified'] = {
+            '@value': record.header.datestamp,
+            '@type': 'http://www.w3.org/2001/XMLSchema#dateTime'
+        };
+    }
+
+    Object.entries(record.metadata).forEach(([elementName, values]) => {
+        item[`dcterms:${elementName}`] = values.map(({ value, language }) => {
+            if (/^https?:\/\/\S+$/i.test(value)) {
+                return {
+                    type: 'uri',
+                    '@id': value,
+                    property_label: formatDcLabel(elementName),
+                    is_public: true
+                };
+            }
+
+            const valueObject = {
+                type: 'literal',
+                property_label: formatDcLabel(elementName),
+                is_public: true,
+                '@value': value
+            };
+            if (language) {
+                valueObject['@language'] = language;
+            }
+            return valueObject;
+        });
+    });
+
+    item['o:title'] = item['dcterms:title']?.[0]?.['@value'] || null;
+    return item;
+}
+
+function createDefaultFetchPage() {
+    return url => fetchWithCorsProxy(url, {
+        responseType: 'text',
+        headers: { 'Accept': 'application/xml, text/xml' }
+    });
+}
+
+async function followResumptionTokens(baseUrl, firstParams, options, onParsedPage) {
+    const fetchPage = options.fetchPage || createDefaultFetchPage();
+    const maxPages = options.maxPages || DEFAULT_OAI_PMH_MAX_PAGES;
+    let params = firstParams;
+    let pages = 0;
+    let lastResult = null;
+    let resumptionPending = false;
+
+    while (pages < maxPages) {
+        const requestUrl = buildOaiPmhRequestUrl(baseUrl, params);
+        lastResult = await fetchPage(requestUrl);
+        const page = parseOaiPmhResponse(lastResult.data, options);
+        pages++;
+
+        onParsedPage(page, pages);
+
+        resumptionPending = Boolean(page.resumptionToken?.token);
+        if (!resumptionPending) {
+            break;
+        }
+        params = { verb: params.verb, resumptionToken: page.resumptionToken.token };
+    }
+
+    return {
+        pages,
+        method: lastResult?.method || 'direct',
+        proxyUsed: lastResult?.proxyUsed || null,
+        // Only a token left unfollowed means records were skipped
+        truncated: resumptionPending
+    };
+}
+
+/**
+ * Harvests oai_dc records with ListRecords, following resumption tokens
+ *
+ * Requests go through fetchWithCorsProxy by default. Pass `fetchPage` and
+ * `parseXml` to run against a local fixture server outside the browser, as
+ * oai-pmh-harvester.test.js does:
+ *
+ *     import { DOMParser } from '@xmldom/xmldom';
+ *
+ *     await harvestOaiPmh('http://localhost:8080/oai', {
+ *         fetchPage: async url => ({ data: await (await fetch(url)).text(), method: 'direct' }),
+ *         parseXml: text => new DOMParser().parseFromString(text, 'text/xml')
+ *     });
+ *
+ * @param {string} baseUrl - Repository base URL
+ * @param {Object} [options] - Harvest options
+ * @param {string} [options.set] - setSpec to harvest
+ * @param {string} [options.from] - Lower datestamp bound
+ * @param {string} [options.until] - Upper datestamp bound
+ * @param {string} [options.metadataPrefix='oai_dc'] - Metadata format
+ * @param {number} [options.maxPages] - Stop after this many pages
+ * @param {Function} [options.fetchPage] - (url) => Promise<{data: string, method, proxyUsed}>
+ * @param {Function} [options.parseXml] - (text) => Document
+ * @param {Function} [options.onProgress] - Called with {pages, records, completeListSize} after each page
+ * @returns {Promise<{items: Array<Object>, records: Array<Object>, deletedCount: number, pages: number, method: string, proxyUsed: string|null, truncated: boolean}>}
+ */
+export async function harvestOaiPmh(baseUrl, options = {}) {
+    const records = [];
+    let deletedCount = 0;
+
+    const result = await followResumptionTokens(baseUrl, {
+        verb: 'ListRecords',
+        metadataPrefix: options.metadataPrefix || 'oai_dc',
+        set: options.set,
+        from: options.from,
+        until: options.until
+    }, options, (page, pages) => {
+        page.records.forEach(record => {
+            if (record.header.deleted) {
+                deletedCount++;
+            } else {
+                records.push(record);
+            }
+        });
+
+        options.onProgress?.({
+            pages,
+            records: records.length,
+            completeListSize: page.resumptionToken?.completeListSize ?? null
+        });
+    });
+
+    return {
+        ...result,
+        records,
+        deletedCount,
+        items: records.map((record, index) => convertOaiDcRecordToItem(record, index))
+    };
+}
+
+/**
+ * Lists the sets a repository offers, following resumption tokens
+ * Repositories without set support answer with noSetHierarchy, which is
+ * returned as an empty list.
+ * @param {string} baseUrl - Repository base URL
+ * @param {Object} [options] - Same fetchPage/parseXml/maxPages options as harvestOaiPmh
+ * @returns {Promise<Array<{setSpec: string, setName: string}>>} Available sets
+ */
+export async function listOaiPmhSets(baseUrl, options = {}) {
+    const sets = [];
+
+    try {
+        await followResumptionTokens(baseUrl, { verb: 'ListSets' }, options, page => {
+            sets.push(...page.sets);
+        });
+    } catch (error) {
+        if (error instanceof OaiPmhError && error.code === 'noSetHierarchy') {
+            return [];
+        }
+        throw error;
+    }
+
+    return sets;
+}
@@ -0,0 +1,98 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { DOMParser } from '@xmldom/xmldom';
+import { OaiPmhError, harvestOaiPmh } from './oai-pmh-harvester.js';
+
+// Fixture served for each request, keyed by its query string
+const RESPONSES = {
+    'verb=ListRecords&metadataPrefix=oai_dc': 'list-records-page-1.xml',
+    'verb=ListRecords&resumptionToken=page-2': 'list-records-page-2.xml',
+    'verb=ListRecords&metadataPrefix=oai_dc&set=empty': 'no-records-match.xml',
+    'verb=ListRecords&metadataPrefix=oai_dc&set=expired': 'list-records-page-1.xml',
+    'verb=ListRecords&resumptionToken=expired': 'bad-resumption-token.xml'
+};
+
+const requests = [];
+let baseUrl;
+let server;
+
+test.before(async () => {
+    server = createServer(async (request, response) => {
+        const query = new URL(request.url, 'http://localhost').search.slice(1);
+        requests.push(query);
+        if (!RESPONSES[query]) {
+            response.writeHead(404).end();
+            return;
+        }
+        let body = await readFile(new URL(`./fixtures/${RESPONSES[query]}`, import.meta.url), 'utf8');
+        // The set=expired harvest gets a token the repository then rejects
+        if (query.endsWith('set=expired')) body = body.replace('>page-2<', '>expired<');
+        response.writeHead(200, { 'Content-Type': 'text/xml; charset=utf-8' });
+        response.end(body);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/oai`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(() => {
+    requests.length = 0;
+});
+
+const fixtureOptions = {
+    fetchPage: async url => {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return { data: await response.text(), method: 'direct' };
+    },
+    parseXml: text => new DOMParser().parseFromString(text, 'text/xml')
+};
+
+test('follows the resumption token and converts the records', async () => {
+    const progress = [];
+    const result = await harvestOaiPmh(baseUrl, { ...fixtureOptions, onProgress: update => progress.push(update) });
+
+    assert.deepEqual(requests, ['verb=ListRecords&metadataPrefix=oai_dc', 'verb=ListRecords&resumptionToken=page-2']);
+    assert.equal(result.pages, 2);
+    assert.equal(result.truncated, false);
+    assert.equal(result.deletedCount, 1);
+    assert.deepEqual(result.records.map(record => record.header.identifier), ['oai:example.org:1', 'oai:example.org:3']);
+    assert.deepEqual(progress, [
+        { pages: 1, records: 1, completeListSize: 3 },
+        { pages: 2, records: 2, completeListSize: 3 }
+    ]);
+
+    const [map, plan] = result.items;
+    assert.equal(map['o:title'], 'Carte de Gand');
+    assert.equal(map['dcterms:title'][0]['@language'], 'fr');
+    assert.equal(map['dcterms:identifier'][0].type, 'uri');
+    assert.deepEqual(map['o:oai_sets'], ['maps']);
+    assert.equal(plan['o:id'], 2);
+    assert.deepEqual(plan['dcterms:subject'].map(value => value['@value']), ['Cartography', 'Bruges']);
+});
+
+test('stops at maxPages and reports the harvest as truncated', async () => {
+    const result = await harvestOaiPmh(baseUrl, { ...fixtureOptions, maxPages: 1 });
+
+    assert.equal(result.pages, 1);
+    assert.equal(result.truncated, true);
+    assert.equal(result.items.length, 1);
+});
+
+test('treats noRecordsMatch as an empty harvest', async () => {
+    const result = await harvestOaiPmh(baseUrl, { ...fixtureOptions, set: 'empty' });
+
+    assert.equal(result.pages, 1);
+    assert.deepEqual(result.items, []);
+    assert.equal(result.truncated, false);
+});
+
+test('throws the protocol error a later page reports', async () => {
+    await assert.rejects(
+        harvestOaiPmh(baseUrl, { ...fixtureOptions, set: 'expired' }),
+        error => error instanceof OaiPmhError && error.code === 'badResumptionToken' && /expired/.test(error.message)
+    );
+});
@@ -0,0 +1,322 @@
+/**
+ * Paged fetching module
+ * Fetches all pages of an Omeka S items listing with bounded concurrency,
+ * per-page retries, cancellation and a resumable checkpoint
+ *
+ * The checkpoint is a cursor (which pages are done, how many items each held
+ * and the total) that is small enough to keep in the project state. The
+ * fetched items travel separately as `pages` so they never reach localStorage
+ * or exported projects.
+ * @module input/core/paged-fetcher
+ */
+
+/**
+ * Response header in which Omeka S reports the total number of matching resources
+ */
+export const TOTAL_RESULTS_HEADER = 'Omeka-S-Total-Results';
+
+/**
+ * Default tuning for paged fetches
+ */
+export const PAGED_FETCH_DEFAULTS = {
+    concurrency: 3,
+    maxRetries: 3,
+    retryDelayMs: 1000
+};
+
+/**
+ * Error raised when a paged fetch stops before the last page
+ * Carries the cursor and the items of the completed pages needed to resume.
+ */
+export class PagedFetchInterruptedError extends Error {
+    /**
+     * @param {string} message - Description of why the fetch stopped
+     * @param {Object} checkpoint - Fetch cursor (see createPagedFetchCheckpoint)
+     * @param {Object<number, Array<Object>>} pages - Items of each completed page
+     * @param {Object} [options] - Extra details
+     * @param {boolean} [options.cancelled=false] - True when the user cancelled
+     * @param {Error} [options.cause] - Error of the page that failed
+     */
+    constructor(message, checkpoint, pages, { cancelled = false, cause = null } = {}) {
+        super(message);
+        this.name = 'PagedFetchInterruptedError';
+        this.checkpoint = checkpoint;
+        this.pages = pages;
+        this.cancelled = cancelled;
+        this.cause = cause;
+    }
+}
+
+/**
+ * Reads the total result count from a response
+ * Proxies may drop custom headers, in which case the count is unknown.
+ * @param {Headers|Object|null} headers - Response headers
+ * @returns {number|null} Total matching resources or null
+ */
+export function readTotalResults(headers) {
+    const rawValue = typeof headers?.get === 'function'
+        ? headers.get(TOTAL_RESULTS_HEADER)
+        : headers?.[TOTAL_RESULTS_HEADER];
+    const total = parseInt(rawValue, 10);
+    return Number.isFinite(total) && total >= 0 ? total : null;
+}
+
+/**
+ * Creates an empty checkpoint for a paged fetch
+ * `completedPages` maps each fetched page number to its item count.
+ * @param {string} apiUrl - Scoped items URL
+ * @param {number} startPage - First page to fetch
+ * @param {number} pageSize - Items per page
+ * @returns {Object} Checkpoint with no completed pages
+ */
+export function createPagedFetchCheckpoint(apiUrl, startPage, pageSize) {
+    return {
+        apiUrl,
+        startPage,
+        pageSize,
+        totalResults: null,
+        completedPages: {},
+        method: 'direct',
+        proxyUsed: null,
+        updatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Counts pages and items already fetched according to a checkpoint
+ * @param {Object} checkpoint - Paged fetch checkpoint
+ * @returns {{pages: number, items: number, totalPages: number|null}} Checkpoint summary
+ */
+export function summarizePagedFetchCheckpoint(checkpoint) {
+    const itemCounts = Object.values(checkpoint?.completedPages || {});
+    const totalPages = Number.isInteger(checkpoint?.totalResults)
+        ? Math.max(0, Math.ceil(checkpoint.totalResults / checkpoint.pageSize) - checkpoint.startPage + 1)
+        : null;
+
+    return {
+        pages: itemCounts.length,
+        items: itemCounts.reduce((count, itemCount) => count + itemCount, 0),
+        totalPages
+    };
+}
+
+function createAbortError() {
+    const error = new Error('The fetch was cancelled');
+    error.name = 'AbortError';
+    return error;
+}
+
+function wait(delayMs, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(createAbortError());
+            return;
+        }
+
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, delayMs);
+
+        function onAbort() {
+            clearTimeout(timer);
+            reject(createAbortError());
+        }
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Fetches every page of a listing
+ *
+ * The first page is fetched alone to read the `Omeka-S-Total-Results` header;
+ * the remaining pages are then fetched by up to `concurrency` workers. When the
+ * header is missing (some proxies strip it) workers keep claiming pages until
+ * one comes back shorter than `pageSize`.
+ *
+ * A page that fails is retried with exponential backoff. When it still fails,
+ * or when `signal` aborts, the function throws a PagedFetchInterruptedError
+ * whose checkpoint and pages can be passed back as `options.checkpoint` and
+ * `options.pages` to continue without refetching completed pages. Pages the
+ * checkpoint lists without items in `options.pages` are fetched again.
+ *
+ * @param {Object} options - Fetch options
+ * @param {string} options.apiUrl - Scoped items URL
+ * @param {number} options.startPage - First page to fetch
+ * @param {number} options.pageSize - Items per page
+ * @param {Function} options.buildPageUrl - (pageNumber) => URL for that page
+ * @param {Function} options.fetchPage - (url, signal) => Promise<{data, headers, method, proxyUsed}>
+ * @param {Function} options.normalizeItems - (data) => Array of items
+ * @param {Object} [options.checkpoint] - Checkpoint from an interrupted fetch
+ * @param {Object<number, Array<Object>>} [options.pages] - Items of the pages the checkpoint lists
+ * @param {AbortSignal} [options.signal] - Cancels outstanding requests
+ * @param {number} [options.concurrency=3] - Parallel page requests
+ * @param {number} [options.maxRetries=3] - Retries per page before giving up
+ * @param {number} [options.retryDelayMs=1000] - First retry delay, doubled per attempt
+ * @param {Function} [options.onProgress] - Called with {completedPages, totalPages, itemCount, totalResults}
+ * @returns {Promise<{items: Array<Object>, fetchedPages: number, totalResults: number|null, method: string, proxyUsed: string|null, lastPageData: *}>}
+ * @throws {PagedFetchInterruptedError} When cancelled or when a page keeps failing
+ */
+export async function fetchAllPages(options) {
+    const {
+        apiUrl,
+        startPage,
+        pageSize,
+        buildPageUrl,
+        fetchPage,
+        normalizeItems,
+        signal = null,
+        concurrency = PAGED_FETCH_DEFAULTS.concurrency,
+        maxRetries = PAGED_FETCH_DEFAULTS.maxRetries,
+        retryDelayMs = PAGED_FETCH_DEFAULTS.retryDelayMs,
+        onProgress = null
+    } = options;
+
+    const canResume = options.checkpoint
+        && options.checkpoint.apiUrl === apiUrl
+        && options.checkpoint.startPage === startPage
+        && options.checkpoint.pageSize === pageSize;
+    const checkpoint = canResume
+        ? { ...options.checkpoint, completedPages: {} }
+        : createPagedFetchCheckpoint(apiUrl, startPage, pageSize);
+    const pages = {};
+
+    if (canResume) {
+        Object.entries(options.checkpoint.completedPages).forEach(([page, itemCount]) => {
+            const pageItems = options.pages?.[page];
+            if (Array.isArray(pageItems) && pageItems.length === itemCount) {
+                checkpoint.completedPages[page] = itemCount;
+                pages[page] = pageItems;
+            }
+        });
+    }
+
+    let endPage = Infinity;
+    let nextPage = startPage;
+    let lastPageData = null;
+    let failure = null;
+
+    const updateEndPage = () => {
+        if (Number.isInteger(checkpoint.totalResults)) {
+            endPage = Math.min(endPage, Math.max(startPage, Math.ceil(checkpoint.totalResults / pageSize)));
+        }
+        Object.entries(checkpoint.completedPages).forEach(([page, itemCount]) => {
+            if (itemCount < pageSize) {
+                endPage = Math.min(endPage, Number(page));
+            }
+        });
+    };
+
+    const reportProgress = () => {
+        const summary = summarizePagedFetchCheckpoint(checkpoint);
+        onProgress?.({
+            completedPages: summary.pages,
+            totalPages: summary.totalPages,
+            itemCount: summary.items,
+            totalResults: checkpoint.totalResults
+        });
+    };
+
+    const interrupt = (error) => {
+        checkpoint.updatedAt = new Date().toISOString();
+        const cancelled = error?.name === 'AbortError' || Boolean(signal?.aborted);
+        const summary = summarizePagedFetchCheckpoint(checkpoint);
+        const message = cancelled
+            ? `Fetch cancelled after ${summary.pages} page${summary.pages === 1 ? '' : 's'}.`
+            : `Fetch stopped after ${summary.pages} page${summary.pages === 1 ? '' : 's'}: ${error.message}`;
+        return new PagedFetchInterruptedError(message, checkpoint, { ...pages }, { cancelled, cause: error });
+    };
+
+    async function fetchPageWithRetry(pageNumber) {
+        for (let attempt = 0; ; attempt++) {
+            if (signal?.aborted) {
+                throw createAbortError();
+            }
+
+            try {
+                const result = await fetchPage(buildPageUrl(pageNumber), signal);
+                return result;
+            } catch (error) {
+                if (error.name === 'AbortError' || attempt >= maxRetries) {
+                    throw error;
+                }
+                console.warn(`Page ${pageNumber} failed (attempt ${attempt + 1} of ${maxRetries + 1}), retrying: ${error.message}`);
+                await wait(retryDelayMs * (2 ** attempt), signal);
+            }
+        }
+    }
+
+    async function loadPage(pageNumber) {
+        const result = await fetchPageWithRetry(pageNumber);
+        const pageItems = normalizeItems(result.data);
+
+        pages[pageNumber] = pageItems;
+        checkpoint.completedPages[pageNumber] = pageItems.length;
+        checkpoint.method = result.method || checkpoint.method;
+        checkpoint.proxyUsed = result.proxyUsed || checkpoint.proxyUsed;
+        if (checkpoint.totalResults === null) {
+            checkpoint.totalResults = readTotalResults(result.headers);
+        }
+        lastPageData = result.data;
+        updateEndPage();
+        reportProgress();
+    }
+
+    updateEndPage();
+    reportProgress();
+
+    try {
+        // The first page tells us how many pages there are
+        if (!pages[startPage]) {
+            await loadPage(startPage);
+        }
+    } catch (error) {
+        throw interrupt(error);
+    }
+
+    async function worker() {
+        while (!failure && !signal?.aborted) {
+            const pageNumber = nextPage++;
+            if (pageNumber > endPage) {
+                return;
+            }
+            if (pages[pageNumber]) {
+                continue;
+            }
+
+            try {
+                await loadPage(pageNumber);
+            } catch (error) {
+                failure = failure || error;
+                return;
+            }
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.max(1, concurrency) }, () => worker()));
+
+    if (failure || signal?.aborted) {
+        throw interrupt(failure || createAbortError());
+    }
+
+    const items = [];
+    let fetchedPages = 0;
+    for (let pageNumber = startPage; pageNumber <= endPage; pageNumber++) {
+        const pageItems = pages[pageNumber];
+        if (!pageItems) {
+            break;
+        }
+        items.push(...pageItems);
+        fetchedPages++;
+    }
+
+    return {
+        items,
+        fetchedPages,
+        totalResults: checkpoint.totalResults,
+        method: checkpoint.method,
+        proxyUsed: checkpoint.proxyUsed,
+        lastPageData
+    };
+}
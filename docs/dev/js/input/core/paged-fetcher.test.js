@@ -0,0 +1,145 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    fetchAllPages,
+    readTotalResults,
+    summarizePagedFetchCheckpoint,
+    PagedFetchInterruptedError,
+    TOTAL_RESULTS_HEADER
+} from './paged-fetcher.js';
+
+const API_URL = 'https://example.org/api/items?item_set_id=7';
+const ITEMS = Array.from({ length: 7 }, (_, index) => ({ 'o:id': index + 1 }));
+
+/**
+ * Serves ITEMS in pages of `pageSize`, recording the pages requested
+ */
+function createServer({ pageSize = 3, sendTotal = true, failPages = [] } = {}) {
+    const requested = [];
+    const failing = new Set(failPages);
+
+    return {
+        requested,
+        failing,
+        options: {
+            apiUrl: API_URL,
+            startPage: 1,
+            pageSize,
+            buildPageUrl: pageNumber => `${API_URL}&page=${pageNumber}`,
+            fetchPage: async (url) => {
+                const pageNumber = Number(new URL(url).searchParams.get('page'));
+                requested.push(pageNumber);
+                if (failing.has(pageNumber)) {
+                    throw new Error(`Page ${pageNumber} is unavailable`);
+                }
+                return {
+                    data: ITEMS.slice((pageNumber - 1) * pageSize, pageNumber * pageSize),
+                    headers: sendTotal ? { [TOTAL_RESULTS_HEADER]: String(ITEMS.length) } : {},
+                    method: 'direct',
+                    proxyUsed: null
+                };
+            },
+            normalizeItems: data => data,
+            concurrency: 2,
+            maxRetries: 0,
+            retryDelayMs: 0
+        }
+    };
+}
+
+const ids = items => items.map(item => item['o:id']);
+
+test('reads the total from headers or plain objects', () => {
+    assert.equal(readTotalResults(new Headers({ [TOTAL_RESULTS_HEADER]: '42' })), 42);
+    assert.equal(readTotalResults({ [TOTAL_RESULTS_HEADER]: '5' }), 5);
+    assert.equal(readTotalResults({}), null);
+    assert.equal(readTotalResults(null), null);
+});
+
+test('fetches every page in order', async () => {
+    const server = createServer();
+    const result = await fetchAllPages(server.options);
+    assert.deepEqual(ids(result.items), [1, 2, 3, 4, 5, 6, 7]);
+    assert.equal(result.fetchedPages, 3);
+    assert.equal(result.totalResults, 7);
+    assert.deepEqual([...server.requested].sort(), [1, 2, 3]);
+});
+
+test('stops at the first short page when the total is missing', async () => {
+    const server = createServer({ sendTotal: false });
+    const result = await fetchAllPages(server.options);
+    assert.deepEqual(ids(result.items), [1, 2, 3, 4, 5, 6, 7]);
+    assert.equal(result.totalResults, null);
+});
+
+test('retries a failing page before giving up', async () => {
+    const server = createServer({ failPages: [2] });
+    const fetchPage = server.options.fetchPage;
+    const result = await fetchAllPages({
+        ...server.options,
+        maxRetries: 1,
+        fetchPage: async (url, signal) => {
+            const response = fetchPage(url, signal);
+            if (url.endsWith('page=2')) {
+                server.failing.clear();
+            }
+            return response;
+        }
+    });
+    assert.equal(server.requested.filter(page => page === 2).length, 2);
+    assert.equal(result.items.length, 7);
+});
+
+test('an interrupted fetch keeps only a cursor in its checkpoint', async () => {
+    const server = createServer({ failPages: [3] });
+    const error = await fetchAllPages(server.options).catch(caught => caught);
+
+    assert.ok(error instanceof PagedFetchInterruptedError);
+    assert.equal(error.cancelled, false);
+    assert.deepEqual(error.checkpoint.completedPages, { 1: 3, 2: 3 });
+    assert.equal(error.checkpoint.totalResults, 7);
+    assert.ok(!JSON.stringify(error.checkpoint).includes('o:id'));
+    assert.deepEqual(ids(error.pages[2]), [4, 5, 6]);
+    assert.deepEqual(summarizePagedFetchCheckpoint(error.checkpoint), { pages: 2, items: 6, totalPages: 3 });
+});
+
+test('resuming fetches only the pages that are missing', async () => {
+    const server = createServer({ failPages: [3] });
+    const error = await fetchAllPages(server.options).catch(caught => caught);
+
+    server.failing.clear();
+    server.requested.length = 0;
+    const result = await fetchAllPages({ ...server.options, checkpoint: error.checkpoint, pages: error.pages });
+    assert.deepEqual(server.requested, [3]);
+    assert.deepEqual(ids(result.items), [1, 2, 3, 4, 5, 6, 7]);
+});
+
+test('pages the checkpoint lists without their items are fetched again', async () => {
+    const server = createServer({ failPages: [3] });
+    const error = await fetchAllPages(server.options).catch(caught => caught);
+
+    server.failing.clear();
+    server.requested.length = 0;
+    const result = await fetchAllPages({ ...server.options, checkpoint: error.checkpoint, pages: { 1: error.pages[1] } });
+    assert.deepEqual([...server.requested].sort(), [2, 3]);
+    assert.equal(result.items.length, 7);
+});
+
+test('a checkpoint for another listing is ignored', async () => {
+    const server = createServer({ failPages: [3] });
+    const error = await fetchAllPages(server.options).catch(caught => caught);
+
+    const otherServer = createServer({ pageSize: 4 });
+    await fetchAllPages({ ...otherServer.options, checkpoint: error.checkpoint, pages: error.pages });
+    assert.deepEqual([...otherServer.requested].sort(), [1, 2]);
+});
+
+test('cancelling reports a cancelled interruption', async () => {
+    const server = createServer();
+    const controller = new AbortController();
+    controller.abort();
+    const error = await fetchAllPages({ ...server.options, signal: controller.signal }).catch(caught => caught);
+    assert.ok(error instanceof PagedFetchInterruptedError);
+    assert.equal(error.cancelled, true);
+    assert.deepEqual(server.requested, []);
+});
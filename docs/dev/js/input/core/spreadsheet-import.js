@@ -0,0 +1,316 @@
+/**
+ * Spreadsheet import module
+ * Parses CSV/TSV text and converts rows into Omeka S shaped items so the
+ * mapping, reconciliation and export steps can treat them like API data
+ * @module input/core/spreadsheet-import
+ */
+
+/**
+ * Roles a spreadsheet column can play during conversion
+ */
+export const SPREADSHEET_COLUMN_ROLES = {
+    PROPERTY: 'property',
+    IDENTIFIER: 'identifier',
+    LANGUAGE: 'language',
+    IGNORE: 'ignore'
+};
+
+/**
+ * Value types a property column can produce
+ */
+export const SPREADSHEET_VALUE_TYPES = {
+    LITERAL: 'literal',
+    URI: 'uri'
+};
+
+/**
+ * Multi-value delimiter used by the Omeka S CSV Import module
+ */
+export const DEFAULT_MULTI_VALUE_DELIMITER = '|';
+
+const CANDIDATE_DELIMITERS = ['\t', ',', ';'];
+const IDENTIFIER_HEADERS = new Set(['id', 'o:id', '@id']);
+const LANGUAGE_HEADER_PATTERN = /^(.+?)\s*(?:[_:@\s-]lang(?:uage)?|\(lang(?:uage)?\)|\[lang(?:uage)?\])$/i;
+const TITLE_KEYS = ['dcterms:title', 'dc:title', 'schema:name', 'title'];
+
+/**
+ * Inline JSON-LD context attached to imported items so prefixed column
+ * headers such as "dcterms:title" resolve to full property URIs
+ */
+const SPREADSHEET_CONTEXT = {
+    o: 'http://omeka.org/s/vocabs/o#',
+    dcterms: 'http://purl.org/dc/terms/',
+    dctype: 'http://purl.org/dc/dcmitype/',
+    bibo: 'http://purl.org/ontology/bibo/',
+    foaf: 'http://xmlns.com/foaf/0.1/',
+    schema: 'https://schema.org/',
+    skos: 'http://www.w3.org/2004/02/skos/core#'
+};
+
+/**
+ * Guesses the cell delimiter from the first line of the text
+ * Tabs win over commas and semicolons when counts tie, because TSV cells
+ * often contain commas.
+ * @param {string} text - Raw spreadsheet text
+ * @returns {string} Delimiter character
+ */
+export function detectDelimiter(text) {
+    const firstLine = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0] || '';
+    let bestDelimiter = ',';
+    let bestCount = 0;
+
+    CANDIDATE_DELIMITERS.forEach(delimiter => {
+        const count = firstLine.split(delimiter).length - 1;
+        if (count > bestCount) {
+            bestDelimiter = delimiter;
+            bestCount = count;
+        }
+    });
+
+    return bestDelimiter;
+}
+
+/**
+ * Parses delimited text into rows of cells
+ * Supports RFC 4180 quoting: quoted cells may contain delimiters, line breaks
+ * and doubled quotes. A leading byte order mark is ignored.
+ * @param {string} text - Raw spreadsheet text
+ * @param {string} [delimiter] - Cell delimiter, detected when omitted
+ * @returns {Array<Array<string>>} Parsed rows
+ * @example
+ * parseDelimitedText('a,"b, c"\n1,2')
+ * // [['a', 'b, c'], ['1', '2']]
+ */
+export function parseDelimitedText(text, delimiter = null) {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const separator = delimiter || detectDelimiter(source);
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let index = 0; index < source.length; index++) {
+        const character = source[index];
+
+        if (inQuotes) {
+            if (character === '"') {
+                if (source[index + 1] === '"') {
+                    cell += '"';
+                    index++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                cell += character;
+            }
+            continue;
+        }
+
+        if (character === '"' && cell === '') {
+            inQuotes = true;
+        } else if (character === separator) {
+            row.push(cell);
+            cell = '';
+        } else if (character === '\n' || character === '\r') {
+            if (character === '\r' && source[index + 1] === '\n') {
+                index++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += character;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Suggests a column configuration from header names
+ * - "id", "o:id" and "@id" become the item identifier
+ * - "dcterms:title_lang", "dcterms:title (language)" and similar become the
+ *   language column of the matching property column
+ * - everything else becomes a literal property column keyed by its header
+ * @param {Array<string>} headers - Header row
+ * @returns {Array<Object>} Column configuration, one entry per header
+ */
+export function suggestColumnConfig(headers = []) {
+    const trimmedHeaders = headers.map(header => String(header || '').trim());
+
+    return trimmedHeaders.map((header, index) => {
+        const column = {
+            index,
+            header,
+            role: SPREADSHEET_COLUMN_ROLES.PROPERTY,
+            property: header || `column${index + 1}`,
+            valueType: SPREADSHEET_VALUE_TYPES.LITERAL,
+            delimiter: DEFAULT_MULTI_VALUE_DELIMITER,
+            language: '',
+            languageColumn: null
+        };
+
+        if (IDENTIFIER_HEADERS.has(header.toLowerCase())) {
+            column.role = SPREADSHEET_COLUMN_ROLES.IDENTIFIER;
+            return column;
+        }
+
+        const languageMatch = header.match(LANGUAGE_HEADER_PATTERN);
+        if (languageMatch && trimmedHeaders.includes(languageMatch[1])) {
+            column.role = SPREADSHEET_COLUMN_ROLES.LANGUAGE;
+        }
+
+        return column;
+    }).map((column, index, columns) => {
+        if (column.role !== SPREADSHEET_COLUMN_ROLES.PROPERTY) {
+            return column;
+        }
+
+        const languageColumn = columns.find(candidate =>
+            candidate.role === SPREADSHEET_COLUMN_ROLES.LANGUAGE &&
+            candidate.header.match(LANGUAGE_HEADER_PATTERN)?.[1] === column.header
+        );
+
+        return languageColumn ? { ...column, languageColumn: languageColumn.index } : column;
+    });
+}
+
+function splitCell(value, delimiter) {
+    const text = String(value ?? '').trim();
+    if (!text) {
+        return [];
+    }
+
+    const parts = delimiter ? text.split(delimiter) : [text];
+    return parts.map(part => part.trim()).filter(Boolean);
+}
+
+function buildValueObject(value, column, language) {
+    if (column.valueType === SPREADSHEET_VALUE_TYPES.URI) {
+        return {
+            type: 'uri',
+            '@id': value,
+            property_label: column.header,
+            is_public: true
+        };
+    }
+
+    const valueObject = {
+        type: 'literal',
+        property_label: column.header,
+        is_public: true,
+        '@value': value
+    };
+
+    if (language) {
+        valueObject['@language'] = language;
+    }
+
+    return valueObject;
+}
+
+function resolveItemTitle(item, propertyColumns) {
+    const titleKey = TITLE_KEYS.find(key => Array.isArray(item[key]) && item[key].length > 0)
+        || propertyColumns.find(column =>
+            column.valueType !== SPREADSHEET_VALUE_TYPES.URI && Array.isArray(item[column.property])
+        )?.property;
+
+    return titleKey ? item[titleKey][0]['@value'] || item[titleKey][0]['@id'] || null : null;
+}
+
+/**
+ * Converts parsed spreadsheet rows into Omeka S shaped items
+ *
+ * Each row becomes an item with `@context`, `o:id`, `o:title` and one array
+ * of value objects per property column, matching what the Omeka S API returns:
+ * `{ type: 'literal', '@value', '@language', property_label, is_public }` or
+ * `{ type: 'uri', '@id', property_label, is_public }`.
+ *
+ * Multi-value cells are split on the column delimiter. A linked language
+ * column is split on the same delimiter and paired by position; a single
+ * language applies to every value. A fixed column language is used when the
+ * language cell is empty.
+ *
+ * @param {Array<Array<string>>} rows - Data rows without the header row
+ * @param {Array<Object>} columns - Column configuration from suggestColumnConfig
+ * @returns {Array<Object>} Omeka S shaped items
+ */
+export function convertRowsToItems(rows = [], columns = []) {
+    const propertyColumns = columns.filter(column =>
+        column.role === SPREADSHEET_COLUMN_ROLES.PROPERTY && column.property
+    );
+    const identifierColumn = columns.find(column => column.role === SPREADSHEET_COLUMN_ROLES.IDENTIFIER);
+
+    return rows.map((row, rowIndex) => {
+        const item = {
+            '@context': { ...SPREADSHEET_CONTEXT },
+            '@type': ['o:Item'],
+            'o:id': rowIndex + 1,
+            'o:is_public': true
+        };
+
+        const identifier = identifierColumn ? String(row[identifierColumn.index] ?? '').trim() : '';
+        if (/^https?:\/\//i.test(identifier)) {
+            item['@id'] = identifier;
+        } else if (identifier) {
+            item['o:id'] = /^\d+$/.test(identifier) ? Number(identifier) : identifier;
+        }
+
+        propertyColumns.forEach(column => {
+            const values = splitCell(row[column.index], column.delimiter);
+            if (values.length === 0) {
+                return;
+            }
+
+            const languageCells = Number.isInteger(column.languageColumn)
+                ? splitCell(row[column.languageColumn], column.delimiter)
+                : [];
+
+            const valueObjects = values.map((value, valueIndex) => {
+                const language = languageCells.length === 1
+                    ? languageCells[0]
+                    : languageCells[valueIndex] || column.language || '';
+                return buildValueObject(value, column, language.trim());
+            });
+
+            item[column.property] = [...(item[column.property] || []), ...valueObjects];
+        });
+
+        item['o:title'] = resolveItemTitle(item, propertyColumns);
+        return item;
+    });
+}
+
+/**
+ * Parses spreadsheet text and converts it to items in one step
+ * @param {string} text - Raw CSV/TSV text
+ * @param {Object} [options] - Import options
+ * @param {string} [options.delimiter] - Cell delimiter, detected when omitted
+ * @param {Array<Object>} [options.columns] - Column configuration, suggested from headers when omitted
+ * @returns {{headers: Array<string>, columns: Array<Object>, items: Array<Object>}} Import result
+ * @throws {Error} When the text has no header row or no data rows
+ */
+export function importSpreadsheet(text, options = {}) {
+    const rows = parseDelimitedText(text, options.delimiter);
+    if (rows.length < 2) {
+        throw new Error('Spreadsheet must contain a header row and at least one data row.');
+    }
+
+    const [headerRow, ...dataRows] = rows;
+    const headers = headerRow.map(header => header.trim());
+    const columns = Array.isArray(options.columns) && options.columns.length > 0
+        ? options.columns
+        : suggestColumnConfig(headers);
+
+    return {
+        headers,
+        columns,
+        items: convertRowsToItems(dataRows, columns)
+    };
+}
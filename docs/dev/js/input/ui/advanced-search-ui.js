@@ -0,0 +1,114 @@
+/**
+ * Advanced search builder interface
+ * Renders the editable list of Omeka S property filters in the input step
+ * @module input/ui/advanced-search-ui
+ */
+
+import { createElement } from '../../ui/components.js';
+import {
+    PROPERTY_QUERY_TYPES,
+    PROPERTY_QUERY_JOINERS,
+    propertyQueryTypeNeedsText,
+    createPropertyFilter
+} from '../core/advanced-search-query.js';
+
+function createSelect(options, selectedValue, onChange, attributes = {}) {
+    return createElement('select', { ...attributes, onChange: event => onChange(event.target.value) },
+        options.map(({ value, label }) => createElement('option', {
+            value,
+            selected: value === selectedValue
+        }, label))
+    );
+}
+
+/**
+ * Wires up the property filter rows of the advanced search builder
+ * @param {Object} elements - Builder elements
+ * @param {HTMLElement} elements.container - Element the filter rows render into
+ * @param {HTMLElement} [elements.addButton] - Button that adds an empty filter
+ * @returns {{getFilters: Function, setFilters: Function}} Builder controls
+ */
+export function setupPropertyQueryBuilder({ container, addButton } = {}) {
+    let filters = [];
+
+    function render() {
+        if (!container) return;
+        container.innerHTML = '';
+
+        if (filters.length === 0) {
+            container.appendChild(createElement('p', { className: 'placeholder' }, 'No property filters'));
+            return;
+        }
+
+        filters.forEach((filter, index) => {
+            const textInput = createElement('input', {
+                type: 'text',
+                value: filter.text,
+                placeholder: 'Value',
+                'aria-label': 'Filter value',
+                disabled: !propertyQueryTypeNeedsText(filter.type)
+            });
+            textInput.addEventListener('input', () => {
+                filter.text = textInput.value;
+            });
+
+            const propertyInput = createElement('input', {
+                type: 'text',
+                value: filter.property,
+                placeholder: 'dcterms:type (empty = any property)',
+                'aria-label': 'Property term or ID'
+            });
+            propertyInput.addEventListener('input', () => {
+                filter.property = propertyInput.value.trim();
+            });
+
+            const joiner = index === 0
+                ? createElement('span', { className: 'advanced-search-row__joiner' }, 'Where')
+                : createSelect(PROPERTY_QUERY_JOINERS, filter.joiner, value => { filter.joiner = value; }, {
+                    className: 'advanced-search-row__joiner',
+                    'aria-label': 'Joiner'
+                });
+
+            const typeSelect = createSelect(PROPERTY_QUERY_TYPES, filter.type, value => {
+                filter.type = value;
+                textInput.disabled = !propertyQueryTypeNeedsText(value);
+            }, { 'aria-label': 'Condition' });
+
+            const removeButton = createElement('button', {
+                type: 'button',
+                className: 'button button--secondary',
+                title: 'Remove filter',
+                onClick: () => {
+                    filters.splice(index, 1);
+                    render();
+                }
+            }, '×');
+
+            container.appendChild(createElement('div', { className: 'advanced-search-row' }, [
+                joiner,
+                propertyInput,
+                typeSelect,
+                textInput,
+                removeButton
+            ]));
+        });
+    }
+
+    function getFilters() {
+        return filters.map(filter => ({ ...filter }));
+    }
+
+    function setFilters(nextFilters = []) {
+        filters = nextFilters.map(filter => ({ ...createPropertyFilter(), ...filter }));
+        render();
+    }
+
+    addButton?.addEventListener('click', () => {
+        filters.push(createPropertyFilter());
+        render();
+    });
+
+    render();
+
+    return { getFilters, setFilters };
+}
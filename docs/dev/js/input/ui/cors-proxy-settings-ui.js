@@ -0,0 +1,271 @@
+/**
+ * CORS proxy settings interface
+ * Lets users reorder, disable and add CORS proxies and run a health check
+ * against the current API URL
+ * @module input/ui/cors-proxy-settings-ui
+ */
+
+import { createElement, showMessage } from '../../ui/components.js';
+import {
+    PROXY_RESPONSE_MODES,
+    getCorsProxySettings,
+    getShareableCorsProxySettings,
+    setCorsProxySettings,
+    useProjectCorsProxySettings,
+    useBrowserCorsProxySettings,
+    isUsingProjectCorsProxySettings,
+    listCorsProxies,
+    validateCustomCorsProxy
+} from '../../utils/cors-proxy-registry.js';
+import { checkCorsProxyHealth } from '../../utils/cors-proxy.js';
+
+/**
+ * Parses "Name: value" lines into a headers object
+ * @param {string} text - One header per line
+ * @returns {Object} Header name to value
+ */
+function parseHeaderLines(text) {
+    return String(text || '').split(/\r?\n/).reduce((headers, line) => {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+            const name = line.slice(0, separator).trim();
+            const value = line.slice(separator + 1).trim();
+            if (name) headers[name] = value;
+        }
+        return headers;
+    }, {});
+}
+
+function describeHealth(result) {
+    if (!result) return '';
+    return result.ok
+        ? `✅ ${result.latencyMs} ms`
+        : `❌ ${result.error}`;
+}
+
+/**
+ * Wires up the CORS proxy panel in the input step
+ * @param {Object} handlers - Callbacks supplied by the input step
+ * @param {Function} handlers.getTestUrl - Returns the URL used for health checks, or null
+ * @param {Function} handlers.onChange - Called with the new settings after every change
+ * @returns {{refresh: Function, suggestSettings: Function, useBrowserSettings: Function}} Panel controls
+ */
+export function setupCorsProxySettings({ getTestUrl, onChange } = {}) {
+    const listContainer = document.getElementById('cors-proxy-list');
+    const healthCheckButton = document.getElementById('check-cors-proxies');
+    const nameInput = document.getElementById('cors-proxy-name');
+    const templateInput = document.getElementById('cors-proxy-template');
+    const responseModeSelect = document.getElementById('cors-proxy-response-mode');
+    const responseFieldInput = document.getElementById('cors-proxy-response-field');
+    const headersInput = document.getElementById('cors-proxy-headers');
+    const trustedInput = document.getElementById('cors-proxy-trusted');
+    const addButton = document.getElementById('add-cors-proxy');
+
+    const healthResults = new Map();
+
+    function updateSettings(mutate) {
+        const settings = getCorsProxySettings();
+        mutate(settings);
+        const savedSettings = setCorsProxySettings(settings);
+        render();
+        onChange?.(savedSettings);
+    }
+
+    function moveProxy(id, offset) {
+        updateSettings(settings => {
+            const index = settings.order.indexOf(id);
+            const targetIndex = index + offset;
+            if (index < 0 || targetIndex < 0 || targetIndex >= settings.order.length) return;
+            [settings.order[index], settings.order[targetIndex]] = [settings.order[targetIndex], settings.order[index]];
+        });
+    }
+
+    function setProxyEnabled(id, enabled) {
+        updateSettings(settings => {
+            settings.disabled = settings.disabled.filter(disabledId => disabledId !== id);
+            if (!enabled) settings.disabled.push(id);
+        });
+    }
+
+    function removeProxy(id) {
+        healthResults.delete(id);
+        updateSettings(settings => {
+            settings.customProxies = settings.customProxies.filter(entry => entry.id !== id);
+        });
+    }
+
+    function render() {
+        if (!listContainer) return;
+
+        const proxies = listCorsProxies();
+        const rows = proxies.map(({ proxy, builtIn, enabled }, index) => {
+            let typeLabel = 'Public service';
+            if (!builtIn) {
+                typeLabel = proxy.trustedWithApiKey ? 'Custom, trusted with API keys' : 'Custom';
+            }
+
+            const enabledCheckbox = createElement('input', {
+                type: 'checkbox',
+                checked: enabled,
+                'aria-label': `Use ${proxy.name}`,
+                onChange: event => setProxyEnabled(proxy.id, event.target.checked)
+            });
+
+            const actions = [
+                createElement('button', {
+                    type: 'button',
+                    className: 'button button--secondary',
+                    title: 'Try earlier',
+                    disabled: index === 0,
+                    onClick: () => moveProxy(proxy.id, -1)
+                }, '↑'),
+                createElement('button', {
+                    type: 'button',
+                    className: 'button button--secondary',
+                    title: 'Try later',
+                    disabled: index === proxies.length - 1,
+                    onClick: () => moveProxy(proxy.id, 1)
+                }, '↓')
+            ];
+            if (!builtIn) {
+                actions.push(createElement('button', {
+                    type: 'button',
+                    className: 'button button--secondary',
+                    title: 'Remove proxy',
+                    onClick: () => removeProxy(proxy.id)
+                }, '×'));
+            }
+
+            return createElement('tr', { className: enabled ? '' : 'cors-proxy--disabled' }, [
+                createElement('td', {}, enabledCheckbox),
+                createElement('td', {}, proxy.name),
+                createElement('td', { className: 'muted' }, typeLabel),
+                createElement('td', { className: 'cors-proxy-health' }, describeHealth(healthResults.get(proxy.id))),
+                createElement('td', { className: 'cors-proxy-actions' }, actions)
+            ]);
+        });
+
+        listContainer.innerHTML = '';
+        if (isUsingProjectCorsProxySettings()) {
+            listContainer.appendChild(createElement('p', { className: 'api-parameter-hint cors-proxy-project-notice' }, [
+                'Using the proxy settings from this project for this tab. Your saved settings are unchanged. ',
+                createElement('button', {
+                    type: 'button',
+                    className: 'button button--secondary',
+                    onClick: useBrowserSettings
+                }, 'Use My Settings')
+            ]));
+        }
+        listContainer.appendChild(createElement('table', { className: 'cors-proxy-table' }, [
+            createElement('thead', {}, createElement('tr', {},
+                ['Use', 'Proxy', 'Type', 'Health', 'Order'].map(label => createElement('th', {}, label))
+            )),
+            createElement('tbody', {}, rows)
+        ]));
+    }
+
+    function addProxy() {
+        const entry = {
+            id: `custom-${Date.now().toString(36)}`,
+            name: nameInput?.value.trim() || '',
+            urlTemplate: templateInput?.value.trim() || '',
+            responseMode: responseModeSelect?.value || PROXY_RESPONSE_MODES.RAW,
+            responseField: responseFieldInput?.value.trim() || '',
+            headers: parseHeaderLines(headersInput?.value),
+            trustedWithApiKey: Boolean(trustedInput?.checked)
+        };
+
+        const validationError = validateCustomCorsProxy(entry);
+        if (validationError) {
+            showMessage(validationError, 'error');
+            return;
+        }
+
+        updateSettings(settings => {
+            settings.customProxies.push(entry);
+            // New self-hosted proxies are tried first
+            settings.order.unshift(entry.id);
+        });
+
+        [nameInput, templateInput, responseFieldInput, headersInput].forEach(input => {
+            if (input) input.value = '';
+        });
+        if (trustedInput) trustedInput.checked = false;
+        showMessage(`Added proxy ${entry.name}`, 'success');
+    }
+
+    async function runHealthCheck() {
+        const testUrl = getTestUrl?.();
+        if (!testUrl) {
+            showMessage('Enter a valid API URL to test the proxies against', 'warning');
+            return;
+        }
+
+        healthCheckButton.disabled = true;
+        healthResults.clear();
+        render();
+
+        try {
+            await checkCorsProxyHealth(testUrl, {
+                onResult: result => {
+                    healthResults.set(result.id, result);
+                    render();
+                }
+            });
+        } finally {
+            healthCheckButton.disabled = false;
+        }
+    }
+
+    function updateResponseFieldVisibility() {
+        if (responseFieldInput) {
+            responseFieldInput.disabled = responseModeSelect?.value !== PROXY_RESPONSE_MODES.JSON_FIELD;
+        }
+    }
+
+    /**
+     * Offers proxy settings from a loaded project or restored session
+     * Settings that differ from the ones in use are only applied for this tab,
+     * and only after the user agrees; they are never saved in this browser.
+     * @param {Object} projectSettings - Proxy settings stored with the project
+     * @returns {boolean} True when the project's settings are in use
+     */
+    function suggestSettings(projectSettings) {
+        const suggested = JSON.stringify(getShareableCorsProxySettings(projectSettings));
+        if (suggested === JSON.stringify(getShareableCorsProxySettings())) {
+            return true;
+        }
+
+        const accepted = confirm(
+            'This project comes with its own CORS proxy settings, which may include proxies you have not added yourself.\n\n' +
+            'Use them for this browser tab? Your saved proxy settings are not changed, and requests with an API key are never sent through proxies from a project.'
+        );
+        if (accepted) {
+            useProjectCorsProxySettings(projectSettings);
+            healthResults.clear();
+            render();
+            onChange?.(getCorsProxySettings());
+        }
+        return accepted;
+    }
+
+    /**
+     * Goes back to the proxy settings saved in this browser
+     */
+    function useBrowserSettings() {
+        if (!isUsingProjectCorsProxySettings()) return;
+        const settings = useBrowserCorsProxySettings();
+        healthResults.clear();
+        render();
+        onChange?.(settings);
+    }
+
+    addButton?.addEventListener('click', addProxy);
+    healthCheckButton?.addEventListener('click', runHealthCheck);
+    responseModeSelect?.addEventListener('change', updateResponseFieldVisibility);
+
+    updateResponseFieldVisibility();
+    render();
+
+    return { refresh: render, suggestSettings, useBrowserSettings };
+}
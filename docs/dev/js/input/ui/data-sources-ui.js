@@ -0,0 +1,70 @@
+/**
+ * Data sources interface
+ * Lists the Omeka installations combined in the current project
+ * @module input/ui/data-sources-ui
+ */
+
+import { createElement } from '../../ui/components.js';
+
+/**
+ * Renders the list of data sources
+ * @param {HTMLElement} container - Element the list renders into
+ * @param {Array<Object>} sources - Data sources of the project
+ * @param {Object} [options] - Rendering options
+ * @param {Map<string, number>} [options.itemCounts] - Current item count per source id
+ * @param {Function} [options.onRefetch] - Called with a source to fetch its items again
+ * @param {Function} [options.onRemove] - Called with a source to drop it and its items
+ */
+export function renderDataSourcesList(container, sources = [], { itemCounts = new Map(), onRefetch, onRemove } = {}) {
+    if (!container) return;
+    container.innerHTML = '';
+
+    if (sources.length === 0) {
+        container.appendChild(createElement('p', { className: 'placeholder' },
+            'This project uses a single source. Add another API URL to combine installations.'
+        ));
+        return;
+    }
+
+    const list = createElement('ul', { className: 'data-sources-list' }, sources.map(source => {
+        const itemCount = itemCounts.get(source.id) ?? source.itemCount ?? 0;
+        const details = [`${itemCount} item${itemCount === 1 ? '' : 's'}`];
+        if (source.fetchedAt) {
+            details.push(`fetched ${new Date(source.fetchedAt).toLocaleString()}`);
+        }
+        if (source.proxyUsed) {
+            details.push(`via ${source.proxyUsed}`);
+        }
+
+        const actions = [];
+        if (source.apiUrl && onRefetch) {
+            actions.push(createElement('button', {
+                type: 'button',
+                className: 'button button--secondary',
+                onClick: () => onRefetch(source)
+            }, 'Fetch Again'));
+        }
+        if (onRemove) {
+            actions.push(createElement('button', {
+                type: 'button',
+                className: 'button button--secondary',
+                // The project always keeps at least one source
+                disabled: sources.length < 2,
+                onClick: () => onRemove(source)
+            }, 'Remove'));
+        }
+
+        return createElement('li', { className: 'data-source' }, [
+            createElement('div', { className: 'data-source__info' }, [
+                createElement('strong', {}, source.name),
+                createElement('span', { className: 'muted' }, ` (${details.join(', ')})`),
+                source.apiUrl
+                    ? createElement('div', { className: 'data-source__url' }, source.apiUrl)
+                    : null
+            ].filter(Boolean)),
+            createElement('div', { className: 'data-source__actions' }, actions)
+        ]);
+    }));
+
+    container.appendChild(list);
+}
@@ -0,0 +1,210 @@
+/**
+ * Item filter interface
+ * Renders the filter and sampling panel shown in the input step once data
+ * is loaded
+ * @module input/ui/item-filter-ui
+ */
+
+import { createElement } from '../../ui/components.js';
+import {
+    FILTER_PREDICATE_TYPES,
+    SAMPLING_MODES,
+    STRATIFY_OPTIONS,
+    createItemFilter,
+    createFilterPredicate,
+    createSampleSeed,
+    getPredicatePatternError
+} from '../core/item-filter.js';
+
+const PREDICATE_OPTIONS = [
+    { value: FILTER_PREDICATE_TYPES.FIELD_PRESENT, label: 'has a value for', usesField: true, usesValue: false },
+    { value: FILTER_PREDICATE_TYPES.FIELD_MISSING, label: 'has no value for', usesField: true, usesValue: false },
+    { value: FILTER_PREDICATE_TYPES.VALUE_REGEX, label: 'has a value matching', usesField: true, usesValue: true, valuePlaceholder: 'Regular expression, e.g. ^1[89]' },
+    { value: FILTER_PREDICATE_TYPES.RESOURCE_CLASS, label: 'has resource class', usesField: false, usesValue: true, valuePlaceholder: 'Class ID(s), e.g. 40, 41' },
+    { value: FILTER_PREDICATE_TYPES.RESOURCE_TEMPLATE, label: 'uses resource template', usesField: false, usesValue: true, valuePlaceholder: 'Template ID(s), e.g. 6' }
+];
+
+function getPredicateOption(type) {
+    return PREDICATE_OPTIONS.find(option => option.value === type) || PREDICATE_OPTIONS[0];
+}
+
+/**
+ * Wires up the item filter panel
+ * @param {Object} handlers - Callbacks supplied by the input step
+ * @param {Function} handlers.onApply - Called with the filter to apply, or null to clear it
+ * @returns {{setFilter: Function, setFieldOptions: Function, setSummary: Function, setVisible: Function}} Panel controls
+ */
+export function setupItemFilterPanel({ onApply } = {}) {
+    const panel = document.getElementById('item-filter-panel');
+    const rowsContainer = document.getElementById('item-filter-rows');
+    const addRowButton = document.getElementById('add-item-filter-row');
+    const fieldOptions = document.getElementById('item-filter-fields');
+    const samplingModeSelect = document.getElementById('item-filter-sampling-mode');
+    const sampleSizeInput = document.getElementById('item-filter-sample-size');
+    const stratifyBySelect = document.getElementById('item-filter-stratify-by');
+    const resampleButton = document.getElementById('item-filter-resample');
+    const applyButton = document.getElementById('apply-item-filter');
+    const clearButton = document.getElementById('clear-item-filter');
+    const summary = document.getElementById('item-filter-summary');
+
+    let filter = createItemFilter();
+
+    if (stratifyBySelect && stratifyBySelect.options.length === 0) {
+        STRATIFY_OPTIONS.forEach(option => {
+            stratifyBySelect.appendChild(createElement('option', { value: option.value }, option.label));
+        });
+    }
+
+    function renderRows() {
+        if (!rowsContainer) return;
+        rowsContainer.innerHTML = '';
+
+        if (filter.predicates.length === 0) {
+            rowsContainer.appendChild(createElement('p', { className: 'placeholder' }, 'No conditions, all items are kept'));
+            return;
+        }
+
+        filter.predicates.forEach((predicate, index) => {
+            const option = getPredicateOption(predicate.type);
+
+            const fieldInput = createElement('input', {
+                type: 'text',
+                value: predicate.field,
+                list: 'item-filter-fields',
+                placeholder: 'Field, e.g. dcterms:date',
+                'aria-label': 'Field',
+                disabled: !option.usesField
+            });
+            fieldInput.addEventListener('input', () => {
+                predicate.field = fieldInput.value.trim();
+            });
+
+            const valueInput = createElement('input', {
+                type: 'text',
+                value: predicate.value,
+                placeholder: option.valuePlaceholder || '',
+                'aria-label': 'Value',
+                disabled: !option.usesValue
+            });
+            valueInput.addEventListener('input', () => {
+                predicate.value = valueInput.value;
+                const patternError = predicate.type === FILTER_PREDICATE_TYPES.VALUE_REGEX
+                    ? getPredicatePatternError(predicate)
+                    : null;
+                valueInput.setCustomValidity(patternError || '');
+                valueInput.title = patternError || '';
+            });
+
+            const typeSelect = createElement('select', {
+                'aria-label': 'Condition',
+                onChange: event => {
+                    predicate.type = event.target.value;
+                    renderRows();
+                }
+            }, PREDICATE_OPTIONS.map(entry => createElement('option', {
+                value: entry.value,
+                selected: entry.value === predicate.type
+            }, entry.label)));
+
+            const removeButton = createElement('button', {
+                type: 'button',
+                className: 'button button--secondary',
+                title: 'Remove condition',
+                onClick: () => {
+                    filter.predicates.splice(index, 1);
+                    renderRows();
+                }
+            }, '×');
+
+            rowsContainer.appendChild(createElement('div', { className: 'item-filter-row' }, [
+                createElement('span', { className: 'item-filter-row__joiner' }, index === 0 ? 'Keep items that' : 'and'),
+                typeSelect,
+                fieldInput,
+                valueInput,
+                removeButton
+            ]));
+        });
+    }
+
+    function renderSampling() {
+        if (samplingModeSelect) samplingModeSelect.value = filter.sampling.mode;
+        if (sampleSizeInput) {
+            sampleSizeInput.value = filter.sampling.size;
+            sampleSizeInput.disabled = filter.sampling.mode === SAMPLING_MODES.NONE;
+        }
+        if (stratifyBySelect) {
+            stratifyBySelect.value = filter.sampling.stratifyBy;
+            stratifyBySelect.disabled = filter.sampling.mode !== SAMPLING_MODES.STRATIFIED;
+        }
+        if (resampleButton) {
+            resampleButton.disabled = filter.sampling.mode === SAMPLING_MODES.NONE;
+        }
+    }
+
+    function readFilter() {
+        return {
+            predicates: filter.predicates.map(predicate => ({ ...predicate })),
+            sampling: {
+                ...filter.sampling,
+                size: Math.max(1, Math.floor(Number(sampleSizeInput?.value) || filter.sampling.size))
+            }
+        };
+    }
+
+    /**
+     * Shows a stored filter in the panel
+     * @param {Object|null} nextFilter - Filter from project state
+     */
+    function setFilter(nextFilter) {
+        const defaults = createItemFilter();
+        filter = {
+            predicates: (nextFilter?.predicates || []).map(predicate => ({ ...createFilterPredicate(), ...predicate })),
+            sampling: { ...defaults.sampling, ...(nextFilter?.sampling || {}) }
+        };
+        renderRows();
+        renderSampling();
+    }
+
+    /**
+     * Offers the fields of the loaded items as suggestions
+     * @param {Array<string>} keys - Item field keys
+     */
+    function setFieldOptions(keys) {
+        if (!fieldOptions) return;
+        fieldOptions.innerHTML = '';
+        keys.forEach(key => fieldOptions.appendChild(createElement('option', { value: key })));
+    }
+
+    function setSummary(text) {
+        if (summary) summary.textContent = text;
+    }
+
+    function setVisible(visible) {
+        if (panel) panel.style.display = visible ? 'block' : 'none';
+    }
+
+    addRowButton?.addEventListener('click', () => {
+        filter.predicates.push(createFilterPredicate());
+        renderRows();
+    });
+    samplingModeSelect?.addEventListener('change', () => {
+        filter.sampling.mode = samplingModeSelect.value;
+        renderSampling();
+    });
+    stratifyBySelect?.addEventListener('change', () => {
+        filter.sampling.stratifyBy = stratifyBySelect.value;
+    });
+    resampleButton?.addEventListener('click', () => {
+        filter.sampling.seed = createSampleSeed();
+        onApply?.(readFilter());
+    });
+    applyButton?.addEventListener('click', () => onApply?.(readFilter()));
+    clearButton?.addEventListener('click', () => {
+        setFilter(null);
+        onApply?.(null);
+    });
+
+    setFilter(null);
+
+    return { setFilter, setFieldOptions, setSummary, setVisible };
+}
@@ -0,0 +1,162 @@
+/**
+ * OAI-PMH harvesting interface
+ * Handles the OAI-PMH panel in the input step: loading sets, choosing a
+ * datestamp window and running a ListRecords harvest
+ * @module input/ui/oai-pmh-ui
+ */
+
+import { createElement, showMessage } from '../../ui/components.js';
+import { harvestOaiPmh, listOaiPmhSets } from '../core/oai-pmh-harvester.js';
+
+function isHttpUrl(value) {
+    try {
+        const parsedUrl = new URL(value);
+        return parsedUrl.protocol === 'http:' || parsedUrl.protocol === 'https:';
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Wires up the OAI-PMH panel in the input step
+ * @param {Object} handlers - Callbacks supplied by the input step
+ * @param {Function} handlers.onShow - Called when the panel opens
+ * @param {Function} handlers.onHide - Called with ({imported}) when the panel closes
+ * @param {Function} handlers.onBeforeHarvest - Called before the first request; returns false to cancel
+ * @param {Function} handlers.onImport - Called with (items, details) after a successful harvest
+ * @returns {{show: Function, hide: Function}} Panel controls
+ */
+export function setupOaiPmhHarvest({ onShow, onHide, onBeforeHarvest, onImport } = {}) {
+    const openButton = document.getElementById('oai-pmh-button');
+    const area = document.getElementById('oai-pmh-area');
+    const baseUrlInput = document.getElementById('oai-pmh-base-url');
+    const setSelect = document.getElementById('oai-pmh-set');
+    const loadSetsButton = document.getElementById('oai-pmh-load-sets');
+    const fromInput = document.getElementById('oai-pmh-from');
+    const untilInput = document.getElementById('oai-pmh-until');
+    const harvestButton = document.getElementById('oai-pmh-harvest-button');
+    const cancelButton = document.getElementById('cancel-oai-pmh');
+    const statusElement = document.getElementById('oai-pmh-status');
+
+    let harvesting = false;
+
+    function setStatus(message) {
+        if (statusElement) statusElement.textContent = message;
+    }
+
+    function show() {
+        if (!area) return;
+        area.style.display = 'block';
+        baseUrlInput?.focus();
+        onShow?.();
+    }
+
+    function hide({ imported = false } = {}) {
+        if (!area || area.style.display === 'none' || harvesting) return;
+        area.style.display = 'none';
+        setStatus('');
+        onHide?.({ imported });
+    }
+
+    function getBaseUrl() {
+        const baseUrl = baseUrlInput?.value.trim() || '';
+        if (!isHttpUrl(baseUrl)) {
+            showMessage('Please enter a valid OAI-PMH base URL (e.g., https://example.org/oai)', 'error');
+            return null;
+        }
+        return baseUrl;
+    }
+
+    async function loadSets() {
+        const baseUrl = getBaseUrl();
+        if (!baseUrl || !setSelect) return;
+
+        loadSetsButton.disabled = true;
+        setStatus('Loading sets...');
+
+        try {
+            const sets = await listOaiPmhSets(baseUrl);
+            const previousValue = setSelect.value;
+            setSelect.innerHTML = '';
+            setSelect.appendChild(createElement('option', { value: '' }, 'All records'));
+            sets.forEach(set => {
+                setSelect.appendChild(createElement('option', {
+                    value: set.setSpec,
+                    selected: set.setSpec === previousValue
+                }, set.setName ? `${set.setName} (${set.setSpec})` : set.setSpec));
+            });
+            setStatus(sets.length > 0
+                ? `${sets.length} set${sets.length === 1 ? '' : 's'} available`
+                : 'This repository does not offer sets');
+        } catch (error) {
+            setStatus('');
+            showMessage(`Could not load sets: ${error.message}`, 'error');
+        } finally {
+            loadSetsButton.disabled = false;
+        }
+    }
+
+    async function harvest() {
+        const baseUrl = getBaseUrl();
+        if (!baseUrl) return;
+
+        const from = fromInput?.value || '';
+        const until = untilInput?.value || '';
+        if (from && until && from > until) {
+            showMessage('The "from" date must not be after the "until" date', 'error');
+            return;
+        }
+
+        if (onBeforeHarvest?.() === false) {
+            return;
+        }
+
+        harvesting = true;
+        harvestButton.disabled = true;
+        setStatus('Harvesting records...');
+
+        try {
+            const result = await harvestOaiPmh(baseUrl, {
+                set: setSelect?.value || '',
+                from,
+                until,
+                onProgress: ({ pages, records, completeListSize }) => {
+                    const total = completeListSize ? ` of ${completeListSize}` : '';
+                    setStatus(`Harvested ${records}${total} records (${pages} page${pages === 1 ? '' : 's'})...`);
+                }
+            });
+
+            if (result.items.length === 0) {
+                setStatus('No records match this selection.');
+                return;
+            }
+
+            onImport?.(result.items, {
+                baseUrl,
+                set: setSelect?.value || '',
+                from,
+                until,
+                pages: result.pages,
+                deletedCount: result.deletedCount,
+                truncated: result.truncated,
+                method: result.method,
+                proxyUsed: result.proxyUsed
+            });
+            harvesting = false;
+            hide({ imported: true });
+        } catch (error) {
+            setStatus('');
+            showMessage(`OAI-PMH harvest failed: ${error.message}`, 'error', 6000);
+        } finally {
+            harvesting = false;
+            harvestButton.disabled = false;
+        }
+    }
+
+    openButton?.addEventListener('click', show);
+    cancelButton?.addEventListener('click', () => hide());
+    loadSetsButton?.addEventListener('click', loadSets);
+    harvestButton?.addEventListener('click', harvest);
+
+    return { show, hide };
+}
@@ -0,0 +1,246 @@
+/**
+ * Spreadsheet import interface
+ * Handles the CSV/TSV panel in the input step: reading files, previewing
+ * columns and letting the user adjust the column configuration before import
+ * @module input/ui/spreadsheet-import-ui
+ */
+
+import { createElement, showMessage } from '../../ui/components.js';
+import {
+    SPREADSHEET_COLUMN_ROLES,
+    SPREADSHEET_VALUE_TYPES,
+    parseDelimitedText,
+    suggestColumnConfig,
+    convertRowsToItems
+} from '../core/spreadsheet-import.js';
+
+const ROLE_LABELS = {
+    [SPREADSHEET_COLUMN_ROLES.PROPERTY]: 'Property',
+    [SPREADSHEET_COLUMN_ROLES.IDENTIFIER]: 'Item identifier',
+    [SPREADSHEET_COLUMN_ROLES.LANGUAGE]: 'Language of another column',
+    [SPREADSHEET_COLUMN_ROLES.IGNORE]: 'Ignore'
+};
+
+const VALUE_TYPE_LABELS = {
+    [SPREADSHEET_VALUE_TYPES.LITERAL]: 'Text',
+    [SPREADSHEET_VALUE_TYPES.URI]: 'URI'
+};
+
+function createSelect(options, selectedValue, onChange) {
+    return createElement('select', { onChange: event => onChange(event.target.value) },
+        options.map(({ value, label }) => createElement('option', {
+            value,
+            selected: String(value) === String(selectedValue)
+        }, label))
+    );
+}
+
+/**
+ * Renders the editable column configuration table
+ * Edits are written straight into the column objects.
+ * @param {HTMLElement} container - Element to render into
+ * @param {Array<Object>} columns - Column configuration from suggestColumnConfig
+ * @param {Array<string>} sampleRow - First data row, shown as a preview per column
+ */
+export function renderColumnConfigTable(container, columns, sampleRow = []) {
+    if (!container) {
+        return;
+    }
+
+    const rerender = () => renderColumnConfigTable(container, columns, sampleRow);
+    const languageColumnOptions = [
+        { value: '', label: 'None' },
+        ...columns
+            .filter(column => column.role === SPREADSHEET_COLUMN_ROLES.LANGUAGE)
+            .map(column => ({ value: column.index, label: column.header }))
+    ];
+
+    const headerRow = createElement('tr', {}, [
+        'Column', 'Use as', 'Key', 'Value type', 'Multi-value delimiter', 'Language column', 'Fixed language'
+    ].map(label => createElement('th', {}, label)));
+
+    const rows = columns.map(column => {
+        const isProperty = column.role === SPREADSHEET_COLUMN_ROLES.PROPERTY;
+        const sample = String(sampleRow[column.index] ?? '');
+
+        const roleSelect = createSelect(
+            Object.entries(ROLE_LABELS).map(([value, label]) => ({ value, label })),
+            column.role,
+            value => {
+                column.role = value;
+                if (value !== SPREADSHEET_COLUMN_ROLES.LANGUAGE) {
+                    columns.forEach(other => {
+                        if (other.languageColumn === column.index) {
+                            other.languageColumn = null;
+                        }
+                    });
+                }
+                rerender();
+            }
+        );
+
+        const keyInput = createElement('input', { type: 'text', value: column.property, placeholder: 'dcterms:title' });
+        keyInput.addEventListener('input', () => {
+            column.property = keyInput.value.trim();
+        });
+
+        const delimiterInput = createElement('input', { type: 'text', value: column.delimiter || '', className: 'spreadsheet-delimiter-input' });
+        delimiterInput.addEventListener('input', () => {
+            column.delimiter = delimiterInput.value;
+        });
+
+        const languageInput = createElement('input', { type: 'text', value: column.language || '', placeholder: 'en', className: 'spreadsheet-language-input' });
+        languageInput.addEventListener('input', () => {
+            column.language = languageInput.value.trim();
+        });
+
+        const propertyCells = isProperty
+            ? [
+                createElement('td', {}, keyInput),
+                createElement('td', {}, createSelect(
+                    Object.entries(VALUE_TYPE_LABELS).map(([value, label]) => ({ value, label })),
+                    column.valueType,
+                    value => { column.valueType = value; }
+                )),
+                createElement('td', {}, delimiterInput),
+                createElement('td', {}, createSelect(languageColumnOptions, column.languageColumn ?? '', value => {
+                    column.languageColumn = value === '' ? null : Number(value);
+                })),
+                createElement('td', {}, languageInput)
+            ]
+            : [createElement('td', { colspan: '5', className: 'placeholder' }, '—')];
+
+        return createElement('tr', {}, [
+            createElement('td', {}, [
+                createElement('strong', {}, column.header || `Column ${column.index + 1}`),
+                createElement('div', { className: 'spreadsheet-sample' }, sample.length > 40 ? `${sample.substring(0, 40)}...` : sample)
+            ]),
+            createElement('td', {}, roleSelect),
+            ...propertyCells
+        ]);
+    });
+
+    container.innerHTML = '';
+    container.appendChild(createElement('table', { className: 'spreadsheet-column-table' }, [
+        createElement('thead', {}, headerRow),
+        createElement('tbody', {}, rows)
+    ]));
+}
+
+/**
+ * Wires up the spreadsheet import panel in the input step
+ * @param {Object} handlers - Callbacks supplied by the input step
+ * @param {Function} handlers.onShow - Called when the panel opens
+ * @param {Function} handlers.onHide - Called with ({imported}) when the panel closes
+ * @param {Function} handlers.onImport - Called with (items, {fileName, columns}); returns false to keep the panel open
+ * @returns {{show: Function, hide: Function}} Panel controls
+ */
+export function setupSpreadsheetImport({ onShow, onHide, onImport } = {}) {
+    const openButton = document.getElementById('spreadsheet-import-button');
+    const area = document.getElementById('spreadsheet-import-area');
+    const fileInput = document.getElementById('spreadsheet-file-input');
+    const textarea = document.getElementById('spreadsheet-textarea');
+    const delimiterSelect = document.getElementById('spreadsheet-delimiter');
+    const columnConfigContainer = document.getElementById('spreadsheet-column-config');
+    const previewButton = document.getElementById('preview-spreadsheet-button');
+    const importButton = document.getElementById('process-spreadsheet-button');
+    const cancelButton = document.getElementById('cancel-spreadsheet');
+
+    let parsedRows = [];
+    let columns = [];
+    let fileName = '';
+
+    function resetPreview() {
+        parsedRows = [];
+        columns = [];
+        if (columnConfigContainer) columnConfigContainer.innerHTML = '';
+        if (importButton) importButton.disabled = true;
+    }
+
+    function show() {
+        if (!area) return;
+        area.style.display = 'block';
+        textarea?.focus();
+        onShow?.();
+    }
+
+    function hide({ imported = false } = {}) {
+        if (!area || area.style.display === 'none') return;
+        area.style.display = 'none';
+        if (textarea) textarea.value = '';
+        if (fileInput) fileInput.value = '';
+        fileName = '';
+        resetPreview();
+        onHide?.({ imported });
+    }
+
+    function preview() {
+        const text = textarea?.value || '';
+        if (!text.trim()) {
+            showMessage('Choose a CSV/TSV file or paste spreadsheet data first', 'warning');
+            return;
+        }
+
+        const delimiter = delimiterSelect?.value === 'tab' ? '\t' : delimiterSelect?.value || null;
+        const rows = parseDelimitedText(text, delimiter);
+        if (rows.length < 2) {
+            resetPreview();
+            showMessage('Spreadsheet must contain a header row and at least one data row', 'error');
+            return;
+        }
+
+        parsedRows = rows;
+        columns = suggestColumnConfig(rows[0]);
+        renderColumnConfigTable(columnConfigContainer, columns, rows[1]);
+        if (importButton) importButton.disabled = false;
+    }
+
+    function importRows() {
+        if (parsedRows.length < 2) {
+            preview();
+            if (parsedRows.length < 2) return;
+        }
+
+        const items = convertRowsToItems(parsedRows.slice(1), columns);
+        const hasValues = items.some(item => columns.some(column =>
+            column.role === SPREADSHEET_COLUMN_ROLES.PROPERTY && Array.isArray(item[column.property])
+        ));
+
+        if (!hasValues) {
+            showMessage('No property values found. Mark at least one column as a property.', 'error');
+            return;
+        }
+
+        if (onImport?.(items, { fileName, columns }) === false) {
+            return;
+        }
+
+        hide({ imported: true });
+    }
+
+    openButton?.addEventListener('click', show);
+    cancelButton?.addEventListener('click', () => hide());
+    previewButton?.addEventListener('click', preview);
+    importButton?.addEventListener('click', importRows);
+    textarea?.addEventListener('input', resetPreview);
+    delimiterSelect?.addEventListener('change', () => {
+        if (parsedRows.length > 0) preview();
+    });
+
+    fileInput?.addEventListener('change', async () => {
+        const file = fileInput.files?.[0];
+        if (!file) return;
+
+        try {
+            const text = await file.text();
+            fileName = file.name;
+            if (textarea) textarea.value = text;
+            if (delimiterSelect && /\.tsv$/i.test(file.name)) delimiterSelect.value = 'tab';
+            preview();
+        } catch (error) {
+            showMessage(`Could not read ${file.name}: ${error.message}`, 'error');
+        }
+    });
+
+    return { show, hide };
+}
@@ -0,0 +1,384 @@
+/**
+ * Automatic first-pass mapping module
+ * Proposes Wikidata properties for Omeka vocabulary terms from an editable
+ * crosswalk, value-based identifier detection and the selected Entity Schema
+ * @module mapping/core/auto-mapper
+ */
+
+import { IDENTIFIER_PROPERTY_MAPPINGS } from '../../utils/identifier-detection.js';
+import { EXTRACTION_MODES } from './value-resolution.js';
+import { getOmekaFieldFriendlyName } from './data-analyzer.js';
+
+/**
+ * Confidence levels, strongest first
+ */
+export const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+/**
+ * Wikidata datatypes a crosswalk entry can declare
+ */
+export const CROSSWALK_DATATYPES = [
+    { value: 'wikibase-item', label: 'Item' },
+    { value: 'string', label: 'String' },
+    { value: 'monolingualtext', label: 'Monolingual text' },
+    { value: 'external-id', label: 'External identifier' },
+    { value: 'time', label: 'Point in time' },
+    { value: 'quantity', label: 'Quantity' },
+    { value: 'url', label: 'URL' },
+    { value: 'globe-coordinate', label: 'Geographic coordinates' }
+];
+
+const DATATYPE_LABELS = Object.fromEntries(CROSSWALK_DATATYPES.map(entry => [entry.value, entry.label]));
+
+/**
+ * Label, description and aliases are mapped like properties but are not
+ * Wikidata properties
+ */
+const METADATA_PROPERTIES = {
+    label: {
+        id: 'label',
+        label: 'Labels',
+        description: 'Main name for entities',
+        datatype: 'monolingualtext',
+        datatypeLabel: 'Monolingual text',
+        isMetadata: true,
+        helpUrl: 'https://www.wikidata.org/wiki/Help:Label'
+    },
+    description: {
+        id: 'description',
+        label: 'Descriptions',
+        description: 'Short disambiguating phrases',
+        datatype: 'monolingualtext',
+        datatypeLabel: 'Monolingual text',
+        isMetadata: true,
+        helpUrl: 'https://www.wikidata.org/wiki/Help:Description'
+    },
+    aliases: {
+        id: 'aliases',
+        label: 'Aliases',
+        description: 'Alternative names',
+        datatype: 'monolingualtext',
+        datatypeLabel: 'Monolingual text',
+        isMetadata: true,
+        helpUrl: 'https://www.wikidata.org/wiki/Help:Aliases'
+    }
+};
+
+// Properties a project can only map once
+const SINGLETON_PROPERTY_IDS = new Set(['label', 'P31']);
+
+function entry(term, propertyId, propertyLabel, datatype, extractionMode, confidence) {
+    return { term, propertyId, propertyLabel, datatype, extractionMode, confidence };
+}
+
+// Identifier terms take their property from IDENTIFIER_PROPERTY_MAPPINGS so both stay in step
+function identifierEntry(term, identifierType, confidence) {
+    const mapping = IDENTIFIER_PROPERTY_MAPPINGS[identifierType];
+    return entry(term, mapping.propertyId, mapping.label, 'external-id', EXTRACTION_MODES.IDENTIFIER_OR_URI, confidence);
+}
+
+const TEXT = EXTRACTION_MODES.LITERAL_VALUE;
+const ITEM = EXTRACTION_MODES.DISPLAY_TEXT;
+const URI = EXTRACTION_MODES.URI_ONLY;
+
+/**
+ * Curated crosswalk from common Omeka S vocabulary terms to Wikidata
+ * A term may appear several times; the Entity Schema decides between them.
+ */
+export const DEFAULT_CROSSWALK = Object.freeze([
+    // Dublin Core
+    entry('dcterms:title', 'label', 'Labels', 'monolingualtext', TEXT, 'high'),
+    entry('dcterms:title', 'P1476', 'title', 'monolingualtext', TEXT, 'medium'),
+    entry('dcterms:alternative', 'aliases', 'Aliases', 'monolingualtext', TEXT, 'medium'),
+    entry('dcterms:description', 'description', 'Descriptions', 'monolingualtext', TEXT, 'low'),
+    entry('dcterms:creator', 'P170', 'creator', 'wikibase-item', ITEM, 'medium'),
+    entry('dcterms:creator', 'P50', 'author', 'wikibase-item', ITEM, 'medium'),
+    entry('dcterms:contributor', 'P767', 'contributor to the creative work or subject', 'wikibase-item', ITEM, 'low'),
+    entry('dcterms:publisher', 'P123', 'publisher', 'wikibase-item', ITEM, 'high'),
+    entry('dcterms:date', 'P571', 'inception', 'time', TEXT, 'medium'),
+    entry('dcterms:date', 'P577', 'publication date', 'time', TEXT, 'medium'),
+    entry('dcterms:created', 'P571', 'inception', 'time', TEXT, 'high'),
+    entry('dcterms:issued', 'P577', 'publication date', 'time', TEXT, 'high'),
+    entry('dcterms:language', 'P407', 'language of work or name', 'wikibase-item', ITEM, 'high'),
+    entry('dcterms:subject', 'P921', 'main subject', 'wikibase-item', ITEM, 'medium'),
+    entry('dcterms:spatial', 'P276', 'location', 'wikibase-item', ITEM, 'low'),
+    entry('dcterms:isPartOf', 'P361', 'part of', 'wikibase-item', ITEM, 'medium'),
+    entry('dcterms:hasPart', 'P527', 'has part(s)', 'wikibase-item', ITEM, 'medium'),
+    entry('dcterms:license', 'P275', 'copyright license', 'wikibase-item', ITEM, 'high'),
+    entry('dcterms:rights', 'P6216', 'copyright status', 'wikibase-item', ITEM, 'low'),
+    entry('dcterms:medium', 'P186', 'made from material', 'wikibase-item', ITEM, 'medium'),
+    entry('dcterms:type', 'P31', 'instance of', 'wikibase-item', ITEM, 'low'),
+    entry('dcterms:identifier', 'P217', 'inventory number', 'string', TEXT, 'low'),
+    entry('dcterms:extent', 'P1104', 'number of pages', 'quantity', TEXT, 'low'),
+    // Bibliographic Ontology
+    identifierEntry('bibo:isbn13', 'isbn', 'high'),
+    entry('bibo:isbn10', 'P957', 'ISBN-10', 'external-id', EXTRACTION_MODES.IDENTIFIER_OR_URI, 'high'),
+    identifierEntry('bibo:isbn', 'isbn', 'medium'),
+    identifierEntry('bibo:issn', 'issn', 'high'),
+    identifierEntry('bibo:doi', 'doi', 'high'),
+    identifierEntry('bibo:oclcnum', 'oclc', 'high'),
+    identifierEntry('bibo:handle', 'handle', 'high'),
+    entry('bibo:numPages', 'P1104', 'number of pages', 'quantity', TEXT, 'high'),
+    entry('bibo:volume', 'P478', 'volume', 'string', TEXT, 'high'),
+    entry('bibo:issue', 'P433', 'issue', 'string', TEXT, 'high'),
+    entry('bibo:edition', 'P393', 'edition number', 'string', TEXT, 'high'),
+    // FOAF
+    entry('foaf:name', 'label', 'Labels', 'monolingualtext', TEXT, 'high'),
+    entry('foaf:givenName', 'P735', 'given name', 'wikibase-item', ITEM, 'medium'),
+    entry('foaf:familyName', 'P734', 'family name', 'wikibase-item', ITEM, 'medium'),
+    entry('foaf:homepage', 'P856', 'official website', 'url', URI, 'medium'),
+    // Schema.org
+    entry('schema:name', 'label', 'Labels', 'monolingualtext', TEXT, 'high'),
+    entry('schema:alternateName', 'aliases', 'Aliases', 'monolingualtext', TEXT, 'medium'),
+    entry('schema:author', 'P50', 'author', 'wikibase-item', ITEM, 'high'),
+    entry('schema:creator', 'P170', 'creator', 'wikibase-item', ITEM, 'high'),
+    entry('schema:publisher', 'P123', 'publisher', 'wikibase-item', ITEM, 'high'),
+    entry('schema:dateCreated', 'P571', 'inception', 'time', TEXT, 'high'),
+    entry('schema:datePublished', 'P577', 'publication date', 'time', TEXT, 'high'),
+    entry('schema:birthDate', 'P569', 'date of birth', 'time', TEXT, 'high'),
+    entry('schema:deathDate', 'P570', 'date of death', 'time', TEXT, 'high'),
+    entry('schema:inLanguage', 'P407', 'language of work or name', 'wikibase-item', ITEM, 'high'),
+    entry('schema:genre', 'P136', 'genre', 'wikibase-item', ITEM, 'high'),
+    entry('schema:license', 'P275', 'copyright license', 'wikibase-item', ITEM, 'high'),
+    entry('schema:numberOfPages', 'P1104', 'number of pages', 'quantity', TEXT, 'high'),
+    identifierEntry('schema:isbn', 'isbn', 'medium'),
+    entry('schema:url', 'P856', 'official website', 'url', URI, 'low')
+]);
+
+/**
+ * Creates an empty crosswalk entry for the editor
+ * @returns {Object} Crosswalk entry
+ */
+export function createCrosswalkEntry() {
+    return entry('', '', '', 'wikibase-item', EXTRACTION_MODES.AUTO, 'medium');
+}
+
+/**
+ * Cleans up crosswalk entries loaded from a mapping file or the editor
+ * Entries without a term or property are dropped.
+ * @param {Array<Object>} entries - Raw crosswalk entries
+ * @returns {Array<Object>} Valid entries
+ */
+export function normalizeCrosswalk(entries) {
+    if (!Array.isArray(entries)) {
+        return [];
+    }
+
+    const extractionModes = new Set(Object.values(EXTRACTION_MODES));
+
+    return entries
+        .filter(raw => raw && typeof raw === 'object')
+        .map(raw => {
+            const propertyId = String(raw.propertyId ?? '').trim();
+            return {
+                term: String(raw.term ?? '').trim(),
+                propertyId: /^p\d+$/i.test(propertyId) ? propertyId.toUpperCase() : propertyId,
+                propertyLabel: String(raw.propertyLabel ?? '').trim(),
+                datatype: DATATYPE_LABELS[raw.datatype] ? raw.datatype : 'wikibase-item',
+                extractionMode: extractionModes.has(raw.extractionMode) ? raw.extractionMode : EXTRACTION_MODES.AUTO,
+                confidence: CONFIDENCE_LEVELS.includes(raw.confidence) ? raw.confidence : 'medium'
+            };
+        })
+        .filter(item => item.term && (METADATA_PROPERTIES[item.propertyId] || /^P\d+$/.test(item.propertyId)));
+}
+
+/**
+ * Returns the crosswalk in effect for a project
+ * @param {Array<Object>|null} customCrosswalk - Crosswalk edited by the user, or null for the defaults
+ * @returns {Array<Object>} Crosswalk entries
+ */
+export function getActiveCrosswalk(customCrosswalk) {
+    return Array.isArray(customCrosswalk)
+        ? normalizeCrosswalk(customCrosswalk)
+        : DEFAULT_CROSSWALK.map(item => ({ ...item }));
+}
+
+/**
+ * Builds the property object a crosswalk entry maps to
+ * Only ID, label and datatype are known here; constraints are fetched when
+ * the proposal is accepted.
+ * @param {Object} crosswalkEntry - Crosswalk entry
+ * @returns {Object} Property object as stored on mapped keys
+ */
+export function getCrosswalkProperty(crosswalkEntry) {
+    if (METADATA_PROPERTIES[crosswalkEntry.propertyId]) {
+        return { ...METADATA_PROPERTIES[crosswalkEntry.propertyId] };
+    }
+
+    return {
+        id: crosswalkEntry.propertyId,
+        label: crosswalkEntry.propertyLabel || crosswalkEntry.propertyId,
+        description: '',
+        datatype: crosswalkEntry.datatype,
+        datatypeLabel: DATATYPE_LABELS[crosswalkEntry.datatype] || crosswalkEntry.datatype,
+        url: `https://www.wikidata.org/wiki/Property:${crosswalkEntry.propertyId}`
+    };
+}
+
+/**
+ * Builds the identifier used to remember a rejected proposal
+ * @param {string} key - Omeka field key
+ * @param {string} propertyId - Proposed property ID
+ * @returns {string} Proposal ID
+ */
+export function getProposalId(key, propertyId) {
+    return `${key}|${propertyId}`;
+}
+
+function shiftConfidence(confidence, steps) {
+    const index = CONFIDENCE_LEVELS.indexOf(confidence);
+    const shifted = Math.min(CONFIDENCE_LEVELS.length - 1, Math.max(0, index - steps));
+    return CONFIDENCE_LEVELS[shifted];
+}
+
+function getSchemaPropertyIndex(schema) {
+    const index = new Map();
+    (schema?.properties?.required || []).forEach(prop => index.set(prop.id, { ...prop, required: true }));
+    (schema?.properties?.optional || []).forEach(prop => {
+        if (!index.has(prop.id)) index.set(prop.id, { ...prop, required: false });
+    });
+    return index;
+}
+
+function normalizeLabel(text) {
+    return String(text || '').toLowerCase().replace(/[_\s-]+/g, ' ').trim();
+}
+
+function getKeyLabels(keyObj) {
+    const localName = keyObj.key.includes(':') ? keyObj.key.split(':').pop() : keyObj.key;
+    return new Set([
+        normalizeLabel(getOmekaFieldFriendlyName(keyObj, keyObj.key)),
+        normalizeLabel(localName.replace(/([a-z])([A-Z])/g, '$1 $2'))
+    ].filter(Boolean));
+}
+
+function collectCandidates(keyObj, crosswalk, schemaProperties) {
+    const candidates = [];
+    const termLower = keyObj.key.toLowerCase();
+
+    crosswalk
+        .filter(item => item.term.toLowerCase() === termLower)
+        .forEach(item => {
+            candidates.push({
+                property: getCrosswalkProperty(item),
+                extractionMode: item.extractionMode,
+                confidence: item.confidence,
+                reasons: [`Crosswalk maps ${item.term} to ${item.propertyLabel || item.propertyId}`]
+            });
+        });
+
+    const detection = keyObj.identifierInfo;
+    const identifierMapping = detection?.type ? IDENTIFIER_PROPERTY_MAPPINGS[detection.type] : null;
+    if (identifierMapping?.propertyId) {
+        candidates.push({
+            property: getCrosswalkProperty(entry(keyObj.key, identifierMapping.propertyId, identifierMapping.label, 'external-id')),
+            extractionMode: EXTRACTION_MODES.IDENTIFIER_OR_URI,
+            confidence: detection.confidence >= 1 ? 'high' : 'medium',
+            reasons: [`Values look like ${identifierMapping.label} identifiers`]
+        });
+    }
+
+    if (schemaProperties.size > 0) {
+        const keyLabels = getKeyLabels(keyObj);
+        schemaProperties.forEach(schemaProperty => {
+            if (keyLabels.has(normalizeLabel(schemaProperty.label))) {
+                candidates.push({
+                    property: {
+                        id: schemaProperty.id,
+                        label: schemaProperty.label,
+                        description: schemaProperty.description || '',
+                        url: schemaProperty.url
+                    },
+                    extractionMode: EXTRACTION_MODES.AUTO,
+                    confidence: 'low',
+                    reasons: [`Field name matches the Entity Schema property "${schemaProperty.label}"`]
+                });
+            }
+        });
+    }
+
+    // The Entity Schema confirms or weakens each candidate
+    return candidates.map(candidate => {
+        const schemaProperty = schemaProperties.get(candidate.property.id);
+        if (schemaProperties.size === 0 || candidate.property.isMetadata) {
+            return candidate;
+        }
+        if (schemaProperty) {
+            return {
+                ...candidate,
+                confidence: shiftConfidence(candidate.confidence, 1),
+                reasons: [...candidate.reasons, `${schemaProperty.required ? 'Required' : 'Optional'} in the selected Entity Schema`]
+            };
+        }
+        return {
+            ...candidate,
+            confidence: shiftConfidence(candidate.confidence, -1),
+            reasons: [...candidate.reasons, 'Not in the selected Entity Schema']
+        };
+    });
+}
+
+/**
+ * Proposes a first-pass mapping for unmapped Omeka fields
+ * Each field gets at most one proposal, the strongest candidate that was not
+ * rejected before. Properties that can only be mapped once are proposed once.
+ * @param {Array<Object>} keys - Non-linked keys from the mapping state
+ * @param {Object} [options] - Proposal options
+ * @param {Array<Object>} [options.crosswalk] - Crosswalk entries, defaults to DEFAULT_CROSSWALK
+ * @param {Object|null} [options.schema] - Selected Entity Schema with parsed properties
+ * @param {Array<Object>} [options.mappedKeys] - Keys that are already mapped
+ * @param {Array<string>} [options.rejected] - Proposal IDs the user rejected
+ * @returns {Array<Object>} Proposals with key, keyData, property, extractionMode, confidence and reasons
+ */
+export function proposeMappings(keys = [], options = {}) {
+    const crosswalk = options.crosswalk || DEFAULT_CROSSWALK;
+    const schemaProperties = getSchemaPropertyIndex(options.schema);
+    const rejected = new Set(options.rejected || []);
+    const takenSingletons = new Set(
+        (options.mappedKeys || [])
+            .map(mappedKey => mappedKey?.property?.id)
+            .filter(propertyId => SINGLETON_PROPERTY_IDS.has(propertyId))
+    );
+
+    const ranked = keys
+        .filter(keyObj => keyObj && typeof keyObj === 'object' && keyObj.key)
+        .map(keyObj => {
+            const candidates = collectCandidates(keyObj, crosswalk, schemaProperties)
+                .filter(candidate => !rejected.has(getProposalId(keyObj.key, candidate.property.id)))
+                .sort((a, b) => CONFIDENCE_LEVELS.indexOf(a.confidence) - CONFIDENCE_LEVELS.indexOf(b.confidence));
+            return { keyObj, candidates };
+        })
+        .filter(entryForKey => entryForKey.candidates.length > 0);
+
+    // Strongest fields claim singleton properties first
+    ranked.sort((a, b) =>
+        CONFIDENCE_LEVELS.indexOf(a.candidates[0].confidence) - CONFIDENCE_LEVELS.indexOf(b.candidates[0].confidence) ||
+        (b.keyObj.frequency || 0) - (a.keyObj.frequency || 0)
+    );
+
+    const proposals = [];
+    ranked.forEach(({ keyObj, candidates }) => {
+        const candidate = candidates.find(option =>
+            !SINGLETON_PROPERTY_IDS.has(option.property.id) || !takenSingletons.has(option.property.id)
+        );
+        if (!candidate) {
+            return;
+        }
+        if (SINGLETON_PROPERTY_IDS.has(candidate.property.id)) {
+            takenSingletons.add(candidate.property.id);
+        }
+
+        proposals.push({
+            id: getProposalId(keyObj.key, candidate.property.id),
+            key: keyObj.key,
+            keyData: keyObj,
+            property: candidate.property,
+            extractionMode: candidate.extractionMode,
+            confidence: candidate.confidence,
+            reasons: candidate.reasons,
+            alternativeCount: candidates.length - 1
+        });
+    });
+
+    return proposals;
+}
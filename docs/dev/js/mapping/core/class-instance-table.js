@@ -0,0 +1,266 @@
+/**
+ * Resource class instance-of table module
+ * Maps Omeka resource classes (bibo:Book, schema:Painting) to the Wikidata
+ * classes their items are an instance of (P31). The export applies the table
+ * to every item; a project's edits are saved in the mapping file and can be
+ * kept in the browser as the starting table of other projects.
+ * @module mapping/core/class-instance-table
+ */
+
+import { fetchWithCorsProxy } from '../../utils/cors-proxy.js';
+import { getItemResourceClassId } from '../../input/core/item-filter.js';
+
+const STORAGE_KEY = 'class_instance_table';
+
+function entry(term, instanceOf, note) {
+    return { term, instanceOf, note };
+}
+
+/**
+ * Curated table of common Omeka S resource classes
+ */
+export const DEFAULT_CLASS_INSTANCE_TABLE = Object.freeze([
+    // Bibliographic Ontology
+    entry('bibo:Book', ['Q571'], 'book'),
+    entry('bibo:Chapter', ['Q1980247'], 'chapter'),
+    entry('bibo:Article', ['Q191067'], 'article'),
+    entry('bibo:AcademicArticle', ['Q13442814'], 'scholarly article'),
+    entry('bibo:Journal', ['Q737498'], 'academic journal'),
+    entry('bibo:Periodical', ['Q1002697'], 'periodical literature'),
+    entry('bibo:Newspaper', ['Q11032'], 'newspaper'),
+    entry('bibo:Proceedings', ['Q1143604'], 'proceedings'),
+    entry('bibo:Report', ['Q10870555'], 'report'),
+    entry('bibo:Thesis', ['Q1266946'], 'thesis'),
+    entry('bibo:Letter', ['Q133492'], 'letter'),
+    entry('bibo:Manuscript', ['Q87167'], 'manuscript'),
+    entry('bibo:Map', ['Q4006'], 'map'),
+    entry('bibo:Image', ['Q478798'], 'image'),
+    entry('bibo:Film', ['Q11424'], 'film'),
+    entry('bibo:Webpage', ['Q36774'], 'web page'),
+    entry('bibo:Website', ['Q35127'], 'website'),
+    // DCMI Type Vocabulary
+    entry('dctype:Text', ['Q234460'], 'text'),
+    entry('dctype:StillImage', ['Q478798'], 'image'),
+    entry('dctype:MovingImage', ['Q10301427'], 'moving image'),
+    entry('dctype:Sound', ['Q3302947'], 'audio recording'),
+    entry('dctype:PhysicalObject', ['Q223557'], 'physical object'),
+    entry('dctype:Dataset', ['Q1172284'], 'data set'),
+    entry('dctype:Software', ['Q7397'], 'software'),
+    entry('dctype:Collection', ['Q2668072'], 'collection'),
+    entry('dctype:Event', ['Q1656682'], 'event'),
+    // Schema.org
+    entry('schema:Book', ['Q571'], 'book'),
+    entry('schema:ScholarlyArticle', ['Q13442814'], 'scholarly article'),
+    entry('schema:Periodical', ['Q1002697'], 'periodical literature'),
+    entry('schema:Newspaper', ['Q11032'], 'newspaper'),
+    entry('schema:Thesis', ['Q1266946'], 'thesis'),
+    entry('schema:Map', ['Q4006'], 'map'),
+    entry('schema:Movie', ['Q11424'], 'film'),
+    entry('schema:Painting', ['Q3305213'], 'painting'),
+    entry('schema:Sculpture', ['Q860861'], 'sculpture'),
+    entry('schema:Drawing', ['Q93184'], 'drawing'),
+    entry('schema:Photograph', ['Q125191'], 'photograph'),
+    entry('schema:Poster', ['Q429785'], 'poster'),
+    entry('schema:VisualArtwork', ['Q4502142'], 'visual artwork'),
+    entry('schema:Person', ['Q5'], 'human'),
+    entry('schema:Organization', ['Q43229'], 'organization'),
+    entry('schema:Place', ['Q2221906'], 'geographic location'),
+    // FOAF
+    entry('foaf:Person', ['Q5'], 'human'),
+    entry('foaf:Organization', ['Q43229'], 'organization')
+]);
+
+/**
+ * Creates an empty table entry for the editor
+ * @param {string} [term] - Omeka resource class term
+ * @returns {{term: string, instanceOf: Array<string>, note: string}} Table entry
+ */
+export function createClassInstanceEntry(term = '') {
+    return entry(term, [], '');
+}
+
+/**
+ * Reads a list of QIDs typed as "Q571, Q7725634" or loaded as an array
+ * @param {string|Array<string>} value - QIDs
+ * @returns {Array<string>} Valid, unique QIDs
+ */
+export function parseInstanceOfList(value) {
+    const parts = Array.isArray(value) ? value : String(value ?? '').split(/[\s,;]+/);
+    const qids = parts
+        .map(part => String(part ?? '').trim().toUpperCase())
+        .filter(part => /^Q\d+$/.test(part));
+    return Array.from(new Set(qids));
+}
+
+/**
+ * Cleans up table entries loaded from a mapping file, the browser or the editor
+ * Entries without a term or QID are dropped; a repeated term keeps its first entry.
+ * @param {Array<Object>} entries - Raw table entries
+ * @returns {Array<{term: string, instanceOf: Array<string>, note: string}>} Valid entries
+ */
+export function normalizeClassInstanceTable(entries) {
+    if (!Array.isArray(entries)) {
+        return [];
+    }
+
+    const seenTerms = new Set();
+    return entries
+        .filter(raw => raw && typeof raw === 'object')
+        .map(raw => entry(String(raw.term ?? '').trim(), parseInstanceOfList(raw.instanceOf), String(raw.note ?? '').trim()))
+        .filter(item => {
+            if (!item.term || item.instanceOf.length === 0 || seenTerms.has(item.term)) {
+                return false;
+            }
+            seenTerms.add(item.term);
+            return true;
+        });
+}
+
+/**
+ * Returns the table kept in the browser for new projects
+ * @returns {Array<Object>|null} Saved table, or null when none was saved
+ */
+export function getSharedClassInstanceTable() {
+    try {
+        const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(STORAGE_KEY) : null;
+        const parsed = stored ? JSON.parse(stored) : null;
+        return Array.isArray(parsed) ? normalizeClassInstanceTable(parsed) : null;
+    } catch (error) {
+        console.warn('Could not load the saved resource class table:', error);
+        return null;
+    }
+}
+
+/**
+ * Keeps a table in the browser as the starting table of other projects
+ * @param {Array<Object>} table - Table entries
+ * @returns {boolean} Whether the table was saved
+ */
+export function saveSharedClassInstanceTable(table) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(normalizeClassInstanceTable(table)));
+        return true;
+    } catch (error) {
+        console.warn('Could not save the resource class table:', error);
+        return false;
+    }
+}
+
+/**
+ * Forgets the table kept in the browser, so new projects start from the defaults
+ */
+export function clearSharedClassInstanceTable() {
+    try {
+        localStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+        console.warn('Could not clear the saved resource class table:', error);
+    }
+}
+
+/**
+ * Returns the table in effect for a project
+ * @param {Array<Object>|null} projectTable - Table edited for this project, or null
+ * @returns {Array<{term: string, instanceOf: Array<string>, note: string}>} Table entries
+ */
+export function getActiveClassInstanceTable(projectTable) {
+    if (Array.isArray(projectTable)) {
+        return normalizeClassInstanceTable(projectTable);
+    }
+    return getSharedClassInstanceTable() || DEFAULT_CLASS_INSTANCE_TABLE.map(item => ({ ...item, instanceOf: [...item.instanceOf] }));
+}
+
+/**
+ * Gets the vocabulary term of an item's resource class
+ * Omeka only embeds a reference to the class; its term comes from the class
+ * definitions fetched into the resource class cache.
+ * @param {Object} item - Omeka S item
+ * @param {Object} [resourceClassCache] - Class definitions keyed by API URI
+ * @returns {string|null} Term such as bibo:Book, or null when unknown
+ */
+export function getItemClassTerm(item, resourceClassCache = {}) {
+    const reference = item?.['o:resource_class'];
+    if (!reference || typeof reference !== 'object') {
+        return null;
+    }
+    return reference['o:term'] || resourceClassCache[reference['@id']]?.['o:term'] || null;
+}
+
+/**
+ * Gets the instance-of QIDs the table gives an item
+ * @param {Object} item - Omeka S item
+ * @param {Array<Object>} table - Active table
+ * @param {Object} [resourceClassCache] - Class definitions keyed by API URI
+ * @returns {Array<string>} QIDs, empty when the item has no class or the class is not in the table
+ */
+export function getItemInstanceOf(item, table, resourceClassCache = {}) {
+    const term = getItemClassTerm(item, resourceClassCache);
+    if (!term) {
+        return [];
+    }
+    return table.find(tableEntry => tableEntry.term === term)?.instanceOf || [];
+}
+
+/**
+ * Lists the resource classes of a set of items with the QIDs the table gives them
+ * @param {Array<Object>} items - Omeka S items
+ * @param {Array<Object>} table - Active table
+ * @param {Object} [resourceClassCache] - Class definitions keyed by API URI
+ * @returns {Array<{id: string, term: string|null, label: string, count: number, instanceOf: Array<string>}>} Classes, most used first
+ */
+export function summarizeClassCoverage(items, table, resourceClassCache = {}) {
+    const classes = new Map();
+    items.forEach(item => {
+        const id = getItemResourceClassId(item);
+        if (!id) return;
+
+        if (!classes.has(id)) {
+            const reference = item['o:resource_class'];
+            const term = getItemClassTerm(item, resourceClassCache);
+            classes.set(id, {
+                id,
+                term,
+                label: resourceClassCache[reference?.['@id']]?.['o:label'] || reference?.['o:label'] || '',
+                count: 0,
+                instanceOf: getItemInstanceOf(item, table, resourceClassCache)
+            });
+        }
+        classes.get(id).count++;
+    });
+    return Array.from(classes.values()).sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Fetches the definitions of resource classes whose term is not known yet
+ * @param {Array<Object>} items - Omeka S items
+ * @param {Object} [resourceClassCache] - Class definitions already fetched, keyed by API URI
+ * @param {Set<string>} [skipUris] - URIs not to request again, e.g. after an earlier failure
+ * @returns {Promise<{definitions: Object, failed: Array<string>}>} New definitions keyed by API URI and the URIs that could not be fetched
+ */
+export async function fetchResourceClassDefinitions(items, resourceClassCache = {}, skipUris = new Set()) {
+    const uris = new Set();
+    items.forEach(item => {
+        const reference = item?.['o:resource_class'];
+        const uri = reference?.['@id'];
+        if (typeof uri === 'string' && !reference['o:term'] && !resourceClassCache[uri] && !skipUris.has(uri)) {
+            uris.add(uri);
+        }
+    });
+
+    const definitions = {};
+    const failed = [];
+    // One request at a time; a dataset rarely uses more than a handful of classes
+    for (const uri of uris) {
+        try {
+            const result = await fetchWithCorsProxy(uri, { headers: { Accept: 'application/json, application/ld+json' } });
+            if (result?.data && typeof result.data === 'object' && result.data['o:term']) {
+                definitions[uri] = result.data;
+            } else {
+                failed.push(uri);
+            }
+        } catch (error) {
+            console.warn(`Could not fetch resource class ${uri}:`, error);
+            failed.push(uri);
+        }
+    }
+    return { definitions, failed };
+}
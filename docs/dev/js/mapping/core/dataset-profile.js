@@ -0,0 +1,227 @@
+/**
+ * Dataset profile module
+ * Summarizes every field of the loaded items (coverage, distinct values, top
+ * values, value types, languages, cardinality) as a downloadable report
+ * @module mapping/core/dataset-profile
+ */
+
+import { recordsToCsv, downloadCsv, downloadTextFile } from '../../utils/csv.js';
+import {
+    createFieldProfileStats,
+    mergeObservedValueIntoProfileStats,
+    finalizeFieldProfileStats
+} from './value-resolution.js';
+
+export const TOP_VALUE_LIMIT = 5;
+
+/**
+ * Omeka S value type groups reported in the type mix
+ */
+export const VALUE_TYPE_GROUPS = ['literal', 'uri', 'resource'];
+
+/**
+ * Columns of the CSV report, in order
+ */
+const CSV_COLUMNS = [
+    { header: 'Field', value: field => field.key },
+    { header: 'Label', value: field => field.label },
+    { header: 'Items with value', value: field => field.itemsWithValue },
+    { header: 'Coverage %', value: field => field.coverage },
+    { header: 'Values', value: field => field.valueCount },
+    { header: 'Distinct values', value: field => field.distinctCount },
+    { header: 'Top values', value: field => field.topValues.map(entry => `${entry.value} (${entry.count})`).join('; ') },
+    { header: 'Literal', value: field => field.typeMix.literal },
+    { header: 'URI', value: field => field.typeMix.uri },
+    { header: 'Resource', value: field => field.typeMix.resource },
+    { header: 'Omeka data types', value: field => field.observedTypes.join('; ') },
+    { header: 'Languages', value: field => formatCounts(field.languages) },
+    { header: 'Min values per item with value', value: field => field.cardinality.min },
+    { header: 'Max values per item with value', value: field => field.cardinality.max },
+    { header: 'Mean values per item with value', value: field => field.cardinality.mean },
+    { header: 'Items with several values', value: field => field.cardinality.multiValueItems }
+];
+
+function isProfiledKey(key) {
+    return !key.startsWith('@') && !key.startsWith('o:');
+}
+
+function getValueEntries(fieldValue) {
+    if (fieldValue === null || fieldValue === undefined || fieldValue === '') {
+        return [];
+    }
+    return Array.isArray(fieldValue) ? fieldValue.filter(value => value !== null && value !== undefined) : [fieldValue];
+}
+
+/**
+ * Puts an Omeka value in one of the reported type groups
+ * @param {*} value - Omeka S value object or primitive
+ * @returns {string} 'literal', 'uri' or 'resource'
+ */
+export function getValueTypeGroup(value) {
+    if (!value || typeof value !== 'object') {
+        return 'literal';
+    }
+
+    const type = typeof value.type === 'string' ? value.type : '';
+    if (type.startsWith('resource') || (value.value_resource_id !== undefined && value.value_resource_id !== null)) {
+        return 'resource';
+    }
+    if (type === 'uri' || type.startsWith('valuesuggest:') || (!type && value['@id'] && value['@value'] === undefined)) {
+        return 'uri';
+    }
+    return 'literal';
+}
+
+function getValueText(value) {
+    if (!value || typeof value !== 'object') {
+        return String(value);
+    }
+
+    const group = getValueTypeGroup(value);
+    const text = group === 'resource'
+        ? value.display_title ?? value['o:label'] ?? value['@id']
+        : group === 'uri'
+            ? value['@id'] ?? value['o:label'] ?? value['@value']
+            : value['@value'] ?? value['o:label'] ?? value.display_title ?? value['@id'];
+
+    return text === undefined || text === null ? '' : String(text).trim();
+}
+
+function formatCounts(counts) {
+    return Object.entries(counts)
+        .sort((a, b) => b[1] - a[1])
+        .map(([key, count]) => `${key}: ${count}`)
+        .join('; ');
+}
+
+function createFieldAccumulator(key) {
+    return {
+        key,
+        label: '',
+        itemsWithValue: 0,
+        valueCount: 0,
+        valueCounts: new Map(),
+        typeMix: Object.fromEntries(VALUE_TYPE_GROUPS.map(group => [group, 0])),
+        languages: {},
+        perItemCounts: [],
+        profileStats: createFieldProfileStats()
+    };
+}
+
+function roundTo(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Profiles every field of a set of items
+ * Omeka system fields (`o:`) and JSON-LD keys (`@`) are left out. Cardinality
+ * is measured over the items that have the field; coverage reports the rest.
+ * @param {Array<Object>} items - Omeka S items
+ * @returns {{itemCount: number, generatedAt: string, fields: Array<Object>}} Profile, fields sorted by coverage
+ */
+export function buildDatasetProfile(items = []) {
+    const validItems = items.filter(item => item && typeof item === 'object');
+    const accumulators = new Map();
+
+    validItems.forEach(item => {
+        Object.entries(item).forEach(([key, fieldValue]) => {
+            if (!isProfiledKey(key)) {
+                return;
+            }
+
+            const values = getValueEntries(fieldValue);
+            if (values.length === 0) {
+                return;
+            }
+
+            if (!accumulators.has(key)) {
+                accumulators.set(key, createFieldAccumulator(key));
+            }
+            const field = accumulators.get(key);
+
+            field.itemsWithValue++;
+            field.valueCount += values.length;
+            field.perItemCounts.push(values.length);
+            mergeObservedValueIntoProfileStats(values, field.profileStats);
+
+            values.forEach(value => {
+                if (!field.label && value && typeof value === 'object' && value.property_label) {
+                    field.label = value.property_label;
+                }
+
+                field.typeMix[getValueTypeGroup(value)]++;
+
+                const language = value && typeof value === 'object' && value['@language'] ? value['@language'] : 'none';
+                field.languages[language] = (field.languages[language] || 0) + 1;
+
+                const text = getValueText(value);
+                if (text) {
+                    field.valueCounts.set(text, (field.valueCounts.get(text) || 0) + 1);
+                }
+            });
+        });
+    });
+
+    const fields = Array.from(accumulators.values()).map(field => {
+        const profile = finalizeFieldProfileStats(field.profileStats);
+        const topValues = Array.from(field.valueCounts.entries())
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .slice(0, TOP_VALUE_LIMIT)
+            .map(([value, count]) => ({ value, count }));
+
+        return {
+            key: field.key,
+            label: field.label,
+            itemsWithValue: field.itemsWithValue,
+            coverage: validItems.length > 0 ? roundTo((field.itemsWithValue / validItems.length) * 100, 1) : 0,
+            valueCount: field.valueCount,
+            distinctCount: field.valueCounts.size,
+            topValues,
+            typeMix: field.typeMix,
+            observedTypes: profile.observedTypes,
+            valueSourceTypes: profile.valueSourceTypes,
+            languages: field.languages,
+            cardinality: {
+                population: 'itemsWithValue',
+                min: field.perItemCounts.reduce((min, count) => Math.min(min, count), Infinity),
+                max: field.perItemCounts.reduce((max, count) => Math.max(max, count), 0),
+                mean: roundTo(field.valueCount / field.itemsWithValue, 2),
+                multiValueItems: field.perItemCounts.filter(count => count > 1).length
+            }
+        };
+    });
+
+    fields.sort((a, b) => b.coverage - a.coverage || a.key.localeCompare(b.key));
+
+    return {
+        itemCount: validItems.length,
+        generatedAt: new Date().toISOString(),
+        fields
+    };
+}
+
+/**
+ * Serializes a profile as CSV, one row per field
+ * @param {Object} profile - Result of buildDatasetProfile
+ * @returns {string} CSV text
+ */
+export function datasetProfileToCsv(profile) {
+    return recordsToCsv(CSV_COLUMNS, profile.fields);
+}
+
+/**
+ * Downloads a profile as CSV or JSON
+ * @param {Object} profile - Result of buildDatasetProfile
+ * @param {string} [format='csv'] - 'csv' or 'json'
+ */
+export function downloadDatasetProfile(profile, format = 'csv') {
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+    const filename = `omeka-field-profile-${timestamp}`;
+
+    if (format === 'json') {
+        downloadTextFile(JSON.stringify(profile, null, 2), `${filename}.json`, 'application/json');
+    } else {
+        downloadCsv(datasetProfileToCsv(profile), `${filename}.csv`);
+    }
+}
@@ -0,0 +1,30 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildDatasetProfile, datasetProfileToCsv } from './dataset-profile.js';
+
+const literal = text => ({ type: 'literal', '@value': text });
+
+const items = [
+    { 'o:id': 1, 'dcterms:subject': [literal('maps'), literal('trade')] },
+    { 'o:id': 2, 'dcterms:subject': [literal('maps')] },
+    { 'o:id': 3, 'dcterms:subject': [literal('ships'), literal('trade'), literal('ports'), literal('maps')] },
+    { 'o:id': 4 }
+];
+
+test('cardinality is measured over the items that have the field', () => {
+    const [subject] = buildDatasetProfile(items).fields;
+    assert.equal(subject.itemsWithValue, 3);
+    assert.equal(subject.coverage, 75);
+    assert.deepEqual(subject.cardinality, {
+        population: 'itemsWithValue',
+        min: 1,
+        max: 4,
+        mean: 2.33,
+        multiValueItems: 2
+    });
+});
+
+test('the CSV names the population of the cardinality columns', () => {
+    const [header] = datasetProfileToCsv(buildDatasetProfile(items)).split('\n');
+    assert.match(header, /Min values per item with value,Max values per item with value,Mean values per item with value/);
+});
@@ -0,0 +1,224 @@
+/**
+ * Mapping conditions module
+ * Lets a mapped key apply only to some items or values, so one Omeka field can
+ * go to different Wikidata properties (each with its own transformation chain)
+ * depending on the resource class, resource template or the value itself
+ * @module mapping/core/mapping-conditions
+ */
+
+import { getItemResourceClassId, getItemResourceTemplateId } from '../../input/core/item-filter.js';
+import { collectResourceTemplates } from './mapping-template-library.js';
+
+/**
+ * Creates a condition that matches every item and value
+ * @returns {{resourceClasses: Array<string>, resourceTemplates: Array<string>, valuePattern: string, fallback: boolean}} Condition
+ */
+export function createMappingCondition() {
+    return {
+        resourceClasses: [],
+        resourceTemplates: [],
+        valuePattern: '',
+        fallback: false
+    };
+}
+
+/**
+ * Checks the regular expression of a condition
+ * @param {string} pattern - Value pattern
+ * @returns {string|null} Error message, or null when the pattern is empty or compiles
+ */
+export function getValuePatternError(pattern) {
+    if (!pattern) return null;
+    try {
+        new RegExp(pattern, 'i');
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Cleans up a condition, dropping it when it would match everything
+ * @param {Object|null} condition - Condition as edited or loaded from a file
+ * @returns {Object|null} Condition, or null for an unconditional mapping
+ */
+export function normalizeMappingCondition(condition) {
+    if (!condition || typeof condition !== 'object') return null;
+
+    const toIdList = list => Array.from(new Set((Array.isArray(list) ? list : [])
+        .map(id => String(id).trim())
+        .filter(Boolean))).sort();
+
+    const normalized = {
+        resourceClasses: toIdList(condition.resourceClasses),
+        resourceTemplates: toIdList(condition.resourceTemplates),
+        valuePattern: typeof condition.valuePattern === 'string' ? condition.valuePattern.trim() : '',
+        fallback: condition.fallback === true
+    };
+
+    const isEmpty = !normalized.fallback &&
+        normalized.resourceClasses.length === 0 &&
+        normalized.resourceTemplates.length === 0 &&
+        normalized.valuePattern === '';
+    return isEmpty ? null : normalized;
+}
+
+/**
+ * Gets a stable text for a condition, used in mapping signatures
+ * @param {Object|null} condition - Mapping condition
+ * @returns {string|null} Signature, or null for an unconditional mapping
+ */
+export function getMappingConditionSignature(condition) {
+    const normalized = normalizeMappingCondition(condition);
+    return normalized ? JSON.stringify(normalized) : null;
+}
+
+// A pattern that does not compile matches no value, so a broken rule never takes values it was not meant for
+function createPatternTester(pattern) {
+    if (!pattern) {
+        return () => true;
+    }
+    if (getValuePatternError(pattern)) {
+        return () => false;
+    }
+    const regex = new RegExp(pattern, 'i');
+    return value => regex.test(String(value ?? ''));
+}
+
+/**
+ * Checks the resource class and template parts of a condition
+ * @param {Object} item - Omeka S item
+ * @param {Object|null} condition - Mapping condition
+ * @returns {boolean} True when the item can receive values from the mapping
+ */
+export function itemMatchesMappingCondition(item, condition) {
+    const normalized = normalizeMappingCondition(condition);
+    if (!normalized) return true;
+
+    if (normalized.resourceClasses.length > 0 && !normalized.resourceClasses.includes(getItemResourceClassId(item))) {
+        return false;
+    }
+    if (normalized.resourceTemplates.length > 0 && !normalized.resourceTemplates.includes(getItemResourceTemplateId(item))) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Lists the other conditional mappings of the same field, which a fallback defers to
+ * @param {Object} keyObj - Mapped key
+ * @param {Array<Object>} mappedKeys - All mapped keys
+ * @returns {Array<Object>} Non-fallback conditional mappings of the same field
+ */
+export function getSiblingMappingRules(keyObj, mappedKeys = []) {
+    return mappedKeys.filter(other => {
+        if (!other || typeof other !== 'object' || other === keyObj || other.key !== keyObj?.key) return false;
+        if (keyObj.mappingId && other.mappingId === keyObj.mappingId) return false;
+        const condition = normalizeMappingCondition(other.condition);
+        return Boolean(condition && !condition.fallback);
+    });
+}
+
+/**
+ * Keeps the values of one item that a conditional mapping applies to
+ * A fallback keeps the values that no other rule for the same field takes.
+ * The value pattern is tested against the extracted value, before transformations;
+ * an invalid pattern keeps no values.
+ * @param {Object} item - Omeka S item
+ * @param {Object} keyObj - Mapped key with a condition
+ * @param {Array<Object>} valueDetails - Extracted value details of the item
+ * @param {Array<Object>} [mappedKeys] - All mapped keys, needed for fallback rules
+ * @returns {Array<Object>} Value details the mapping applies to
+ */
+export function applyMappingCondition(item, keyObj, valueDetails, mappedKeys = []) {
+    const condition = normalizeMappingCondition(keyObj?.condition);
+    if (!condition) return valueDetails;
+
+    if (!itemMatchesMappingCondition(item, condition)) {
+        return [];
+    }
+
+    const matchesPattern = createPatternTester(condition.valuePattern);
+    let applicable = valueDetails.filter(detail => matchesPattern(detail.value));
+
+    if (condition.fallback) {
+        const takenBy = getSiblingMappingRules(keyObj, mappedKeys)
+            .filter(rule => itemMatchesMappingCondition(item, rule.condition))
+            .map(rule => createPatternTester(normalizeMappingCondition(rule.condition).valuePattern));
+        applicable = applicable.filter(detail => !takenBy.some(isTaken => isTaken(detail.value)));
+    }
+
+    return applicable;
+}
+
+/**
+ * Lists the resource classes used by a set of items
+ * @param {Array<Object>} items - Omeka S items
+ * @param {Object} [resourceClassCache] - Class definitions keyed by API URI, used for labels
+ * @returns {Array<{id: string, label: string, count: number}>} Classes, most used first
+ */
+export function collectResourceClasses(items = [], resourceClassCache = {}) {
+    const classes = new Map();
+    items.forEach(item => {
+        const id = getItemResourceClassId(item);
+        if (!id) return;
+
+        if (!classes.has(id)) {
+            const reference = item['o:resource_class'];
+            const cached = reference?.['@id'] ? resourceClassCache[reference['@id']] : null;
+            classes.set(id, {
+                id,
+                label: cached?.['o:label'] || cached?.['o:term'] || reference?.['o:label'] || '',
+                count: 0
+            });
+        }
+        classes.get(id).count++;
+    });
+    return Array.from(classes.values()).sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Gets display labels for the classes and templates of a set of items
+ * @param {Array<Object>} items - Omeka S items
+ * @param {Object} currentState - Application state, for the class cache and template definitions
+ * @returns {{resourceClasses: Object<string, string>, resourceTemplates: Object<string, string>}} Labels by ID
+ */
+export function getMappingConditionLabels(items, currentState) {
+    const toLabels = entries => Object.fromEntries(entries.filter(entry => entry.label).map(entry => [entry.id, entry.label]));
+    return {
+        resourceClasses: toLabels(collectResourceClasses(items, currentState?.resourceClassCache || {})),
+        resourceTemplates: toLabels(collectResourceTemplates(items, currentState?.resourceTemplates || []))
+    };
+}
+
+/**
+ * Describes a condition in a short sentence
+ * @param {Object|null} condition - Mapping condition
+ * @param {Object} [labels] - Display labels
+ * @param {Object<string, string>} [labels.resourceClasses] - Class labels by ID
+ * @param {Object<string, string>} [labels.resourceTemplates] - Template labels by ID
+ * @returns {string} Description, empty for an unconditional mapping
+ */
+export function describeMappingCondition(condition, labels = {}) {
+    const normalized = normalizeMappingCondition(condition);
+    if (!normalized) return '';
+
+    const nameList = (ids, names = {}) => ids.map(id => names[id] || `#${id}`).join(' or ');
+    const parts = [];
+    if (normalized.resourceClasses.length > 0) {
+        parts.push(`class is ${nameList(normalized.resourceClasses, labels.resourceClasses)}`);
+    }
+    if (normalized.resourceTemplates.length > 0) {
+        parts.push(`template is ${nameList(normalized.resourceTemplates, labels.resourceTemplates)}`);
+    }
+    if (normalized.valuePattern) {
+        parts.push(`value matches /${normalized.valuePattern}/`);
+    }
+
+    if (normalized.fallback) {
+        return parts.length > 0
+            ? `otherwise, when ${parts.join(' and ')}`
+            : 'otherwise';
+    }
+    return `when ${parts.join(' and ')}`;
+}
@@ -0,0 +1,34 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { applyMappingCondition, getValuePatternError } from './mapping-conditions.js';
+import { validateMappingFile } from './mapping-file-format.js';
+
+const item = { 'o:id': 1 };
+const values = ['1889', 'circa 1890', 'unknown'].map(value => ({ value }));
+const rule = (valuePattern, extra = {}) => ({ key: 'dcterms:date', mappingId: `date-${valuePattern}`, condition: { valuePattern, ...extra } });
+
+test('keeps the values a valid pattern matches', () => {
+    assert.deepEqual(applyMappingCondition(item, rule('^\\d{4}$'), values).map(detail => detail.value), ['1889']);
+});
+
+test('keeps no values when the pattern does not compile', () => {
+    assert.ok(getValuePatternError('(unclosed'));
+    assert.deepEqual(applyMappingCondition(item, rule('(unclosed'), values), []);
+});
+
+test('a fallback still gets the values an invalid sibling pattern cannot take', () => {
+    const broken = rule('(unclosed');
+    const fallback = rule('', { fallback: true });
+    const mappedKeys = [broken, fallback];
+    assert.deepEqual(applyMappingCondition(item, fallback, values, mappedKeys).map(detail => detail.value), ['1889', 'circa 1890', 'unknown']);
+});
+
+test('mapping files with an invalid value pattern are rejected with its path', () => {
+    const problems = validateMappingFile({
+        version: '1.0',
+        mappings: { mapped: [{ key: 'dcterms:date', property: null, condition: { valuePattern: '[a-' } }], ignored: [] }
+    }).filter(problem => problem.path.includes('valuePattern'));
+    assert.equal(problems.length, 1);
+    assert.deepEqual(problems[0].path, ['mappings', 'mapped', 0, 'condition', 'valuePattern']);
+    assert.match(problems[0].message, /not a valid regular expression/);
+});
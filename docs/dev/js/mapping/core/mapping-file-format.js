@@ -0,0 +1,615 @@
+/**
+ * Mapping file format module
+ * Defines the JSON Schema of saved mapping files, validates files against it
+ * with line-level errors, and upgrades files written by older releases
+ * @module mapping/core/mapping-file-format
+ */
+
+import { EXTRACTION_MODES } from './value-resolution.js';
+import { UNTAGGED_VALUE_RULES } from './term-languages.js';
+import { TEMPLATE_TARGETS } from './term-templates.js';
+import { getValuePatternError } from './mapping-conditions.js';
+
+/**
+ * Format version written by generateMappingData
+ */
+export const MAPPING_FILE_VERSION = '1.6';
+
+const NULLABLE_STRING = { type: ['string', 'null'] };
+const NULLABLE_STRING_ARRAY = { type: ['array', 'null'], items: { type: 'string' } };
+
+/**
+ * JSON Schema (draft 2020-12) of a mapping file at MAPPING_FILE_VERSION
+ */
+export const MAPPING_FILE_SCHEMA = Object.freeze({
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'Omeka S to Wikidata mapping file',
+    type: 'object',
+    required: ['version', 'mappings'],
+    properties: {
+        version: { type: 'string', pattern: '^\\d+\\.\\d+$' },
+        createdAt: { type: 'string' },
+        entitySchema: { type: 'string' },
+        mappings: {
+            type: 'object',
+            required: ['mapped', 'ignored', 'manualProperties'],
+            properties: {
+                mapped: { type: 'array', items: { $ref: '#/$defs/mappedKey' } },
+                ignored: { type: 'array', items: { $ref: '#/$defs/keySettings' } },
+                manualProperties: { type: 'array', items: { $ref: '#/$defs/manualProperty' } }
+            }
+        },
+        crosswalk: {
+            anyOf: [
+                { type: 'null' },
+                { type: 'array', items: { $ref: '#/$defs/crosswalkEntry' } }
+            ]
+        },
+        termLanguages: {
+            anyOf: [
+                { type: 'null' },
+                { $ref: '#/$defs/termLanguages' }
+            ]
+        },
+        termTemplates: { type: 'array', items: { $ref: '#/$defs/termTemplate' } },
+        classInstanceTable: {
+            anyOf: [
+                { type: 'null' },
+                { type: 'array', items: { $ref: '#/$defs/classInstanceEntry' } }
+            ]
+        }
+    },
+    $defs: {
+        classInstanceEntry: {
+            type: 'object',
+            required: ['term', 'instanceOf'],
+            properties: {
+                term: { type: 'string', minLength: 1 },
+                instanceOf: { type: 'array', items: { type: 'string', pattern: '^Q\\d+$' } },
+                note: { type: 'string' }
+            }
+        },
+        termTemplate: {
+            type: 'object',
+            required: ['target', 'language', 'pattern'],
+            properties: {
+                id: { type: 'string' },
+                target: { enum: [...TEMPLATE_TARGETS] },
+                language: { type: 'string', pattern: '^[a-z]{2,3}(-[a-z0-9]+)*$' },
+                pattern: { type: 'string' }
+            }
+        },
+        termLanguages: {
+            type: 'object',
+            properties: {
+                defaultLanguage: { type: 'string', pattern: '^[a-z]{2,3}(-[a-z0-9]+)*$' },
+                languageField: { type: 'string' },
+                untaggedValues: { enum: Object.values(UNTAGGED_VALUE_RULES) }
+            }
+        },
+        keySettings: {
+            type: 'object',
+            required: ['key'],
+            properties: {
+                key: { type: 'string', minLength: 1 },
+                linkedDataUri: NULLABLE_STRING,
+                contextMap: { type: 'object' },
+                selectedAtField: NULLABLE_STRING,
+                selectedObjectIndex: { type: ['integer', 'null'], minimum: 0 },
+                extractionMode: { enum: [...Object.values(EXTRACTION_MODES), null] },
+                includedSegments: NULLABLE_STRING_ARRAY,
+                includedSegmentLabels: NULLABLE_STRING_ARRAY,
+                segmentSignature: NULLABLE_STRING,
+                includedValueSources: NULLABLE_STRING_ARRAY,
+                guidedSourceMode: NULLABLE_STRING,
+                guidedManualText: NULLABLE_STRING
+            }
+        },
+        mappedKey: {
+            allOf: [{ $ref: '#/$defs/keySettings' }],
+            type: 'object',
+            required: ['property'],
+            properties: {
+                property: {
+                    anyOf: [
+                        { type: 'null' },
+                        { $ref: '#/$defs/property' }
+                    ]
+                },
+                condition: {
+                    anyOf: [
+                        { type: 'null' },
+                        { $ref: '#/$defs/mappingCondition' }
+                    ]
+                },
+                qualifierOf: NULLABLE_STRING,
+                mappedAt: NULLABLE_STRING
+            }
+        },
+        mappingCondition: {
+            type: 'object',
+            properties: {
+                resourceClasses: { type: 'array', items: { type: 'string' } },
+                resourceTemplates: { type: 'array', items: { type: 'string' } },
+                valuePattern: { type: 'string', format: 'regex' },
+                fallback: { type: 'boolean' }
+            }
+        },
+        property: {
+            type: 'object',
+            required: ['id'],
+            properties: {
+                id: { type: 'string', minLength: 1 },
+                label: NULLABLE_STRING,
+                description: NULLABLE_STRING,
+                datatype: NULLABLE_STRING,
+                datatypeLabel: NULLABLE_STRING,
+                constraints: { type: ['object', 'null'] },
+                constraintsFetched: { type: ['boolean', 'null'] },
+                constraintsError: NULLABLE_STRING
+            }
+        },
+        manualProperty: {
+            type: 'object',
+            required: ['property'],
+            properties: {
+                property: { $ref: '#/$defs/property' },
+                isRequired: { type: ['boolean', 'null'] },
+                addedAt: NULLABLE_STRING
+            }
+        },
+        crosswalkEntry: {
+            type: 'object',
+            required: ['term', 'propertyId'],
+            properties: {
+                term: { type: 'string', minLength: 1 },
+                propertyId: { type: 'string', minLength: 1 },
+                propertyLabel: { type: 'string' },
+                datatype: { type: 'string' },
+                extractionMode: { enum: Object.values(EXTRACTION_MODES) },
+                confidence: { enum: ['high', 'medium', 'low'] }
+            }
+        }
+    }
+});
+
+const KEY_SETTING_DEFAULTS = {
+    linkedDataUri: null,
+    contextMap: {},
+    selectedAtField: null,
+    selectedObjectIndex: null,
+    includedSegments: null,
+    includedSegmentLabels: null,
+    segmentSignature: null,
+    includedValueSources: null,
+    guidedSourceMode: null,
+    guidedManualText: null
+};
+
+function withDefaults(entry, defaults) {
+    const result = typeof entry === 'string' ? { key: entry } : entry;
+    if (!result || typeof result !== 'object' || Array.isArray(result)) {
+        return result;
+    }
+    const filled = { ...result };
+    Object.entries(defaults).forEach(([field, value]) => {
+        if (filled[field] === undefined) {
+            filled[field] = value && typeof value === 'object' ? { ...value } : value;
+        }
+    });
+    return filled;
+}
+
+function mapArray(value, mapper) {
+    return Array.isArray(value) ? value.map(mapper) : value;
+}
+
+/**
+ * Upgrade steps, oldest first. Each step only fills in what the older format
+ * lacked, so values of the wrong type are left for validation to report.
+ */
+const MIGRATIONS = [
+    {
+        from: '1.0',
+        to: '1.1',
+        description: 'Added extraction settings to every key, manual properties and the auto-mapping crosswalk',
+        migrate(data) {
+            const mappings = data.mappings && typeof data.mappings === 'object' ? data.mappings : {};
+            return {
+                ...data,
+                entitySchema: data.entitySchema ?? '',
+                mappings: {
+                    ...mappings,
+                    // Files from before extraction modes only stored key, property and context
+                    mapped: mapArray(mappings.mapped ?? [], entry => withDefaults(entry, {
+                        ...KEY_SETTING_DEFAULTS,
+                        extractionMode: EXTRACTION_MODES.AUTO,
+                        property: null,
+                        mappedAt: null
+                    })),
+                    ignored: mapArray(mappings.ignored ?? [], entry => withDefaults(entry, {
+                        ...KEY_SETTING_DEFAULTS,
+                        extractionMode: null
+                    })),
+                    manualProperties: mappings.manualProperties ?? []
+                },
+                crosswalk: data.crosswalk ?? null
+            };
+        }
+    },
+    {
+        from: '1.1',
+        to: '1.2',
+        description: 'Added conditions to mapped keys',
+        migrate(data) {
+            const mappings = data.mappings && typeof data.mappings === 'object' ? data.mappings : {};
+            return {
+                ...data,
+                mappings: {
+                    ...mappings,
+                    mapped: mapArray(mappings.mapped ?? [], entry => withDefaults(entry, { condition: null }))
+                }
+            };
+        }
+    },
+    {
+        from: '1.2',
+        to: '1.3',
+        description: 'Added qualifier targets to mapped keys',
+        migrate(data) {
+            const mappings = data.mappings && typeof data.mappings === 'object' ? data.mappings : {};
+            return {
+                ...data,
+                mappings: {
+                    ...mappings,
+                    mapped: mapArray(mappings.mapped ?? [], entry => withDefaults(entry, { qualifierOf: null }))
+                }
+            };
+        }
+    },
+    {
+        from: '1.3',
+        to: '1.4',
+        description: 'Added term language settings',
+        migrate(data) {
+            return {
+                ...data,
+                termLanguages: data.termLanguages ?? null
+            };
+        }
+    },
+    {
+        from: '1.4',
+        to: '1.5',
+        description: 'Added label and description templates',
+        migrate(data) {
+            return {
+                ...data,
+                termTemplates: data.termTemplates ?? []
+            };
+        }
+    },
+    {
+        from: '1.5',
+        to: '1.6',
+        description: 'Added the resource class instance-of table',
+        migrate(data) {
+            return {
+                ...data,
+                classInstanceTable: data.classInstanceTable ?? null
+            };
+        }
+    }
+];
+
+function compareVersions(a, b) {
+    const [aMajor, aMinor] = String(a).split('.').map(Number);
+    const [bMajor, bMinor] = String(b).split('.').map(Number);
+    return aMajor - bMajor || aMinor - bMinor;
+}
+
+/**
+ * Error raised for a mapping file that cannot be read or does not match the format
+ */
+export class MappingFileError extends Error {
+    /**
+     * @param {string} message - Summary of the problem
+     * @param {Array<{path: string, message: string, line: number|null, column: number|null}>} [errors] - Individual problems
+     */
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'MappingFileError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Upgrades mapping file data to MAPPING_FILE_VERSION
+ * Files without a version predate versioning and are read as 1.0.
+ * @param {Object} data - Parsed mapping file
+ * @returns {{data: Object, fromVersion: string, applied: Array<string>}} Upgraded data and the steps applied
+ * @throws {MappingFileError} When the file comes from a newer release
+ */
+export function migrateMappingFile(data) {
+    const fromVersion = typeof data?.version === 'string' && data.version ? data.version : '1.0';
+
+    if (compareVersions(fromVersion, MAPPING_FILE_VERSION) > 0) {
+        throw new MappingFileError(
+            `This mapping file uses format ${fromVersion}, which is newer than the supported ${MAPPING_FILE_VERSION}. Update the tool to load it.`
+        );
+    }
+
+    let migrated = data;
+    const applied = [];
+    MIGRATIONS.forEach(step => {
+        if (compareVersions(fromVersion, step.to) < 0) {
+            migrated = { ...step.migrate(migrated), version: step.to };
+            applied.push(`${step.from} → ${step.to}: ${step.description}`);
+        }
+    });
+
+    return { data: migrated, fromVersion, applied };
+}
+
+function describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = describeType(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(ref) {
+    const name = ref.replace('#/$defs/', '');
+    return MAPPING_FILE_SCHEMA.$defs[name];
+}
+
+function formatValue(value) {
+    return value === null ? 'null' : JSON.stringify(value);
+}
+
+// Supports the keywords MAPPING_FILE_SCHEMA uses
+function validateNode(value, schema, path, errors) {
+    if (schema.$ref) {
+        validateNode(value, resolveRef(schema.$ref), path, errors);
+        return;
+    }
+
+    if (schema.anyOf) {
+        const passes = schema.anyOf.some(option => {
+            const optionErrors = [];
+            validateNode(value, option, path, optionErrors);
+            return optionErrors.length === 0;
+        });
+        if (!passes) {
+            // Report against the non-null option, which is the one people mean to write
+            const mainOption = schema.anyOf.find(option => option.type !== 'null') || schema.anyOf[0];
+            if (value === null) {
+                errors.push({ path, message: 'must not be null' });
+            } else {
+                validateNode(value, mainOption, path, errors);
+            }
+        }
+        return;
+    }
+
+    (schema.allOf || []).forEach(part => validateNode(value, part, path, errors));
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push({ path, message: `must be ${types.join(' or ')}, found ${describeType(value)}` });
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, message: `must be one of ${schema.enum.map(formatValue).join(', ')}, found ${formatValue(value)}` });
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path, message: 'must not be empty' });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path, message: `has an unexpected format: ${formatValue(value)}` });
+        }
+        const regexError = schema.format === 'regex' ? getValuePatternError(value) : null;
+        if (regexError) {
+            errors.push({ path, message: `is not a valid regular expression: ${regexError}` });
+        }
+    }
+
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ path, message: `must be at least ${schema.minimum}` });
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => validateNode(item, schema.items, [...path, index], errors));
+    }
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        (schema.required || []).forEach(field => {
+            if (value[field] === undefined) {
+                errors.push({ path, message: `is missing the required field "${field}"` });
+            }
+        });
+        Object.entries(value).forEach(([field, fieldValue]) => {
+            const fieldSchema = schema.properties?.[field] ??
+                (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+            if (fieldSchema) {
+                validateNode(fieldValue, fieldSchema, [...path, field], errors);
+            }
+        });
+    }
+}
+
+/**
+ * Formats a path inside the file, e.g. mappings.mapped[2].key
+ * @param {Array<string|number>} path - Path segments
+ * @returns {string} Readable path
+ */
+export function formatMappingFilePath(path) {
+    if (path.length === 0) return 'file';
+    return path.reduce((text, segment) => (
+        typeof segment === 'number' ? `${text}[${segment}]` : text ? `${text}.${segment}` : segment
+    ), '');
+}
+
+/**
+ * Validates mapping file data against MAPPING_FILE_SCHEMA
+ * @param {Object} data - Mapping file data at MAPPING_FILE_VERSION
+ * @returns {Array<{path: Array<string|number>, message: string}>} Problems, empty when the file is valid
+ */
+export function validateMappingFile(data) {
+    const errors = [];
+    validateNode(data, MAPPING_FILE_SCHEMA, [], errors);
+    return errors;
+}
+
+function getLineAndColumn(text, offset) {
+    const before = text.slice(0, offset);
+    const lines = before.split('\n');
+    return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+// Records where each value starts in the JSON text, keyed by its path
+function indexJsonPositions(text) {
+    const positions = new Map();
+    let index = 0;
+
+    const skipWhitespace = () => {
+        while (index < text.length && /\s/.test(text[index])) index++;
+    };
+    const readString = () => {
+        const start = index;
+        index++;
+        while (index < text.length && text[index] !== '"') {
+            index += text[index] === '\\' ? 2 : 1;
+        }
+        index++;
+        return JSON.parse(text.slice(start, index));
+    };
+    const readValue = (path) => {
+        skipWhitespace();
+        positions.set(JSON.stringify(path), index);
+        const char = text[index];
+
+        if (char === '{') {
+            index++;
+            skipWhitespace();
+            while (index < text.length && text[index] !== '}') {
+                skipWhitespace();
+                const key = readString();
+                skipWhitespace();
+                index++; // colon
+                readValue([...path, key]);
+                skipWhitespace();
+                if (text[index] === ',') index++;
+                skipWhitespace();
+            }
+            index++;
+        } else if (char === '[') {
+            index++;
+            skipWhitespace();
+            let itemIndex = 0;
+            while (index < text.length && text[index] !== ']') {
+                readValue([...path, itemIndex++]);
+                skipWhitespace();
+                if (text[index] === ',') index++;
+                skipWhitespace();
+            }
+            index++;
+        } else if (char === '"') {
+            readString();
+        } else {
+            while (index < text.length && !/[\s,\]}]/.test(text[index])) index++;
+        }
+    };
+
+    readValue([]);
+    return positions;
+}
+
+function locatePath(text, positions, path) {
+    // Fields added by a migration are not in the text; point at the nearest parent instead
+    for (let length = path.length; length >= 0; length--) {
+        const offset = positions.get(JSON.stringify(path.slice(0, length)));
+        if (offset !== undefined) {
+            return getLineAndColumn(text, offset);
+        }
+    }
+    return { line: null, column: null };
+}
+
+function getSyntaxErrorLocation(text, error) {
+    const lineMatch = /line (\d+) column (\d+)/i.exec(error.message);
+    if (lineMatch) {
+        return { line: Number(lineMatch[1]), column: Number(lineMatch[2]) };
+    }
+    const positionMatch = /position (\d+)/i.exec(error.message);
+    return positionMatch ? getLineAndColumn(text, Number(positionMatch[1])) : { line: null, column: null };
+}
+
+/**
+ * Upgrades and validates mapping data that is already parsed
+ * @param {Object} data - Mapping file data of any supported version
+ * @returns {{data: Object, fromVersion: string, applied: Array<string>}} Data at MAPPING_FILE_VERSION
+ * @throws {MappingFileError} When the data is not a valid mapping file
+ */
+export function prepareMappingData(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data) || !data.mappings) {
+        throw new MappingFileError('Invalid mapping file format: no "mappings" section found');
+    }
+
+    const result = migrateMappingFile(data);
+    const errors = validateMappingFile(result.data);
+    if (errors.length > 0) {
+        throw new MappingFileError(
+            `Invalid mapping file: ${errors.length} problem${errors.length === 1 ? '' : 's'} found`,
+            errors.map(error => ({ ...error, path: formatMappingFilePath(error.path), line: null, column: null }))
+        );
+    }
+    return result;
+}
+
+/**
+ * Reads the text of a mapping file
+ * @param {string} text - File contents
+ * @returns {{data: Object, fromVersion: string, applied: Array<string>}} Data at MAPPING_FILE_VERSION
+ * @throws {MappingFileError} With line and column for each problem
+ */
+export function readMappingFile(text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        const location = getSyntaxErrorLocation(text, error);
+        throw new MappingFileError('The mapping file is not valid JSON', [
+            { path: 'file', message: error.message, ...location }
+        ]);
+    }
+
+    try {
+        return prepareMappingData(parsed);
+    } catch (error) {
+        if (!(error instanceof MappingFileError) || error.errors.length === 0) {
+            throw error;
+        }
+
+        const positions = indexJsonPositions(text);
+        const rawErrors = validateMappingFile(migrateMappingFile(parsed).data);
+        const locatedErrors = rawErrors
+            .map(rawError => ({
+                path: formatMappingFilePath(rawError.path),
+                message: rawError.message,
+                ...locatePath(text, positions, rawError.path)
+            }))
+            .sort((a, b) => (a.line ?? 0) - (b.line ?? 0) || (a.column ?? 0) - (b.column ?? 0));
+        throw new MappingFileError(error.message, locatedErrors);
+    }
+}
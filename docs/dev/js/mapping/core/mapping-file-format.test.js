@@ -0,0 +1,94 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    migrateMappingFile,
+    prepareMappingData,
+    readMappingFile,
+    validateMappingFile,
+    MappingFileError,
+    MAPPING_FILE_VERSION
+} from './mapping-file-format.js';
+import { EXTRACTION_MODES } from './value-resolution.js';
+
+// A file saved before versioning: bare key strings and no settings
+const unversionedFile = {
+    mappings: {
+        mapped: [{ key: 'dcterms:title', property: { id: 'P1476', label: 'title' } }],
+        ignored: ['dcterms:rights']
+    }
+};
+
+test('an unversioned file is read as 1.0 and upgraded through every step', () => {
+    const { data, fromVersion, applied } = migrateMappingFile(unversionedFile);
+    assert.equal(fromVersion, '1.0');
+    assert.equal(data.version, MAPPING_FILE_VERSION);
+    assert.equal(applied.length, 6);
+    assert.match(applied[0], /^1\.0 → 1\.1: /);
+    assert.match(applied[applied.length - 1], new RegExp(`→ ${MAPPING_FILE_VERSION.replace('.', '\\.')}: `));
+    assert.deepEqual(validateMappingFile(data), []);
+});
+
+test('the upgrade fills in settings later versions added', () => {
+    const { data } = migrateMappingFile(unversionedFile);
+    const [mapped] = data.mappings.mapped;
+    assert.equal(mapped.extractionMode, EXTRACTION_MODES.AUTO);
+    assert.deepEqual(mapped.contextMap, {});
+    assert.equal(mapped.condition, null);
+    assert.equal(mapped.qualifierOf, null);
+    assert.deepEqual(data.mappings.ignored[0], { ...data.mappings.ignored[0], key: 'dcterms:rights', extractionMode: null });
+    assert.deepEqual(data.mappings.manualProperties, []);
+    assert.equal(data.termLanguages, null);
+    assert.deepEqual(data.termTemplates, []);
+    assert.equal(data.classInstanceTable, null);
+});
+
+test('the upgrade keeps what the older file already had', () => {
+    const { data } = migrateMappingFile({
+        version: '1.1',
+        entitySchema: 'E10',
+        mappings: { mapped: [{ key: 'dcterms:date', property: null, extractionMode: EXTRACTION_MODES.AUTO, condition: { valuePattern: '^\\d{4}$' } }], ignored: [] }
+    });
+    assert.equal(data.entitySchema, 'E10');
+    assert.deepEqual(data.mappings.mapped[0].condition, { valuePattern: '^\\d{4}$' });
+});
+
+test('only the steps after the file version run', () => {
+    const { data, fromVersion, applied } = migrateMappingFile({ version: '1.4', mappings: { mapped: [], ignored: [] } });
+    assert.equal(fromVersion, '1.4');
+    assert.deepEqual(applied.map(step => step.split(':')[0]), ['1.4 → 1.5', '1.5 → 1.6']);
+    assert.equal(data.termLanguages, undefined);
+    assert.deepEqual(data.termTemplates, []);
+});
+
+test('a current file is not changed', () => {
+    const current = migrateMappingFile(unversionedFile).data;
+    const { data, applied } = migrateMappingFile(current);
+    assert.deepEqual(applied, []);
+    assert.equal(data, current);
+});
+
+test('files from a newer release are refused', () => {
+    assert.throws(() => migrateMappingFile({ version: '9.0', mappings: {} }), MappingFileError);
+});
+
+test('prepareMappingData refuses data without a mappings section', () => {
+    assert.throws(() => prepareMappingData({ version: '1.0' }), /no "mappings" section/);
+});
+
+test('readMappingFile reports problems with their line and column', () => {
+    const text = '{\n  "version": "1.2",\n  "mappings": {\n    "mapped": [{ "key": 42 }],\n    "ignored": []\n  }\n}';
+    let error;
+    assert.throws(() => readMappingFile(text), caught => {
+        error = caught;
+        return caught instanceof MappingFileError;
+    });
+    const keyError = error.errors.find(problem => problem.path === 'mappings.mapped[0].key');
+    assert.ok(keyError);
+    assert.deepEqual([keyError.line, keyError.column], [4, 25]);
+});
+
+test('readMappingFile refuses text that is not JSON', () => {
+    assert.throws(() => readMappingFile('{\n  "mappings": [\n}'), error => (
+        error instanceof MappingFileError && error.message === 'The mapping file is not valid JSON' && error.errors[0].path === 'file'
+    ));
+});
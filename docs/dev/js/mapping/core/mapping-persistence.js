@@ -6,6 +6,12 @@
 
 // Import dependencies
 import { showMessage, createDownloadLink } from '../../ui/components.js';
+import { normalizeCrosswalk } from './auto-mapper.js';
+import { MAPPING_FILE_VERSION, prepareMappingData } from './mapping-file-format.js';
+import { normalizeMappingCondition } from './mapping-conditions.js';
+import { normalizeTermLanguageSettings } from './term-languages.js';
+import { normalizeTermTemplates } from './term-templates.js';
+import { normalizeClassInstanceTable } from './class-instance-table.js';
 
 /**
  * Generates mapping configuration data for export/saving
@@ -15,7 +21,7 @@ import { showMessage, createDownloadLink } from '../../ui/components.js';
 export function generateMappingData(state) {
     const currentState = state.getState();
     const mappingData = {
-        version: "1.0",
+        version: MAPPING_FILE_VERSION,
         createdAt: new Date().toISOString(),
         entitySchema: currentState.entitySchema || '',
         mappings: {
@@ -42,6 +48,8 @@ export function generateMappingData(state) {
                     constraintsFetched: key.property.constraintsFetched,
                     constraintsError: key.property.constraintsError
                 } : null,
+                condition: normalizeMappingCondition(key.condition),
+                qualifierOf: key.qualifierOf || null,
                 mappedAt: key.mappedAt
             })),
             ignored: currentState.mappings.ignoredKeys.map(key => ({
@@ -73,7 +81,11 @@ export function generateMappingData(state) {
                 isRequired: prop.isRequired,
                 addedAt: prop.addedAt
             }))
-        }
+        },
+        crosswalk: currentState.mappings.crosswalk || null,
+        termLanguages: currentState.mappings.termLanguages || null,
+        termTemplates: normalizeTermTemplates(currentState.mappings.termTemplates),
+        classInstanceTable: currentState.mappings.classInstanceTable || null
     };
     
     return mappingData;
@@ -105,13 +117,13 @@ export function downloadMappingAsJson(mappingData) {
 
 /**
  * Loads mapping data from uploaded file and applies to state
- * @param {Object} mappingData - Mapping configuration to load
+ * Older file versions are upgraded first; invalid files are rejected.
+ * @param {Object} rawMappingData - Mapping configuration to load
  * @param {Object} state - Application state instance
+ * @throws {MappingFileError} When the data is not a valid mapping file
  */
-export async function loadMappingFromData(mappingData, state) {
-    if (!mappingData.version || !mappingData.mappings) {
-        throw new Error('Invalid mapping file format');
-    }
+export async function loadMappingFromData(rawMappingData, state) {
+    const { data: mappingData } = prepareMappingData(rawMappingData);
     
     // Set entity schema
     if (mappingData.entitySchema) {
@@ -159,6 +171,18 @@ export async function loadMappingFromData(mappingData, state) {
                 includedValueSources: key.includedValueSources || undefined,
                 guidedSourceMode: key.guidedSourceMode || undefined,
                 guidedManualText: key.guidedManualText || undefined,
+                condition: normalizeMappingCondition(key.condition) || undefined,
+                qualifierOf: key.qualifierOf || undefined,
+                // Qualifiers refer to their statement mapping by mappingId, which files do not store
+                mappingId: key.property?.id
+                    ? state.generateMappingId(
+                        key.key,
+                        key.property.id,
+                        key.selectedAtField ?? undefined,
+                        Number.isInteger(key.selectedObjectIndex) ? key.selectedObjectIndex : undefined,
+                        key.segmentSignature || null
+                    )
+                    : undefined,
                 // Skip dataset validation for custom mappings
                 notInCurrentDataset: isCustomMapping ? false : !currentDataKeys.has(key.key)
             };
@@ -174,6 +198,20 @@ export async function loadMappingFromData(mappingData, state) {
     
     // Update state
     state.updateMappings([], mappedKeys, ignoredKeys); // Clear non-linked keys, load mapped and ignored
+
+    // A mapping file without a crosswalk keeps the one already in use
+    if (Array.isArray(mappingData.crosswalk)) {
+        state.updateState('mappings.crosswalk', normalizeCrosswalk(mappingData.crosswalk));
+    }
+    if (mappingData.termLanguages && typeof mappingData.termLanguages === 'object') {
+        state.updateState('mappings.termLanguages', normalizeTermLanguageSettings(mappingData.termLanguages));
+    }
+    if (Array.isArray(mappingData.termTemplates)) {
+        state.updateState('mappings.termTemplates', normalizeTermTemplates(mappingData.termTemplates));
+    }
+    if (Array.isArray(mappingData.classInstanceTable)) {
+        state.updateState('mappings.classInstanceTable', normalizeClassInstanceTable(mappingData.classInstanceTable));
+    }
     
     // Clear existing manual properties and add loaded ones
     currentState.mappings.manualProperties = [];
@@ -0,0 +1,173 @@
+/**
+ * Mapping template library module
+ * Keeps named mappings in the browser, each tied to Omeka resource templates
+ * and/or an Entity Schema, so a new batch can reuse the mapping of an earlier one
+ * @module mapping/core/mapping-template-library
+ */
+
+import { getItemResourceTemplateId } from '../../input/core/item-filter.js';
+
+const STORAGE_KEY = 'mapping_template_library';
+
+function readLibrary() {
+    try {
+        const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(STORAGE_KEY) : null;
+        const parsed = stored ? JSON.parse(stored) : [];
+        return Array.isArray(parsed) ? parsed.filter(template => template?.id && template.mapping) : [];
+    } catch (error) {
+        console.warn('Could not load the mapping template library:', error);
+        return [];
+    }
+}
+
+function writeLibrary(templates) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(templates));
+        return true;
+    } catch (error) {
+        console.warn('Could not save the mapping template library:', error);
+        return false;
+    }
+}
+
+/**
+ * Lists the saved mapping templates, most recently saved first
+ * @returns {Array<Object>} Mapping templates
+ */
+export function getMappingTemplates() {
+    return readLibrary().sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)));
+}
+
+/**
+ * Lists the field keys of a set of items that a mapping can use
+ * @param {Array<Object>} items - Omeka S items
+ * @returns {Array<string>} Sorted field keys
+ */
+export function collectFieldKeys(items = []) {
+    const keys = new Set();
+    items.forEach(item => {
+        if (!item || typeof item !== 'object') return;
+        Object.keys(item).forEach(key => {
+            if (!key.startsWith('@') && !key.startsWith('o:')) {
+                keys.add(key);
+            }
+        });
+    });
+    return Array.from(keys).sort();
+}
+
+/**
+ * Lists the resource templates used by a set of items
+ * @param {Array<Object>} items - Omeka S items
+ * @param {Array<Object>} [resourceTemplates] - Template definitions from the Omeka S API, used for labels
+ * @returns {Array<{id: string, label: string, count: number}>} Templates, most used first
+ */
+export function collectResourceTemplates(items = [], resourceTemplates = []) {
+    const templates = new Map();
+    items.forEach(item => {
+        const id = getItemResourceTemplateId(item);
+        if (!id) return;
+
+        if (!templates.has(id)) {
+            const definition = resourceTemplates.find(template => String(template?.['o:id']) === id);
+            templates.set(id, { id, label: definition?.['o:label'] || item['o:resource_template']?.['o:label'] || '', count: 0 });
+        }
+        templates.get(id).count++;
+    });
+    return Array.from(templates.values()).sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Saves a mapping in the library
+ * A template with the same name is replaced.
+ * @param {Object} details - Template details
+ * @param {string} details.name - Name shown in the library
+ * @param {Array<{id: string, label: string}>} details.resourceTemplates - Omeka resource templates the mapping is for
+ * @param {Object|null} details.entitySchema - Entity Schema the mapping is for ({id, label})
+ * @param {Array<string>} details.fieldKeys - Fields present when the template was saved
+ * @param {Object} details.mapping - Mapping file data from generateMappingData
+ * @returns {Object} Saved template
+ * @throws {Error} When the name is missing, nothing ties the template to a batch, or storage fails
+ */
+export function saveMappingTemplate({ name, resourceTemplates = [], entitySchema = null, fieldKeys = [], mapping }) {
+    const trimmedName = String(name || '').trim();
+    if (!trimmedName) {
+        throw new Error('Give the mapping template a name.');
+    }
+    if (resourceTemplates.length === 0 && !entitySchema?.id) {
+        throw new Error('Tie the mapping template to a resource template or an Entity Schema.');
+    }
+
+    const templates = readLibrary();
+    const existing = templates.find(template => template.name.toLowerCase() === trimmedName.toLowerCase());
+    const template = {
+        id: existing?.id || `template-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        name: trimmedName,
+        resourceTemplates: resourceTemplates.map(({ id, label }) => ({ id: String(id), label: label || '' })),
+        entitySchema: entitySchema?.id ? { id: entitySchema.id, label: entitySchema.label || '' } : null,
+        fieldKeys: [...fieldKeys],
+        savedAt: new Date().toISOString(),
+        mapping
+    };
+
+    const nextTemplates = existing
+        ? templates.map(entry => (entry.id === existing.id ? template : entry))
+        : [...templates, template];
+
+    if (!writeLibrary(nextTemplates)) {
+        throw new Error('The browser storage is full or unavailable.');
+    }
+    return template;
+}
+
+/**
+ * Removes a mapping template from the library
+ * @param {string} templateId - Template ID
+ */
+export function deleteMappingTemplate(templateId) {
+    writeLibrary(readLibrary().filter(template => template.id !== templateId));
+}
+
+/**
+ * Ranks the library templates that fit a batch
+ * Shared resource templates weigh most; a matching Entity Schema adds to the score.
+ * @param {Object} context - The current batch
+ * @param {Array<string>} context.resourceTemplateIds - Resource templates of the loaded items
+ * @param {string|null} [context.entitySchemaId] - Selected Entity Schema
+ * @param {Array<Object>} [templates] - Templates to rank, defaults to the library
+ * @returns {Array<{template: Object, score: number, sharedTemplateIds: Array<string>, schemaMatches: boolean}>} Matches, best first
+ */
+export function findMatchingTemplates({ resourceTemplateIds = [], entitySchemaId = null }, templates = getMappingTemplates()) {
+    const batchIds = new Set(resourceTemplateIds.map(String));
+
+    return templates
+        .map(template => {
+            const templateIds = (template.resourceTemplates || []).map(entry => entry.id);
+            const sharedTemplateIds = templateIds.filter(id => batchIds.has(id));
+            const unionSize = new Set([...templateIds, ...batchIds]).size;
+            const schemaMatches = Boolean(entitySchemaId && template.entitySchema?.id === entitySchemaId);
+            const score = (unionSize > 0 ? (sharedTemplateIds.length / unionSize) * 2 : 0) + (schemaMatches ? 1 : 0);
+            return { template, score, sharedTemplateIds, schemaMatches };
+        })
+        .filter(match => match.score > 0)
+        .sort((a, b) => b.score - a.score || String(b.template.savedAt).localeCompare(String(a.template.savedAt)));
+}
+
+/**
+ * Compares the fields of a template with the fields of the loaded items
+ * @param {Object} template - Mapping template
+ * @param {Array<string>} currentFieldKeys - Fields of the loaded items
+ * @returns {{newFields: Array<string>, missingFields: Array<string>, missingMappedFields: Array<string>}} Field differences
+ */
+export function diffTemplateFields(template, currentFieldKeys = []) {
+    const savedKeys = new Set(template.fieldKeys || []);
+    const currentKeys = new Set(currentFieldKeys);
+    const mappedKeys = new Set((template.mapping?.mappings?.mapped || []).map(mapping => mapping.key));
+
+    const missingFields = Array.from(savedKeys).filter(key => !currentKeys.has(key)).sort();
+    return {
+        newFields: Array.from(currentKeys).filter(key => !savedKeys.has(key)).sort(),
+        missingFields,
+        missingMappedFields: missingFields.filter(key => mappedKeys.has(key))
+    };
+}
@@ -0,0 +1,171 @@
+/**
+ * Property co-occurrence module
+ * Ranks properties that are commonly used together with the properties a
+ * project has already mapped, from Wikidata's property suggester, a bundled
+ * table that works offline and the selected Entity Schema
+ * @module mapping/core/property-cooccurrence
+ */
+
+/**
+ * Properties that Wikidata items of one kind usually carry together
+ * A property's co-occurrence with the mapped ones is read from the groups
+ * they share, so the table stays small and still works without a network.
+ */
+export const BUNDLED_COOCCURRENCE_GROUPS = Object.freeze([
+    {
+        name: 'artworks',
+        properties: ['P31', 'P170', 'P571', 'P276', 'P195', 'P217', 'P186', 'P2048', 'P2049', 'P136', 'P180', 'P1476', 'P18', 'P127', 'P608', 'P1071', 'P6216']
+    },
+    {
+        name: 'books',
+        properties: ['P31', 'P50', 'P1476', 'P123', 'P577', 'P407', 'P291', 'P212', 'P957', 'P921', 'P136', 'P1104', 'P393', 'P629', 'P655']
+    },
+    {
+        name: 'scholarly articles',
+        properties: ['P31', 'P50', 'P2093', 'P1476', 'P577', 'P1433', 'P478', 'P433', 'P304', 'P356', 'P407', 'P921', 'P2860']
+    },
+    {
+        name: 'people',
+        properties: ['P31', 'P21', 'P569', 'P570', 'P19', 'P20', 'P106', 'P27', 'P735', 'P734', 'P1559', 'P214', 'P227', 'P244', 'P18', 'P373']
+    },
+    {
+        name: 'organizations',
+        properties: ['P31', 'P571', 'P159', 'P17', 'P112', 'P452', 'P856', 'P1448', 'P576', 'P214', 'P18', 'P373']
+    },
+    {
+        name: 'places and buildings',
+        properties: ['P31', 'P17', 'P131', 'P625', 'P571', 'P18', 'P373', 'P84', 'P149', 'P1435']
+    },
+    {
+        name: 'photographs and archival records',
+        properties: ['P31', 'P170', 'P571', 'P180', 'P195', 'P217', 'P1476', 'P6216', 'P275', 'P1071', 'P485']
+    }
+]);
+
+// Extra score for properties of the selected Entity Schema that are not mapped yet
+const SCHEMA_BONUS = {
+    required: 0.6,
+    optional: 0.3
+};
+
+const SUGGESTER_TIMEOUT_MS = 5000;
+
+/**
+ * Scores properties by the bundled groups they share with the mapped properties
+ * @param {Array<string>} mappedPropertyIds - Property IDs already mapped
+ * @returns {Map<string, {score: number, withIds: Set<string>}>} Scores by property ID, between 0 and 1
+ */
+export function scoreBundledCooccurrence(mappedPropertyIds) {
+    const mapped = new Set(mappedPropertyIds);
+    const scores = new Map();
+    let bestRaw = 0;
+
+    BUNDLED_COOCCURRENCE_GROUPS.forEach(group => {
+        const shared = group.properties.filter(id => mapped.has(id));
+        if (shared.length === 0) return;
+
+        const weight = shared.length / group.properties.length;
+        group.properties.forEach(id => {
+            if (mapped.has(id)) return;
+            if (!scores.has(id)) {
+                scores.set(id, { score: 0, withIds: new Set() });
+            }
+            const entry = scores.get(id);
+            entry.score += weight;
+            shared.forEach(sharedId => entry.withIds.add(sharedId));
+            bestRaw = Math.max(bestRaw, entry.score);
+        });
+    });
+
+    scores.forEach(entry => {
+        entry.score = bestRaw > 0 ? entry.score / bestRaw : 0;
+    });
+    return scores;
+}
+
+/**
+ * Asks Wikidata's property suggester which properties go with the mapped ones
+ * @param {Array<string>} mappedPropertyIds - Property IDs already mapped
+ * @param {Object} [options] - Request options
+ * @param {number} [options.limit] - Maximum number of suggestions
+ * @param {string} [options.language] - Language of labels and descriptions
+ * @returns {Promise<Array<{id: string, label: string, description: string, rating: number}>>} Suggestions, best first
+ * @throws {Error} When the suggester cannot be reached
+ */
+export async function fetchPropertySuggesterSuggestions(mappedPropertyIds, { limit = 20, language = 'en' } = {}) {
+    const ids = mappedPropertyIds.filter(id => /^P\d+$/.test(id));
+    if (ids.length === 0) {
+        return [];
+    }
+
+    const url = `https://www.wikidata.org/w/api.php?action=wbsgetsuggestions&properties=${ids.join('|')}&limit=${limit}&language=${encodeURIComponent(language)}&context=item&format=json&origin=*`;
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), SUGGESTER_TIMEOUT_MS);
+
+    try {
+        const response = await fetch(url, { signal: controller.signal });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const data = await response.json();
+        return (data.search || [])
+            .filter(suggestion => /^P\d+$/.test(suggestion?.id))
+            .map(suggestion => ({
+                id: suggestion.id,
+                label: suggestion.label || suggestion.id,
+                description: suggestion.description || '',
+                rating: Number(suggestion.rating) || 0
+            }));
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+/**
+ * Ranks the properties commonly used together with the mapped ones
+ * @param {Object} sources - What the ranking is based on
+ * @param {Array<string>} sources.mappedPropertyIds - Property IDs already mapped
+ * @param {Array<{id: string, required: boolean}>} [sources.schemaProperties] - Properties of the selected Entity Schema
+ * @param {Array<{id: string, label: string, description: string, rating: number}>|null} [sources.suggesterSuggestions] - Property suggester results, null when it was unavailable
+ * @param {number} [limit] - Maximum number of suggestions
+ * @returns {Array<{id: string, label: string|null, description: string|null, score: number, reasons: Array<string>}>} Suggestions, best first
+ */
+export function rankCooccurrenceSuggestions({ mappedPropertyIds = [], schemaProperties = [], suggesterSuggestions = null }, limit = 8) {
+    const mapped = new Set(mappedPropertyIds);
+    const candidates = new Map();
+    const candidate = id => {
+        if (!candidates.has(id)) {
+            candidates.set(id, { id, label: null, description: null, score: 0, reasons: [] });
+        }
+        return candidates.get(id);
+    };
+
+    (suggesterSuggestions || []).forEach(suggestion => {
+        if (mapped.has(suggestion.id)) return;
+        const entry = candidate(suggestion.id);
+        entry.label = suggestion.label;
+        entry.description = suggestion.description;
+        entry.score += suggestion.rating;
+        entry.reasons.push(`Wikidata property suggester (${Math.round(suggestion.rating * 100)}%)`);
+    });
+
+    // The bundled table weighs less once the suggester has answered
+    const bundledWeight = suggesterSuggestions ? 0.5 : 1;
+    scoreBundledCooccurrence(mappedPropertyIds).forEach(({ score, withIds }, id) => {
+        const entry = candidate(id);
+        entry.score += score * bundledWeight;
+        entry.reasons.push(`Often used with ${Array.from(withIds).slice(0, 3).join(', ')}`);
+    });
+
+    schemaProperties.forEach(schemaProperty => {
+        if (!/^P\d+$/.test(schemaProperty?.id) || mapped.has(schemaProperty.id)) return;
+        const entry = candidate(schemaProperty.id);
+        entry.score += schemaProperty.required ? SCHEMA_BONUS.required : SCHEMA_BONUS.optional;
+        entry.reasons.push(schemaProperty.required ? 'Required by the Entity Schema' : 'In the Entity Schema');
+    });
+
+    return Array.from(candidates.values())
+        .filter(entry => entry.score > 0)
+        .sort((a, b) => b.score - a.score || Number(a.id.slice(1)) - Number(b.id.slice(1)))
+        .slice(0, limit);
+}
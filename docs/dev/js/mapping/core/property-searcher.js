@@ -7,13 +7,14 @@
 // Import dependencies
 import { eventSystem } from '../../events.js';
 import { showMessage, createElement, createListItem } from '../../ui/components.js';
-import { getCompletePropertyData, getBatchPropertyInfo, getCachedProperty } from '../../api/wikidata.js';
+import { getCompletePropertyData, getBatchPropertyInfo, getCachedProperty, getPropertyConstraints } from '../../api/wikidata.js';
 import { refreshStage3TransformationUI as refreshStage3UI } from './transformation-engine.js';
 import { updateModalTitle, updateStage2Summary } from '../ui/modals/mapping-modal.js';
 import { convertCamelCaseToSpaces, buildIncludedSegmentsSignature } from './data-analyzer.js';
 import { displayPropertyConstraints } from './constraint-validator.js';
 import { createConstraintsSection } from '../ui/constraint-ui.js';
 import { openRawJsonModal } from '../ui/modals/json-modal.js';
+import { fetchPropertySuggesterSuggestions, rankCooccurrenceSuggestions } from './property-cooccurrence.js';
 
 function refreshStage3TransformationUI() {
     const keyData = window.currentMappingKeyData || {};
@@ -417,6 +418,8 @@ export function setupPropertySearch(keyData, state) {
     
     if (!searchInput) return;
     
+    displayCooccurrenceSuggestions(document.getElementById('property-cooccurrence-suggestions'), state);
+    
     // Pre-populate if this key is already mapped
     if (keyData && keyData.property) {
         window.currentMappingSelectedProperty = keyData.property;
@@ -539,6 +542,109 @@ export function getAutoSuggestions(query, state) {
     return suggestions;
 }
 
+/**
+ * Get properties commonly used together with the mapped ones
+ * Falls back to the bundled co-occurrence table when the Wikidata property
+ * suggester cannot be reached.
+ * @param {Object} state - Application state
+ * @param {number} [limit] - Maximum number of suggestions
+ * @returns {Promise<Array<Object>>} Ranked suggestions with label, datatype, expected value types and reasons
+ */
+export async function getCooccurrenceSuggestions(state, limit = 8) {
+    const currentState = state.getState();
+    const mappedPropertyIds = Array.from(new Set([
+        ...(currentState.mappings?.mappedKeys || []).map(keyObj => keyObj?.property?.id),
+        ...(currentState.mappings?.manualProperties || []).map(prop => prop?.property?.id)
+    ].filter(id => /^P\d+$/.test(id || ''))));
+    const schemaProperties = extractEntitySchemaProperties(state);
+
+    if (mappedPropertyIds.length === 0 && schemaProperties.length === 0) {
+        return [];
+    }
+
+    let suggesterSuggestions = null;
+    try {
+        suggesterSuggestions = await fetchPropertySuggesterSuggestions(mappedPropertyIds);
+    } catch (error) {
+        console.warn('Property suggester unavailable, using the bundled co-occurrence table:', error);
+    }
+
+    const ranked = rankCooccurrenceSuggestions({ mappedPropertyIds, schemaProperties, suggesterSuggestions }, limit);
+    if (ranked.length === 0) {
+        return [];
+    }
+
+    const propertyInfo = await getBatchPropertyInfo(ranked.map(suggestion => suggestion.id)).catch(() => ({}));
+    return Promise.all(ranked.map(async suggestion => {
+        const info = propertyInfo[suggestion.id] || {};
+        const datatype = info.datatype || null;
+        let valueTypes = [];
+        if (datatype === 'wikibase-item') {
+            // A failed lookup only costs this suggestion its value type hint
+            const constraints = await getPropertyConstraints(suggestion.id).catch(() => ({}));
+            valueTypes = (constraints?.valueType || []).flatMap(constraint =>
+                constraint.classes.map(classId => constraint.classLabels?.[classId] || classId)
+            );
+        }
+        return {
+            ...suggestion,
+            label: suggestion.label || info.label || suggestion.id,
+            description: suggestion.description || info.description || '',
+            datatype,
+            datatypeLabel: info.datatypeLabel || null,
+            valueTypes
+        };
+    }));
+}
+
+/**
+ * Show the "Commonly used together" suggestions of the mapping modal
+ * @param {HTMLElement} container - Container for the suggestions
+ * @param {Object} state - Application state
+ */
+export async function displayCooccurrenceSuggestions(container, state) {
+    if (!container) return;
+    container.innerHTML = '<div class="loading">Finding properties commonly used together...</div>';
+
+    let suggestions = [];
+    try {
+        suggestions = await getCooccurrenceSuggestions(state);
+    } catch (error) {
+        console.error('Error getting co-occurrence suggestions:', error);
+    }
+
+    // The modal may have been closed while the suggestions loaded
+    if (!container.isConnected) return;
+    container.innerHTML = '';
+    if (suggestions.length === 0) return;
+
+    const section = createElement('div', { className: 'suggestion-section' }, [
+        createElement('h5', {}, 'Commonly used together')
+    ]);
+    suggestions.forEach(suggestion => {
+        const details = [
+            suggestion.datatypeLabel,
+            suggestion.valueTypes.length > 0
+                ? `expects ${suggestion.valueTypes.slice(0, 3).join(', ')}${suggestion.valueTypes.length > 3 ? ` and ${suggestion.valueTypes.length - 3} more` : ''}`
+                : null
+        ].filter(Boolean).join(' · ');
+
+        section.appendChild(createElement('div', {
+            className: 'property-suggestion-item cooccurrence',
+            onClick: () => selectProperty({ id: suggestion.id, label: suggestion.label, description: suggestion.description }, state)
+        }, [
+            createElement('div', { className: 'property-main' }, [
+                createElement('span', { className: 'property-id' }, suggestion.id),
+                createElement('span', { className: 'property-label' }, suggestion.label),
+                details ? createElement('span', { className: 'property-cooccurrence-details' }, details) : null
+            ]),
+            suggestion.description ? createElement('div', { className: 'property-description' }, suggestion.description) : null,
+            createElement('div', { className: 'property-cooccurrence-reasons' }, suggestion.reasons.join(' · '))
+        ]));
+    });
+    container.appendChild(section);
+}
+
 /**
  * Display property suggestions
  */
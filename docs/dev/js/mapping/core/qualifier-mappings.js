@@ -0,0 +1,113 @@
+/**
+ * Qualifier mappings module
+ * A mapped key with `qualifierOf` set to another mapping's ID is exported as
+ * a qualifier on that mapping's statements instead of as statements of its own
+ * @module mapping/core/qualifier-mappings
+ */
+
+const NON_STATEMENT_PROPERTY_IDS = new Set(['label', 'description', 'aliases']);
+
+/**
+ * Checks whether a mapped key writes statements that can carry qualifiers
+ * @param {Object} keyObj - Mapped key
+ * @returns {boolean} True for mappings to a Wikidata property
+ */
+export function isStatementMapping(keyObj) {
+    const propertyId = keyObj?.property?.id;
+    return Boolean(propertyId && !NON_STATEMENT_PROPERTY_IDS.has(propertyId) && /^P\d+$/.test(propertyId) && !keyObj.qualifierOf);
+}
+
+/**
+ * Lists the mappings a key can be attached to as a qualifier
+ * @param {Object} keyData - Key being mapped
+ * @param {Array<Object>} mappedKeys - All mapped keys
+ * @returns {Array<Object>} Statement mappings other than the key itself
+ */
+export function getQualifierTargets(keyData, mappedKeys = []) {
+    return mappedKeys.filter(keyObj =>
+        isStatementMapping(keyObj) &&
+        keyObj.mappingId &&
+        keyObj.mappingId !== keyData?.mappingId
+    );
+}
+
+/**
+ * Lists the qualifier mappings attached to a mapping
+ * @param {string} mappingId - Mapping ID of the statement mapping
+ * @param {Array<Object>} mappedKeys - All mapped keys
+ * @returns {Array<Object>} Qualifier mappings
+ */
+export function getQualifiersOf(mappingId, mappedKeys = []) {
+    return mappedKeys.filter(keyObj => keyObj?.qualifierOf && keyObj.qualifierOf === mappingId);
+}
+
+/**
+ * Points qualifiers at a mapping's new ID after the mapping was edited
+ * @param {Array<Object>} mappedKeys - All mapped keys
+ * @param {string} oldMappingId - Previous mapping ID
+ * @param {string} newMappingId - New mapping ID
+ * @returns {Array<Object>} Mapped keys, with the same array returned when nothing changed
+ */
+export function retargetQualifiers(mappedKeys, oldMappingId, newMappingId) {
+    if (!oldMappingId || oldMappingId === newMappingId || !mappedKeys.some(keyObj => keyObj?.qualifierOf === oldMappingId)) {
+        return mappedKeys;
+    }
+    return mappedKeys.map(keyObj => (keyObj?.qualifierOf === oldMappingId ? { ...keyObj, qualifierOf: newMappingId } : keyObj));
+}
+
+/**
+ * Describes the statement mapping a qualifier is attached to
+ * @param {Object} keyObj - Qualifier mapping
+ * @param {Array<Object>} mappedKeys - All mapped keys
+ * @returns {string} Description, empty when the key is not a qualifier
+ */
+export function describeQualifierTarget(keyObj, mappedKeys = []) {
+    if (!keyObj?.qualifierOf) return '';
+
+    const target = mappedKeys.find(other => other?.mappingId === keyObj.qualifierOf);
+    if (!target?.property) {
+        return 'qualifier of a mapping that no longer exists';
+    }
+    return `qualifier of ${target.property.id} (${target.property.label || target.key}) from ${target.key}`;
+}
+
+/**
+ * Keeps the qualifier groups whose values can be paired with a mapping's statements
+ * Pairing works on source values, the Omeka values of both mappings before
+ * reconciliation drops any. A group pairs when its mapping has one source
+ * value, which goes on every statement, or as many source values as the
+ * statement mapping, which pair by value index. Any other count cannot be
+ * paired reliably, so the group is skipped with a warning.
+ * @param {Array<{propertyId: string, sourceCount: number, values: Array<Object>}>} qualifierGroups - Qualifier values per qualifier mapping
+ * @param {number} statementSourceCount - Number of source values of the statement mapping
+ * @param {string} itemId - Item the statements belong to, for the warning
+ * @param {Array<string>} warnings - Export warnings to add to
+ * @returns {Array<Object>} Qualifier groups that pickQualifiers can pair
+ */
+export function getPairableQualifierGroups(qualifierGroups, statementSourceCount, itemId, warnings) {
+    return qualifierGroups.filter(group => {
+        if (statementSourceCount === 0 || group.sourceCount === 1 || group.sourceCount === statementSourceCount) {
+            return true;
+        }
+        warnings.push(`${itemId}: qualifier ${group.propertyId} was skipped: its ${group.sourceCount} values cannot be paired with the ${statementSourceCount} values of the statements`);
+        return false;
+    });
+}
+
+/**
+ * Picks the qualifier pairs for one statement of a mapping
+ * A single qualifier value goes on every statement; otherwise the statement
+ * gets the qualifier value with its own value index, and none when that value
+ * was not reconciled (see getPairableQualifierGroups).
+ * @param {Array<{propertyId: string, sourceCount: number, values: Array<{value: string, datatype: string|null, origin: Object}>}>} qualifierGroups - Pairable qualifier values per qualifier mapping, with the datatype and origin of each value
+ * @param {number} valueIndex - Source value index of the statement
+ * @returns {Array<{propertyId: string, value: string, datatype: string|null, origin: Object}>} Qualifier pairs
+ */
+export function pickQualifiers(qualifierGroups, valueIndex) {
+    return qualifierGroups.flatMap(group => {
+        const picked = group.sourceCount === 1
+            ? group.values[0]
+            : group.values.find(qualifier => qualifier.origin.valueIndex === valueIndex);
+        return picked ? [{ propertyId: group.propertyId, ...picked }] : [];
+    });
+}
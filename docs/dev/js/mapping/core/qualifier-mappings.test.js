@@ -0,0 +1,57 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getPairableQualifierGroups, pickQualifiers } from './qualifier-mappings.js';
+
+const qualifierValue = (value, valueIndex) => ({
+    value,
+    datatype: 'wikibase-item',
+    origin: { itemId: 'item-0', mappingId: 'qualifier', valueIndex }
+});
+
+test('pairs qualifier values with statements by source value index', () => {
+    // Statement values [A, B-unreconciled], qualifier values [qa-unreconciled, qb]
+    const groups = [{ propertyId: 'P3831', sourceCount: 2, values: [qualifierValue('Qb', 1)] }];
+    const warnings = [];
+    const pairable = getPairableQualifierGroups(groups, 2, 'item-0', warnings);
+
+    assert.deepEqual(warnings, []);
+    assert.deepEqual(pickQualifiers(pairable, 0), [], 'A gets no qualifier: its own qualifier value was not reconciled');
+});
+
+test('puts a qualifier value on the statement from the same source value', () => {
+    const groups = [{ propertyId: 'P3831', sourceCount: 3, values: [qualifierValue('Qa', 0), qualifierValue('Qc', 2)] }];
+
+    assert.deepEqual(pickQualifiers(groups, 2).map(pair => pair.value), ['Qc']);
+    assert.deepEqual(pickQualifiers(groups, 1), []);
+    assert.equal(pickQualifiers(groups, 0)[0].propertyId, 'P3831');
+});
+
+test('puts a single qualifier value on every statement', () => {
+    const groups = [{ propertyId: 'P195', sourceCount: 1, values: [qualifierValue('Q190804', 0)] }];
+    const pairable = getPairableQualifierGroups(groups, 4, 'item-0', []);
+
+    [0, 1, 3].forEach(valueIndex => {
+        assert.deepEqual(pickQualifiers(pairable, valueIndex).map(pair => pair.value), ['Q190804']);
+    });
+});
+
+test('skips groups whose source value count differs from the statements', () => {
+    const groups = [
+        { propertyId: 'P195', sourceCount: 2, values: [qualifierValue('Qa', 0), qualifierValue('Qb', 1)] },
+        { propertyId: 'P3831', sourceCount: 3, values: [qualifierValue('Qc', 0)] }
+    ];
+    const warnings = [];
+    const pairable = getPairableQualifierGroups(groups, 3, 'item-7', warnings);
+
+    assert.deepEqual(pairable.map(group => group.propertyId), ['P3831']);
+    assert.deepEqual(warnings, ['item-7: qualifier P195 was skipped: its 2 values cannot be paired with the 3 values of the statements']);
+});
+
+test('counts source values, not the values left after reconciliation', () => {
+    // Two of three qualifier values were reconciled, three statements: still pairable
+    const groups = [{ propertyId: 'P195', sourceCount: 3, values: [qualifierValue('Qa', 0), qualifierValue('Qb', 1)] }];
+    const warnings = [];
+
+    assert.equal(getPairableQualifierGroups(groups, 3, 'item-0', warnings).length, 1);
+    assert.deepEqual(warnings, []);
+});
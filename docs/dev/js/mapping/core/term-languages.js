@@ -0,0 +1,228 @@
+/**
+ * Term languages module
+ * Decides the language of label, description and alias values from the
+ * @language tags of Omeka values, with fallback rules for untagged values and
+ * a per-project default language
+ * @module mapping/core/term-languages
+ */
+
+/**
+ * QuickStatements prefix per term type (Len, Dnl, Afr)
+ */
+export const TERM_QUICKSTATEMENTS_PREFIXES = Object.freeze({
+    label: 'L',
+    description: 'D',
+    aliases: 'A'
+});
+
+/**
+ * What happens to values without a language tag once the language field gave none
+ */
+export const UNTAGGED_VALUE_RULES = Object.freeze({
+    DEFAULT_LANGUAGE: 'default',
+    SKIP: 'skip'
+});
+
+// Both singular and plural forms are in use for term mappings
+const TERM_TYPES_BY_PROPERTY_ID = new Map([
+    ['label', 'label'],
+    ['labels', 'label'],
+    ['description', 'description'],
+    ['descriptions', 'description'],
+    ['alias', 'aliases'],
+    ['aliases', 'aliases']
+]);
+
+// ISO 639-2/3 codes that Omeka installations commonly use, with their Wikimedia code
+const THREE_LETTER_LANGUAGE_CODES = new Map([
+    ['eng', 'en'], ['nld', 'nl'], ['dut', 'nl'], ['fra', 'fr'], ['fre', 'fr'],
+    ['deu', 'de'], ['ger', 'de'], ['spa', 'es'], ['ita', 'it'], ['por', 'pt'],
+    ['lat', 'la'], ['lim', 'li'], ['fry', 'fy'], ['swe', 'sv'], ['dan', 'da'],
+    ['pol', 'pl'], ['rus', 'ru'], ['jpn', 'ja'], ['zho', 'zh'], ['chi', 'zh'],
+    ['ara', 'ar'], ['heb', 'he'], ['ell', 'el'], ['gre', 'el'], ['tur', 'tr'],
+    ['cat', 'ca'], ['ces', 'cs'], ['cze', 'cs'], ['fin', 'fi'], ['hun', 'hu']
+]);
+
+// Regional variants Wikidata accepts as term languages; other regions are dropped
+const WIKIMEDIA_REGIONAL_CODES = new Set([
+    'en-gb', 'en-ca', 'pt-br', 'de-ch', 'de-at', 'zh-hans', 'zh-hant',
+    'zh-cn', 'zh-tw', 'zh-hk', 'sr-ec', 'sr-el', 'nl-informal', 'de-formal'
+]);
+
+/**
+ * Gets the term type of a mapping target
+ * @param {string} propertyId - Property ID of a mapping (label, description, aliases or a P-ID)
+ * @returns {string|null} label, description or aliases; null for statements
+ */
+export function getTermType(propertyId) {
+    return TERM_TYPES_BY_PROPERTY_ID.get(String(propertyId || '').toLowerCase()) || null;
+}
+
+/**
+ * Turns a language tag into the code Wikidata expects
+ * nl-NL becomes nl, en_GB becomes en-gb and dut becomes nl.
+ * @param {string} code - Language tag from Omeka or user input
+ * @returns {string|null} Wikimedia language code, or null when the tag is not a language code
+ */
+export function normalizeLanguageCode(code) {
+    const cleaned = String(code ?? '').trim().toLowerCase().replace(/_/g, '-');
+    if (!/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/.test(cleaned)) {
+        return null;
+    }
+
+    const [base, ...subtags] = cleaned.split('-');
+    // "und" (undetermined) says no more than a missing tag
+    if (base === 'und') {
+        return null;
+    }
+    const primary = THREE_LETTER_LANGUAGE_CODES.get(base) || base;
+    if (subtags.length === 0) {
+        return primary;
+    }
+
+    const regional = [primary, ...subtags].join('-');
+    return WIKIMEDIA_REGIONAL_CODES.has(regional) ? regional : primary;
+}
+
+/**
+ * Creates the settings of a project without language configuration
+ * @returns {{defaultLanguage: string, languageField: string, untaggedValues: string}} Settings
+ */
+export function createTermLanguageSettings() {
+    return {
+        defaultLanguage: 'en',
+        languageField: '',
+        untaggedValues: UNTAGGED_VALUE_RULES.DEFAULT_LANGUAGE
+    };
+}
+
+/**
+ * Cleans up settings as edited or loaded from a mapping file
+ * @param {Object|null} settings - Term language settings
+ * @returns {{defaultLanguage: string, languageField: string, untaggedValues: string}} Complete settings
+ */
+export function normalizeTermLanguageSettings(settings) {
+    const defaults = createTermLanguageSettings();
+    if (!settings || typeof settings !== 'object') {
+        return defaults;
+    }
+
+    return {
+        defaultLanguage: normalizeLanguageCode(settings.defaultLanguage) || defaults.defaultLanguage,
+        languageField: typeof settings.languageField === 'string' ? settings.languageField.trim() : '',
+        untaggedValues: Object.values(UNTAGGED_VALUE_RULES).includes(settings.untaggedValues)
+            ? settings.untaggedValues
+            : defaults.untaggedValues
+    };
+}
+
+/**
+ * Reads the language of an item from its language field, e.g. dcterms:language
+ * Accepts codes as literal values and ISO 639 URIs such as ValueSuggest stores.
+ * @param {Object} item - Omeka S item
+ * @param {string} languageField - Field holding the item's language
+ * @returns {string|null} Wikimedia language code of the first usable value
+ */
+export function getItemLanguage(item, languageField) {
+    if (!item || !languageField) return null;
+
+    const values = Array.isArray(item[languageField]) ? item[languageField] : [item[languageField]];
+    for (const value of values) {
+        const candidates = value && typeof value === 'object'
+            ? [value['@value'], value['@id']?.split('/').pop(), value['o:label']]
+            : [value];
+        const code = candidates.map(normalizeLanguageCode).find(Boolean);
+        if (code) return code;
+    }
+    return null;
+}
+
+/**
+ * Decides the language of a label, description or alias value
+ * A language confirmed during reconciliation wins, then the value's own
+ * @language tag, then the item's language field, then the default language.
+ * @param {Object} sources - Where the language can come from
+ * @param {string} [sources.confirmedLanguage] - Language chosen in the reconciliation modal
+ * @param {string} [sources.sourceLanguage] - @language tag of the Omeka value
+ * @param {Object} [sources.item] - Omeka S item, for the language field
+ * @param {Object} settings - Term language settings
+ * @returns {{language: string, origin: string}|null} Language and where it came from, or null when the value is left for review
+ */
+export function resolveTermLanguage({ confirmedLanguage, sourceLanguage, item } = {}, settings) {
+    const normalized = normalizeTermLanguageSettings(settings);
+
+    const confirmed = normalizeLanguageCode(confirmedLanguage);
+    if (confirmed) return { language: confirmed, origin: 'confirmed' };
+
+    const tagged = normalizeLanguageCode(sourceLanguage);
+    if (tagged) return { language: tagged, origin: 'tag' };
+
+    const itemLanguage = getItemLanguage(item, normalized.languageField);
+    if (itemLanguage) return { language: itemLanguage, origin: 'language-field' };
+
+    if (normalized.untaggedValues === UNTAGGED_VALUE_RULES.SKIP) {
+        return null;
+    }
+    return { language: normalized.defaultLanguage, origin: 'default' };
+}
+
+/**
+ * Counts term values per type and language for the settings preview
+ * @param {Array<Object>} items - Omeka S items
+ * @param {Array<Object>} termKeys - Mapped keys whose property is a term type
+ * @param {Function} getValueDetails - (item, keyObj) => value details with a language
+ * @param {Object} settings - Term language settings
+ * @returns {Object<string, {languages: Object<string, number>, fallback: number, review: number}>} Counts by term type
+ */
+export function summarizeTermLanguages(items, termKeys, getValueDetails, settings) {
+    const summary = {};
+
+    termKeys.forEach(keyObj => {
+        const termType = getTermType(keyObj.property?.id);
+        if (!termType) return;
+        summary[termType] = summary[termType] || { languages: {}, fallback: 0, review: 0 };
+        const counts = summary[termType];
+
+        items.forEach(item => {
+            (getValueDetails(item, keyObj) || []).forEach(detail => {
+                const resolved = resolveTermLanguage({ sourceLanguage: detail.language, item }, settings);
+                if (!resolved) {
+                    counts.review++;
+                    return;
+                }
+                counts.languages[resolved.language] = (counts.languages[resolved.language] || 0) + 1;
+                if (resolved.origin !== 'tag') {
+                    counts.fallback++;
+                }
+            });
+        });
+    });
+
+    return summary;
+}
+
+/**
+ * Finds label and description pairs shared by several items in one language
+ * Wikidata rejects an item whose label and description in a language are both
+ * the same as another item's.
+ * @param {Array<{itemId: string, labels: Object<string, string>, descriptions: Object<string, string>}>} itemTerms - Terms per item by language
+ * @returns {Array<{language: string, label: string, description: string, itemIds: Array<string>}>} Shared pairs
+ */
+export function findDuplicateTermPairs(itemTerms) {
+    const pairs = new Map();
+
+    itemTerms.forEach(({ itemId, labels = {}, descriptions = {} }) => {
+        Object.entries(labels).forEach(([language, label]) => {
+            const description = descriptions[language];
+            if (!label || !description) return;
+
+            const pairKey = JSON.stringify([language, label.trim(), description.trim()]);
+            if (!pairs.has(pairKey)) {
+                pairs.set(pairKey, { language, label: label.trim(), description: description.trim(), itemIds: [] });
+            }
+            pairs.get(pairKey).itemIds.push(itemId);
+        });
+    });
+
+    return Array.from(pairs.values()).filter(pair => pair.itemIds.length > 1);
+}
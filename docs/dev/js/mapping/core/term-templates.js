@@ -0,0 +1,280 @@
+/**
+ * Term templates module
+ * Generates labels and descriptions from patterns that reference other mapped
+ * fields, e.g. "painting by {creator.label}[ ({date.year})]". Extends the
+ * {{value}} pattern of the COMPOSE transformation block to whole items:
+ * - {field} or {field.part} inserts the values of a mapped field, found by its
+ *   Omeka key (dcterms:creator), local name (creator) or Wikidata property (P170)
+ * - parts are value (default), label (reconciled label), id (QID) and year
+ * - [ ... ] is dropped when a field inside it has no value; a field outside
+ *   brackets without a value means the template generates nothing for the item
+ * - \{ \} \[ \] and \\ insert the character itself
+ * @module mapping/core/term-templates
+ */
+
+import { normalizeLanguageCode } from './term-languages.js';
+
+/**
+ * Parts a field reference can ask for
+ */
+export const TEMPLATE_VALUE_PARTS = Object.freeze(['value', 'label', 'id', 'year']);
+
+/**
+ * Terms a template can generate
+ */
+export const TEMPLATE_TARGETS = Object.freeze(['label', 'description']);
+
+/**
+ * Creates an empty template
+ * @param {string} [target] - label or description
+ * @param {string} [language] - Language code
+ * @returns {{id: string, target: string, language: string, pattern: string}} Template
+ */
+export function createTermTemplate(target = 'description', language = 'en') {
+    return {
+        id: `term-template-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        target,
+        language,
+        pattern: ''
+    };
+}
+
+/**
+ * Cleans up templates as edited or loaded from a mapping file
+ * Templates without a valid target or language are dropped; empty patterns are kept for editing.
+ * @param {Array<Object>} templates - Templates
+ * @returns {Array<Object>} Valid templates
+ */
+export function normalizeTermTemplates(templates) {
+    if (!Array.isArray(templates)) return [];
+
+    return templates
+        .filter(template => template && typeof template === 'object')
+        .map(template => ({
+            id: typeof template.id === 'string' && template.id ? template.id : createTermTemplate().id,
+            target: template.target,
+            language: normalizeLanguageCode(template.language),
+            pattern: typeof template.pattern === 'string' ? template.pattern : ''
+        }))
+        .filter(template => TEMPLATE_TARGETS.includes(template.target) && template.language);
+}
+
+function parseReference(reference) {
+    const trimmed = reference.trim();
+    const dotIndex = trimmed.lastIndexOf('.');
+    const part = dotIndex > 0 ? trimmed.slice(dotIndex + 1).toLowerCase() : '';
+
+    if (TEMPLATE_VALUE_PARTS.includes(part)) {
+        return { type: 'field', name: trimmed.slice(0, dotIndex), part, reference: trimmed };
+    }
+    return { type: 'field', name: trimmed, part: 'value', reference: trimmed };
+}
+
+/**
+ * Parses a template pattern
+ * @param {string} pattern - Template pattern
+ * @returns {{nodes: Array<Object>, error: string|null}} Text, field and optional nodes, or the first syntax error
+ */
+export function parseTermTemplate(pattern) {
+    const source = String(pattern ?? '');
+    const root = { nodes: [] };
+    const stack = [root];
+    let text = '';
+    let index = 0;
+
+    const flushText = () => {
+        if (text) {
+            stack[stack.length - 1].nodes.push({ type: 'text', text });
+            text = '';
+        }
+    };
+
+    while (index < source.length) {
+        const char = source[index];
+
+        if (char === '\\' && index + 1 < source.length) {
+            text += source[index + 1];
+            index += 2;
+            continue;
+        }
+
+        if (char === '{') {
+            const end = source.indexOf('}', index + 1);
+            if (end === -1) {
+                return { nodes: [], error: `Unclosed { at position ${index + 1}` };
+            }
+            const reference = source.slice(index + 1, end);
+            if (!reference.trim()) {
+                return { nodes: [], error: `Empty {} at position ${index + 1}` };
+            }
+            flushText();
+            stack[stack.length - 1].nodes.push(parseReference(reference));
+            index = end + 1;
+            continue;
+        }
+
+        if (char === '}') {
+            return { nodes: [], error: `Unexpected } at position ${index + 1}` };
+        }
+
+        if (char === '[') {
+            flushText();
+            const optional = { type: 'optional', nodes: [] };
+            stack[stack.length - 1].nodes.push(optional);
+            stack.push(optional);
+            index++;
+            continue;
+        }
+
+        if (char === ']') {
+            if (stack.length === 1) {
+                return { nodes: [], error: `Unexpected ] at position ${index + 1}` };
+            }
+            flushText();
+            stack.pop();
+            index++;
+            continue;
+        }
+
+        text += char;
+        index++;
+    }
+
+    if (stack.length > 1) {
+        return { nodes: [], error: 'Unclosed [' };
+    }
+    flushText();
+    return { nodes: root.nodes, error: null };
+}
+
+/**
+ * Lists the field references of a pattern
+ * @param {string} pattern - Template pattern
+ * @returns {Array<{name: string, part: string, reference: string}>} References in order of appearance
+ */
+export function listTemplateReferences(pattern) {
+    const references = [];
+    const walk = nodes => nodes.forEach(node => {
+        if (node.type === 'field') references.push(node);
+        if (node.type === 'optional') walk(node.nodes);
+    });
+    walk(parseTermTemplate(pattern).nodes);
+    return references;
+}
+
+/**
+ * Finds the mapped key a template reference points to
+ * @param {string} name - Reference name: Omeka key, its local name or a property ID
+ * @param {Array<Object>} mappedKeys - All mapped keys
+ * @returns {Object|null} First matching mapped key
+ */
+export function findTemplateKey(name, mappedKeys = []) {
+    const wanted = String(name || '').trim().toLowerCase();
+    if (!wanted) return null;
+
+    const matchers = [
+        keyObj => String(keyObj.key || '').toLowerCase() === wanted,
+        keyObj => String(keyObj.key || '').split(':').pop().toLowerCase() === wanted,
+        keyObj => String(keyObj.property?.id || '').toLowerCase() === wanted
+    ];
+    for (const matches of matchers) {
+        const keyObj = mappedKeys.find(candidate => candidate && matches(candidate));
+        if (keyObj) return keyObj;
+    }
+    return null;
+}
+
+/**
+ * Gets the text of one part of a field value
+ * @param {{value: *, match: Object|null}} entry - Extracted value and its reconciled match, if any
+ * @param {string} part - value, label, id or year
+ * @returns {string} Text, empty when the value has no such part
+ */
+export function getTemplateValuePart(entry, part) {
+    const value = entry?.value === null || entry?.value === undefined ? '' : String(entry.value).trim();
+    const match = entry?.match || null;
+
+    switch (part) {
+        case 'label':
+            return String((match?.type === 'wikidata' ? (match.label || match.name) : null) || value).trim();
+        case 'id':
+            return match?.type === 'wikidata' && match.id ? match.id : '';
+        case 'year': {
+            const source = String(match?.standardizedDate || match?.value || value);
+            const year = source.match(/(?:^|[^\d])(\d{4})(?!\d)/);
+            return year ? year[1] : '';
+        }
+        default:
+            return value;
+    }
+}
+
+/**
+ * Fills in a template for one item
+ * @param {string} pattern - Template pattern
+ * @param {Function} resolveReference - (name, part) => Array<string> of texts for the item
+ * @returns {{text: string|null, missing: Array<string>, error: string|null}} Generated text, or null with the references that had no value
+ */
+export function renderTermTemplate(pattern, resolveReference) {
+    const { nodes, error } = parseTermTemplate(pattern);
+    if (error) {
+        return { text: null, missing: [], error };
+    }
+
+    const render = childNodes => {
+        let text = '';
+        const missing = [];
+        childNodes.forEach(node => {
+            if (node.type === 'text') {
+                text += node.text;
+            } else if (node.type === 'field') {
+                const values = Array.from(new Set((resolveReference(node.name, node.part) || []).filter(Boolean)));
+                if (values.length === 0) {
+                    missing.push(node.reference);
+                } else {
+                    text += values.join(', ');
+                }
+            } else if (node.type === 'optional') {
+                const optional = render(node.nodes);
+                if (optional.missing.length === 0) {
+                    text += optional.text;
+                }
+            }
+        });
+        return { text, missing };
+    };
+
+    const result = render(nodes);
+    const text = result.text.replace(/\s+/g, ' ').trim();
+    return {
+        text: result.missing.length === 0 && text ? text : null,
+        missing: result.missing,
+        error: null
+    };
+}
+
+/**
+ * Creates the reference resolver of one item
+ * @param {Array<Object>} mappedKeys - All mapped keys
+ * @param {Function} getEntries - keyObj => Array<{value, match}> of the item
+ * @returns {Function} (name, part) => Array<string>
+ */
+export function createTemplateResolver(mappedKeys, getEntries) {
+    return (name, part) => {
+        const keyObj = findTemplateKey(name, mappedKeys);
+        if (!keyObj) return [];
+        return (getEntries(keyObj) || []).map(entry => getTemplateValuePart(entry, part)).filter(Boolean);
+    };
+}
+
+/**
+ * Reads the values of one mapping from an item's reconciliation data
+ * @param {Object} propertyData - Reconciliation data of the mapping for the item
+ * @returns {Array<{value: *, match: Object|null}>} Values with their selected match
+ */
+export function getReconciledTemplateEntries(propertyData) {
+    return (propertyData?.originalValues || []).map((value, index) => ({
+        value,
+        match: propertyData.reconciled?.[index]?.selectedMatch || null
+    }));
+}
@@ -8,6 +8,7 @@
 // Import dependencies
 import { createElement, createButton } from '../../ui/components.js';
 import { BLOCK_TYPES, BLOCK_METADATA, createTransformationBlock, getTransformationPreview, extractAllFields, COMMON_REGEX_PATTERNS } from '../../transformations.js';
+import { DATE_LANGUAGES } from '../../utils/date-parser.js';
 import { 
     extractAvailableFields,
     getFieldValueFromSample,
@@ -492,6 +493,9 @@ export function renderBlockConfigUI(mappingId, block, state) {
         case BLOCK_TYPES.REGEX:
             return renderRegexConfigUI(mappingId, block, state);
             
+        case BLOCK_TYPES.DATE:
+            return renderDateConfigUI(mappingId, block, state);
+            
         default:
             return createElement('div', {}, 'Unknown block type');
     }
@@ -907,6 +911,49 @@ export function renderRegexConfigUI(mappingId, block, state) {
     return container;
 }
 
+/**
+ * Renders date parsing configuration UI
+ * @param {string} mappingId - The mapping ID
+ * @param {Object} block - The transformation block
+ * @param {Object} state - Application state
+ * @returns {HTMLElement} Configuration UI
+ */
+export function renderDateConfigUI(mappingId, block, state) {
+    const container = createElement('div', { className: 'config-fields' });
+    
+    // Language checkboxes for month names and phrases such as "tweede helft 17e eeuw"
+    const languagesField = createElement('div', { className: 'config-field' });
+    languagesField.appendChild(createElement('label', {}, 'Date languages:'));
+    
+    const optionsField = createElement('div', { className: 'config-options' });
+    Object.entries(DATE_LANGUAGES).forEach(([code, name]) => {
+        const checkbox = createElement('input', {
+            type: 'checkbox',
+            id: `date-language-${code}-${block.id}`,
+            checked: (block.config.languages || []).includes(code),
+            dataset: { language: code },
+            onChange: () => {
+                const languages = Array.from(optionsField.querySelectorAll('input:checked'))
+                    .map(input => input.dataset.language);
+                state.updateTransformationBlock(mappingId, block.id, { languages });
+                updateTransformationPreview(mappingId, state);
+            }
+        });
+        optionsField.appendChild(checkbox);
+        optionsField.appendChild(createElement('label', {
+            htmlFor: `date-language-${code}-${block.id}`
+        }, name));
+    });
+    languagesField.appendChild(optionsField);
+    
+    const hint = createElement('div', { className: 'help-text' },
+        'Reads month names, centuries ("17e eeuw", "XVIIe siècle"), decades and markers such as "ca." or "?". Values that are not a recognized date stay unchanged.');
+    
+    container.appendChild(languagesField);
+    container.appendChild(hint);
+    return container;
+}
+
 /**
  * Adds drag and drop handlers to a block element
  * @param {HTMLElement} blockElement - The block element
@@ -4,6 +4,8 @@
  * @module mapping/core/value-resolution
  */
 
+import { getLinkedResourceFields } from '../../input/core/linked-resource-hydration.js';
+
 export const EXTRACTION_MODES = Object.freeze({
     AUTO: 'auto',
     DISPLAY_TEXT: 'display_text',
@@ -396,11 +398,25 @@ function formatHumanList(values) {
     return `${values.slice(0, -1).join(', ')}, and ${values[values.length - 1]}`;
 }
 
+/**
+ * Finds an authority or Wikidata URI among the fields copied from a hydrated linked resource
+ * @param {Object} rawValue - Omeka S value object
+ * @returns {[string, string]|null} Field name and URI, or null
+ */
+function getLinkedAuthorityUri(rawValue) {
+    return getLinkedResourceFields(rawValue).find(([, fieldValue]) =>
+        /wikidata\.org\/(?:entity|wiki)\/Q\d+/i.test(fieldValue)
+        || AUTHORITY_URI_PATTERNS.some(pattern => pattern.test(fieldValue))
+    ) || null;
+}
+
 function getValueCandidates(rawValue) {
     const emptyResult = {
         labelValue: null,
         literalValue: null,
         uriValue: null,
+        linkedUriValue: null,
+        linkedUriField: null,
         fallbackValue: null,
         language: null
     };
@@ -454,6 +470,8 @@ function getValueCandidates(rawValue) {
         .map(field => rawValue[field])
         .find(candidate => candidate !== undefined && candidate !== null && String(candidate).trim() !== '');
 
+    const [linkedUriField, linkedUriValue] = getLinkedAuthorityUri(rawValue) || [null, null];
+
     let fallbackValue = null;
     for (const [field, fieldValue] of Object.entries(rawValue)) {
         if (SKIP_PROFILE_FIELDS.has(field)) {
@@ -470,6 +488,8 @@ function getValueCandidates(rawValue) {
         labelValue: labelValue !== undefined && labelValue !== null ? String(labelValue) : null,
         literalValue: literalValue !== undefined && literalValue !== null ? String(literalValue) : null,
         uriValue: uriValue !== undefined && uriValue !== null ? String(uriValue) : null,
+        linkedUriValue,
+        linkedUriField,
         fallbackValue: fallbackValue !== undefined && fallbackValue !== null ? String(fallbackValue) : null,
         language
     };
@@ -985,7 +1005,10 @@ export function resolveOmekaValue(rawValue, options = {}) {
             ['uriValue', '@id'],
             ['fallbackValue', 'fallback']
         ],
+        // A hydrated link to another Omeka resource offers that resource's
+        // authority URI ahead of its own Omeka API URL
         [EXTRACTION_MODES.IDENTIFIER_OR_URI]: [
+            ['linkedUriValue', 'linked'],
             ['uriValue', '@id'],
             ['literalValue', '@value'],
             ['labelValue', 'o:label'],
@@ -998,6 +1021,7 @@ export function resolveOmekaValue(rawValue, options = {}) {
             ['fallbackValue', 'fallback']
         ],
         [EXTRACTION_MODES.URI_ONLY]: [
+            ['linkedUriValue', 'linked'],
             ['uriValue', '@id'],
             ['literalValue', '@value'],
             ['fallbackValue', 'fallback']
@@ -1005,8 +1029,9 @@ export function resolveOmekaValue(rawValue, options = {}) {
     };
 
     const priority = modePriority[effectiveMode] || modePriority[EXTRACTION_MODES.DISPLAY_TEXT];
-    for (const [candidateKey, matchedPart] of priority) {
+    for (const [candidateKey, candidatePart] of priority) {
         const candidateValue = candidates[candidateKey];
+        const matchedPart = candidateKey === 'linkedUriValue' ? candidates.linkedUriField : candidatePart;
         if (candidateValue !== null && candidateValue !== undefined && String(candidateValue).trim() !== '') {
             const segmentMetadata = getSegmentMetadata(rawValue, {
                 sourceMetadata,
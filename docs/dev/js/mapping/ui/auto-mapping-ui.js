@@ -0,0 +1,273 @@
+/**
+ * Automatic mapping interface
+ * Lists first-pass mapping proposals for bulk acceptance or rejection and
+ * edits the crosswalk they are based on
+ * @module mapping/ui/auto-mapping-ui
+ */
+
+import { eventSystem } from '../../events.js';
+import { createElement, showMessage } from '../../ui/components.js';
+import { getCompletePropertyData } from '../../api/wikidata.js';
+import { EXTRACTION_MODES, getExtractionModeLabel } from '../core/value-resolution.js';
+import { getOmekaFieldFriendlyName } from '../core/data-analyzer.js';
+import {
+    CONFIDENCE_LEVELS,
+    CROSSWALK_DATATYPES,
+    createCrosswalkEntry,
+    getActiveCrosswalk,
+    normalizeCrosswalk,
+    proposeMappings
+} from '../core/auto-mapper.js';
+import { mapKeyToProperty } from './mapping-lists.js';
+
+async function resolveProposalProperty(proposal) {
+    if (proposal.property.isMetadata) {
+        return proposal.property;
+    }
+
+    try {
+        const propertyData = await getCompletePropertyData(proposal.property.id);
+        return { ...proposal.property, ...propertyData };
+    } catch (error) {
+        console.warn(`Auto-mapping: could not fetch ${proposal.property.id}:`, error);
+        return { ...proposal.property, constraintsFetched: false, constraintsError: error.message };
+    }
+}
+
+function createSelect(options, selectedValue, attributes, onChange) {
+    return createElement('select', { ...attributes, onChange }, options.map(option => createElement('option', {
+        value: option.value,
+        selected: option.value === selectedValue
+    }, option.label)));
+}
+
+/**
+ * Wires up the automatic mapping panel of the mapping step
+ * @param {Object} state - Application state management instance
+ */
+export function setupAutoMappingPanel(state) {
+    const runButton = document.getElementById('run-auto-mapping');
+    const proposalsList = document.getElementById('auto-mapping-proposals');
+    const summary = document.getElementById('auto-mapping-summary');
+    const selectHighButton = document.getElementById('auto-mapping-select-high');
+    const acceptButton = document.getElementById('accept-auto-mappings');
+    const rejectButton = document.getElementById('reject-auto-mappings');
+    const crosswalkRows = document.getElementById('auto-mapping-crosswalk-rows');
+    const addEntryButton = document.getElementById('add-crosswalk-entry');
+    const saveCrosswalkButton = document.getElementById('save-crosswalk');
+    const resetCrosswalkButton = document.getElementById('reset-crosswalk');
+
+    let proposals = [];
+    let selectedIds = new Set();
+    let workingCrosswalk = [];
+
+    function updateBulkButtons() {
+        const hasSelection = selectedIds.size > 0;
+        if (acceptButton) acceptButton.disabled = !hasSelection;
+        if (rejectButton) rejectButton.disabled = !hasSelection;
+        if (selectHighButton) selectHighButton.disabled = proposals.length === 0;
+    }
+
+    function renderProposals() {
+        if (!proposalsList) return;
+        proposalsList.innerHTML = '';
+
+        if (proposals.length === 0) {
+            proposalsList.appendChild(createElement('li', { className: 'placeholder' }, 'No proposals for the remaining non-linked keys'));
+            updateBulkButtons();
+            return;
+        }
+
+        proposals.forEach(proposal => {
+            const checkbox = createElement('input', {
+                type: 'checkbox',
+                checked: selectedIds.has(proposal.id),
+                'aria-label': `Select ${proposal.key}`,
+                onChange: event => {
+                    if (event.target.checked) {
+                        selectedIds.add(proposal.id);
+                    } else {
+                        selectedIds.delete(proposal.id);
+                    }
+                    updateBulkButtons();
+                }
+            });
+
+            const friendlyName = getOmekaFieldFriendlyName(proposal.keyData, proposal.key);
+            const fieldText = friendlyName && friendlyName !== proposal.key ? `${friendlyName} (${proposal.key})` : proposal.key;
+            const propertyText = proposal.property.isMetadata
+                ? proposal.property.label
+                : `${proposal.property.label} (${proposal.property.id})`;
+
+            proposalsList.appendChild(createElement('li', { className: 'auto-mapping-proposal' }, [
+                checkbox,
+                createElement('span', { className: 'auto-mapping-proposal__field' }, fieldText),
+                createElement('span', { className: 'auto-mapping-proposal__arrow' }, '→'),
+                createElement('span', { className: 'auto-mapping-proposal__property' }, propertyText),
+                createElement('span', {
+                    className: `auto-mapping-confidence auto-mapping-confidence--${proposal.confidence}`
+                }, proposal.confidence),
+                createElement('span', {
+                    className: 'auto-mapping-proposal__reasons',
+                    title: proposal.alternativeCount > 0 ? `${proposal.alternativeCount} other candidate(s)` : ''
+                }, `${proposal.reasons.join('; ')} · ${getExtractionModeLabel(proposal.extractionMode)}`)
+            ]));
+        });
+
+        updateBulkButtons();
+    }
+
+    function updateSummary() {
+        if (!summary) return;
+        if (proposals.length === 0) {
+            summary.textContent = '';
+            return;
+        }
+        const counts = CONFIDENCE_LEVELS
+            .map(level => [level, proposals.filter(proposal => proposal.confidence === level).length])
+            .filter(([, count]) => count > 0)
+            .map(([level, count]) => `${count} ${level}`);
+        summary.textContent = `${proposals.length} proposal(s): ${counts.join(', ')}`;
+    }
+
+    function runProposals({ selectHigh = true } = {}) {
+        const currentState = state.getState();
+        proposals = proposeMappings(currentState.mappings?.nonLinkedKeys || [], {
+            crosswalk: getActiveCrosswalk(currentState.mappings?.crosswalk),
+            schema: currentState.selectedEntitySchema,
+            mappedKeys: currentState.mappings?.mappedKeys || [],
+            rejected: currentState.mappings?.rejectedAutoMappings || []
+        });
+        selectedIds = new Set(selectHigh
+            ? proposals.filter(proposal => proposal.confidence === 'high').map(proposal => proposal.id)
+            : []);
+        renderProposals();
+        updateSummary();
+    }
+
+    async function acceptSelected() {
+        const selected = proposals.filter(proposal => selectedIds.has(proposal.id));
+        if (selected.length === 0) return;
+
+        if (acceptButton) acceptButton.disabled = true;
+        let acceptedCount = 0;
+
+        for (const proposal of selected) {
+            const property = await resolveProposalProperty(proposal);
+            const keyData = {
+                ...proposal.keyData,
+                extractionMode: proposal.extractionMode || EXTRACTION_MODES.AUTO,
+                autoMapped: true
+            };
+            if (mapKeyToProperty(keyData, property, state)) {
+                acceptedCount++;
+            }
+        }
+
+        showMessage(`Accepted ${acceptedCount} of ${selected.length} proposed mapping(s)`, acceptedCount === selected.length ? 'success' : 'warning', 3000);
+        runProposals({ selectHigh: false });
+    }
+
+    function rejectSelected() {
+        const currentState = state.getState();
+        const rejected = new Set(currentState.mappings?.rejectedAutoMappings || []);
+        selectedIds.forEach(id => rejected.add(id));
+        state.updateState('mappings.rejectedAutoMappings', Array.from(rejected));
+        showMessage(`Rejected ${selectedIds.size} proposed mapping(s)`, 'info', 3000);
+        runProposals({ selectHigh: false });
+    }
+
+    function renderCrosswalk() {
+        if (!crosswalkRows) return;
+        crosswalkRows.innerHTML = '';
+
+        const extractionModeOptions = Object.values(EXTRACTION_MODES).map(mode => ({ value: mode, label: getExtractionModeLabel(mode) }));
+        const confidenceOptions = CONFIDENCE_LEVELS.map(level => ({ value: level, label: level }));
+
+        workingCrosswalk.forEach((crosswalkEntry, index) => {
+            const textInput = (field, placeholder, label) => createElement('input', {
+                type: 'text',
+                value: crosswalkEntry[field],
+                placeholder,
+                'aria-label': label,
+                onInput: event => {
+                    crosswalkEntry[field] = event.target.value;
+                }
+            });
+
+            crosswalkRows.appendChild(createElement('div', { className: 'auto-mapping-crosswalk-row' }, [
+                textInput('term', 'e.g. dcterms:date', 'Omeka term'),
+                textInput('propertyId', 'P577, label, description or aliases', 'Wikidata property'),
+                textInput('propertyLabel', 'Property label', 'Property label'),
+                createSelect(CROSSWALK_DATATYPES, crosswalkEntry.datatype, { 'aria-label': 'Datatype' }, event => {
+                    crosswalkEntry.datatype = event.target.value;
+                }),
+                createSelect(extractionModeOptions, crosswalkEntry.extractionMode, { 'aria-label': 'Extraction mode' }, event => {
+                    crosswalkEntry.extractionMode = event.target.value;
+                }),
+                createSelect(confidenceOptions, crosswalkEntry.confidence, { 'aria-label': 'Confidence' }, event => {
+                    crosswalkEntry.confidence = event.target.value;
+                }),
+                createElement('button', {
+                    type: 'button',
+                    className: 'button button--secondary',
+                    title: 'Remove entry',
+                    onClick: () => {
+                        workingCrosswalk.splice(index, 1);
+                        renderCrosswalk();
+                    }
+                }, '×')
+            ]));
+        });
+    }
+
+    function loadCrosswalk() {
+        workingCrosswalk = getActiveCrosswalk(state.getState().mappings?.crosswalk);
+        renderCrosswalk();
+    }
+
+    runButton?.addEventListener('click', () => runProposals());
+    selectHighButton?.addEventListener('click', () => {
+        selectedIds = new Set(proposals.filter(proposal => proposal.confidence === 'high').map(proposal => proposal.id));
+        renderProposals();
+    });
+    acceptButton?.addEventListener('click', acceptSelected);
+    rejectButton?.addEventListener('click', rejectSelected);
+
+    addEntryButton?.addEventListener('click', () => {
+        workingCrosswalk.push(createCrosswalkEntry());
+        renderCrosswalk();
+    });
+    saveCrosswalkButton?.addEventListener('click', () => {
+        const normalized = normalizeCrosswalk(workingCrosswalk);
+        const droppedCount = workingCrosswalk.length - normalized.length;
+        state.updateState('mappings.crosswalk', normalized);
+        showMessage(
+            droppedCount > 0
+                ? `Crosswalk saved, ${droppedCount} incomplete entr${droppedCount === 1 ? 'y' : 'ies'} dropped`
+                : 'Crosswalk saved',
+            droppedCount > 0 ? 'warning' : 'success',
+            3000
+        );
+    });
+    resetCrosswalkButton?.addEventListener('click', () => {
+        state.updateState('mappings.crosswalk', null);
+        showMessage('Crosswalk reset to the default entries', 'info', 3000);
+    });
+
+    eventSystem.subscribe(eventSystem.Events.STATE_CHANGED, (data) => {
+        if (data?.restored || data?.path === 'mappings.crosswalk') {
+            loadCrosswalk();
+        }
+    });
+    eventSystem.subscribe(eventSystem.Events.STATE_RESET, () => {
+        proposals = [];
+        selectedIds = new Set();
+        renderProposals();
+        updateSummary();
+        loadCrosswalk();
+    });
+
+    loadCrosswalk();
+    renderProposals();
+}
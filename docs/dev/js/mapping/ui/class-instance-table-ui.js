@@ -0,0 +1,216 @@
+/**
+ * Resource class instance-of table interface
+ * Panel of the mapping step that edits the resource class → P31 table and
+ * shows which classes of the loaded items it covers
+ * @module mapping/ui/class-instance-table-ui
+ */
+
+import { eventSystem } from '../../events.js';
+import { createElement, showMessage } from '../../ui/components.js';
+import {
+    DEFAULT_CLASS_INSTANCE_TABLE,
+    clearSharedClassInstanceTable,
+    createClassInstanceEntry,
+    fetchResourceClassDefinitions,
+    getActiveClassInstanceTable,
+    normalizeClassInstanceTable,
+    parseInstanceOfList,
+    saveSharedClassInstanceTable,
+    summarizeClassCoverage
+} from '../core/class-instance-table.js';
+
+function getFetchedItems(fetchedData) {
+    if (Array.isArray(fetchedData)) return fetchedData;
+    if (Array.isArray(fetchedData?.items)) return fetchedData.items;
+    return fetchedData ? [fetchedData] : [];
+}
+
+/**
+ * Wires up the resource class table panel of the mapping step
+ * @param {Object} state - Application state management instance
+ */
+export function setupClassInstanceTablePanel(state) {
+    const panel = document.getElementById('class-instance-panel');
+    const coverageContainer = document.getElementById('class-instance-coverage');
+    const rowsContainer = document.getElementById('class-instance-rows');
+    const addEntryButton = document.getElementById('add-class-instance-entry');
+    const saveButton = document.getElementById('save-class-instance-table');
+    const shareButton = document.getElementById('share-class-instance-table');
+    const resetButton = document.getElementById('reset-class-instance-table');
+    if (!panel || !rowsContainer) return;
+
+    let workingTable = [];
+    // Class URIs that could not be fetched are not requested again this session
+    const failedClassUris = new Set();
+    let loadingDefinitions = false;
+
+    async function loadClassDefinitions() {
+        if (loadingDefinitions) return;
+
+        const currentState = state.getState();
+        const items = getFetchedItems(currentState.fetchedData);
+        if (items.length === 0) return;
+
+        loadingDefinitions = true;
+        try {
+            const { definitions, failed } = await fetchResourceClassDefinitions(items, currentState.resourceClassCache || {}, failedClassUris);
+            failed.forEach(uri => failedClassUris.add(uri));
+            if (Object.keys(definitions).length > 0) {
+                state.updateState('resourceClassCache', {
+                    ...(state.getState().resourceClassCache || {}),
+                    ...definitions
+                }, false);
+            }
+        } finally {
+            loadingDefinitions = false;
+        }
+    }
+
+    function renderCoverage() {
+        if (!coverageContainer) return;
+
+        const currentState = state.getState();
+        const classes = summarizeClassCoverage(
+            getFetchedItems(currentState.fetchedData),
+            getActiveClassInstanceTable(currentState.mappings?.classInstanceTable),
+            currentState.resourceClassCache || {}
+        );
+        coverageContainer.innerHTML = '';
+
+        if (classes.length === 0) {
+            coverageContainer.appendChild(createElement('p', { className: 'placeholder' }, 'The loaded items have no resource class'));
+            return;
+        }
+
+        coverageContainer.appendChild(createElement('ul', { className: 'class-instance-coverage__list' }, classes.map(resourceClass => {
+            const name = resourceClass.term || resourceClass.label || `class ${resourceClass.id}`;
+            let outcome;
+            if (!resourceClass.term) {
+                outcome = createElement('span', { className: 'class-instance-coverage__missing' }, 'definition not loaded');
+            } else if (resourceClass.instanceOf.length > 0) {
+                outcome = `P31 ${resourceClass.instanceOf.join(', ')}`;
+            } else {
+                outcome = createElement('button', {
+                    type: 'button',
+                    className: 'button button--secondary button--small',
+                    onClick: () => {
+                        workingTable.push(createClassInstanceEntry(resourceClass.term));
+                        renderRows();
+                        panel.open = true;
+                    }
+                }, 'Add to table');
+            }
+
+            return createElement('li', {}, [
+                createElement('strong', {}, name),
+                ` (${resourceClass.count} item${resourceClass.count === 1 ? '' : 's'}) → `,
+                outcome
+            ]);
+        })));
+    }
+
+    function renderRows() {
+        rowsContainer.innerHTML = '';
+
+        workingTable.forEach((tableEntry, index) => {
+            rowsContainer.appendChild(createElement('div', { className: 'class-instance-row' }, [
+                createElement('input', {
+                    type: 'text',
+                    value: tableEntry.term,
+                    placeholder: 'e.g. bibo:Book',
+                    'aria-label': 'Omeka resource class',
+                    onInput: event => {
+                        tableEntry.term = event.target.value;
+                    }
+                }),
+                createElement('input', {
+                    type: 'text',
+                    value: tableEntry.instanceOf.join(', '),
+                    placeholder: 'Q571, Q7725634',
+                    'aria-label': 'Instance of (QIDs)',
+                    onInput: event => {
+                        tableEntry.instanceOf = parseInstanceOfList(event.target.value);
+                    }
+                }),
+                createElement('input', {
+                    type: 'text',
+                    value: tableEntry.note,
+                    placeholder: 'Note, e.g. book',
+                    'aria-label': 'Note',
+                    onInput: event => {
+                        tableEntry.note = event.target.value;
+                    }
+                }),
+                createElement('button', {
+                    type: 'button',
+                    className: 'button button--secondary',
+                    title: 'Remove entry',
+                    onClick: () => {
+                        workingTable.splice(index, 1);
+                        renderRows();
+                    }
+                }, '×')
+            ]));
+        });
+    }
+
+    function loadTable() {
+        workingTable = getActiveClassInstanceTable(state.getState().mappings?.classInstanceTable);
+        renderRows();
+        renderCoverage();
+    }
+
+    addEntryButton?.addEventListener('click', () => {
+        workingTable.push(createClassInstanceEntry());
+        renderRows();
+    });
+    saveButton?.addEventListener('click', () => {
+        const normalized = normalizeClassInstanceTable(workingTable);
+        const droppedCount = workingTable.length - normalized.length;
+        state.updateState('mappings.classInstanceTable', normalized);
+        showMessage(
+            droppedCount > 0
+                ? `Class table saved, ${droppedCount} incomplete or repeated entr${droppedCount === 1 ? 'y' : 'ies'} dropped`
+                : 'Class table saved',
+            droppedCount > 0 ? 'warning' : 'success',
+            3000
+        );
+    });
+    shareButton?.addEventListener('click', () => {
+        const normalized = normalizeClassInstanceTable(workingTable);
+        state.updateState('mappings.classInstanceTable', normalized);
+        if (saveSharedClassInstanceTable(normalized)) {
+            showMessage('New projects in this browser will start from this class table', 'success', 3000);
+        } else {
+            showMessage('Could not keep the class table in this browser', 'error', 4000);
+        }
+    });
+    resetButton?.addEventListener('click', () => {
+        clearSharedClassInstanceTable();
+        state.updateState('mappings.classInstanceTable', DEFAULT_CLASS_INSTANCE_TABLE.map(item => ({ ...item, instanceOf: [...item.instanceOf] })));
+        showMessage('Class table reset to the default entries', 'info', 3000);
+    });
+    panel.addEventListener('toggle', () => {
+        if (panel.open) loadClassDefinitions();
+    });
+
+    eventSystem.subscribe(eventSystem.Events.STATE_CHANGED, (data) => {
+        if (data?.restored || data?.path === 'mappings.classInstanceTable') {
+            loadTable();
+        } else if (data?.path === 'resourceClassCache') {
+            renderCoverage();
+        } else if (data?.path === 'fetchedData') {
+            renderCoverage();
+            loadClassDefinitions();
+        }
+    });
+    eventSystem.subscribe(eventSystem.Events.STATE_RESET, loadTable);
+    eventSystem.subscribe(eventSystem.Events.STEP_CHANGED, (data) => {
+        if (data.newStep !== 2) return;
+        renderCoverage();
+        // The export needs each class's term, so definitions load without opening the panel
+        loadClassDefinitions();
+    });
+
+    loadTable();
+}
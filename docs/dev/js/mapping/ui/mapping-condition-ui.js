@@ -0,0 +1,123 @@
+/**
+ * Mapping condition interface
+ * Section of the mapping modal that limits a mapping to items of some resource
+ * classes or templates, or to values matching a pattern
+ * @module mapping/ui/mapping-condition-ui
+ */
+
+import { createElement } from '../../ui/components.js';
+import { collectResourceTemplates } from '../core/mapping-template-library.js';
+import {
+    createMappingCondition,
+    normalizeMappingCondition,
+    getValuePatternError,
+    collectResourceClasses,
+    describeMappingCondition,
+    getMappingConditionLabels,
+    getSiblingMappingRules
+} from '../core/mapping-conditions.js';
+
+function createIdCheckboxes(entries, selectedIds, onToggle) {
+    return createElement('div', { className: 'mapping-condition-options' }, entries.map(entry => createElement('label', {
+        className: 'value-source-option'
+    }, [
+        createElement('input', {
+            type: 'checkbox',
+            value: entry.id,
+            checked: selectedIds.includes(entry.id),
+            onChange: event => onToggle(entry.id, event.target.checked)
+        }),
+        createElement('div', { className: 'value-source-option__content' }, [
+            createElement('span', {}, entry.label || `ID ${entry.id}`),
+            createElement('small', {}, `${entry.count} item(s)`)
+        ])
+    ])));
+}
+
+/**
+ * Creates the condition section for a key in the mapping modal
+ * Edits keyData.condition in place, like the other extraction settings of the modal.
+ * @param {Object} keyData - Key being mapped
+ * @param {Array<Object>} items - Loaded Omeka S items
+ * @param {Object} state - Application state management instance
+ * @param {Function} [onChange] - Called after the condition changes
+ * @returns {HTMLElement} Section element
+ */
+export function createMappingConditionSection(keyData, items, state, onChange = () => {}) {
+    const currentState = state.getState();
+    const condition = { ...createMappingCondition(), ...(normalizeMappingCondition(keyData.condition) || {}) };
+    const itemsWithField = items.filter(item => item?.[keyData.key] !== undefined);
+    const resourceClasses = collectResourceClasses(itemsWithField, currentState.resourceClassCache || {});
+    const resourceTemplates = collectResourceTemplates(itemsWithField, currentState.resourceTemplates || []);
+    const siblingRules = getSiblingMappingRules(keyData, currentState.mappings?.mappedKeys || []);
+
+    const summary = createElement('p', { className: 'mapping-condition-summary' });
+    const patternError = createElement('p', { className: 'mapping-condition-error' });
+
+    const update = () => {
+        const error = getValuePatternError(condition.valuePattern);
+        patternError.textContent = error ? `Invalid pattern: ${error}. Until it is fixed, this mapping takes no values.` : '';
+        keyData.condition = normalizeMappingCondition(condition);
+
+        if (error) {
+            summary.textContent = 'This mapping applies to no values until the pattern is fixed.';
+        } else {
+            summary.textContent = keyData.condition
+                ? `This mapping applies ${describeMappingCondition(keyData.condition, getMappingConditionLabels(items, currentState))}.`
+                : 'This mapping applies to every item with this field.';
+        }
+        onChange(keyData.condition);
+    };
+
+    const toggleId = listName => (id, isChecked) => {
+        condition[listName] = isChecked
+            ? [...condition[listName], id]
+            : condition[listName].filter(entry => entry !== id);
+        update();
+    };
+
+    const section = createElement('details', { className: 'mapping-condition-section' }, [
+        createElement('summary', { className: 'value-source-title' }, 'Apply this mapping only when…'),
+        createElement('p', { className: 'field-override-help' },
+            'Use conditions to send this field to different Wikidata properties per item, e.g. creator to P170 for artworks and P50 for books. Map the field once per property and give each mapping its own condition and transformations.'),
+        resourceClasses.length > 0 ? createElement('div', { className: 'mapping-condition-group' }, [
+            createElement('strong', {}, 'Resource class is'),
+            createIdCheckboxes(resourceClasses, condition.resourceClasses, toggleId('resourceClasses'))
+        ]) : null,
+        resourceTemplates.length > 0 ? createElement('div', { className: 'mapping-condition-group' }, [
+            createElement('strong', {}, 'Resource template is'),
+            createIdCheckboxes(resourceTemplates, condition.resourceTemplates, toggleId('resourceTemplates'))
+        ]) : null,
+        createElement('label', { className: 'mapping-condition-group' }, [
+            createElement('strong', {}, 'Value matches (regular expression, case-insensitive)'),
+            createElement('input', {
+                type: 'text',
+                value: condition.valuePattern,
+                placeholder: 'e.g. ^\\d{4}$',
+                onInput: event => {
+                    condition.valuePattern = event.target.value;
+                    update();
+                }
+            })
+        ]),
+        patternError,
+        createElement('label', { className: 'mapping-condition-fallback' }, [
+            createElement('input', {
+                type: 'checkbox',
+                checked: condition.fallback,
+                onChange: event => {
+                    condition.fallback = event.target.checked;
+                    update();
+                }
+            }),
+            siblingRules.length > 0
+                ? ` Otherwise: only use values that the ${siblingRules.length} other rule(s) for this field do not take`
+                : ' Otherwise: only use values that other rules for this field do not take'
+        ]),
+        summary
+    ]);
+
+    section.open = Boolean(keyData.condition);
+    update();
+    return section;
+}
@@ -17,6 +17,8 @@ import {
 import { getCompletePropertyData } from '../../api/wikidata.js';
 import { createIdentifierMapping } from '../../utils/identifier-detection.js';
 import { processItemsForValueIdentifiers } from '../../utils/value-processor.js';
+import { describeMappingCondition, getMappingConditionLabels } from '../core/mapping-conditions.js';
+import { describeQualifierTarget, retargetQualifiers } from '../core/qualifier-mappings.js';
 
 // Get DOM elements that are used across functions
 const nonLinkedKeysList = document.getElementById('non-linked-keys');
@@ -423,7 +425,10 @@ export async function populateLists(state) {
     
     // Populate the UI lists
     populateKeyList(nonLinkedKeysList, finalState.mappings.nonLinkedKeys, 'non-linked');
-    populateKeyList(mappedKeysList, finalState.mappings.mappedKeys, 'mapped');
+    const fetchedItems = Array.isArray(finalState.fetchedData)
+        ? finalState.fetchedData
+        : (finalState.fetchedData ? [finalState.fetchedData] : []);
+    populateKeyList(mappedKeysList, finalState.mappings.mappedKeys, 'mapped', getMappingConditionLabels(fetchedItems, finalState));
     populateKeyList(ignoredKeysList, finalState.mappings.ignoredKeys, 'ignored');
     syncRequiredMappingButtons(finalState.mappings.mappedKeys);
     
@@ -534,8 +539,12 @@ function createRequiredPropertyPlaceholder(propertyId, propertyLabel, descriptio
 
 /**
  * Populates a specific key list
+ * @param {HTMLElement} listElement - List to fill
+ * @param {Array<Object|string>} keys - Keys of the category
+ * @param {string} type - 'non-linked', 'mapped' or 'ignored'
+ * @param {Object} [conditionLabels] - Class and template labels for mapping conditions
  */
-export function populateKeyList(listElement, keys, type) {
+export function populateKeyList(listElement, keys, type, conditionLabels = {}) {
     if (!listElement) return;
 
     listElement.innerHTML = '';
@@ -607,6 +616,22 @@ export function populateKeyList(listElement, keys, type) {
                 className: 'property-info'
             }, ` → ${sourceSummary}`);
             keyDisplay.appendChild(propertyInfo);
+
+            const qualifierText = describeQualifierTarget(keyData, keys);
+            if (qualifierText) {
+                keyDisplay.appendChild(createElement('span', {
+                    className: 'qualifier-mapping-badge',
+                    title: 'Exported as a qualifier on the statements of this mapping'
+                }, qualifierText));
+            }
+
+            const conditionText = describeMappingCondition(keyData.condition, conditionLabels);
+            if (conditionText) {
+                keyDisplay.appendChild(createElement('span', {
+                    className: 'mapping-condition-badge',
+                    title: `Only applies ${conditionText}`
+                }, conditionText));
+            }
         }
         
         // Show frequency information at the end
@@ -788,8 +813,11 @@ export function mapKeyToProperty(keyData, property, state) {
         // CRITICAL FIX: Remove the old mapping with the old mappingId to prevent duplicates
         // This is necessary because moveKeyToCategory will use the NEW mappingId for comparison,
         // which won't match the old mappingId, leaving the old mapping in place
-        const updatedMappedKeys = currentState.mappings.mappedKeys.filter(k =>
-            k.mappingId !== oldMappingId
+        // Qualifiers of this mapping follow it to the new mappingId
+        const updatedMappedKeys = retargetQualifiers(
+            currentState.mappings.mappedKeys.filter(k => k.mappingId !== oldMappingId),
+            oldMappingId,
+            newMappingId
         );
         state.updateMappings(
             currentState.mappings.nonLinkedKeys,
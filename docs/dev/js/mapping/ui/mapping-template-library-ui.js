@@ -0,0 +1,260 @@
+/**
+ * Mapping template library interface
+ * Saves the current mapping as a named template, applies the best matching
+ * template when the mapping step opens with an empty mapping, and shows
+ * which fields changed since the template was saved
+ * @module mapping/ui/mapping-template-library-ui
+ */
+
+import { eventSystem } from '../../events.js';
+import { createElement, showMessage } from '../../ui/components.js';
+import { generateMappingData, loadMappingFromData } from '../core/mapping-persistence.js';
+import {
+    getMappingTemplates,
+    saveMappingTemplate,
+    deleteMappingTemplate,
+    findMatchingTemplates,
+    diffTemplateFields,
+    collectFieldKeys,
+    collectResourceTemplates
+} from '../core/mapping-template-library.js';
+
+function getFetchedItems(fetchedData) {
+    if (Array.isArray(fetchedData)) return fetchedData;
+    if (Array.isArray(fetchedData?.items)) return fetchedData.items;
+    return fetchedData ? [fetchedData] : [];
+}
+
+function formatResourceTemplate(entry) {
+    return entry.label ? `${entry.label} (ID ${entry.id})` : `Resource template ${entry.id}`;
+}
+
+function formatDate(isoString) {
+    const date = new Date(isoString);
+    return Number.isNaN(date.getTime()) ? '' : date.toLocaleDateString();
+}
+
+function createFieldList(title, keys, mappedKeys = new Set()) {
+    return createElement('div', { className: 'mapping-template-diff__group' }, [
+        createElement('strong', {}, `${title} (${keys.length})`),
+        createElement('ul', {}, keys.map(key => createElement('li', {}, mappedKeys.has(key) ? `${key} (was mapped)` : key)))
+    ]);
+}
+
+/**
+ * Wires up the mapping template library panel of the mapping step
+ * @param {Object} state - Application state management instance
+ */
+export function setupMappingTemplateLibrary(state) {
+    const statusContainer = document.getElementById('mapping-template-status');
+    const libraryList = document.getElementById('mapping-template-list');
+    const nameInput = document.getElementById('mapping-template-name');
+    const targetsContainer = document.getElementById('mapping-template-targets');
+    const saveButton = document.getElementById('save-mapping-template');
+
+    function getBatchContext() {
+        const currentState = state.getState();
+        const items = getFetchedItems(currentState.fetchedData);
+        return {
+            items,
+            resourceTemplates: collectResourceTemplates(items, currentState.resourceTemplates || []),
+            fieldKeys: collectFieldKeys(items),
+            entitySchema: currentState.selectedEntitySchema || null
+        };
+    }
+
+    function renderStatus() {
+        if (!statusContainer) return;
+        statusContainer.innerHTML = '';
+
+        const applied = state.getState().appliedMappingTemplate;
+        if (!applied) return;
+
+        const template = getMappingTemplates().find(entry => entry.id === applied.id);
+        statusContainer.appendChild(createElement('p', {}, [
+            createElement('strong', {}, `Applied mapping template "${applied.name}"`),
+            template ? ` saved ${formatDate(template.savedAt)}.` : ' (no longer in the library).'
+        ]));
+        if (!template) return;
+
+        const diff = diffTemplateFields(template, getBatchContext().fieldKeys);
+        if (diff.newFields.length === 0 && diff.missingFields.length === 0) {
+            statusContainer.appendChild(createElement('p', { className: 'hint' }, 'The loaded items have the same fields as when the template was saved.'));
+            return;
+        }
+
+        const diffContainer = createElement('div', { className: 'mapping-template-diff' });
+        if (diff.newFields.length > 0) {
+            diffContainer.appendChild(createFieldList('New fields, listed under Non-linked Keys', diff.newFields));
+        }
+        if (diff.missingFields.length > 0) {
+            diffContainer.appendChild(createFieldList('Fields no longer present', diff.missingFields, new Set(diff.missingMappedFields)));
+        }
+        statusContainer.appendChild(diffContainer);
+    }
+
+    function renderTargets() {
+        if (!targetsContainer) return;
+        targetsContainer.innerHTML = '';
+
+        const { resourceTemplates, entitySchema } = getBatchContext();
+        resourceTemplates.forEach(entry => {
+            targetsContainer.appendChild(createElement('label', { className: 'mapping-template-target' }, [
+                createElement('input', { type: 'checkbox', checked: true, dataset: { templateId: entry.id, templateLabel: entry.label } }),
+                ` ${formatResourceTemplate(entry)}`
+            ]));
+        });
+        if (entitySchema?.id) {
+            targetsContainer.appendChild(createElement('label', { className: 'mapping-template-target' }, [
+                createElement('input', { type: 'checkbox', checked: true, dataset: { entitySchema: entitySchema.id } }),
+                ` Entity Schema ${entitySchema.id}${entitySchema.label ? ` (${entitySchema.label})` : ''}`
+            ]));
+        }
+        if (resourceTemplates.length === 0 && !entitySchema?.id) {
+            targetsContainer.appendChild(createElement('p', { className: 'hint' }, 'The loaded items have no resource template. Select an Entity Schema to save a template for it.'));
+        }
+
+        if (nameInput && !nameInput.value) {
+            nameInput.placeholder = resourceTemplates.map(entry => entry.label).filter(Boolean).join(' + ') || 'Template name';
+        }
+    }
+
+    function renderLibrary() {
+        if (!libraryList) return;
+        libraryList.innerHTML = '';
+
+        const templates = getMappingTemplates();
+        if (templates.length === 0) {
+            libraryList.appendChild(createElement('li', { className: 'placeholder' }, 'No mapping templates saved yet'));
+            return;
+        }
+
+        const { resourceTemplates, entitySchema } = getBatchContext();
+        const matchIds = new Set(findMatchingTemplates({
+            resourceTemplateIds: resourceTemplates.map(entry => entry.id),
+            entitySchemaId: entitySchema?.id || null
+        }, templates).map(match => match.template.id));
+
+        templates.forEach(template => {
+            const targets = [
+                ...(template.resourceTemplates || []).map(formatResourceTemplate),
+                template.entitySchema ? `Entity Schema ${template.entitySchema.id}` : null
+            ].filter(Boolean).join(', ');
+            const mappedCount = template.mapping?.mappings?.mapped?.length || 0;
+
+            libraryList.appendChild(createElement('li', { className: 'mapping-template-entry' }, [
+                createElement('div', { className: 'mapping-template-entry__info' }, [
+                    createElement('strong', {}, template.name),
+                    matchIds.has(template.id) ? createElement('span', { className: 'badge mapping-template-entry__match' }, 'matches') : null,
+                    createElement('div', { className: 'muted' }, `${targets} · ${mappedCount} mapped field(s) · saved ${formatDate(template.savedAt)}`)
+                ]),
+                createElement('button', {
+                    type: 'button',
+                    className: 'button button--secondary',
+                    onClick: () => {
+                        const hasMapping = (state.getState().mappings?.mappedKeys || []).length > 0;
+                        if (hasMapping && !confirm(`Replace the current mapping with "${template.name}"?`)) return;
+                        applyTemplate(template);
+                    }
+                }, 'Apply'),
+                createElement('button', {
+                    type: 'button',
+                    className: 'button button--secondary',
+                    title: 'Delete template',
+                    onClick: () => {
+                        if (!confirm(`Delete the mapping template "${template.name}"?`)) return;
+                        deleteMappingTemplate(template.id);
+                        renderLibrary();
+                        renderStatus();
+                    }
+                }, '×')
+            ]));
+        });
+    }
+
+    async function applyTemplate(template, { automatic = false } = {}) {
+        try {
+            await loadMappingFromData(template.mapping, state);
+            state.updateState('appliedMappingTemplate', {
+                id: template.id,
+                name: template.name,
+                appliedAt: new Date().toISOString()
+            });
+            renderStatus();
+            showMessage(
+                automatic
+                    ? `Applied the matching mapping template "${template.name}"`
+                    : `Applied mapping template "${template.name}"`,
+                'success',
+                4000
+            );
+        } catch (error) {
+            console.error('Error applying mapping template:', error);
+            showMessage(`Could not apply mapping template: ${error.message}`, 'error', 5000);
+        }
+    }
+
+    function applyMatchingTemplate() {
+        const currentState = state.getState();
+        const mappings = currentState.mappings || {};
+        const mappingIsEmpty = (mappings.mappedKeys || []).length === 0 &&
+            (mappings.ignoredKeys || []).length === 0 &&
+            (mappings.manualProperties || []).length === 0;
+
+        if (!currentState.fetchedData || currentState.appliedMappingTemplate || !mappingIsEmpty) {
+            return;
+        }
+
+        const { resourceTemplates, entitySchema } = getBatchContext();
+        const [bestMatch] = findMatchingTemplates({
+            resourceTemplateIds: resourceTemplates.map(entry => entry.id),
+            entitySchemaId: entitySchema?.id || null
+        });
+        if (bestMatch) {
+            applyTemplate(bestMatch.template, { automatic: true });
+        }
+    }
+
+    saveButton?.addEventListener('click', () => {
+        const { fieldKeys } = getBatchContext();
+        const checked = Array.from(targetsContainer?.querySelectorAll('input:checked') || []);
+        const schemaId = checked.find(input => input.dataset.entitySchema)?.dataset.entitySchema;
+        const selectedSchema = state.getState().selectedEntitySchema;
+
+        try {
+            const template = saveMappingTemplate({
+                name: nameInput?.value || nameInput?.placeholder,
+                resourceTemplates: checked
+                    .filter(input => input.dataset.templateId)
+                    .map(input => ({ id: input.dataset.templateId, label: input.dataset.templateLabel })),
+                entitySchema: schemaId && selectedSchema?.id === schemaId ? selectedSchema : null,
+                fieldKeys,
+                mapping: generateMappingData(state)
+            });
+            state.updateState('appliedMappingTemplate', { id: template.id, name: template.name, appliedAt: template.savedAt });
+            if (nameInput) nameInput.value = '';
+            renderLibrary();
+            renderStatus();
+            showMessage(`Mapping template "${template.name}" saved`, 'success', 3000);
+        } catch (error) {
+            showMessage(error.message, 'warning', 4000);
+        }
+    });
+
+    eventSystem.subscribe(eventSystem.Events.STEP_CHANGED, (data) => {
+        if (data.newStep !== 2) return;
+        // Runs before the mapping lists are populated, so the template's keys are not listed as new
+        applyMatchingTemplate();
+        renderTargets();
+        renderLibrary();
+        renderStatus();
+    });
+    eventSystem.subscribe(eventSystem.Events.STATE_CHANGED, (data) => {
+        if (data?.path === 'selectedEntitySchema') {
+            renderTargets();
+            renderLibrary();
+        }
+    });
+
+    renderLibrary();
+}
@@ -0,0 +1,47 @@
+/**
+ * Mapping file error modal
+ * Lists the problems found in a mapping file with their line numbers
+ * @module mapping/ui/modals/mapping-file-error-modal
+ */
+
+// Import dependencies
+import { createElement } from '../../../ui/components.js';
+
+/**
+ * Opens the modal for a mapping file that could not be loaded
+ * @param {string} fileName - Name of the uploaded file
+ * @param {MappingFileError} error - Error with the individual problems
+ */
+export function openMappingFileErrorModal(fileName, error) {
+    import('../../../ui/modal-ui.js').then(({ setupModalUI }) => {
+        const modalUI = setupModalUI();
+
+        const content = createElement('div', { className: 'mapping-file-errors' });
+        content.appendChild(createElement('p', {}, `${error.message}. Fix the file and load it again.`));
+
+        const list = createElement('ol', { className: 'mapping-file-errors__list' });
+        error.errors.forEach(problem => {
+            const location = problem.line !== null && problem.line !== undefined
+                ? `Line ${problem.line}, column ${problem.column}`
+                : 'Location unknown';
+            list.appendChild(createElement('li', {}, [
+                createElement('strong', {}, location),
+                createElement('code', {}, problem.path),
+                ` ${problem.message}`
+            ]));
+        });
+        content.appendChild(list);
+
+        modalUI.openModal(
+            `Could not load ${fileName}`,
+            content,
+            [
+                {
+                    text: 'Close',
+                    type: 'primary',
+                    callback: () => modalUI.closeModal()
+                }
+            ]
+        );
+    });
+}
@@ -26,6 +26,8 @@ import {
 import { extractAllFields } from '../../../transformations.js';
 import { fetchWithCorsProxy } from '../../../utils/cors-proxy.js';
 import { extractPropertyValueDetails } from '../../../reconciliation/core/reconciliation-data.js';
+import { createMappingConditionSection } from '../mapping-condition-ui.js';
+import { createQualifierSection } from '../qualifier-mapping-ui.js';
 
 /**
  * Search Wikidata items using the wbsearchentities API
@@ -551,7 +553,8 @@ function getObservedSegmentOptions(items, keyData, state) {
         includedSegments: undefined,
         includedSegmentLabels: undefined,
         segmentSignature: undefined,
-        includedValueSources: undefined
+        includedValueSources: undefined,
+        condition: undefined
     };
 
     const detailsByItem = items
@@ -1400,6 +1403,8 @@ export function openMappingModal(keyData) {
                                 selectedAtField: undefined,  // Reset @ field selection
                                 selectedObjectIndex: undefined,
                                 selectedTransformationField: undefined,  // Reset transformation
+                                condition: undefined,  // Each rule gets its own condition
+                                qualifierOf: undefined,
                                 isDuplicate: true  // Mark as duplicate
                             };
                             openMappingModal(duplicateKeyData);
@@ -1650,6 +1655,7 @@ export function createMappingModalContent(keyData) {
         });
         
         leftColumn.appendChild(composeSection);
+        leftColumn.appendChild(createQualifierSection(keyData, window.mappingStepState));
         
         // Wikidata Item Search section
         const itemSearchSection = createElement('div', {
@@ -1792,7 +1798,8 @@ export function createMappingModalContent(keyData) {
     const getSegmentFilteredValueDetails = () => {
         const analysisKeyData = {
             ...keyData,
-            includedValueSources: undefined
+            includedValueSources: undefined,
+            condition: undefined
         };
 
         return items
@@ -1916,6 +1923,10 @@ export function createMappingModalContent(keyData) {
 
     keyInfo.appendChild(segmentSection);
     keyInfo.appendChild(valueSourceSection);
+    keyInfo.appendChild(createMappingConditionSection(keyData, items, window.mappingStepState, () => {
+        loadSampleValues(samplesContent, keyData, window.mappingStepState);
+    }));
+    keyInfo.appendChild(createQualifierSection(keyData, window.mappingStepState));
     refreshExtractionUI();
     window.updateMappingExtractionUI = refreshExtractionUI;
     window.refreshMappingSamples = () => loadSampleValues(samplesContent, keyData, window.mappingStepState);
@@ -2161,6 +2172,7 @@ export function createMappingModalContent(keyData) {
         
         const regularSearchHTML = `
             ${entitySchemaDropdownHTML}
+            <div id="property-cooccurrence-suggestions" class="property-cooccurrence-suggestions"></div>
             <h4>Search Properties</h4>
             <input type="text" id="property-search-input" placeholder="Type to search for Wikidata properties..." class="property-search-input">
             <div id="property-suggestions" class="property-suggestions"></div>
@@ -0,0 +1,62 @@
+/**
+ * Qualifier mapping interface
+ * Section of the mapping modal that attaches a mapping's values as a qualifier
+ * to the statements of another mapping
+ * @module mapping/ui/qualifier-mapping-ui
+ */
+
+import { createElement } from '../../ui/components.js';
+import { getQualifierTargets, getQualifiersOf } from '../core/qualifier-mappings.js';
+
+function describeMapping(keyObj) {
+    return `${keyObj.property.label || keyObj.property.id} (${keyObj.property.id}) from ${keyObj.key}`;
+}
+
+/**
+ * Creates the qualifier section for a key in the mapping modal
+ * Edits keyData.qualifierOf in place, like the other settings of the modal.
+ * @param {Object} keyData - Key being mapped
+ * @param {Object} state - Application state management instance
+ * @returns {HTMLElement} Section element
+ */
+export function createQualifierSection(keyData, state) {
+    const mappedKeys = state.getState().mappings?.mappedKeys || [];
+    const targets = getQualifierTargets(keyData, mappedKeys);
+    const ownQualifiers = keyData.mappingId ? getQualifiersOf(keyData.mappingId, mappedKeys) : [];
+
+    // Keep a saved target visible even when it can no longer take qualifiers
+    const savedTargetMissing = keyData.qualifierOf && !targets.some(target => target.mappingId === keyData.qualifierOf);
+
+    const select = createElement('select', {
+        onChange: event => {
+            keyData.qualifierOf = event.target.value || undefined;
+        }
+    }, [
+        createElement('option', { value: '', selected: !keyData.qualifierOf }, 'No, write separate statements'),
+        savedTargetMissing
+            ? createElement('option', { value: keyData.qualifierOf, selected: true }, 'A mapping that no longer exists')
+            : null,
+        ...targets.map(target => createElement('option', {
+            value: target.mappingId,
+            selected: target.mappingId === keyData.qualifierOf
+        }, describeMapping(target)))
+    ]);
+
+    const section = createElement('details', { className: 'mapping-condition-section qualifier-mapping-section' }, [
+        createElement('summary', { className: 'value-source-title' }, 'Use as a qualifier…'),
+        createElement('p', { className: 'field-override-help' },
+            'Write the values of this mapping as a qualifier on the statements of another mapping, e.g. collection (P195) on inventory number (P217) or object has role (P3831) on depicts (P180). A single value goes on every statement; when both fields have the same number of values, the n-th value qualifies the statement from the n-th value, and a statement whose qualifier value was not reconciled gets none. With any other count the qualifier is left out of that item and the export lists a warning.'),
+        ownQualifiers.length > 0
+            ? createElement('p', { className: 'field-override-help' },
+                `Qualifiers on these statements: ${ownQualifiers.map(describeMapping).join(', ')}. A mapping with qualifiers cannot be a qualifier itself.`)
+            : createElement('label', { className: 'mapping-condition-group' }, [
+                createElement('strong', {}, 'Qualify the statements of'),
+                targets.length > 0 || savedTargetMissing
+                    ? select
+                    : createElement('span', { className: 'hint' }, 'Map the statement property first, then open this mapping again.')
+            ])
+    ]);
+
+    section.open = Boolean(keyData.qualifierOf) || ownQualifiers.length > 0;
+    return section;
+}
@@ -0,0 +1,151 @@
+/**
+ * Term language interface
+ * Panel of the mapping step that sets the project's default language and the
+ * fallback rules for label, description and alias values without a language
+ * tag, and previews the languages the export will write
+ * @module mapping/ui/term-language-ui
+ */
+
+import { eventSystem } from '../../events.js';
+import { createElement } from '../../ui/components.js';
+import { extractPropertyValueDetails } from '../../reconciliation/core/reconciliation-data.js';
+import { collectFieldKeys } from '../core/mapping-template-library.js';
+import {
+    UNTAGGED_VALUE_RULES,
+    getTermType,
+    normalizeLanguageCode,
+    normalizeTermLanguageSettings,
+    summarizeTermLanguages
+} from '../core/term-languages.js';
+
+const TERM_TYPE_LABELS = {
+    label: 'Labels',
+    description: 'Descriptions',
+    aliases: 'Aliases'
+};
+
+function getFetchedItems(fetchedData) {
+    if (Array.isArray(fetchedData)) return fetchedData;
+    if (Array.isArray(fetchedData?.items)) return fetchedData.items;
+    return fetchedData ? [fetchedData] : [];
+}
+
+/**
+ * Wires up the term language panel of the mapping step
+ * @param {Object} state - Application state management instance
+ */
+export function setupTermLanguagePanel(state) {
+    const panel = document.getElementById('term-language-panel');
+    const defaultLanguageInput = document.getElementById('term-default-language');
+    const languageFieldSelect = document.getElementById('term-language-field');
+    const untaggedValuesSelect = document.getElementById('term-untagged-values');
+    const summaryContainer = document.getElementById('term-language-summary');
+    if (!panel || !summaryContainer) return;
+
+    function getSettings() {
+        return normalizeTermLanguageSettings(state.getState().mappings?.termLanguages);
+    }
+
+    function saveSettings(changes) {
+        state.updateState('mappings.termLanguages', normalizeTermLanguageSettings({ ...getSettings(), ...changes }));
+    }
+
+    function renderSettings() {
+        const settings = getSettings();
+        const items = getFetchedItems(state.getState().fetchedData);
+
+        if (defaultLanguageInput && document.activeElement !== defaultLanguageInput) {
+            defaultLanguageInput.value = settings.defaultLanguage;
+        }
+        if (untaggedValuesSelect) {
+            untaggedValuesSelect.value = settings.untaggedValues;
+        }
+        if (languageFieldSelect) {
+            const fieldKeys = collectFieldKeys(items);
+            if (settings.languageField && !fieldKeys.includes(settings.languageField)) {
+                fieldKeys.unshift(settings.languageField);
+            }
+            languageFieldSelect.innerHTML = '';
+            languageFieldSelect.appendChild(createElement('option', { value: '', selected: !settings.languageField }, 'None'));
+            fieldKeys.forEach(key => {
+                languageFieldSelect.appendChild(createElement('option', { value: key, selected: key === settings.languageField }, key));
+            });
+        }
+    }
+
+    function renderSummary() {
+        // Extracting every term value is only worth it while the panel is open
+        if (!panel.open) return;
+
+        const currentState = state.getState();
+        const settings = getSettings();
+        const termKeys = (currentState.mappings?.mappedKeys || []).filter(keyObj => getTermType(keyObj?.property?.id));
+        summaryContainer.innerHTML = '';
+
+        if (termKeys.length === 0) {
+            summaryContainer.appendChild(createElement('p', { className: 'placeholder' }, 'Map a field to Label, Description or Aliases to see its languages'));
+            return;
+        }
+
+        const summary = summarizeTermLanguages(
+            getFetchedItems(currentState.fetchedData),
+            termKeys,
+            (item, keyObj) => extractPropertyValueDetails(item, keyObj, state),
+            settings
+        );
+
+        summaryContainer.appendChild(createElement('ul', { className: 'term-language-summary__list' },
+            Object.entries(summary).map(([termType, counts]) => {
+                const languages = Object.entries(counts.languages)
+                    .sort((a, b) => b[1] - a[1])
+                    .map(([language, count]) => `${language} ${count}`)
+                    .join(' · ');
+                const notes = [
+                    counts.fallback > 0 ? `${counts.fallback} from the fallback rules` : null,
+                    counts.review > 0 ? `${counts.review} left for review` : null
+                ].filter(Boolean).join(', ');
+
+                return createElement('li', {}, [
+                    createElement('strong', {}, `${TERM_TYPE_LABELS[termType]}: `),
+                    languages || 'no values',
+                    notes ? createElement('span', { className: 'term-language-summary__notes' }, ` (${notes})`) : null
+                ]);
+            })
+        ));
+    }
+
+    defaultLanguageInput?.addEventListener('change', () => {
+        const code = normalizeLanguageCode(defaultLanguageInput.value);
+        defaultLanguageInput.classList.toggle('term-language-input--invalid', !code);
+        if (code) {
+            saveSettings({ defaultLanguage: code });
+        }
+    });
+    languageFieldSelect?.addEventListener('change', () => {
+        saveSettings({ languageField: languageFieldSelect.value });
+    });
+    untaggedValuesSelect?.addEventListener('change', () => {
+        saveSettings({ untaggedValues: untaggedValuesSelect.value || UNTAGGED_VALUE_RULES.DEFAULT_LANGUAGE });
+    });
+    panel.addEventListener('toggle', renderSummary);
+
+    eventSystem.subscribe(eventSystem.Events.STATE_CHANGED, (data) => {
+        if (data?.restored || data?.path === 'mappings.termLanguages' || data?.path === 'fetchedData') {
+            renderSettings();
+        }
+        if (data?.restored || data?.path === 'mappings' || data?.path?.startsWith('mappings.')) {
+            renderSummary();
+        }
+    });
+    eventSystem.subscribe(eventSystem.Events.STATE_RESET, () => {
+        renderSettings();
+        renderSummary();
+    });
+    eventSystem.subscribe(eventSystem.Events.STEP_CHANGED, (data) => {
+        if (data.newStep !== 2) return;
+        renderSettings();
+        renderSummary();
+    });
+
+    renderSettings();
+}
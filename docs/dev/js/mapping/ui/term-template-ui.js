@@ -0,0 +1,207 @@
+/**
+ * Term template interface
+ * Panel of the mapping step for per-language label and description templates,
+ * with a preview of the generated text for every loaded item
+ * @module mapping/ui/term-template-ui
+ */
+
+import { eventSystem } from '../../events.js';
+import { createElement } from '../../ui/components.js';
+import { extractPropertyValueDetails } from '../../reconciliation/core/reconciliation-data.js';
+import { normalizeLanguageCode, normalizeTermLanguageSettings } from '../core/term-languages.js';
+import {
+    TEMPLATE_TARGETS,
+    createTermTemplate,
+    createTemplateResolver,
+    findTemplateKey,
+    getReconciledTemplateEntries,
+    listTemplateReferences,
+    normalizeTermTemplates,
+    parseTermTemplate,
+    renderTermTemplate
+} from '../core/term-templates.js';
+
+const TARGET_LABELS = {
+    label: 'Label',
+    description: 'Description'
+};
+
+function getFetchedItems(fetchedData) {
+    if (Array.isArray(fetchedData)) return fetchedData;
+    if (Array.isArray(fetchedData?.items)) return fetchedData.items;
+    return fetchedData ? [fetchedData] : [];
+}
+
+function describeTemplateProblems(pattern, mappedKeys) {
+    const { error } = parseTermTemplate(pattern);
+    if (error) return error;
+
+    const unknown = listTemplateReferences(pattern)
+        .filter(reference => !findTemplateKey(reference.name, mappedKeys))
+        .map(reference => `{${reference.reference}}`);
+    return unknown.length > 0 ? `No mapped field for ${unknown.join(', ')}` : '';
+}
+
+/**
+ * Wires up the label and description template panel of the mapping step
+ * @param {Object} state - Application state management instance
+ */
+export function setupTermTemplatePanel(state) {
+    const panel = document.getElementById('term-template-panel');
+    const listContainer = document.getElementById('term-template-list');
+    const addButton = document.getElementById('add-term-template');
+    const previewContainer = document.getElementById('term-template-preview');
+    if (!panel || !listContainer || !previewContainer) return;
+
+    let templates = [];
+
+    function saveTemplates() {
+        state.updateState('mappings.termTemplates', normalizeTermTemplates(templates));
+    }
+
+    function loadTemplates() {
+        templates = normalizeTermTemplates(state.getState().mappings?.termTemplates);
+        renderList();
+        renderPreview();
+    }
+
+    function renderList() {
+        const mappedKeys = state.getState().mappings?.mappedKeys || [];
+        listContainer.innerHTML = '';
+
+        if (templates.length === 0) {
+            listContainer.appendChild(createElement('p', { className: 'placeholder' }, 'No templates yet'));
+            return;
+        }
+
+        templates.forEach(template => {
+            const problem = createElement('p', { className: 'mapping-condition-error' }, describeTemplateProblems(template.pattern, mappedKeys));
+
+            listContainer.appendChild(createElement('div', { className: 'term-template-row' }, [
+                createElement('select', {
+                    className: 'select',
+                    onChange: event => {
+                        template.target = event.target.value;
+                        saveTemplates();
+                    }
+                }, TEMPLATE_TARGETS.map(target => createElement('option', {
+                    value: target,
+                    selected: target === template.target
+                }, TARGET_LABELS[target]))),
+                createElement('input', {
+                    type: 'text',
+                    className: 'term-language-input',
+                    value: template.language,
+                    title: 'Language code',
+                    onChange: event => {
+                        const code = normalizeLanguageCode(event.target.value);
+                        event.target.classList.toggle('term-language-input--invalid', !code);
+                        if (code) {
+                            template.language = code;
+                            saveTemplates();
+                        }
+                    }
+                }),
+                createElement('input', {
+                    type: 'text',
+                    className: 'term-template-pattern',
+                    value: template.pattern,
+                    placeholder: 'e.g. painting by {creator.label}[ ({date.year})]',
+                    onInput: event => {
+                        problem.textContent = describeTemplateProblems(event.target.value, mappedKeys);
+                    },
+                    onChange: event => {
+                        template.pattern = event.target.value;
+                        saveTemplates();
+                    }
+                }),
+                createElement('button', {
+                    className: 'button button--secondary',
+                    type: 'button',
+                    onClick: () => {
+                        templates = templates.filter(other => other !== template);
+                        saveTemplates();
+                    }
+                }, 'Remove'),
+                problem
+            ]));
+        });
+    }
+
+    function renderPreview() {
+        // Rendering every item is only worth it while the panel is open
+        if (!panel.open) return;
+
+        const currentState = state.getState();
+        const mappedKeys = currentState.mappings?.mappedKeys || [];
+        const items = getFetchedItems(currentState.fetchedData);
+        const activeTemplates = templates.filter(template => template.pattern.trim());
+        previewContainer.innerHTML = '';
+
+        if (activeTemplates.length === 0 || items.length === 0) {
+            previewContainer.appendChild(createElement('p', { className: 'placeholder' },
+                items.length === 0 ? 'Load items to preview the templates' : 'Add a template to preview it'));
+            return;
+        }
+
+        const generatedCounts = activeTemplates.map(() => 0);
+        const rows = items.map((item, index) => {
+            // Reconciled labels are used once the reconciliation step has run
+            const itemData = currentState.reconciliationData?.[`item-${index}`];
+            const resolveReference = createTemplateResolver(mappedKeys, keyObj => (itemData?.properties?.[keyObj.mappingId]
+                ? getReconciledTemplateEntries(itemData.properties[keyObj.mappingId])
+                : extractPropertyValueDetails(item, keyObj, state).map(detail => ({ value: detail.value, match: null }))));
+
+            return createElement('tr', {}, [
+                createElement('td', {}, item['o:title'] || `Item ${index + 1}`),
+                ...activeTemplates.map((template, templateIndex) => {
+                    const { text, missing, error } = renderTermTemplate(template.pattern, resolveReference);
+                    if (text) {
+                        generatedCounts[templateIndex]++;
+                        return createElement('td', {}, text);
+                    }
+                    return createElement('td', { className: 'term-template-preview__missing' },
+                        error || `Missing ${missing.map(reference => `{${reference}}`).join(', ')}`);
+                })
+            ]);
+        });
+
+        previewContainer.appendChild(createElement('p', { className: 'term-template-preview__summary' },
+            activeTemplates.map((template, index) =>
+                `${TARGET_LABELS[template.target]} (${template.language}): ${generatedCounts[index]} of ${items.length} items`
+            ).join(' · ')));
+        previewContainer.appendChild(createElement('div', { className: 'term-template-preview__scroll' }, [
+            createElement('table', { className: 'term-template-preview__table' }, [
+                createElement('thead', {}, [
+                    createElement('tr', {}, [
+                        createElement('th', {}, 'Item'),
+                        ...activeTemplates.map(template => createElement('th', {}, `${TARGET_LABELS[template.target]} (${template.language})`))
+                    ])
+                ]),
+                createElement('tbody', {}, rows)
+            ])
+        ]));
+    }
+
+    addButton?.addEventListener('click', () => {
+        const { defaultLanguage } = normalizeTermLanguageSettings(state.getState().mappings?.termLanguages);
+        templates = [...templates, createTermTemplate('description', defaultLanguage)];
+        saveTemplates();
+    });
+    panel.addEventListener('toggle', renderPreview);
+
+    eventSystem.subscribe(eventSystem.Events.STATE_CHANGED, (data) => {
+        if (data?.restored || data?.path === 'mappings.termTemplates') {
+            loadTemplates();
+        } else if (data?.path === 'mappings' || data?.path === 'mappings.mappedKeys' || data?.path === 'fetchedData') {
+            renderList();
+            renderPreview();
+        }
+    });
+    eventSystem.subscribe(eventSystem.Events.STATE_RESET, loadTemplates);
+    eventSystem.subscribe(eventSystem.Events.STEP_CHANGED, (data) => {
+        if (data.newStep === 2) loadTemplates();
+    });
+
+    loadTemplates();
+}
@@ -6,6 +6,7 @@
 
 import { detectPropertyType, getInputFieldConfig, standardizeDateInput } from '../../utils/property-types.js';
 import { isDateValue, tryReconciliationApi, tryDirectWikidataSearch } from './entity-matcher.js';
+import { resolveTermLanguage } from '../../mapping/core/term-languages.js';
 
 function getResolvedPropertyObject(propertyMetadata) {
     if (!propertyMetadata || typeof propertyMetadata !== 'object') {
@@ -129,12 +130,57 @@ function updateCellDisplayWithError(itemId, mappingId, valueIndex, errorInfo) {
     }
 }
 
+// Puts a standardizeDateInput result in the shape of a date transformation result
+function standardizedToDate(standardized) {
+    return {
+        time: standardized.date,
+        precision: standardized.precision,
+        qualifiers: {
+            approximate: Boolean(standardized.approximate),
+            uncertain: Boolean(standardized.uncertain),
+            earliest: standardized.earliest || null,
+            latest: standardized.latest || null
+        },
+        displayValue: standardized.displayValue
+    };
+}
+
+/**
+ * Creates the auto-accepted time match of a date value
+ * Same fields as a date confirmed in the time modal, so the export keeps the
+ * precision and writes the qualifiers.
+ * @param {string} value - Value as extracted
+ * @param {{time: string, precision: string, qualifiers: Object, displayValue: string}} date - Structured date
+ * @returns {Object} Reconciliation match
+ */
+function createDateMatch(value, { time, precision, qualifiers, displayValue }) {
+    return {
+        type: 'custom',
+        value: time || value,
+        displayValue,
+        standardizedDate: time,
+        precision,
+        datatype: 'time',
+        // How the date is known, written as qualifiers by the export
+        approximate: Boolean(qualifiers.approximate),
+        uncertain: Boolean(qualifiers.uncertain),
+        earliest: qualifiers.earliest || null,
+        latest: qualifiers.latest || null,
+        qualifiers: {
+            autoAccepted: true,
+            reason: 'date value',
+            precision,
+            displayValue
+        }
+    };
+}
+
 /**
  * Create batch auto-acceptance processor for high-confidence reconciliation matches
  * Factory function that creates a processor capable of automatically accepting matches
  * that meet specified confidence thresholds, reducing manual review workload
  * @param {Object} dependencies - Dependency injection object containing required functions
- * @param {Function} dependencies.extractPropertyValues - Function to extract values from items
+ * @param {Function} dependencies.extractPropertyValueDetails - Function to extract value details (with the date a date block parsed) from items
  * @param {Function} dependencies.markCellAsReconciled - Function to mark cells as reconciled
  * @param {Function} dependencies.storeAllMatches - Function to store reconciliation matches
  * @param {Function} dependencies.storeEmptyMatches - Function to store empty match results
@@ -142,7 +188,7 @@ function updateCellDisplayWithError(itemId, mappingId, valueIndex, errorInfo) {
  */
 export function createBatchAutoAcceptanceProcessor(dependencies) {
     const {
-        extractPropertyValues,
+        extractPropertyValueDetails,
         markCellAsReconciled,
         storeAllMatches,
         storeEmptyMatches,
@@ -165,17 +211,19 @@ export function createBatchAutoAcceptanceProcessor(dependencies) {
                 const keyName = typeof keyObj === 'string' ? keyObj : keyObj.key;
                 const mappingId = keyObj?.mappingId || keyName;
                 const propertyMetadata = keyObj?.property || keyObj || null;
-                // Pass the full keyObj and state to extractPropertyValues to apply transformations and handle @ field selection
-                const values = extractPropertyValues(item, keyObj, state);
+                // Pass the full keyObj and state to extractPropertyValueDetails to apply transformations and handle @ field selection
+                const details = extractPropertyValueDetails(item, keyObj, state);
 
-                values.forEach((value, valueIndex) => {
+                details.forEach((detail, valueIndex) => {
                     batchJobs.push({
                         itemId,
                         property: keyName,
                         mappingId,  // NEW: Add mappingId to job
                         propertyMetadata,
                         valueIndex,
-                        value
+                        value: detail.value,
+                        // Structured date from a date transformation, used as it is
+                        date: detail.date || null
                     });
                 });
             });
@@ -191,22 +239,9 @@ export function createBatchAutoAcceptanceProcessor(dependencies) {
             
             // Handle dates immediately (no API call needed)
             if (propertyType === 'time' || isDateValue(job.value)) {
-                // Standardize the date and detect precision
-                const standardized = standardizeDateInput(job.value);
-                
                 dateValues.push({
                     ...job,
-                    autoAcceptResult: {
-                        type: 'custom',
-                        value: standardized.date || job.value,
-                        datatype: 'time',
-                        qualifiers: {
-                            autoAccepted: true,
-                            reason: 'date value',
-                            precision: standardized.precision,
-                            displayValue: standardized.displayValue
-                        }
-                    }
+                    autoAcceptResult: createDateMatch(job.value, job.date || standardizedToDate(standardizeDateInput(job.value)))
                 });
             } 
             // Group API-requiring properties
@@ -573,6 +608,72 @@ export function createColumnReconciliationProcessor(dependencies) {
     };
 }
 
+/**
+ * Create term column acceptor
+ * Factory function that accepts every pending label, description or alias value
+ * of a column with the language of its @language tag or of the fallback rules in
+ * the term language settings; values left without a language stay pending
+ * @param {Object} dependencies - Dependency injection object containing required functions
+ * @returns {Function} Function accepting the pending values of one term column
+ */
+export function createTermColumnAcceptor(dependencies) {
+    const {
+        markCellAsReconciled,
+        updateProceedButton,
+        reconciliationData,
+        state
+    } = dependencies;
+
+    return function acceptTermColumn(keyObj, data) {
+        const mappingId = keyObj?.mappingId || keyObj?.key;
+        const termLanguages = state.getState().mappings?.termLanguages || null;
+        let acceptedCount = 0;
+        let reviewCount = 0;
+
+        data.forEach((item, index) => {
+            const itemId = `item-${index}`;
+            const propData = reconciliationData[itemId]?.properties?.[mappingId];
+            if (!propData) return;
+
+            (propData.reconciled || []).forEach((entry, valueIndex) => {
+                if (entry?.status !== 'pending') return;
+
+                const detail = propData.originalValueDetails?.[valueIndex];
+                const value = detail?.value ?? propData.originalValues?.[valueIndex];
+                if (value === null || value === undefined || String(value).trim() === '') return;
+
+                const resolvedLanguage = resolveTermLanguage({ sourceLanguage: detail?.language, item }, termLanguages);
+                if (!resolvedLanguage) {
+                    reviewCount++;
+                    return;
+                }
+
+                markCellAsReconciled(
+                    { itemId, property: keyObj.key, mappingId, valueIndex },
+                    {
+                        type: 'custom',
+                        value: String(value),
+                        label: String(value),
+                        datatype: 'monolingualtext',
+                        language: resolvedLanguage.language,
+                        qualifiers: {
+                            autoAccepted: true,
+                            reason: {
+                                tag: 'language tag',
+                                'language-field': 'item language field'
+                            }[resolvedLanguage.origin] || 'default language'
+                        }
+                    }
+                );
+                acceptedCount++;
+            });
+        });
+
+        updateProceedButton();
+        return { acceptedCount, reviewCount };
+    };
+}
+
 /**
  * Create next unprocessed cell reconciler with enhanced error handling
  */
@@ -8,6 +8,8 @@ import { getMockItemsData, getMockMappingData } from '../../data/mock-data.js';
 import { applyTransformationChain } from '../../transformations.js';
 import { detectIdentifier } from '../../utils/identifier-detection.js';
 import { resolveOmekaValue, buildIncludedSegmentsSignature } from '../../mapping/core/data-analyzer.js';
+import { getItemIdentity } from '../../input/core/incremental-harvest.js';
+import { applyMappingCondition, getMappingConditionSignature, itemMatchesMappingCondition } from '../../mapping/core/mapping-conditions.js';
 
 function getResourceClassUri(rawValue, fallbackUri = null) {
     if (typeof rawValue === 'string' && /^https?:\/\//i.test(rawValue)) {
@@ -136,13 +138,50 @@ function createPendingReconciledValues(values = []) {
     }));
 }
 
-function createValueFingerprint(valueDetails = []) {
-    return JSON.stringify((valueDetails || []).map(detail => ({
+function getValueFingerprintParts(detail) {
+    return {
         value: detail?.value ?? null,
         language: detail?.language ?? null,
         sourceKey: detail?.sourceKey ?? null,
         segmentKey: detail?.segmentKey ?? null
-    })));
+    };
+}
+
+function createValueFingerprint(valueDetails = []) {
+    return JSON.stringify((valueDetails || []).map(getValueFingerprintParts));
+}
+
+/**
+ * Carries reconciliation decisions over value by value
+ * Each fresh value reuses the decision of an unchanged existing value with the
+ * same fingerprint; values that are new or changed start as pending.
+ * Entries saved before value details existed are matched on the value alone.
+ */
+function preserveUnchangedValueDecisions(existingEntry, freshEntry) {
+    const hasExistingDetails = Array.isArray(existingEntry.originalValueDetails);
+    const existingDetails = hasExistingDetails
+        ? existingEntry.originalValueDetails
+        : (existingEntry.originalValues || []).map(value => ({ value }));
+    const getMatchKey = detail => hasExistingDetails
+        ? JSON.stringify(getValueFingerprintParts(detail))
+        : JSON.stringify(detail?.value ?? null);
+
+    const availableDecisions = new Map();
+    existingDetails.forEach((detail, index) => {
+        const decision = existingEntry.reconciled[index];
+        if (!decision) {
+            return;
+        }
+        const matchKey = getMatchKey(detail);
+        if (!availableDecisions.has(matchKey)) {
+            availableDecisions.set(matchKey, []);
+        }
+        availableDecisions.get(matchKey).push(decision);
+    });
+
+    freshEntry.reconciled = freshEntry.originalValueDetails.map((detail, index) =>
+        availableDecisions.get(getMatchKey(detail))?.shift() || freshEntry.reconciled[index]
+    );
 }
 
 function createMappingSignature(keyObj, state = null, mappingId = null) {
@@ -154,6 +193,7 @@ function createMappingSignature(keyObj, state = null, mappingId = null) {
     const transformationBlocks = state && typeof state.getTransformationBlocks === 'function'
         ? state.getTransformationBlocks(effectiveMappingId) || []
         : [];
+    const conditionSignature = getMappingConditionSignature(keyObj.condition);
 
     return JSON.stringify({
         key: keyObj.key || null,
@@ -165,6 +205,8 @@ function createMappingSignature(keyObj, state = null, mappingId = null) {
         segmentSignature: getSegmentSignatureForKey(keyObj),
         guidedSourceMode: keyObj.guidedSourceMode || null,
         guidedManualText: keyObj.guidedManualText || null,
+        // Only conditional mappings carry the field, so older signatures stay valid
+        ...(conditionSignature ? { condition: conditionSignature } : {}),
         transformationBlocks
     });
 }
@@ -291,9 +333,10 @@ export function extractPropertyValueDetails(item, keyOrKeyObj, state = null) {
     };
 
     // Handle both string keys and key objects
-    let key, selectedAtField, selectedObjectIndex, isCustomProperty, propertyDatatype, extractionMode, fieldProfile, includedSegments, guidedSourceMode, guidedManualText;
+    let key, selectedAtField, selectedObjectIndex, isCustomProperty, propertyDatatype, extractionMode, fieldProfile, includedSegments, guidedSourceMode, guidedManualText, condition;
     if (typeof keyOrKeyObj === 'object' && keyOrKeyObj.key) {
         key = keyOrKeyObj.key;
+        condition = keyOrKeyObj.condition || null;
         selectedAtField = keyOrKeyObj.selectedAtField;
         selectedObjectIndex = keyOrKeyObj.selectedObjectIndex;
         isCustomProperty = keyOrKeyObj.isCustomProperty === true;
@@ -308,6 +351,11 @@ export function extractPropertyValueDetails(item, keyOrKeyObj, state = null) {
     } else {
         key = keyOrKeyObj;
     }
+
+    // Conditional mappings skip items of other resource classes or templates
+    if (condition && !itemMatchesMappingCondition(item, condition)) {
+        return [];
+    }
     
     // Check if this is a custom property
     if (!isCustomProperty && key) {
@@ -320,6 +368,8 @@ export function extractPropertyValueDetails(item, keyOrKeyObj, state = null) {
         // Custom properties don't extract from data, they generate through compose patterns
         // Return a placeholder value that will be transformed
         let extractedValues = [''];  // Empty string as base value for transformation
+        // Dates a date block parsed the generated values into, by value
+        const generatedDates = new Map();
         
         // Apply transformations if state is provided
         if (state) {
@@ -366,6 +416,10 @@ export function extractPropertyValueDetails(item, keyOrKeyObj, state = null) {
                             const transformationResult = applyTransformationChain(originalValue, enhancedBlocks);
                             // Get the final transformed value
                             const finalValue = transformationResult[transformationResult.length - 1]?.value || originalValue;
+                            const date = transformationResult[transformationResult.length - 1]?.date;
+                            if (date) {
+                                generatedDates.set(finalValue, date);
+                            }
                             return finalValue;
                         });
                     } else {
@@ -382,7 +436,8 @@ export function extractPropertyValueDetails(item, keyOrKeyObj, state = null) {
             value,
             language: null,
             matchedPart: 'generated',
-            resolvedMode: 'generated'
+            resolvedMode: 'generated',
+            ...(generatedDates.has(value) ? { date: generatedDates.get(value) } : {})
         }));
     }
     
@@ -489,6 +544,11 @@ export function extractPropertyValueDetails(item, keyOrKeyObj, state = null) {
         seenDedupeKeys.add(dedupeKey);
         return true;
     });
+
+    if (condition) {
+        const mappedKeys = typeof state?.getState === 'function' ? state.getState()?.mappings?.mappedKeys || [] : [];
+        extractedDetails = applyMappingCondition(item, keyOrKeyObj, extractedDetails, mappedKeys);
+    }
     
     // Apply transformations if state is provided
     if (state && extractedDetails.length > 0) {
@@ -513,10 +573,12 @@ export function extractPropertyValueDetails(item, keyOrKeyObj, state = null) {
                 // Apply transformations to each extracted value
                 extractedDetails = extractedDetails.map(detail => {
                     const transformationResult = applyTransformationChain(detail.value, transformationBlocks);
-                    // Get the final transformed value
+                    const finalStep = transformationResult[transformationResult.length - 1];
+                    // Get the final transformed value, and the date a date block parsed it into
                     return {
                         ...detail,
-                        value: transformationResult[transformationResult.length - 1]?.value || detail.value
+                        value: finalStep?.value || detail.value,
+                        ...(finalStep?.date ? { date: finalStep.date } : {})
                     };
                 });
             }
@@ -620,7 +682,7 @@ export function combineAndSortProperties(mappedKeys, manualProperties = [], opti
     });
     
     // Sort the array
-    return allProperties.sort((a, b) => {
+    const sortedProperties = allProperties.sort((a, b) => {
         const aPriority = getMappedPropertyPriority(a);
         const bPriority = getMappedPropertyPriority(b);
         if (aPriority !== bPriority) {
@@ -636,6 +698,21 @@ export function combineAndSortProperties(mappedKeys, manualProperties = [], opti
         // If same priority, maintain original order
         return a.originalIndex - b.originalIndex;
     });
+
+    // Qualifier mappings follow the statement mapping they qualify
+    const qualifierItems = sortedProperties.filter(item => item.type === 'mapped' && item.data?.qualifierOf);
+    if (qualifierItems.length === 0) {
+        return sortedProperties;
+    }
+    const orderedProperties = sortedProperties.filter(item => !qualifierItems.includes(item));
+    qualifierItems.forEach(qualifierItem => {
+        const targetId = qualifierItem.data.qualifierOf;
+        const insertAfter = orderedProperties.findLastIndex(item =>
+            item.data?.mappingId === targetId || item.data?.qualifierOf === targetId
+        );
+        orderedProperties.splice(insertAfter === -1 ? orderedProperties.length : insertAfter + 1, 0, qualifierItem);
+    });
+    return orderedProperties;
 }
 
 /**
@@ -816,6 +893,11 @@ export function initializeReconciliationDataStructure(data, mappedKeys, state =
 /**
  * Intelligently merges existing reconciliation data with new property mappings
  * Preserves existing reconciliation work while adding support for new properties
+ *
+ * Items are matched by `o:id`/`@id` within their data source, falling back
+ * to position for items without an identity, so re-harvested items keep their
+ * decisions even when their position changes. Within a property whose mapping is unchanged, only
+ * values whose fingerprint changed are reset to pending.
  * 
  * @param {Object} existingReconciliationData - Current reconciliation data to preserve
  * @param {Array} data - Array of Omeka S items
@@ -825,10 +907,22 @@ export function initializeReconciliationDataStructure(data, mappedKeys, state =
  */
 export function mergeReconciliationData(existingReconciliationData, data, currentMappedKeys, state = null) {
     const mergedData = {};
+    const existingItemsByIdentity = new Map();
+
+    Object.values(existingReconciliationData || {}).forEach(itemData => {
+        const identity = getItemIdentity(itemData?.originalData);
+        if (identity !== null && !existingItemsByIdentity.has(identity)) {
+            existingItemsByIdentity.set(identity, itemData);
+        }
+    });
 
     data.forEach((item, index) => {
         const itemId = `item-${index}`;
-        const existingItemData = existingReconciliationData?.[itemId];
+        const identity = getItemIdentity(item);
+        const itemDataAtIndex = existingReconciliationData?.[itemId];
+        const existingItemData = identity !== null && existingItemsByIdentity.has(identity)
+            ? existingItemsByIdentity.get(identity)
+            : (identity === null || getItemIdentity(itemDataAtIndex?.originalData) === null ? itemDataAtIndex : null);
 
         mergedData[itemId] = {
             originalData: item,
@@ -838,18 +932,12 @@ export function mergeReconciliationData(existingReconciliationData, data, curren
         currentMappedKeys.forEach(keyObj => {
             const freshEntry = createPropertyReconciliationEntry(item, keyObj, state);
             const existingEntry = existingItemData?.properties?.[freshEntry.mappingId];
-            const canPreserveExistingEntry = existingEntry
-                && (
-                    (existingEntry.mappingSignature === freshEntry.mappingSignature
-                        && existingEntry.valueFingerprint === freshEntry.valueFingerprint)
-                    || (!existingEntry.mappingSignature
-                        && JSON.stringify(existingEntry.originalValues || []) === JSON.stringify(freshEntry.originalValues || []))
-                )
+            const hasSameMapping = existingEntry
                 && Array.isArray(existingEntry.reconciled)
-                && existingEntry.reconciled.length === freshEntry.reconciled.length;
+                && (existingEntry.mappingSignature === freshEntry.mappingSignature || !existingEntry.mappingSignature);
 
-            if (canPreserveExistingEntry) {
-                freshEntry.reconciled = existingEntry.reconciled;
+            if (hasSameMapping) {
+                preserveUnchangedValueDecisions(existingEntry, freshEntry);
                 freshEntry.references = existingEntry.references || [];
             }
 
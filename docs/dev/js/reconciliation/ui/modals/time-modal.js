@@ -7,7 +7,8 @@
  * 
  * Features:
  * - Flexible date input supporting multiple formats
- * - Automatic precision detection (year, month, day, decade)
+ * - Automatic precision detection (year, month, day, decade, century)
+ * - Dates written in words ("15 maart 1743", "ca. 1650", "tweede helft 17e eeuw")
  * - Manual precision override capability
  * - Original value tracking with clickable reset functionality
  * - Real-time validation with visual feedback
@@ -20,6 +21,7 @@ import {
     standardizeDateInput,
     setupDynamicDatePrecision
 } from '../../../utils/property-types.js';
+import { formatCenturyLabel } from '../../../utils/date-parser.js';
 
 /**
  * Get confirmed value from application state
@@ -103,6 +105,10 @@ function saveConfirmedValue(itemId, mappingId, valueIndex, confirmationData) {
                 standardizedDate: confirmationData.standardizedDate,
                 precision: confirmationData.precision,
                 datatype: 'time',
+                approximate: confirmationData.approximate,
+                uncertain: confirmationData.uncertain,
+                earliest: confirmationData.earliest,
+                latest: confirmationData.latest,
                 description: `Custom time value (${confirmationData.precision} precision)`
             },
             matches: [],
@@ -278,7 +284,7 @@ export function createTimeModal(itemId, property, valueIndex, value, propertyDat
                     <input type="text" 
                            id="date-editor" 
                            class="date-input flexible-date-input" 
-                           placeholder="Enter date (e.g., 2023, 2023-06, 2023-06-15, 1990s)"
+                           placeholder="Enter date (e.g., 2023, 2023-06, 2023-06-15, 1990s, ca. 1650)"
                            value="${escapeHtml(displayValue)}"
                            data-auto-precision="true">
                     
@@ -290,6 +296,7 @@ export function createTimeModal(itemId, property, valueIndex, value, propertyDat
                             <option value="month" ${detectedPrecision === 'month' ? 'selected' : ''}>Month precision</option>
                             <option value="year" ${detectedPrecision === 'year' ? 'selected' : ''}>Year precision</option>
                             <option value="decade" ${detectedPrecision === 'decade' ? 'selected' : ''}>Decade precision</option>
+                            <option value="century" ${detectedPrecision === 'century' ? 'selected' : ''}>Century precision</option>
                         </select>
                         <div class="precision-description" id="precision-description">
                             Automatically detected precision: <strong>${detectedPrecision}</strong>
@@ -304,7 +311,7 @@ export function createTimeModal(itemId, property, valueIndex, value, propertyDat
                     
                     <!-- Format Hint -->
                     <div class="date-format-hint" id="date-format-hint">
-                        Supports: Year (2023), Month (2023-06), Day (2023-06-15), Decade (1990s), Year range (1475/1525)
+                        Supports: Year (2023), Month (2023-06), Day (2023-06-15), Decade (1990s), Century (17th century), Year range (1475/1525), written dates in Dutch, English, French and German (15 maart 1743, ca. 1650, tweede helft 17e eeuw, [1890?])
                     </div>
                     ${intervalChoiceHtml}
                 </div>
@@ -557,6 +564,11 @@ function updateStandardizedPreview() {
  */
 function formatDateWithPrecision(dateInput, precision) {
     const standardized = standardizeDateInput(dateInput);
+
+    // Keeps markers and parts of written dates, such as "circa 1650" or "second half of the 17th century"
+    if (precision === standardized.precision && standardized.displayValue && !standardized.isInterval) {
+        return standardized.displayValue;
+    }
     
     switch (precision) {
         case 'year':
@@ -569,6 +581,8 @@ function formatDateWithPrecision(dateInput, precision) {
             const year = parseInt(standardized.date.substring(0, 4));
             const decade = Math.floor(year / 10) * 10;
             return `${decade}s`;
+        case 'century':
+            return formatCenturyLabel(Math.floor((parseInt(standardized.date.substring(0, 4)) - 1) / 100) + 1);
         default:
             return standardized.displayValue || dateInput;
     }
@@ -704,6 +718,7 @@ window.confirmTimeValue = function() {
         ? standardized.intervalChoices.find(choice => choice.id === intervalChoice.value)
         : null;
     const dateForExport = selectedIntervalChoice?.date || standardized.date;
+    const usesIntervalMidpoint = selectedIntervalChoice?.id === 'midpoint';
     const displayValue = selectedIntervalChoice?.displayValue || formatDateWithPrecision(currentValue, selectedPrecision);
     
     // Prepare confirmation data
@@ -714,6 +729,11 @@ window.confirmTimeValue = function() {
         standardizedDate: dateForExport,
         precision: selectedPrecision,
         datatype: 'time',
+        // How the date is known, written as qualifiers by the export; the midpoint of an interval is a circa date
+        approximate: Boolean(standardized.approximate) || usesIntervalMidpoint,
+        uncertain: Boolean(standardized.uncertain),
+        earliest: standardized.earliest || (usesIntervalMidpoint ? standardized.intervalStart : null),
+        latest: standardized.latest || (usesIntervalMidpoint ? standardized.intervalEnd : null),
         intervalSource: standardized.isInterval
             ? {
                 originalValue: currentValue.trim(),
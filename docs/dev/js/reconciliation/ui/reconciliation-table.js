@@ -6,9 +6,12 @@
  * including property cells, value elements, loading states, and display updates.
  */
 
-import { createElement } from '../../ui/components.js';
+import { createElement, showMessage } from '../../ui/components.js';
 import { combineAndSortProperties, extractPropertyValues, extractPropertyValueDetails } from '../core/reconciliation-data.js';
 import { getOmekaFieldFriendlyName } from '../../mapping/core/data-analyzer.js';
+import { describeMappingCondition, getMappingConditionLabels } from '../../mapping/core/mapping-conditions.js';
+import { describeQualifierTarget } from '../../mapping/core/qualifier-mappings.js';
+import { getTermType } from '../../mapping/core/term-languages.js';
 
 /**
  * Create item cell content with link button
@@ -90,6 +93,29 @@ export function updateItemCellDisplay(itemId, itemNumber, linkedQid = null) {
     itemCell.appendChild(content);
 }
 
+/**
+ * Scroll to a property cell and flash it, e.g. when another step points at a value
+ * @param {string} itemId - Item ID (e.g., 'item-0')
+ * @param {string} mappingId - Mapping ID of the cell
+ * @param {number|null} valueIndex - Value within the cell, or null for the whole cell
+ * @returns {boolean} Whether the cell was found
+ */
+export function highlightReconciliationCell(itemId, mappingId, valueIndex = null) {
+    const cell = document.querySelector(`.property-cell[data-item-id="${itemId}"][data-mapping-id="${mappingId}"][data-value-index="${valueIndex}"]`) ||
+        document.querySelector(`.property-cell[data-item-id="${itemId}"][data-mapping-id="${mappingId}"]`);
+    if (!cell) return false;
+
+    const valueElements = cell.querySelectorAll('.property-value');
+    const target = valueIndex !== null && valueElements.length > 1 ? (valueElements[valueIndex] || cell) : cell;
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    target.classList.remove('reconciliation-highlight');
+    // Restart the animation when the same cell is pointed at twice
+    void target.offsetWidth;
+    target.classList.add('reconciliation-highlight');
+    setTimeout(() => target.classList.remove('reconciliation-highlight'), 2500);
+    return true;
+}
+
 /**
  * Update cell display to show error state (duplicated from batch-processor for UI access)
  */
@@ -469,6 +495,7 @@ export function createReconciliationTableFactory(dependencies) {
         restoreReconciliationDisplay,
         openReconciliationModal,
         reconcileColumn,
+        acceptTermColumn,
         state
     } = dependencies;
 
@@ -555,6 +582,20 @@ export function createReconciliationTableFactory(dependencies) {
         headerContent.appendChild(sourceRow);
         headerContent.appendChild(mappedRow);
 
+        const qualifierText = describeQualifierTarget(keyObj, state.getState().mappings?.mappedKeys || []);
+        if (qualifierText) {
+            headerContent.appendChild(createElement('div', {
+                className: 'property-qualifier-row'
+            }, `Written as ${qualifierText}`));
+        }
+
+        const conditionText = describeMappingCondition(keyObj.condition, getMappingConditionLabels(data, state.getState()));
+        if (conditionText) {
+            headerContent.appendChild(createElement('div', {
+                className: 'property-condition-row'
+            }, `Only ${conditionText}`));
+        }
+
         if (keyObj.property?.datatype === 'wikibase-item') {
             const buttonContainer = createElement('div', {
                 className: 'reconcile-button-container'
@@ -575,6 +616,28 @@ export function createReconciliationTableFactory(dependencies) {
             headerContent.appendChild(buttonContainer);
         }
 
+        if (getTermType(keyObj.property?.id) && acceptTermColumn) {
+            const buttonContainer = createElement('div', {
+                className: 'reconcile-button-container'
+            });
+            buttonContainer.appendChild(createElement('button', {
+                className: 'reconcile-column-btn',
+                title: 'Accept every pending value with the language of its @language tag, or of the fallback rules set in the mapping step',
+                onClick: (e) => {
+                    e.stopPropagation();
+                    const { acceptedCount, reviewCount } = acceptTermColumn(keyObj, data);
+                    showMessage(
+                        reviewCount > 0
+                            ? `Accepted ${acceptedCount} value(s); ${reviewCount} without a language are left for review`
+                            : `Accepted ${acceptedCount} value(s)`,
+                        reviewCount > 0 ? 'warning' : 'success',
+                        3000
+                    );
+                }
+            }, 'Accept with languages'));
+            headerContent.appendChild(buttonContainer);
+        }
+
         return headerContent;
     }
 
@@ -716,8 +779,11 @@ export function createReconciliationTableFactory(dependencies) {
                         const valueDetails = extractPropertyValueDetails(item, keyObj, state);
 
                         if (valueDetails.length === 0) {
+                            // A conditional mapping leaves the items it does not apply to empty
+                            const skippedByCondition = Boolean(keyObj?.condition) && item?.[keyName] !== undefined;
                             tr.appendChild(createElement('td', {
-                                className: 'property-cell empty-cell',
+                                className: skippedByCondition ? 'property-cell empty-cell condition-skipped-cell' : 'property-cell empty-cell',
+                                title: skippedByCondition ? 'The mapping condition does not apply to this item' : '',
                                 dataset: {
                                     itemId,
                                     property: keyName,
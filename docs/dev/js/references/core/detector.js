@@ -14,6 +14,8 @@
  * @module references/core/detector
  */
 
+import { getItemSource } from '../../input/core/data-sources.js';
+
 /**
  * Detects all references across all items in the dataset
  * @param {Array|Object} data - Array of Omeka S items or single item object
@@ -130,7 +132,12 @@ export function detectReferences(data, options = {}) {
 
 /**
  * Detects Omeka Item API link from top-level @id field
+ * Without an @id the link is built from the API URL of the item's data
+ * source, falling back to the project API URL.
  * @param {Object} item - Omeka S item object
+ * @param {Object} [options] - Detection options
+ * @param {string} [options.apiUrl] - Project API URL
+ * @param {Array<Object>} [options.sources] - Data sources of the project
  * @returns {Object|null} Reference object or null if not found
  */
 export function detectOmekaItemLink(item, options = {}) {
@@ -146,7 +153,8 @@ export function detectOmekaItemLink(item, options = {}) {
     }
 
     const fallbackItemId = item['o:id'] ?? item.id;
-    const fallbackUrl = buildOmekaItemApiUrl(options.apiUrl, fallbackItemId);
+    const sourceApiUrl = getItemSource(item, options.sources)?.apiUrl;
+    const fallbackUrl = buildOmekaItemApiUrl(sourceApiUrl || options.apiUrl, fallbackItemId);
     if (fallbackUrl) {
         return {
             type: 'omeka-item',
@@ -47,18 +47,30 @@ export function setupState() {
         resourceTemplates: [],
         selectedTemplates: [],
         resourceClassCache: {},
+        lastHarvest: null, // { apiUrl, harvestedAt, latestItemTimestamp, itemCount } of the last complete API fetch
+        pagedFetchCheckpoint: null, // Cursor of an interrupted paged fetch ({ apiUrl, startPage, pageSize, totalResults, completedPages: page -> item count }); its items stay in memory in steps/input.js
+        dataSources: [], // { id, name, apiUrl, fetchedAt, itemCount, method, proxyUsed, lastHarvest } per source once a second source is added; items carry the id in '@source'
+        itemFilter: null, // { predicates, sampling } narrowing allFetchedData before mapping; fetchedData holds the result
+        corsProxySettings: null, // Proxy order, disabled and custom proxies; exported with the project, live copy in utils/cors-proxy-registry.js
         
         // Step 2: Mapping
         entitySchema: '', // Deprecated - use selectedEntitySchema instead
         selectedEntitySchema: null, // Current selected Entity Schema object
         entitySchemaHistory: [], // Recently selected schemas for quick access
+        entitySchemaAssignments: [], // { groupType, groupId, groupLabel, schema } per resource template or class; other items use selectedEntitySchema
+        appliedMappingTemplate: null, // { id, name, appliedAt } of the library template the mapping came from
         mappings: {
             nonLinkedKeys: [],
             mappedKeys: [],
             ignoredKeys: [],
             sortMode: 'template',
             transformationBlocks: {}, // mappingId -> array of transformation blocks
-            selectedTransformationFields: {} // mappingId -> selected field key
+            selectedTransformationFields: {}, // mappingId -> selected field key
+            crosswalk: null, // Edited auto-mapping crosswalk entries, null for the defaults in mapping/core/auto-mapper.js
+            rejectedAutoMappings: [], // 'key|propertyId' of auto-mapping proposals the user rejected
+            termLanguages: null, // Language settings for labels, descriptions and aliases, null for the defaults in mapping/core/term-languages.js
+            termTemplates: [], // Label and description templates, see mapping/core/term-templates.js
+            classInstanceTable: null // Resource class → P31 entries, null for the browser's saved table or the defaults in mapping/core/class-instance-table.js
         },
         
         // Entity Schema mapping status tracking
@@ -1344,19 +1356,7 @@ export function setupState() {
     function setSelectedEntitySchema(schema) {
         const oldValue = state.selectedEntitySchema;
         state.selectedEntitySchema = schema;
-        
-        // Add to history if not already present
-        if (schema && schema.id) {
-            ensureEntitySchemaHistory();
-            const existingIndex = state.entitySchemaHistory.findIndex(s => s.id === schema.id);
-            if (existingIndex > -1) {
-                // Move to front
-                state.entitySchemaHistory.splice(existingIndex, 1);
-            }
-            // Add to front, keep only last 10
-            state.entitySchemaHistory.unshift(schema);
-            state.entitySchemaHistory = state.entitySchemaHistory.slice(0, 10);
-        }
+        addToEntitySchemaHistory(schema);
         
         state.hasUnsavedChanges = true;
         
@@ -1370,6 +1370,64 @@ export function setupState() {
         persistState();
     }
     
+    /**
+     * Assigns an Entity Schema to the items of one resource template or class
+     * Items matching an assignment are mapped and validated against its schema
+     * instead of the selected Entity Schema; a template assignment wins over a
+     * class assignment.
+     * @param {string} groupType - 'resourceTemplate' or 'resourceClass'
+     * @param {string} groupId - Omeka ID of the template or class
+     * @param {Object|null} schema - The Entity Schema object, null to remove the assignment
+     * @param {string} [groupLabel] - Template or class name shown in the interface
+     */
+    function setEntitySchemaAssignment(groupType, groupId, schema, groupLabel = '') {
+        const oldValue = [...(state.entitySchemaAssignments || [])];
+        const id = String(groupId);
+        const remaining = oldValue.filter(assignment => !(assignment.groupType === groupType && assignment.groupId === id));
+        
+        state.entitySchemaAssignments = schema
+            ? [...remaining, { groupType, groupId: id, groupLabel, schema }]
+            : remaining;
+        addToEntitySchemaHistory(schema);
+        
+        state.hasUnsavedChanges = true;
+        
+        eventSystem.publish(eventSystem.Events.STATE_CHANGED, {
+            path: 'entitySchemaAssignments',
+            oldValue,
+            newValue: state.entitySchemaAssignments
+        });
+        
+        // Persist state to localStorage
+        persistState();
+    }
+    
+    /**
+     * Gets the Entity Schemas assigned to resource templates and classes
+     * @returns {Array} Assignments ({groupType, groupId, groupLabel, schema})
+     */
+    function getEntitySchemaAssignments() {
+        return [...(state.entitySchemaAssignments || [])];
+    }
+    
+    /**
+     * Moves a schema to the front of the Entity Schema history
+     * @param {Object|null} schema - The Entity Schema object
+     */
+    function addToEntitySchemaHistory(schema) {
+        if (!schema || !schema.id) return;
+        
+        ensureEntitySchemaHistory();
+        const existingIndex = state.entitySchemaHistory.findIndex(s => s.id === schema.id);
+        if (existingIndex > -1) {
+            // Move to front
+            state.entitySchemaHistory.splice(existingIndex, 1);
+        }
+        // Add to front, keep only last 10
+        state.entitySchemaHistory.unshift(schema);
+        state.entitySchemaHistory = state.entitySchemaHistory.slice(0, 10);
+    }
+    
     /**
      * Gets the currently selected Entity Schema
      * @returns {Object|null} The selected Entity Schema or null
@@ -1508,6 +1566,8 @@ export function setupState() {
         // Convenience methods for Entity Schema
         setSelectedEntitySchema,
         getSelectedEntitySchema,
+        setEntitySchemaAssignment,
+        getEntitySchemaAssignments,
         getEntitySchemaHistory,
         clearEntitySchemaHistory,
         updateSchemaMappingStatus,
@@ -30,6 +30,29 @@ import { createDownloadLink, createFileInput, createElement, createButton, showM
 import { eventSystem } from '../events.js';
 import { detectIdentifier } from '../utils/identifier-detection.js';
 import { formatDateForQuickStatements } from '../utils/property-types.js';
+import { getItemIdentity } from '../input/core/incremental-harvest.js';
+import { getPairableQualifierGroups, isStatementMapping, pickQualifiers } from '../mapping/core/qualifier-mappings.js';
+import {
+    TERM_QUICKSTATEMENTS_PREFIXES,
+    findDuplicateTermPairs,
+    getTermType,
+    normalizeTermLanguageSettings,
+    resolveTermLanguage
+} from '../mapping/core/term-languages.js';
+import {
+    createTemplateResolver,
+    getReconciledTemplateEntries,
+    normalizeTermTemplates,
+    renderTermTemplate
+} from '../mapping/core/term-templates.js';
+import { getActiveClassInstanceTable, getItemClassTerm, getItemInstanceOf } from '../mapping/core/class-instance-table.js';
+import { validateProspectiveItems } from '../entity-schemas/shex-validator.js';
+import { getItemFocusNode } from '../entity-schemas/item-rdf-view.js';
+import { describeSchemaGroup, groupItemsByEntitySchema } from '../entity-schemas/entity-schema-groups.js';
+import { buildCompletenessGrid } from '../entity-schemas/schema-completeness.js';
+import { renderSchemaCompletenessDashboard } from '../entity-schemas/schema-completeness-dashboard.js';
+import { isComparableWithWikidata } from '../entity-schemas/schema-property-mapper.js';
+import { highlightReconciliationCell } from '../reconciliation/ui/reconciliation-table.js';
 
 // Validation constants for Wikidata format compliance
 // These patterns ensure generated QuickStatements meet Wikidata requirements
@@ -52,6 +75,18 @@ const PROPERTY_ID_REGEX = /^[PS]\d+$/;
  */
 const LANGUAGE_PROPERTY_REGEX = /^[LDA][a-z]{2,3}(-[a-z]+)?$/;
 
+/**
+ * Qualifiers that record how a date is known
+ * - P1480 (sourcing circumstances): Q5727902 (circa), Q18122778 (presumably)
+ * - P1319 (earliest date) and P1326 (latest date): bounds of a range such as "1650-60"
+ * @see https://www.wikidata.org/wiki/Help:Dates
+ */
+const SOURCING_CIRCUMSTANCES_PROPERTY = 'P1480';
+const CIRCA_QID = 'Q5727902';
+const PRESUMABLY_QID = 'Q18122778';
+const EARLIEST_DATE_PROPERTY = 'P1319';
+const LATEST_DATE_PROPERTY = 'P1326';
+
 /**
  * Initializes the export step interface with QuickStatements generation capabilities
  * 
@@ -300,14 +335,304 @@ export function setupExportStep(state) {
         return references;
     }
 
-    // Format a single statement with references
-    function formatStatement(itemId, propertyId, value, references = []) {
+    /**
+     * Finds the Wikidata property and its metadata for a property key of the reconciliation data
+     * @param {string} propertyKey - Mapping ID (key::propertyId) or legacy property key
+     * @param {Array} mappedKeys - Mapped keys from the mapping step
+     * @param {Array} manualProperties - Manual properties from the mapping step
+     * @returns {{wikidataPropertyId: string, propertyMetadata: Object|null}} Property ID and metadata
+     */
+    function resolvePropertyKey(propertyKey, mappedKeys, manualProperties) {
+        // Extract the Wikidata property ID from the mappingId
+        // The mappingId format is: ${key}::${propertyId} or custom_${name}::${propertyId}
+        // We need to extract the propertyId part (after the final ::)
+        let wikidataPropertyId;
+        let propertyMetadata = null;
+
+        // Check if propertyKey contains :: separator (new mappingId format)
+        if (propertyKey.includes('::')) {
+            // Extract the property ID (last part after final ::)
+            const parts = propertyKey.split('::');
+            wikidataPropertyId = parts[parts.length - 1];
+
+            // Determine if this is a manual or mapped property
+            if (propertyKey.startsWith('custom_')) {
+                // Find the manual property by matching the property ID
+                const manualProperty = manualProperties.find(mp => mp.property.id === wikidataPropertyId);
+                if (manualProperty) {
+                    propertyMetadata = manualProperty.property;
+                }
+            } else {
+                // It's a mapped property - extract the key part (before :: separator)
+                const key = parts[0];
+                const mapping = mappedKeys.find(m => m.key === key && m.property?.id === wikidataPropertyId);
+                if (mapping) {
+                    propertyMetadata = mapping.property;
+                }
+            }
+        } else {
+            // Legacy format without :: separator (backward compatibility)
+            wikidataPropertyId = propertyKey;
+
+            // Try to find it as manual property first
+            const manualProperty = manualProperties.find(mp => mp.property.id === propertyKey);
+            if (manualProperty) {
+                propertyMetadata = manualProperty.property;
+            } else {
+                // Try to find as mapped property
+                const mapping = mappedKeys.find(m => m.key === propertyKey);
+                if (mapping) {
+                    wikidataPropertyId = mapping.property?.id || propertyKey;
+                    propertyMetadata = mapping.property;
+                }
+            }
+        }
+
+        return { wikidataPropertyId, propertyMetadata };
+    }
+
+    /**
+     * Tells whether the first and last year of a date are the ones its precision implies
+     * A decade implies its ten years and a century its hundred, counted from
+     * either 1601 or 1600, so '1890s' and '17th century' need no bounds.
+     * @param {number} earliest - First year meant
+     * @param {number} latest - Last year meant
+     * @param {string} precision - Precision name of the date
+     * @returns {boolean} True when P1319 and P1326 would repeat the date
+     */
+    function isWholePeriod(earliest, latest, precision) {
+        if (precision === 'decade') {
+            return earliest % 10 === 0 && latest === earliest + 9;
+        }
+        if (precision === 'century') {
+            return earliest % 100 <= 1 && latest === earliest + 99;
+        }
+        return earliest === latest;
+    }
+
+    /**
+     * Lists the qualifiers that record how a time value is known
+     * Approximate and uncertain dates ('circa 1650', '1650?') get P1480, and
+     * ranges or parts of a period ('1650-60', 'second half of the 17th century')
+     * get their first and last year as P1319 and P1326.
+     * @param {Object} match - Selected match of a time value, with the markers of parseNaturalDate
+     * @returns {Array<{propertyId: string, value: string, datatype: string}>} Qualifier pairs
+     */
+    function getDateQualifiers(match) {
+        const qualifiers = [];
+        if (match.approximate) {
+            qualifiers.push({ propertyId: SOURCING_CIRCUMSTANCES_PROPERTY, value: CIRCA_QID, datatype: 'wikibase-item' });
+        }
+        if (match.uncertain) {
+            qualifiers.push({ propertyId: SOURCING_CIRCUMSTANCES_PROPERTY, value: PRESUMABLY_QID, datatype: 'wikibase-item' });
+        }
+        if (match.earliest && match.latest && !isWholePeriod(Number(match.earliest), Number(match.latest), match.precision)) {
+            [[EARLIEST_DATE_PROPERTY, match.earliest], [LATEST_DATE_PROPERTY, match.latest]].forEach(([propertyId, year]) => {
+                const value = formatDateForQuickStatements({ date: `${year}-01-01`, precision: 'year' });
+                if (value) {
+                    qualifiers.push({ propertyId, value, datatype: 'time' });
+                }
+            });
+        }
+        return qualifiers;
+    }
+
+    /**
+     * Formats the selected match of a reconciled value for QuickStatements
+     * Labels, descriptions and aliases move the language into the property column (Len, Den, Aen).
+     * @param {Object} match - Selected match of a reconciled value
+     * @param {string} propertyId - Wikidata property ID, or label/description/aliases
+     * @param {Object|null} propertyMetadata - Property of the mapping
+     * @param {string} propertyKey - Mapping ID, used in error messages
+     * @param {Object} context - Export context
+     * @param {Array<string>} context.errors - Collects export errors
+     * @param {Array<string>} context.warnings - Collects export warnings
+     * @param {Object} [context.item] - Omeka S item, for the language field
+     * @param {string|null} [context.sourceLanguage] - @language tag of the Omeka value
+     * @param {Object} context.termLanguages - Term language settings
+     * @returns {{value: string, propertyId: string, isLabel: boolean, termType: string|null, language: string|null, text: string, dateQualifiers: Array<Object>}|null}
+     *   Formatted value with the qualifiers of getDateQualifiers for time values, or null when it cannot be written
+     */
+    function formatMatchValue(match, propertyId, propertyMetadata, propertyKey, context) {
+        const { errors, warnings } = context;
+        let value = '';
+        let currentPropertyId = propertyId;
+        let isLabel = false;
+        let language = null;
+        let dateQualifiers = [];
+        const termType = getTermType(propertyId);
+
+        if (match.type === 'wikidata') {
+            value = match.id;
+        } else if (match.type === 'custom') {
+            if (match.datatype === 'time') {
+                // Extract precision from saved reconciliation data
+                const precision = getPrecisionNumber(match.precision);
+                value = match.standardizedDate
+                    ? formatDateForQuickStatements({
+                        date: match.standardizedDate,
+                        precision: match.precision || 'day'
+                    })
+                    : formatDate(match.value, precision);
+                if (!value) {
+                    errors.push(`Invalid date format for ${propertyKey}: ${match.value}`);
+                    return null;
+                }
+                dateQualifiers = getDateQualifiers(match);
+            } else if (match.datatype === 'monolingualtext') {
+                // Handle monolingual text - two different formats:
+                // 1. Labels/descriptions/aliases: Len "value" (language in property ID)
+                // 2. Regular monolingual properties: P1476 en"value" (language prefix in value)
+
+                // The language comes from the reconciliation modal, the value's @language tag
+                // or the fallback rules of the term language settings
+                const resolvedLanguage = resolveTermLanguage({
+                    confirmedLanguage: match.language,
+                    sourceLanguage: context.sourceLanguage,
+                    item: context.item
+                }, context.termLanguages);
+                if (!resolvedLanguage) {
+                    warnings.push(`Skipped "${match.value}" for ${propertyKey}: the value has no language and untagged values are left for review`);
+                    return null;
+                }
+                const languageCode = resolvedLanguage.language;
+                language = languageCode;
+
+                if (termType) {
+                    // Format: Len "value" - language code goes in property ID
+                    value = escapeQuickStatementsString(match.value);
+                    isLabel = termType === 'label';
+
+                    // Transform property ID to QuickStatements format
+                    currentPropertyId = `${TERM_QUICKSTATEMENTS_PREFIXES[termType]}${languageCode}`;
+                } else {
+                    // Format: P1476 en:"value" - language code with colon prefixes the value
+                    // Don't escape the value yet, add language prefix first
+                    const escapedValue = match.value.replace(/"/g, '""').replace(/\n/g, ' ').replace(/\r/g, ' ');
+                    value = `${languageCode}:"${escapedValue}"`;
+                }
+            } else if (match.datatype === 'external-id') {
+                value = escapeQuickStatementsString(normalizeExternalIdentifierValue(match.value));
+            } else {
+                value = escapeQuickStatementsString(match.value);
+            }
+        } else if (match.type === 'string') {
+            // Handle string type reconciliation (from "Accept as String" option)
+            if (propertyMetadata?.datatype === 'external-id') {
+                value = escapeQuickStatementsString(normalizeExternalIdentifierValue(match.value));
+            } else {
+                value = escapeQuickStatementsString(match.value);
+            }
+        }
+
+        return value
+            ? { value, propertyId: currentPropertyId, isLabel, termType: language ? termType : null, language, text: String(match.value ?? ''), dateQualifiers }
+            : null;
+    }
+
+    /**
+     * Formats the reconciled values of one mapping of an item
+     * @param {Object} propertyData - Reconciliation data of the mapping for the item
+     * @param {string} propertyKey - Mapping ID
+     * @param {Array} mappedKeys - Mapped keys from the mapping step
+     * @param {Array} manualProperties - Manual properties from the mapping step
+     * @param {Object} context - Export context, see formatMatchValue
+     * @returns {Array<{value: string, propertyId: string, originalPropertyId: string, isLabel: boolean, datatype: string|null, valueIndex: number}>} Formatted values in value order
+     */
+    function formatPropertyValues(propertyData, propertyKey, mappedKeys, manualProperties, context) {
+        const { wikidataPropertyId, propertyMetadata } = resolvePropertyKey(propertyKey, mappedKeys, manualProperties);
+        const formattedValues = [];
+
+        (propertyData?.reconciled || []).forEach((reconciledValue, valueIndex) => {
+            if (!reconciledValue?.selectedMatch) {
+                return;
+            }
+            try {
+                const formatted = formatMatchValue(reconciledValue.selectedMatch, wikidataPropertyId, propertyMetadata, propertyKey, {
+                    ...context,
+                    sourceLanguage: propertyData.originalValueDetails?.[valueIndex]?.language ?? null
+                });
+                if (formatted) {
+                    formattedValues.push({
+                        ...formatted,
+                        originalPropertyId: wikidataPropertyId,
+                        datatype: propertyMetadata?.datatype || null,
+                        valueIndex
+                    });
+                }
+            } catch (error) {
+                context.errors.push(`Error processing ${propertyKey}: ${error.message}`);
+            }
+        });
+
+        return formattedValues;
+    }
+
+    /**
+     * Keeps one label and one description per language on an item
+     * Further labels in a language become aliases; further descriptions are dropped.
+     * @param {Object} formatted - Formatted term value
+     * @param {{labels: Object<string, string>, descriptions: Object<string, string>}} itemTerms - Terms written so far, by language
+     * @param {string} itemId - Item ID, used in warnings
+     * @param {Array<string>} warnings - Collects export warnings
+     * @returns {Object|null} Value to write, or null to leave it out
+     */
+    function placeTermValue(formatted, itemTerms, itemId, warnings) {
+        const { termType, language, text } = formatted;
+
+        if (termType === 'label') {
+            if (itemTerms.labels[language] === undefined) {
+                itemTerms.labels[language] = text;
+                return formatted;
+            }
+            if (itemTerms.labels[language] === text) {
+                return null;
+            }
+            return { ...formatted, propertyId: `${TERM_QUICKSTATEMENTS_PREFIXES.aliases}${language}`, isLabel: false };
+        }
+
+        if (termType === 'description') {
+            if (itemTerms.descriptions[language] === undefined) {
+                itemTerms.descriptions[language] = text;
+                return formatted;
+            }
+            if (itemTerms.descriptions[language] !== text) {
+                warnings.push(`${itemId} has more than one ${language} description; only "${itemTerms.descriptions[language]}" was written`);
+            }
+            return null;
+        }
+
+        return formatted;
+    }
+
+    /**
+     * Adds the date qualifiers of a statement's value to its mapped qualifiers
+     * A pair the qualifier mappings already write is not repeated.
+     * @param {Array<Object>} qualifiers - Qualifier pairs from pickQualifiers
+     * @param {Object} formatted - Formatted statement value, with its dateQualifiers
+     * @param {Object} origin - Cell the statement value came from
+     * @returns {Array<Object>} Qualifier pairs
+     */
+    function addDateQualifiers(qualifiers, formatted, origin) {
+        const written = new Set(qualifiers.map(qualifier => `${qualifier.propertyId}\t${qualifier.value}`));
+        const dateQualifiers = (formatted.dateQualifiers || [])
+            .filter(qualifier => !written.has(`${qualifier.propertyId}\t${qualifier.value}`))
+            .map(qualifier => ({ ...qualifier, origin }));
+        return [...qualifiers, ...dateQualifiers];
+    }
+
+    // Format a single statement with qualifiers and references, all on one line
+    function formatStatement(itemId, propertyId, value, references = [], qualifiers = []) {
         if (!itemId || !propertyId || !value) {
             return null;
         }
 
         let statement = `${itemId}\t${propertyId}\t${value}`;
 
+        qualifiers.forEach(qualifier => {
+            statement += `\t${qualifier.propertyId}\t${qualifier.value}`;
+        });
+
         // Add references
         if (references && references.length > 0) {
             references.forEach(ref => {
@@ -440,17 +765,71 @@ export function setupExportStep(state) {
         if (!reconciliationData || Object.keys(reconciliationData).length === 0) {
             quickStatementsTextarea.value = 'No reconciliation data available. Please complete the reconciliation step.';
             updateValidationDisplay({ isValid: false, errors: ['No reconciliation data available'], warnings: [] });
+            updateShExValidationDisplay([]);
+            updateCompletenessDashboard([], new Map());
             return;
         }
         
         let quickStatementsText = '';
         const errors = [];
+        const warnings = [];
+        const termLanguages = normalizeTermLanguageSettings(currentState.mappings?.termLanguages);
+        const termsByItem = [];
+        const termTemplates = normalizeTermTemplates(currentState.mappings?.termTemplates)
+            .filter(template => template.pattern.trim());
+        const templateMisses = new Map();
+        const classInstanceTable = getActiveClassInstanceTable(currentState.mappings?.classInstanceTable);
+        const resourceClassCache = currentState.resourceClassCache || {};
+        let itemsWithUnknownClass = 0;
+        // Prospective statements per item, for validation against the Entity Schema
+        const schemaItems = [];
+        // Every active item, exported or not, for the completeness dashboard
+        const completenessRows = [];
+
+        // Reconciliation data can still hold items that a later item filter in
+        // Step 1 left out; only items in the active dataset are exported
+        const activeItems = Array.isArray(currentState.fetchedData)
+            ? currentState.fetchedData
+            : (currentState.fetchedData?.items || (currentState.fetchedData ? [currentState.fetchedData] : []));
+        const activeIdentities = new Set(activeItems.map(getItemIdentity).filter(identity => identity !== null));
+        // When the filter leaves no items, nothing is exported
+        const isActiveItem = identity => activeItems.length > 0 && (identity === null || activeIdentities.has(identity));
+        
+        // Mappings used as qualifiers; their target must be a statement mapping
+        const qualifierMappings = mappedKeys.filter(keyObj => keyObj?.qualifierOf && keyObj.mappingId && keyObj.property?.id);
+        const qualifierMappingIds = new Set(qualifierMappings.map(keyObj => keyObj.mappingId));
+        const qualifierTargetIds = new Set();
+        const qualifierWarnings = [];
+        qualifierMappings.forEach(qualifierMapping => {
+            const target = mappedKeys.find(keyObj => keyObj.mappingId === qualifierMapping.qualifierOf);
+            if (!/^P\d+$/.test(qualifierMapping.property.id)) {
+                qualifierWarnings.push(`Qualifier ${qualifierMapping.key} → ${qualifierMapping.property.id} was skipped: only Wikidata properties can be qualifiers`);
+            } else if (!isStatementMapping(target)) {
+                qualifierWarnings.push(`Qualifier ${qualifierMapping.key} → ${qualifierMapping.property.id} was skipped: the statement mapping it qualifies no longer exists`);
+            } else {
+                qualifierTargetIds.add(qualifierMapping.qualifierOf);
+            }
+        });
         
         // Process each item
         Object.keys(reconciliationData).forEach(itemId => {
             const itemData = reconciliationData[itemId];
 
             try {
+                const identity = getItemIdentity(itemData?.originalData);
+                if (!isActiveItem(identity)) {
+                    return;
+                }
+
+                const completenessRow = {
+                    itemId,
+                    title: itemData.originalData?.['o:title'] || '',
+                    item: itemData.originalData || null,
+                    properties: itemData.properties,
+                    statements: null
+                };
+                completenessRows.push(completenessRow);
+
                 // Only export items that have at least one reconciled property with selectedMatch
                 // Skip items where all properties were skipped during reconciliation
                 if (!hasValidReconciledProperties(itemData)) {
@@ -483,162 +862,134 @@ export function setupExportStep(state) {
                 // Collect all statements for this item before outputting them
                 // This allows us to ensure labels are output first
                 const itemStatements = [];
+                const exportContext = { errors, warnings, item: itemData.originalData, termLanguages };
+                const itemTerms = { itemId, labels: {}, descriptions: {} };
+                termsByItem.push(itemTerms);
+
+                // Qualifier mappings are written on the statements of the mapping they qualify
+                const qualifierGroupsByTarget = new Map();
+                qualifierMappings.forEach(qualifierMapping => {
+                    const qualifierData = itemData.properties[qualifierMapping.mappingId];
+                    if (!qualifierData || !qualifierTargetIds.has(qualifierMapping.qualifierOf)) {
+                        return;
+                    }
+                    const formattedQualifiers = formatPropertyValues(qualifierData, qualifierMapping.mappingId, mappedKeys, manualProperties, exportContext);
+                    if (formattedQualifiers.length === 0) {
+                        return;
+                    }
+                    if (!qualifierGroupsByTarget.has(qualifierMapping.qualifierOf)) {
+                        qualifierGroupsByTarget.set(qualifierMapping.qualifierOf, []);
+                    }
+                    qualifierGroupsByTarget.get(qualifierMapping.qualifierOf).push({
+                        propertyId: qualifierMapping.property.id,
+                        sourceCount: (qualifierData.reconciled || []).length,
+                        values: formattedQualifiers.map(formatted => ({
+                            value: formatted.value,
+                            datatype: formatted.datatype,
+                            origin: { itemId, mappingId: qualifierMapping.mappingId, valueIndex: formatted.valueIndex }
+                        }))
+                    });
+                });
+
+                // P31 values the mapping writes, so the class table does not repeat them
+                const mappedInstanceOf = new Set();
 
                 // Process each property
                 Object.keys(itemData.properties).forEach(propertyKey => {
-                    const propertyData = itemData.properties[propertyKey];
-
-                    // Extract the Wikidata property ID from the mappingId
-                    // The mappingId format is: ${key}::${propertyId} or custom_${name}::${propertyId}
-                    // We need to extract the propertyId part (after the final ::)
-                    let wikidataPropertyId;
-                    let propertyMetadata = null;
-                    let isManualProperty = false;
-
-                    // Check if propertyKey contains :: separator (new mappingId format)
-                    if (propertyKey.includes('::')) {
-                        // Extract the property ID (last part after final ::)
-                        const parts = propertyKey.split('::');
-                        wikidataPropertyId = parts[parts.length - 1];
-
-                        // Determine if this is a manual or mapped property
-                        if (propertyKey.startsWith('custom_')) {
-                            isManualProperty = true;
-                            // Find the manual property by matching the property ID
-                            const manualProperty = manualProperties.find(mp => mp.property.id === wikidataPropertyId);
-                            if (manualProperty) {
-                                propertyMetadata = manualProperty.property;
-                            }
-                        } else {
-                            // It's a mapped property - extract the key part (before :: separator)
-                            const key = parts[0];
-                            const mapping = mappedKeys.find(m => m.key === key && m.property?.id === wikidataPropertyId);
-                            if (mapping) {
-                                propertyMetadata = mapping.property;
-                            }
-                        }
-                    } else {
-                        // Legacy format without :: separator (backward compatibility)
-                        wikidataPropertyId = propertyKey;
-
-                        // Try to find it as manual property first
-                        const manualProperty = manualProperties.find(mp => mp.property.id === propertyKey);
-                        if (manualProperty) {
-                            propertyMetadata = manualProperty.property;
-                            isManualProperty = true;
-                        } else {
-                            // Try to find as mapped property
-                            const mapping = mappedKeys.find(m => m.key === propertyKey);
-                            if (mapping) {
-                                wikidataPropertyId = mapping.property?.id || propertyKey;
-                                propertyMetadata = mapping.property;
-                            }
-                        }
+                    if (qualifierMappingIds.has(propertyKey)) {
+                        return;
                     }
 
-                    // Store original property ID for reference lookup (before QuickStatements transformation)
-                    const originalPropertyId = wikidataPropertyId;
-
-                    // Process each reconciled value
-                    propertyData.reconciled.forEach(reconciledValue => {
-                        if (reconciledValue.selectedMatch) {
-                            const match = reconciledValue.selectedMatch;
-                            let value = '';
-                            // Reset to original property ID for each value (in case it was transformed in previous iteration)
-                            let currentPropertyId = originalPropertyId;
-                            let isLabel = false;
-
-                            try {
-                                if (match.type === 'wikidata') {
-                                    value = match.id;
-                                } else if (match.type === 'custom') {
-                                    if (match.datatype === 'time') {
-                                        // Extract precision from saved reconciliation data
-                                        const precision = getPrecisionNumber(match.precision);
-                                        value = match.standardizedDate
-                                            ? formatDateForQuickStatements({
-                                                date: match.standardizedDate,
-                                                precision: match.precision || 'day'
-                                            })
-                                            : formatDate(match.value, precision);
-                                        if (!value) {
-                                            errors.push(`Invalid date format for ${propertyKey}: ${match.value}`);
-                                            return;
-                                        }
-                                    } else if (match.datatype === 'monolingualtext') {
-                                        // Handle monolingual text - two different formats:
-                                        // 1. Labels/descriptions/aliases: Len "value" (language in property ID)
-                                        // 2. Regular monolingual properties: P1476 en"value" (language prefix in value)
-
-                                        const languageCode = match.language || 'en'; // Default to 'en' if no language specified
-
-                                        // Warn if language code is missing
-                                        if (!match.language) {
-                                            console.warn(`No language code specified for ${currentPropertyId} "${match.value}". Defaulting to "en". Please re-reconcile this value with a language selection.`);
-                                        }
-
-                                        // Handle both singular and plural forms (alias/aliases)
-                                        isLabel = currentPropertyId === 'label' || currentPropertyId === 'labels';
-                                        const isDescription = currentPropertyId === 'description' || currentPropertyId === 'descriptions';
-                                        const isAlias = currentPropertyId === 'alias' || currentPropertyId === 'aliases';
-
-                                        if (isLabel || isDescription || isAlias) {
-                                            // Format: Len "value" - language code goes in property ID
-                                            value = escapeQuickStatementsString(match.value);
-
-                                            // Map property type to QuickStatements prefix
-                                            let prefix;
-                                            if (isLabel) {
-                                                prefix = 'L';
-                                            } else if (isDescription) {
-                                                prefix = 'D';
-                                            } else if (isAlias) {
-                                                prefix = 'A';
-                                            }
-
-                                            // Transform property ID to QuickStatements format
-                                            currentPropertyId = `${prefix}${languageCode}`;
-                                        } else {
-                                            // Format: P1476 en:"value" - language code with colon prefixes the value
-                                            // Don't escape the value yet, add language prefix first
-                                            const escapedValue = match.value.replace(/"/g, '""').replace(/\n/g, ' ').replace(/\r/g, ' ');
-                                            value = `${languageCode}:"${escapedValue}"`;
-                                        }
-                                    } else if (match.datatype === 'external-id') {
-                                        value = escapeQuickStatementsString(normalizeExternalIdentifierValue(match.value));
-                                    } else {
-                                        value = escapeQuickStatementsString(match.value);
-                                    }
-                                } else if (match.type === 'string') {
-                                    // Handle string type reconciliation (from "Accept as String" option)
-                                    if (propertyMetadata?.datatype === 'external-id') {
-                                        value = escapeQuickStatementsString(normalizeExternalIdentifierValue(match.value));
-                                    } else {
-                                        value = escapeQuickStatementsString(match.value);
-                                    }
-                                }
+                    const formattedValues = formatPropertyValues(itemData.properties[propertyKey], propertyKey, mappedKeys, manualProperties, exportContext)
+                        .map(formatted => (formatted.termType ? placeTermValue(formatted, itemTerms, itemId, warnings) : formatted))
+                        .filter(Boolean);
+                    const qualifierGroups = formattedValues.length > 0
+                        ? getPairableQualifierGroups(qualifierGroupsByTarget.get(propertyKey) || [], (itemData.properties[propertyKey].reconciled || []).length, itemId, warnings)
+                        : [];
+
+                    formattedValues.forEach(formatted => {
+                        if (formatted.propertyId === 'P31') {
+                            mappedInstanceOf.add(formatted.value);
+                        }
 
-                                if (value) {
-                                    // Get property-specific references using:
-                                    // 1. ORIGINAL property ID (before QuickStatements transformation like "label" → "Len")
-                                    // 2. ORIGINAL item ID (the @id field from source data, not the simplified "item-0" ID)
-                                    // This ensures references are found correctly in both dimensions
-                                    const references = getReferencesForPropertyAndItem(originalPropertyId, originalItemId, currentState);
-
-                                    // Format the statement using the transformed property ID for QuickStatements
-                                    const statement = formatStatement(itemPrefix, currentPropertyId, value, references);
-                                    if (statement) {
-                                        // Store statement with flag indicating if it's a label
-                                        itemStatements.push({ statement, isLabel });
-                                    }
+                        // Get property-specific references using:
+                        // 1. ORIGINAL property ID (before QuickStatements transformation like "label" → "Len")
+                        // 2. ORIGINAL item ID (the @id field from source data, not the simplified "item-0" ID)
+                        // This ensures references are found correctly in both dimensions
+                        const references = getReferencesForPropertyAndItem(formatted.originalPropertyId, originalItemId, currentState);
+                        const isStatement = PROPERTY_ID_REGEX.test(formatted.propertyId);
+                        const qualifiers = isStatement
+                            ? addDateQualifiers(pickQualifiers(qualifierGroups, formatted.valueIndex), formatted, { itemId, mappingId: propertyKey, valueIndex: formatted.valueIndex })
+                            : [];
+
+                        // Format the statement using the transformed property ID for QuickStatements
+                        const statement = formatStatement(itemPrefix, formatted.propertyId, formatted.value, references, qualifiers);
+                        if (statement) {
+                            // Store statement with flag indicating if it's a label
+                            itemStatements.push({
+                                statement,
+                                isLabel: formatted.isLabel,
+                                record: {
+                                    propertyId: formatted.propertyId,
+                                    value: formatted.value,
+                                    datatype: formatted.datatype,
+                                    qualifiers,
+                                    references,
+                                    origin: { itemId, mappingId: propertyKey, valueIndex: formatted.valueIndex }
                                 }
-                            } catch (error) {
-                                errors.push(`Error processing ${propertyKey}: ${error.message}`);
-                            }
+                            });
                         }
                     });
                 });
 
+                // Instance-of values from the resource class table
+                const instanceOfQids = getItemInstanceOf(itemData.originalData, classInstanceTable, resourceClassCache);
+                if (instanceOfQids.length === 0 && itemData.originalData?.['o:resource_class'] && !getItemClassTerm(itemData.originalData, resourceClassCache)) {
+                    itemsWithUnknownClass++;
+                }
+                const instanceOfReferences = instanceOfQids.length > 0
+                    ? getReferencesForPropertyAndItem('P31', originalItemId, currentState)
+                    : [];
+                instanceOfQids
+                    .filter(qid => !mappedInstanceOf.has(qid))
+                    .forEach(qid => {
+                        itemStatements.push({
+                            statement: formatStatement(itemPrefix, 'P31', qid, instanceOfReferences),
+                            isLabel: false,
+                            record: { propertyId: 'P31', value: qid, references: instanceOfReferences }
+                        });
+                    });
+
+                // Generated labels and descriptions fill in the languages the mapping left
+                // empty, on new items only so existing terms on Wikidata are not overwritten
+                if (!linkedQid && termTemplates.length > 0) {
+                    const resolveReference = createTemplateResolver(mappedKeys, keyObj =>
+                        getReconciledTemplateEntries(itemData.properties[keyObj.mappingId])
+                    );
+                    termTemplates.forEach(template => {
+                        const terms = template.target === 'label' ? itemTerms.labels : itemTerms.descriptions;
+                        if (terms[template.language] !== undefined) {
+                            return;
+                        }
+                        const { text, error } = renderTermTemplate(template.pattern, resolveReference);
+                        if (!text) {
+                            if (!templateMisses.has(template.id)) {
+                                templateMisses.set(template.id, { template, error, count: 0 });
+                            }
+                            templateMisses.get(template.id).count++;
+                            return;
+                        }
+                        terms[template.language] = text;
+                        const propertyId = `${TERM_QUICKSTATEMENTS_PREFIXES[template.target]}${template.language}`;
+                        const value = escapeQuickStatementsString(text);
+                        itemStatements.push({
+                            statement: formatStatement(itemPrefix, propertyId, value),
+                            isLabel: template.target === 'label',
+                            record: { propertyId, value }
+                        });
+                    });
+                }
+
                 // Sort statements so labels come first
                 itemStatements.sort((a, b) => {
                     if (a.isLabel && !b.isLabel) return -1;
@@ -660,6 +1011,16 @@ export function setupExportStep(state) {
                 uniqueStatements.forEach(({ statement }) => {
                     quickStatementsText += statement + '\n';
                 });
+                const schemaItem = {
+                    itemId,
+                    title: itemData.originalData?.['o:title'] || '',
+                    item: itemData.originalData || null,
+                    linkedQid: linkedQid || null,
+                    focusNode: getItemFocusNode(itemId, linkedQid),
+                    statements: uniqueStatements.map(({ record }) => record)
+                };
+                schemaItems.push(schemaItem);
+                completenessRow.statements = schemaItem.statements;
                 
                 // Add separator between items
                 quickStatementsText += '\n';
@@ -672,12 +1033,25 @@ export function setupExportStep(state) {
         
         // Validate the generated statements
         const validation = validateQuickStatements(quickStatementsText);
+        const duplicateTermWarnings = findDuplicateTermPairs(termsByItem).map(pair =>
+            `Items ${pair.itemIds.join(', ')} share the ${pair.language} label "${pair.label}" and description "${pair.description}"; Wikidata requires each label and description pair to be unique per language`
+        );
+        const templateWarnings = Array.from(templateMisses.values()).map(({ template, error, count }) => (error
+            ? `The ${template.language} ${template.target} template "${template.pattern}" was skipped: ${error}`
+            : `The ${template.language} ${template.target} template generated nothing for ${count} item(s) with a missing field`));
+        const classWarnings = itemsWithUnknownClass > 0
+            ? [`The resource class of ${itemsWithUnknownClass} item(s) could not be looked up, so the class table gave them no instance of (P31); open the class table in the mapping step to load it`]
+            : [];
+        validation.warnings = [...validation.warnings, ...qualifierWarnings, ...warnings, ...classWarnings, ...templateWarnings, ...duplicateTermWarnings];
         if (errors.length > 0) {
             validation.errors = [...validation.errors, ...errors];
             validation.isValid = false;
         }
         
         updateValidationDisplay(validation);
+        const entitySchemaAssignments = currentState.entitySchemaAssignments || [];
+        const validationByGroup = updateShExValidationDisplay(schemaItems, entitySchemaAssignments, currentState.selectedEntitySchema);
+        updateCompletenessDashboard(completenessRows, validationByGroup, entitySchemaAssignments, currentState.selectedEntitySchema);
     }
     
     // Update validation display
@@ -727,6 +1101,176 @@ export function setupExportStep(state) {
         }
     }
     
+    /**
+     * Shows how the prospective items fit their Entity Schemas
+     * Items are validated against the schema of their resource template or
+     * class, or the selected Entity Schema, with one report per group.
+     * @param {Array<Object>} schemaItems - Items with the statements the export writes
+     * @param {Array<Object>} [assignments] - Entity Schemas assigned to resource templates and classes
+     * @param {Object|null} [defaultSchema] - Selected Entity Schema ({id, label, shexCode})
+     * @returns {Map<string, Array<Object>>} Validation results by group key, for the completeness dashboard
+     */
+    function updateShExValidationDisplay(schemaItems, assignments = [], defaultSchema = null) {
+        const validationByGroup = new Map();
+        const report = document.getElementById('shex-validation-report');
+        if (!report) return validationByGroup;
+        report.innerHTML = '';
+
+        if (schemaItems.length === 0) {
+            return validationByGroup;
+        }
+
+        const groups = groupItemsByEntitySchema(schemaItems, assignments, defaultSchema, entry => entry.item)
+            .filter(group => group.schema?.shexCode);
+        const showGroupNames = groups.length > 1 || groups.some(group => group.assignment);
+        groups.forEach(group => {
+            const results = appendShExGroupReport(report, group.entries, group.schema, showGroupNames ? describeSchemaGroup(group.assignment) : '');
+            validationByGroup.set(group.key, results);
+        });
+
+        const failingItems = report.querySelectorAll('.shex-validation-report__item');
+        if (failingItems.length === 1) {
+            failingItems[0].open = true;
+        }
+        return validationByGroup;
+    }
+
+    /**
+     * Shows, per item and schema property, whether the export writes a value
+     * @param {Array<Object>} completenessRows - Every active item with its reconciliation data and statements
+     * @param {Map<string, Array<Object>>} validationByGroup - ShEx results by group key
+     * @param {Array<Object>} [assignments] - Entity Schemas assigned to resource templates and classes
+     * @param {Object|null} [defaultSchema] - Selected Entity Schema
+     */
+    function updateCompletenessDashboard(completenessRows, validationByGroup, assignments = [], defaultSchema = null) {
+        const dashboard = document.getElementById('schema-completeness-dashboard');
+        if (!dashboard) return;
+
+        const groups = groupItemsByEntitySchema(completenessRows, assignments, defaultSchema, row => row.item)
+            .filter(group => group.schema?.properties && isComparableWithWikidata(group.schema));
+        const showGroupNames = groups.length > 1 || groups.some(group => group.assignment);
+        renderSchemaCompletenessDashboard(dashboard, groups.map(group => ({
+            name: showGroupNames ? describeSchemaGroup(group.assignment) : '',
+            grid: buildCompletenessGrid(group.schema, group.entries, validationByGroup.get(group.key) || [])
+        })));
+    }
+
+    /**
+     * Adds the validation of one group of items to the report
+     * Failures are listed per item and per shape, with buttons that open the
+     * reconciliation cell each one came from. Schemas using another Wikibase
+     * instance's properties only get a note, since the prospective statements
+     * are Wikidata statements.
+     * @param {HTMLElement} report - Report container
+     * @param {Array<Object>} schemaItems - Items of the group
+     * @param {Object} entitySchema - Entity Schema of the group ({id, label, shexCode})
+     * @param {string} groupName - Name of the group, empty when all items share the schema
+     * @returns {Array<Object>} Validation results of the items, empty when the schema could not be read or is not comparable with Wikidata
+     */
+    function appendShExGroupReport(report, schemaItems, entitySchema, groupName) {
+        const schemaName = `${groupName ? `${groupName}, ` : ''}Entity Schema ${entitySchema.id}${entitySchema.label ? ` (${entitySchema.label})` : ''}`;
+        if (!isComparableWithWikidata(entitySchema)) {
+            report.appendChild(createElement('div', { className: 'validation-warnings' }, [
+                createElement('h4', {}, `${schemaName}:`),
+                createElement('p', {}, `Not comparable with Wikidata: the schema uses the properties of another Wikibase instance, so the items were not validated against it.`)
+            ]));
+            return [];
+        }
+
+        let validation;
+        try {
+            validation = validateProspectiveItems(entitySchema.shexCode, schemaItems);
+        } catch (error) {
+            const position = error.line ? ` (line ${error.line})` : '';
+            report.appendChild(createElement('div', { className: 'validation-warnings' }, [
+                createElement('h4', {}, `${schemaName}:`),
+                createElement('p', {}, `The schema could not be read for validation: ${error.message}${position}`)
+            ]));
+            return [];
+        }
+
+        const failing = validation.results.filter(result => !result.valid);
+        const itemsById = new Map(schemaItems.map(item => [item.itemId, item]));
+        const conforming = validation.results.length - failing.length;
+
+        report.appendChild(createElement('h4', {},
+            `${schemaName}: ${conforming} of ${validation.results.length} item${validation.results.length === 1 ? '' : 's'} conform to ${validation.shape}`
+        ));
+
+        const notes = [];
+        if (schemaItems.some(item => item.linkedQid)) {
+            notes.push('Items linked to existing Wikidata items are checked on the statements this export adds only.');
+        }
+        if (validation.results.some(result => result.unverified.length > 0)) {
+            notes.push('Wikidata items used as values are not fetched, so the shapes they should match are not checked.');
+        }
+        if (notes.length > 0) {
+            report.appendChild(createElement('p', { className: 'shex-validation-report__note' }, notes.join(' ')));
+        }
+
+        failing.forEach(result => {
+            const item = itemsById.get(result.itemId);
+            const itemName = item.title ? `${item.title} (${result.itemId})` : result.itemId;
+
+            // Failures grouped by the shape they were found in
+            const byShape = new Map();
+            result.failures.forEach(failure => {
+                if (!byShape.has(failure.shape)) byShape.set(failure.shape, []);
+                byShape.get(failure.shape).push(failure);
+            });
+
+            const details = createElement('details', { className: 'shex-validation-report__item' }, [
+                createElement('summary', {}, `${itemName}${item.linkedQid ? ` → ${item.linkedQid}` : ''}: ${result.failures.length} problem${result.failures.length === 1 ? '' : 's'}`),
+                ...Array.from(byShape.entries()).map(([shape, failures]) => createElement('div', { className: 'shex-validation-report__shape' }, [
+                    createElement('h5', {}, `Shape ${shape}`),
+                    createElement('ul', {}, failures.map(failure => createElement('li', {}, [
+                        failure.message,
+                        ...createCellLinks(failure.origins)
+                    ])))
+                ])),
+                result.skipped.length > 0
+                    ? createElement('p', { className: 'shex-validation-report__note' }, `${result.skipped.length} statement(s) could not be converted to RDF and were left out of the check`)
+                    : null
+            ]);
+            report.appendChild(details);
+        });
+        return validation.results;
+    }
+
+    /**
+     * Creates buttons that open the reconciliation cells a failure came from
+     * @param {Array<{itemId: string, mappingId: string, valueIndex: number}>} origins - Origins of the failing values
+     * @returns {Array<HTMLElement>} Buttons, one per cell value
+     */
+    function createCellLinks(origins) {
+        const seen = new Set();
+        return origins
+            .filter(origin => origin?.mappingId)
+            .filter(origin => {
+                const key = `${origin.itemId}|${origin.mappingId}|${origin.valueIndex}`;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .map(origin => {
+                const field = origin.mappingId.split('::')[0];
+                return createElement('button', {
+                    type: 'button',
+                    className: 'button button--secondary button--small shex-validation-report__link',
+                    title: 'Show this value in the reconciliation step',
+                    onClick: () => {
+                        state.setCurrentStep(3);
+                        // Let the step become visible before scrolling to the cell
+                        setTimeout(() => {
+                            if (!highlightReconciliationCell(origin.itemId, origin.mappingId, origin.valueIndex ?? null)) {
+                                showMessage('This value is no longer in the reconciliation table', 'warning', 3000);
+                            }
+                        }, 100);
+                    }
+                }, `${field} #${(origin.valueIndex ?? 0) + 1}`);
+            });
+    }
+    
     // Copy QuickStatements to clipboard
     function copyQuickStatements() {
         if (!quickStatementsTextarea) return;
@@ -6,6 +6,12 @@
  * - Cross-Origin Resource Sharing (CORS) challenges and proxy fallbacks
  * - Omeka S API endpoint validation and data format verification
  * - Manual JSON input as an alternative to API fetching
+ * - CSV/TSV spreadsheet import converted to the Omeka S item shape
+ * - OAI-PMH Dublin Core harvesting converted to the Omeka S item shape
+ * - Incremental re-harvest of items created or modified since the last fetch
+ * - Concurrent paged fetching with progress, cancellation and resume
+ * - Optional hydration of linked items, media and item sets
+ * - Advanced search builder for property filters, resource class, full-text search and sorting
  * - Comprehensive error handling with user-friendly explanations
  * - Data structure validation to ensure compatibility with mapping step
  * 
@@ -22,7 +28,42 @@
  */
 import { eventSystem } from '../events.js';
 import { fetchWithCorsProxy, getCorsExplanation, getAdminEmailTemplate } from '../utils/cors-proxy.js';
-import { createButton, createElement } from '../ui/components.js';
+import { createButton, createElement, showMessage } from '../ui/components.js';
+import { setOmekaApiKey, getOmekaApiKey, hasOmekaApiKey, extractOmekaApiKey, isSameOmekaOrigin, countPrivateItems } from '../utils/omeka-api-key.js';
+import { setupSpreadsheetImport } from '../input/ui/spreadsheet-import-ui.js';
+import { setupOaiPmhHarvest } from '../input/ui/oai-pmh-ui.js';
+import { setupPropertyQueryBuilder } from '../input/ui/advanced-search-ui.js';
+import { setupCorsProxySettings } from '../input/ui/cors-proxy-settings-ui.js';
+import { getShareableCorsProxySettings } from '../utils/cors-proxy-registry.js';
+import { parsePropertyFilters, applyPropertyFilters, hasPropertyFilters } from '../input/core/advanced-search-query.js';
+import {
+    fetchItemsChangedSince,
+    mergeChangedItems,
+    getLatestItemTimestamp,
+    getHarvestScopeKey,
+    getItemIdentity
+} from '../input/core/incremental-harvest.js';
+import {
+    fetchAllPages,
+    summarizePagedFetchCheckpoint,
+    PagedFetchInterruptedError
+} from '../input/core/paged-fetcher.js';
+import {
+    hydrateLinkedResources,
+    collectLinkedResourceReferences,
+    countLinkedResourcesByKind,
+    hasHydratedLinkedResources
+} from '../input/core/linked-resource-hydration.js';
+import {
+    SOURCE_KEY,
+    createDataSource,
+    tagItemsWithSource,
+    replaceSourceItems,
+    countItemsBySource
+} from '../input/core/data-sources.js';
+import { renderDataSourcesList } from '../input/ui/data-sources-ui.js';
+import { applyItemFilter, isItemFilterActive } from '../input/core/item-filter.js';
+import { setupItemFilterPanel } from '../input/ui/item-filter-ui.js';
 
 function normalizeItems(data) {
     if (Array.isArray(data)) {
@@ -166,14 +207,34 @@ export function setupInputStep(state) {
     const defaultPage = '1';
     const defaultPerPage = '25';
     // Advanced parameters removed for MVP
-    // const apiKeyInput = document.getElementById('api-key');
     // const paginationInput = document.getElementById('pagination');
+    const apiKeyIdentityInput = document.getElementById('api-key-identity');
+    const apiKeyCredentialInput = document.getElementById('api-key-credential');
+    // The API key inputs belong to the server of this URL until the URL changes
+    let apiKeyInputsUrl = '';
     const fetchDataBtn = document.getElementById('fetch-data');
+    const fetchChangesBtn = document.getElementById('fetch-changes');
+    const lastHarvestInfo = document.getElementById('last-harvest-info');
+    const dataSourcesPanel = document.getElementById('data-sources');
+    const dataSourcesList = document.getElementById('data-sources-list');
+    const dataSourceNameInput = document.getElementById('data-source-name');
+    const addDataSourceBtn = document.getElementById('add-data-source');
+    const resumeFetchBtn = document.getElementById('resume-fetch');
     const loadingIndicator = document.getElementById('loading');
+    const fetchProgress = document.getElementById('fetch-progress');
+    const fetchProgressBar = document.getElementById('fetch-progress-bar');
+    const fetchProgressText = document.getElementById('fetch-progress-text');
+    const cancelFetchBtn = document.getElementById('cancel-fetch');
     const dataStatus = document.getElementById('data-status');
     const viewRawJsonBtn = document.getElementById('view-raw-json');
     const proceedToMappingBtn = document.getElementById('proceed-to-mapping');
     
+    // Aborts the paged fetch in progress
+    let activeFetchController = null;
+
+    // Items of the pages an interrupted paged fetch completed; only its cursor is kept in state
+    let interruptedFetchPages = null;
+    
     // Manual JSON input elements
     const manualJsonButton = document.getElementById('manual-json-button');
     const manualJsonArea = document.getElementById('manual-json-area');
@@ -186,10 +247,49 @@ export function setupInputStep(state) {
         { input: document.getElementById('api-item-set-id'), param: 'item_set_id' },
         { input: document.getElementById('api-site-id'), param: 'site_id' },
         { input: document.getElementById('api-owner-id'), param: 'owner_id' },
+        { input: document.getElementById('api-resource-class-id'), param: 'resource_class_id' },
+        { input: document.getElementById('api-fulltext-search'), param: 'fulltext_search' },
+        { input: document.getElementById('api-sort-by'), param: 'sort_by' },
+        { input: document.getElementById('api-sort-order'), param: 'sort_order' },
         { input: document.getElementById('api-page'), param: 'page' },
         { input: document.getElementById('api-per-page'), param: 'per_page' }
     ];
 
+    const itemFilterPanel = setupItemFilterPanel({
+        onApply: applyItemFilterToProject
+    });
+
+    const propertyQueryBuilder = setupPropertyQueryBuilder({
+        container: document.getElementById('advanced-search-rows'),
+        addButton: document.getElementById('add-advanced-search-row')
+    });
+
+    const corsProxySettings = setupCorsProxySettings({
+        getTestUrl: () => {
+            const testUrl = parseApiUrl(apiUrlInput?.value.trim());
+            if (!testUrl) return null;
+            testUrl.searchParams.set('page', '1');
+            testUrl.searchParams.set('per_page', '1');
+            return testUrl.toString();
+        },
+        onChange: settings => state.updateState('corsProxySettings', getShareableCorsProxySettings(settings), false)
+    });
+
+    /**
+     * Keeps the proxy registry and the project state in step: settings from a
+     * loaded project are offered to the user, and the settings in use are
+     * recorded (without headers) so they get exported with the project
+     */
+    function syncCorsProxySettings() {
+        const storedSettings = state.getState().corsProxySettings;
+        if (storedSettings) {
+            corsProxySettings.suggestSettings(storedSettings);
+        } else {
+            corsProxySettings.useBrowserSettings();
+        }
+        state.updateState('corsProxySettings', getShareableCorsProxySettings(), false);
+    }
+
     function parseApiUrl(url) {
         try {
             return new URL(url);
@@ -198,6 +298,48 @@ export function setupInputStep(state) {
         }
     }
 
+    /**
+     * Moves key_identity/key_credential from a pasted URL into the API key inputs
+     * so credentials never end up in the stored API URL
+     * @param {string} url - URL entered by the user
+     * @returns {string} URL without API key parameters
+     */
+    function takeApiKeyFromUrl(url) {
+        const { url: cleanUrl, apiKey } = extractOmekaApiKey(url);
+        if (apiKey) {
+            if (apiKeyIdentityInput) apiKeyIdentityInput.value = apiKey.identity;
+            if (apiKeyCredentialInput) apiKeyCredentialInput.value = apiKey.credential;
+        }
+        return cleanUrl;
+    }
+
+    /**
+     * Stores the key in the inputs for the server of the URL they were entered for
+     */
+    function syncApiKeyFromInputs() {
+        setOmekaApiKey(apiKeyInputsUrl, apiKeyIdentityInput?.value, apiKeyCredentialInput?.value);
+    }
+
+    /**
+     * Points the API key inputs at the server of a newly entered API URL
+     * The key typed for the previous server is kept for that server, and the
+     * key already stored for the new server, if any, is shown instead, so a key
+     * is never carried over to another Omeka S installation.
+     * @param {string} url - API URL now in the input field
+     */
+    function switchApiKeyInputsTo(url) {
+        if (isSameOmekaOrigin(url, apiKeyInputsUrl)) {
+            apiKeyInputsUrl = url;
+            return;
+        }
+
+        syncApiKeyFromInputs();
+        apiKeyInputsUrl = url;
+        const apiKey = getOmekaApiKey(url);
+        if (apiKeyIdentityInput) apiKeyIdentityInput.value = apiKey?.identity || '';
+        if (apiKeyCredentialInput) apiKeyCredentialInput.value = apiKey?.credential || '';
+    }
+
     function syncApiParameterControls(url) {
         const parsedUrl = parseApiUrl(url);
         if (!parsedUrl) {
@@ -209,6 +351,9 @@ export function setupInputStep(state) {
                 input.value = parsedUrl.searchParams.get(param) || '';
             }
         });
+        propertyQueryBuilder.setFilters(parsePropertyFilters(parsedUrl.searchParams));
+        updateIncrementalHarvestControls();
+        updateResumeFetchControls();
     }
 
     function hasScopedCollectionFilters(url) {
@@ -217,8 +362,9 @@ export function setupInputStep(state) {
             return false;
         }
 
-        return ['resource_template_id', 'item_set_id', 'site_id', 'owner_id']
-            .some(param => Boolean(parsedUrl.searchParams.get(param)));
+        return ['resource_template_id', 'item_set_id', 'site_id', 'owner_id', 'resource_class_id', 'fulltext_search']
+            .some(param => Boolean(parsedUrl.searchParams.get(param)))
+            || hasPropertyFilters(parsedUrl.searchParams);
     }
 
     function ensureDefaultPagination(url) {
@@ -269,6 +415,7 @@ export function setupInputStep(state) {
                     input.value = defaultValue;
                 }
             });
+            applyPropertyFilters(parsedUrl.searchParams, []);
         } else {
             apiParameterFields.forEach(({ input, param }) => {
                 const fallbackValue = param === 'page'
@@ -286,6 +433,7 @@ export function setupInputStep(state) {
                     parsedUrl.searchParams.delete(param);
                 }
             });
+            applyPropertyFilters(parsedUrl.searchParams, propertyQueryBuilder.getFilters());
         }
 
         apiUrlInput.value = ensureDefaultPagination(parsedUrl.toString());
@@ -297,21 +445,25 @@ export function setupInputStep(state) {
         apiUrlInput.value = ensureDefaultPagination(defaultApiUrl);
     }
     syncApiParameterControls(apiUrlInput?.value || defaultApiUrl);
+    apiKeyInputsUrl = apiUrlInput?.value || defaultApiUrl;
 
     if (apiUrlInput) {
         apiUrlInput.addEventListener('change', () => {
-            apiUrlInput.value = ensureDefaultPagination(apiUrlInput.value.trim());
+            switchApiKeyInputsTo(apiUrlInput.value.trim());
+            apiUrlInput.value = ensureDefaultPagination(takeApiKeyFromUrl(apiUrlInput.value.trim()));
             syncApiParameterControls(apiUrlInput.value);
         });
 
         apiUrlInput.addEventListener('blur', () => {
-            apiUrlInput.value = ensureDefaultPagination(apiUrlInput.value.trim());
+            switchApiKeyInputsTo(apiUrlInput.value.trim());
+            apiUrlInput.value = ensureDefaultPagination(takeApiKeyFromUrl(apiUrlInput.value.trim()));
             syncApiParameterControls(apiUrlInput.value);
         });
     }
 
     if (apiUrlPreset) {
         apiUrlPreset.addEventListener('change', () => {
+            switchApiKeyInputsTo(apiUrlInput.value.trim());
             apiUrlInput.value = ensureDefaultPagination(apiUrlInput.value.trim());
             syncApiParameterControls(apiUrlInput.value);
         });
@@ -338,6 +490,8 @@ export function setupInputStep(state) {
         state.updateState('mappings.manualProperties', [], false);
         state.updateState('mappings.transformationBlocks', {}, false);
         state.updateState('mappings.selectedTransformationFields', {}, false);
+        state.updateState('mappings.rejectedAutoMappings', [], false);
+        state.updateState('appliedMappingTemplate', null, false);
         state.updateState('schemaMappingStatus', {
             requiredMapped: [],
             requiredUnmapped: [],
@@ -370,8 +524,478 @@ export function setupInputStep(state) {
 
     function updateActiveInputData(data, markUnsaved = true) {
         resetDownstreamWorkflowState(markUnsaved);
-        state.updateState('fetchedData', data, markUnsaved);
-        state.updateState('selectedExample', getSelectedExampleFromData(data), markUnsaved);
+        setActiveInputData(data, markUnsaved);
+    }
+
+    /**
+     * Makes data the working dataset for the later steps
+     * The project's item filter is applied here, so mapping, reconciliation
+     * and export only see the filtered items.
+     * @param {Object|Array} data - Items selected by the template choice
+     * @param {boolean} [markUnsaved=true] - Mark the project as changed
+     */
+    function setActiveInputData(data, markUnsaved = true) {
+        const itemFilter = state.getState().itemFilter;
+        const filterResult = applyItemFilter(normalizeItems(data), itemFilter);
+        const activeData = isItemFilterActive(itemFilter)
+            ? wrapItemsLikeOriginalData(data, filterResult.items)
+            : data;
+
+        state.updateState('fetchedData', activeData, markUnsaved);
+        state.updateState('selectedExample', getSelectedExampleFromData(activeData), markUnsaved);
+        updateItemFilterSummary(filterResult);
+    }
+
+    function updateItemFilterSummary({ items, totalCount, matchedCount }) {
+        if (!isItemFilterActive(state.getState().itemFilter)) {
+            itemFilterPanel.setSummary(`No filter applied. All ${totalCount} items are used.`);
+            return;
+        }
+
+        const sampleNote = items.length < matchedCount ? `, sampled down to ${items.length}` : '';
+        itemFilterPanel.setSummary(`${matchedCount} of ${totalCount} items match the filter${sampleNote}.`);
+    }
+
+    /**
+     * Saves a new item filter and re-derives the working dataset
+     * Mappings and reconciliation decisions are kept, so a pipeline tested on
+     * a sample carries over when the sample is widened.
+     * @param {Object|null} itemFilter - Filter from the filter panel
+     */
+    function applyItemFilterToProject(itemFilter) {
+        const currentState = state.getState();
+        if (!currentState.allFetchedData) {
+            return;
+        }
+
+        const previousItems = normalizeItems(currentState.fetchedData);
+        state.updateState('itemFilter', isItemFilterActive(itemFilter) ? itemFilter : null);
+        displayData(currentState.allFetchedData, 'filtered', { preserveWorkflow: true });
+        remapLinkedItemsByIdentity(previousItems, normalizeItems(state.getState().fetchedData));
+        updateItemFilterPanel();
+    }
+
+    function updateItemFilterPanel() {
+        const currentState = state.getState();
+        const items = normalizeItems(currentState.allFetchedData);
+
+        itemFilterPanel.setVisible(items.length > 0);
+        itemFilterPanel.setFilter(currentState.itemFilter);
+        itemFilterPanel.setFieldOptions(Array.from(new Set(items.flatMap(item =>
+            item && typeof item === 'object' ? Object.keys(item).filter(key => !key.startsWith('@')) : []
+        ))).sort());
+    }
+
+    function canFetchChangesSinceLastHarvest() {
+        const currentState = state.getState();
+        const lastHarvest = currentState.lastHarvest;
+
+        return Boolean(
+            lastHarvest?.apiUrl &&
+            currentState.allFetchedData &&
+            apiUrlInput &&
+            getHarvestScopeKey(lastHarvest.apiUrl) === getHarvestScopeKey(apiUrlInput.value.trim())
+        );
+    }
+
+    function updateIncrementalHarvestControls() {
+        const lastHarvest = state.getState().lastHarvest;
+        const available = canFetchChangesSinceLastHarvest();
+
+        if (fetchChangesBtn) {
+            fetchChangesBtn.style.display = available ? 'inline-block' : 'none';
+        }
+
+        if (lastHarvestInfo) {
+            lastHarvestInfo.style.display = available ? 'block' : 'none';
+            lastHarvestInfo.textContent = available
+                ? `Last harvest: ${new Date(lastHarvest.harvestedAt).toLocaleString()} (${lastHarvest.itemCount} items). Use "Fetch Changes" to get only items created or modified since then.`
+                : '';
+        }
+    }
+
+    function buildLastHarvestRecord(apiUrl, items, harvestedAt) {
+        return {
+            apiUrl,
+            harvestedAt,
+            latestItemTimestamp: getLatestItemTimestamp(items),
+            itemCount: items.length
+        };
+    }
+
+    async function fetchChangesSinceLastHarvest() {
+        syncApiKeyFromInputs();
+        if (!canFetchChangesSinceLastHarvest()) {
+            updateIncrementalHarvestControls();
+            return;
+        }
+
+        const currentState = state.getState();
+        const lastHarvest = currentState.lastHarvest;
+        const harvestedAt = new Date().toISOString();
+        const perPage = Math.max(1, Number(parseApiUrl(lastHarvest.apiUrl)?.searchParams.get('per_page')) || Number(defaultPerPage));
+
+        if (loadingIndicator) loadingIndicator.style.display = 'block';
+        if (fetchChangesBtn) fetchChangesBtn.disabled = true;
+        if (dataStatus) {
+            dataStatus.innerHTML = '<p>Fetching items created or modified since the last harvest...</p>';
+        }
+
+        try {
+            const result = await fetchItemsChangedSince(
+                lastHarvest.apiUrl,
+                lastHarvest.latestItemTimestamp || lastHarvest.harvestedAt,
+                {
+                    fetchPage: url => fetchWithCorsProxy(url, { apiKey: getOmekaApiKey(url) }),
+                    normalizeItems,
+                    perPage
+                }
+            );
+
+            // In a multi-source project the changes belong to the source harvested from this URL
+            const harvestSource = findDataSourceForApiUrl(lastHarvest.apiUrl);
+            const changedItems = harvestSource ? tagItemsWithSource(result.items, harvestSource.id) : result.items;
+            const merged = mergeChangedItems(normalizeItems(currentState.allFetchedData), changedItems);
+            const mergedData = wrapItemsLikeOriginalData(currentState.allFetchedData, merged.items);
+            const nextHarvest = buildLastHarvestRecord(lastHarvest.apiUrl, merged.items, harvestedAt);
+
+            state.updateState('allFetchedData', mergedData);
+            if ((currentState.selectedTemplates || []).length === 0) {
+                state.updateState('fetchedData', mergedData);
+            }
+            state.updateState('lastHarvest', nextHarvest);
+            if (harvestSource) {
+                updateDataSource(harvestSource.id, {
+                    fetchedAt: harvestedAt,
+                    itemCount: countItemsBySource(merged.items).get(harvestSource.id) || 0,
+                    lastHarvest: nextHarvest
+                });
+            }
+
+            // Keep mappings, reconciliation and references; the reconciliation step
+            // re-checks value fingerprints and resets only the cells that changed
+            displayData(mergedData, result.method, {
+                proxyUsed: result.proxyUsed || null,
+                authenticated: hasOmekaApiKey(lastHarvest.apiUrl),
+                preserveWorkflow: true,
+                incremental: {
+                    pages: result.pages,
+                    updatedCount: merged.updatedCount,
+                    addedCount: merged.addedCount
+                }
+            });
+        } catch (error) {
+            console.error('Error fetching changes:', error);
+            if (dataStatus) {
+                displayCorsError(error, lastHarvest.apiUrl);
+            }
+        } finally {
+            if (loadingIndicator) loadingIndicator.style.display = 'none';
+            if (fetchChangesBtn) fetchChangesBtn.disabled = false;
+            updateIncrementalHarvestControls();
+        }
+    }
+
+    function findDataSourceForApiUrl(apiUrl) {
+        const scopeKey = getHarvestScopeKey(apiUrl);
+        return scopeKey === null
+            ? null
+            : (state.getState().dataSources || []).find(source => getHarvestScopeKey(source.apiUrl) === scopeKey) || null;
+    }
+
+    function updateDataSource(sourceId, changes) {
+        const sources = (state.getState().dataSources || []).map(source =>
+            source.id === sourceId ? { ...source, ...changes } : source
+        );
+        state.updateState('dataSources', sources);
+    }
+
+    function tagDatasetWithSource(data, sourceId) {
+        return data ? wrapItemsLikeOriginalData(data, tagItemsWithSource(normalizeItems(data), sourceId)) : data;
+    }
+
+    /**
+     * Turns the current single-source project into the first named source
+     * Existing items, and the item copies kept with reconciliation work, are
+     * tagged so their identities keep matching.
+     * @returns {Array<Object>} Data sources of the project
+     */
+    function ensurePrimaryDataSource() {
+        const currentState = state.getState();
+        if ((currentState.dataSources || []).length > 0) {
+            return currentState.dataSources;
+        }
+
+        const lastHarvest = currentState.lastHarvest;
+        const primarySource = createDataSource({
+            apiUrl: lastHarvest?.apiUrl || currentState.apiUrl,
+            fetchedAt: lastHarvest?.harvestedAt || null,
+            itemCount: normalizeItems(currentState.allFetchedData).length,
+            lastHarvest
+        });
+
+        const reconciliationData = currentState.reconciliationData;
+        if (reconciliationData && !Array.isArray(reconciliationData) && Object.keys(reconciliationData).length > 0) {
+            const taggedReconciliationData = Object.fromEntries(Object.entries(reconciliationData).map(([itemId, itemData]) => [
+                itemId,
+                itemData?.originalData
+                    ? { ...itemData, originalData: { ...itemData.originalData, [SOURCE_KEY]: primarySource.id } }
+                    : itemData
+            ]));
+            state.updateState('reconciliationData', taggedReconciliationData, false);
+        }
+
+        state.updateState('allFetchedData', tagDatasetWithSource(currentState.allFetchedData, primarySource.id), false);
+        state.updateState('fetchedData', tagDatasetWithSource(currentState.fetchedData, primarySource.id), false);
+        state.updateState('dataSources', [primarySource], false);
+        return [primarySource];
+    }
+
+    /**
+     * Re-keys linked Wikidata items after items moved position
+     * Links are kept for items still present and dropped for removed ones.
+     * @param {Array<Object>} previousItems - Active items before the change
+     * @param {Array<Object>} nextItems - Active items after the change
+     */
+    function remapLinkedItemsByIdentity(previousItems, nextItems) {
+        const linkedItems = state.getState().linkedItems || {};
+        if (Object.keys(linkedItems).length === 0) {
+            return;
+        }
+
+        const nextIndexByIdentity = new Map();
+        nextItems.forEach((item, index) => {
+            const identity = getItemIdentity(item);
+            if (identity !== null) {
+                nextIndexByIdentity.set(identity, index);
+            }
+        });
+
+        const remapped = {};
+        previousItems.forEach((item, index) => {
+            const qid = linkedItems[`item-${index}`];
+            const nextIndex = qid ? nextIndexByIdentity.get(getItemIdentity(item)) : undefined;
+            if (nextIndex !== undefined) {
+                remapped[`item-${nextIndex}`] = qid;
+            }
+        });
+        state.updateState('linkedItems', remapped, false);
+    }
+
+    function applyCombinedSourceItems(items, method = 'sources', details = {}) {
+        const currentState = state.getState();
+        const previousItems = normalizeItems(currentState.fetchedData);
+        const combinedData = wrapItemsLikeOriginalData(currentState.allFetchedData, items);
+
+        state.updateState('allFetchedData', combinedData);
+        if ((currentState.selectedTemplates || []).length === 0) {
+            state.updateState('fetchedData', combinedData);
+        }
+
+        // Keep mappings, reconciliation and references; new fields of the added
+        // source show up as unmapped keys in the mapping step
+        displayData(combinedData, method, { ...details, preserveWorkflow: true });
+        remapLinkedItemsByIdentity(previousItems, normalizeItems(state.getState().fetchedData));
+        updateDataSourcesPanel();
+        updateIncrementalHarvestControls();
+    }
+
+    /**
+     * Fetches an API URL and adds its items to the project as a separate source
+     * A URL covering the same items as an existing source fetches that source
+     * again and replaces its items.
+     * @param {string} rawApiUrl - Omeka S API URL
+     * @param {string} [name] - Name for a new source
+     */
+    async function addDataSourceFromApi(rawApiUrl, name = '') {
+        const apiUrl = takeApiKeyFromUrl(String(rawApiUrl || '').trim());
+        syncApiKeyFromInputs();
+        if (!isValidApiUrl(apiUrl)) {
+            alert('Please enter a valid Omeka S API URL (e.g., https://example.com/api/items)');
+            return;
+        }
+        if (!state.getState().allFetchedData) {
+            alert('Fetch data for the first source before adding another one.');
+            return;
+        }
+
+        const requestUrl = ensureDefaultPagination(apiUrl);
+        const shouldFetchAllPages = hasScopedCollectionFilters(requestUrl) && supportsPagedItemFetching(requestUrl);
+        const harvestedAt = new Date().toISOString();
+
+        if (loadingIndicator) loadingIndicator.style.display = 'block';
+        if (addDataSourceBtn) addDataSourceBtn.disabled = true;
+
+        try {
+            const result = shouldFetchAllPages
+                ? await fetchAllMatchingItems(requestUrl)
+                : await fetchWithCorsProxy(requestUrl, { apiKey: getOmekaApiKey(requestUrl) });
+            if (!isValidOmekaResponse(result.data)) {
+                throw new Error('Invalid Omeka S API response format. Expected an array or object with items.');
+            }
+
+            const sources = ensurePrimaryDataSource();
+            const sourceItems = normalizeItems(result.data);
+            const existingSource = findDataSourceForApiUrl(requestUrl);
+            const fetchDetails = {
+                apiUrl: requestUrl,
+                fetchedAt: harvestedAt,
+                itemCount: sourceItems.length,
+                method: result.method || null,
+                proxyUsed: result.proxyUsed || null,
+                lastHarvest: shouldFetchAllPages ? buildLastHarvestRecord(requestUrl, sourceItems, harvestedAt) : null
+            };
+            const source = existingSource
+                ? { ...existingSource, ...fetchDetails }
+                : createDataSource({ ...fetchDetails, name }, sources);
+
+            state.updateState('dataSources', existingSource
+                ? sources.map(entry => (entry.id === source.id ? source : entry))
+                : [...sources, source]);
+
+            const combinedItems = replaceSourceItems(normalizeItems(state.getState().allFetchedData), source.id, sourceItems);
+            applyCombinedSourceItems(combinedItems, result.method, {
+                proxyUsed: result.proxyUsed || null,
+                authenticated: hasOmekaApiKey(requestUrl)
+            });
+
+            if (dataSourceNameInput) dataSourceNameInput.value = '';
+            showMessage(
+                existingSource
+                    ? `Fetched ${sourceItems.length} items again for ${source.name}`
+                    : `Added ${sourceItems.length} items from ${source.name}`,
+                'success'
+            );
+        } catch (error) {
+            console.error('Error adding data source:', error);
+            if (error instanceof PagedFetchInterruptedError) {
+                // A partial source cannot be resumed through the main fetch, which replaces the project
+                interruptedFetchPages = null;
+                state.updateState('pagedFetchCheckpoint', null, false);
+                showMessage('Adding the source was cancelled. The project was not changed.', 'warning');
+            } else if (dataStatus) {
+                displayCorsError(error, apiUrl);
+            }
+        } finally {
+            if (loadingIndicator) loadingIndicator.style.display = 'none';
+            if (addDataSourceBtn) addDataSourceBtn.disabled = false;
+        }
+    }
+
+    function removeDataSource(source) {
+        const sources = state.getState().dataSources || [];
+        if (sources.length < 2) {
+            return;
+        }
+        if (!window.confirm(`Remove ${source.name} and its items from this project?`)) {
+            return;
+        }
+
+        state.updateState('dataSources', sources.filter(entry => entry.id !== source.id));
+        const remainingItems = replaceSourceItems(normalizeItems(state.getState().allFetchedData), source.id, []);
+        applyCombinedSourceItems(remainingItems);
+    }
+
+    function updateDataSourcesPanel() {
+        const currentState = state.getState();
+        if (dataSourcesPanel) {
+            dataSourcesPanel.style.display = currentState.allFetchedData ? 'block' : 'none';
+        }
+
+        renderDataSourcesList(dataSourcesList, currentState.dataSources || [], {
+            itemCounts: countItemsBySource(normalizeItems(currentState.allFetchedData)),
+            onRefetch: source => addDataSourceFromApi(source.apiUrl),
+            onRemove: removeDataSource
+        });
+    }
+
+    async function hydrateLinkedResourcesForCurrentData({ refresh = false, onProgress = null } = {}) {
+        syncApiKeyFromInputs();
+        const currentState = state.getState();
+        const sourceData = currentState.allFetchedData || currentState.fetchedData;
+        if (!sourceData) {
+            return;
+        }
+
+        if (loadingIndicator) loadingIndicator.style.display = 'block';
+
+        try {
+            // Linked @id URLs can point at other servers; each only gets its own server's key
+            let authenticated = false;
+            const result = await hydrateLinkedResources(normalizeItems(sourceData), {
+                fetchResource: (url, signal) => {
+                    if (hasOmekaApiKey(url)) authenticated = true;
+                    return fetchWithCorsProxy(url, { apiKey: getOmekaApiKey(url), signal });
+                },
+                refresh,
+                onProgress
+            });
+            const hydratedData = wrapItemsLikeOriginalData(sourceData, result.items);
+
+            state.updateState('allFetchedData', hydratedData);
+            if ((currentState.selectedTemplates || []).length === 0) {
+                state.updateState('fetchedData', hydratedData);
+            }
+
+            // Hydration only adds fields to values, so mappings and reconciliation stay valid
+            displayData(hydratedData, result.method, {
+                proxyUsed: result.proxyUsed || null,
+                authenticated,
+                preserveWorkflow: true,
+                hydration: {
+                    total: result.total,
+                    fetched: result.fetched,
+                    cached: result.cached,
+                    failed: result.failed
+                }
+            });
+        } catch (error) {
+            console.error('Error hydrating linked resources:', error);
+            showMessage(`Could not fetch linked resources: ${error.message}`, 'error', 6000);
+        } finally {
+            if (loadingIndicator) loadingIndicator.style.display = 'none';
+        }
+    }
+
+    function createLinkedResourcesSection(references, hydration = null, alreadyHydrated = false) {
+        const counts = countLinkedResourcesByKind(references);
+        const countText = [
+            [counts.items, 'linked item'],
+            [counts.media, 'media file'],
+            [counts.item_sets, 'item set']
+        ]
+            .filter(([count]) => count > 0)
+            .map(([count, label]) => `${count} ${label}${count === 1 ? '' : 's'}`)
+            .join(', ');
+
+        const statusText = hydration
+            ? `Fetched ${hydration.fetched} and reused ${hydration.cached} cached resource${hydration.cached === 1 ? '' : 's'}.${hydration.failed > 0 ? ` ${hydration.failed} could not be fetched.` : ''} Their fields are available as "linked:" value fields in the mapping step.`
+            : alreadyHydrated
+                ? 'Linked resource fields are already loaded as "linked:" value fields.'
+                : 'Fetch them to use their fields, such as a person\'s VIAF sameAs, during mapping and identifier detection.';
+        const status = createElement('span', { className: 'linked-resources__status' }, statusText);
+
+        const refresh = Boolean(hydration) || alreadyHydrated;
+        const button = createButton(refresh ? 'Refresh Linked Resources' : 'Fetch Linked Resources', {
+            onClick: async () => {
+                button.disabled = true;
+                await hydrateLinkedResourcesForCurrentData({
+                    refresh,
+                    onProgress: ({ completed, total }) => {
+                        status.textContent = `Fetching linked resources: ${completed} of ${total}...`;
+                    }
+                });
+                button.disabled = false;
+            }
+        });
+
+        return createElement('div', { className: 'linked-resources' }, [
+            createElement('p', {}, [
+                createElement('strong', {}, 'Linked resources: '),
+                `Items reference ${countText}.`
+            ]),
+            createElement('div', { className: 'linked-resources__actions' }, [button, status])
+        ]);
     }
 
     function buildPagedApiUrl(apiUrl, pageNumber, pageSize) {
@@ -395,7 +1019,63 @@ export function setupInputStep(state) {
         return /\/api\/items$/.test(pathname);
     }
 
-    async function fetchAllMatchingItems(apiUrl) {
+    function showFetchProgress() {
+        if (fetchProgress) fetchProgress.style.display = 'flex';
+        if (cancelFetchBtn) cancelFetchBtn.disabled = false;
+        updateFetchProgress({ completedPages: 0, totalPages: null, itemCount: 0, totalResults: null });
+    }
+
+    function hideFetchProgress() {
+        if (fetchProgress) fetchProgress.style.display = 'none';
+    }
+
+    function updateFetchProgress({ completedPages, totalPages, itemCount, totalResults }) {
+        if (fetchProgressBar) {
+            if (totalPages) {
+                fetchProgressBar.max = totalPages;
+                fetchProgressBar.value = Math.min(completedPages, totalPages);
+            } else {
+                // Without the total results header the bar stays indeterminate
+                fetchProgressBar.removeAttribute('value');
+            }
+        }
+
+        if (fetchProgressText) {
+            const itemsText = totalResults !== null
+                ? `${itemCount} of ${totalResults} items`
+                : `${itemCount} items`;
+            const pagesText = totalPages
+                ? `${completedPages} of ${totalPages} pages`
+                : `${completedPages} page${completedPages === 1 ? '' : 's'}`;
+            fetchProgressText.textContent = `Fetched ${itemsText} (${pagesText})`;
+        }
+    }
+
+    function getResumableCheckpoint() {
+        const checkpoint = state.getState().pagedFetchCheckpoint;
+        // The fetched items are not persisted, so a reloaded page cannot resume
+        if (!checkpoint?.apiUrl || !interruptedFetchPages || !apiUrlInput) {
+            return null;
+        }
+
+        return getHarvestScopeKey(checkpoint.apiUrl) === getHarvestScopeKey(apiUrlInput.value.trim())
+            ? checkpoint
+            : null;
+    }
+
+    function updateResumeFetchControls() {
+        const checkpoint = getResumableCheckpoint();
+
+        if (resumeFetchBtn) {
+            const summary = checkpoint ? summarizePagedFetchCheckpoint(checkpoint) : null;
+            resumeFetchBtn.style.display = checkpoint ? 'inline-block' : 'none';
+            resumeFetchBtn.textContent = summary
+                ? `Resume Fetch (${summary.pages}${summary.totalPages ? ` of ${summary.totalPages}` : ''} pages done)`
+                : 'Resume Fetch';
+        }
+    }
+
+    async function fetchAllMatchingItems(apiUrl, checkpoint = null) {
         const parsedUrl = parseApiUrl(apiUrl);
         if (!parsedUrl) {
             throw new Error('Please enter a valid API URL before fetching data.');
@@ -403,48 +1083,50 @@ export function setupInputStep(state) {
 
         const startingPage = Math.max(1, Number(parsedUrl.searchParams.get('page')) || 1);
         const configuredPageSize = Math.max(1, Number(parsedUrl.searchParams.get('per_page')) || Number(defaultPerPage));
-        const allItems = [];
-        let currentPage = startingPage;
-        let fetchedPages = 0;
-        let fetchMethod = 'direct';
-        let proxyUsed = null;
-        let finalPageData = null;
-
-        while (true) {
-            const pagedUrl = buildPagedApiUrl(apiUrl, currentPage, configuredPageSize);
-            const pageResult = await fetchWithCorsProxy(pagedUrl);
-            const pageItems = normalizeItems(pageResult.data);
-
-            fetchMethod = pageResult.method;
-            proxyUsed = pageResult.proxyUsed || proxyUsed;
-            fetchedPages += 1;
-            finalPageData = pageResult.data;
-
-            if (!isValidOmekaResponse(pageResult.data)) {
-                throw new Error('Invalid Omeka S API response format. Expected an array or object with items.');
-            }
 
-            if (pageItems.length === 0) {
-                break;
-            }
+        activeFetchController = new AbortController();
+        showFetchProgress();
 
-            allItems.push(...pageItems);
+        try {
+            const result = await fetchAllPages({
+                apiUrl,
+                startPage: startingPage,
+                pageSize: configuredPageSize,
+                buildPageUrl: pageNumber => buildPagedApiUrl(apiUrl, pageNumber, configuredPageSize),
+                fetchPage: async (url, signal) => {
+                    const pageResult = await fetchWithCorsProxy(url, { apiKey: getOmekaApiKey(url), signal });
+                    if (!isValidOmekaResponse(pageResult.data)) {
+                        throw new Error('Invalid Omeka S API response format. Expected an array or object with items.');
+                    }
+                    return pageResult;
+                },
+                normalizeItems,
+                checkpoint,
+                pages: checkpoint ? interruptedFetchPages : null,
+                signal: activeFetchController.signal,
+                onProgress: updateFetchProgress
+            });
 
-            if (pageItems.length < configuredPageSize) {
-                break;
-            }
+            interruptedFetchPages = null;
+            state.updateState('pagedFetchCheckpoint', null, false);
 
-            currentPage += 1;
+            return {
+                data: wrapItemsLikeOriginalData(result.lastPageData ?? [], result.items),
+                method: result.method,
+                proxyUsed: result.proxyUsed,
+                fetchedPages: result.fetchedPages,
+                itemCount: result.items.length
+            };
+        } catch (error) {
+            if (error instanceof PagedFetchInterruptedError) {
+                interruptedFetchPages = error.pages;
+                state.updateState('pagedFetchCheckpoint', error.checkpoint, false);
+            }
+            throw error;
+        } finally {
+            activeFetchController = null;
+            hideFetchProgress();
         }
-
-        const wrappedData = wrapItemsLikeOriginalData(finalPageData, allItems);
-        return {
-            data: wrappedData,
-            method: fetchMethod,
-            proxyUsed,
-            fetchedPages,
-            itemCount: allItems.length
-        };
     }
 
     function hasExistingProjectData() {
@@ -508,97 +1190,154 @@ export function setupInputStep(state) {
         });
     }
     
-    // Fetch data from API
-    if (fetchDataBtn) {
-        fetchDataBtn.addEventListener('click', async () => {
-            const apiUrl = apiUrlInput.value.trim();
-            if (!apiUrl) {
-                alert('Please enter an API URL');
+    if (fetchChangesBtn) {
+        fetchChangesBtn.addEventListener('click', fetchChangesSinceLastHarvest);
+    }
+
+    if (addDataSourceBtn) {
+        addDataSourceBtn.addEventListener('click', () => {
+            addDataSourceFromApi(apiUrlInput?.value || '', dataSourceNameInput?.value || '');
+        });
+    }
+
+    /**
+     * Fetches data from the API URL in the input field
+     * @param {Object} [options] - Fetch options
+     * @param {boolean} [options.resume=false] - Continue the interrupted paged fetch for this URL
+     */
+    async function fetchDataFromApi({ resume = false } = {}) {
+        const checkpoint = resume ? getResumableCheckpoint() : null;
+        const apiUrl = checkpoint ? checkpoint.apiUrl : takeApiKeyFromUrl(apiUrlInput.value.trim());
+        switchApiKeyInputsTo(apiUrl);
+        syncApiKeyFromInputs();
+        if (!apiUrl) {
+            alert('Please enter an API URL');
+            return;
+        }
+        
+        try {
+            // Validate URL
+            if (!isValidApiUrl(apiUrl)) {
+                alert('Please enter a valid Omeka S API URL (e.g., https://example.com/api/items)');
                 return;
             }
-            
-            try {
-                // Validate URL
-                if (!isValidApiUrl(apiUrl)) {
-                    alert('Please enter a valid Omeka S API URL (e.g., https://example.com/api/items)');
-                    return;
-                }
 
-                if (!confirmProjectReplacement(apiUrl)) {
-                    return;
-                }
-                
-                // Update state
-                state.updateState('apiUrl', apiUrl);
-                
-                // Show loading indicator
-                if (loadingIndicator) loadingIndicator.style.display = 'block';
-                
-                // Update status to show we're attempting to fetch
-                if (dataStatus) {
-                    dataStatus.innerHTML = '<p>Attempting to fetch data...</p>';
-                }
+            if (!confirmProjectReplacement(apiUrl)) {
+                return;
+            }
+            
+            // Update state
+            state.updateState('apiUrl', apiUrl);
+            state.updateState('pagedFetchCheckpoint', checkpoint, false);
+            if (fetchDataBtn) fetchDataBtn.disabled = true;
+            if (resumeFetchBtn) resumeFetchBtn.style.display = 'none';
+            
+            // Show loading indicator
+            if (loadingIndicator) loadingIndicator.style.display = 'block';
+            
+            // Update status to show we're attempting to fetch
+            if (dataStatus) {
+                dataStatus.innerHTML = '<p>Attempting to fetch data...</p>';
+            }
 
-                // First, attempt to fetch resource templates to have proper names and order
-                let resourceTemplates = [];
-                state.updateState('resourceTemplates', resourceTemplates, false);
-                try {
-                    const baseUrl = apiUrl.split('/api/')[0];
-                    const templatesUrl = `${baseUrl}/api/resource_templates`;
-                    const templatesResult = await fetchWithCorsProxy(templatesUrl);
-                    if (templatesResult.success && Array.isArray(templatesResult.data)) {
-                        resourceTemplates = templatesResult.data;
-                        state.updateState('resourceTemplates', resourceTemplates, false);
-                        console.log(`Successfully fetched ${resourceTemplates.length} resource templates`);
-                    }
-                } catch (templateError) {
-                    console.warn('Could not fetch resource templates, falling back to basic naming:', templateError);
-                }
-                
-                apiUrlInput.value = ensureDefaultPagination(apiUrl);
-                const shouldFetchAllPages =
-                    hasScopedCollectionFilters(apiUrlInput.value) &&
-                    supportsPagedItemFetching(apiUrlInput.value);
-
-                const result = shouldFetchAllPages
-                    ? await fetchAllMatchingItems(apiUrlInput.value)
-                    : await fetchWithCorsProxy(apiUrlInput.value);
-                const data = result.data;
-
-                // Validate JSON structure
-                if (!isValidOmekaResponse(data)) {
-                    throw new Error('Invalid Omeka S API response format. Expected an array or object with items.');
+            // First, attempt to fetch resource templates to have proper names and order
+            let resourceTemplates = [];
+            state.updateState('resourceTemplates', resourceTemplates, false);
+            try {
+                const baseUrl = apiUrl.split('/api/')[0];
+                const templatesUrl = `${baseUrl}/api/resource_templates`;
+                const templatesResult = await fetchWithCorsProxy(templatesUrl, { apiKey: getOmekaApiKey(templatesUrl) });
+                if (templatesResult.success && Array.isArray(templatesResult.data)) {
+                    resourceTemplates = templatesResult.data;
+                    state.updateState('resourceTemplates', resourceTemplates, false);
+                    console.log(`Successfully fetched ${resourceTemplates.length} resource templates`);
                 }
-                
-                // Process the successful data
-                processSuccessfulData(data, result.method, {
-                    proxyUsed: result.proxyUsed || null,
-                    fetchedPages: result.fetchedPages || 1,
-                    fetchedAllPages: shouldFetchAllPages,
-                    itemCount: result.itemCount || normalizeItems(data).length
-                });
-                
-            } catch (error) {
-                console.error('Error fetching data:', error);
-                
-                // Display comprehensive error information with solutions
-                if (dataStatus) {
+            } catch (templateError) {
+                console.warn('Could not fetch resource templates, falling back to basic naming:', templateError);
+            }
+            
+            const harvestedAt = new Date().toISOString();
+            apiUrlInput.value = ensureDefaultPagination(apiUrl);
+            const shouldFetchAllPages =
+                hasScopedCollectionFilters(apiUrlInput.value) &&
+                supportsPagedItemFetching(apiUrlInput.value);
+
+            const result = shouldFetchAllPages
+                ? await fetchAllMatchingItems(apiUrlInput.value, checkpoint)
+                : await fetchWithCorsProxy(apiUrlInput.value, { apiKey: getOmekaApiKey(apiUrlInput.value) });
+            const data = result.data;
+
+            // Validate JSON structure
+            if (!isValidOmekaResponse(data)) {
+                throw new Error('Invalid Omeka S API response format. Expected an array or object with items.');
+            }
+            
+            // Process the successful data
+            processSuccessfulData(data, result.method, {
+                proxyUsed: result.proxyUsed || null,
+                fetchedPages: result.fetchedPages || 1,
+                fetchedAllPages: shouldFetchAllPages,
+                itemCount: result.itemCount || normalizeItems(data).length,
+                authenticated: hasOmekaApiKey(apiUrlInput.value),
+                // Only a complete scoped fetch can be topped up with later changes
+                lastHarvest: shouldFetchAllPages
+                    ? buildLastHarvestRecord(apiUrlInput.value, normalizeItems(data), harvestedAt)
+                    : null
+            });
+            
+        } catch (error) {
+            console.error('Error fetching data:', error);
+            
+            // Display comprehensive error information with solutions
+            if (dataStatus) {
+                if (error instanceof PagedFetchInterruptedError) {
+                    displayInterruptedFetch(error);
+                } else {
                     displayCorsError(error, apiUrl);
                 }
-                
-                // Clear any partial data
-                state.updateState('allFetchedData', null, false);
-                state.updateState('resourceTemplates', [], false);
-                state.updateState('selectedTemplates', [], false);
-                state.updateState('fetchedData', null);
-                state.updateState('selectedExample', null);
-                if (viewRawJsonBtn) viewRawJsonBtn.style.display = 'none';
-                if (proceedToMappingBtn) proceedToMappingBtn.disabled = true;
-                
-            } finally {
-                // Hide loading indicator
-                if (loadingIndicator) loadingIndicator.style.display = 'none';
             }
+            
+            // Clear any partial data
+            state.updateState('allFetchedData', null, false);
+            state.updateState('resourceTemplates', [], false);
+            state.updateState('selectedTemplates', [], false);
+            state.updateState('fetchedData', null);
+            state.updateState('selectedExample', null);
+            if (viewRawJsonBtn) viewRawJsonBtn.style.display = 'none';
+            if (proceedToMappingBtn) proceedToMappingBtn.disabled = true;
+            
+        } finally {
+            // Hide loading indicator
+            if (loadingIndicator) loadingIndicator.style.display = 'none';
+            if (fetchDataBtn) fetchDataBtn.disabled = false;
+            updateResumeFetchControls();
+        }
+    }
+
+    function displayInterruptedFetch(error) {
+        const summary = summarizePagedFetchCheckpoint(error.checkpoint);
+        const pagesText = summary.totalPages ? `${summary.pages} of ${summary.totalPages}` : String(summary.pages);
+
+        dataStatus.innerHTML = '';
+        dataStatus.appendChild(createElement('div', { className: 'fetch-interrupted' }, [
+            createElement('p', {}, createElement('strong', {}, error.message)),
+            createElement('p', {}, `${summary.items} items from ${pagesText} pages are kept. Use "Resume Fetch" to continue without fetching them again.`)
+        ]));
+    }
+
+    // Fetch data from API
+    if (fetchDataBtn) {
+        fetchDataBtn.addEventListener('click', () => fetchDataFromApi());
+    }
+
+    if (resumeFetchBtn) {
+        resumeFetchBtn.addEventListener('click', () => fetchDataFromApi({ resume: true }));
+    }
+
+    if (cancelFetchBtn) {
+        cancelFetchBtn.addEventListener('click', () => {
+            cancelFetchBtn.disabled = true;
+            activeFetchController?.abort();
         });
     }
     
@@ -647,6 +1386,8 @@ export function setupInputStep(state) {
     // Helper functions for manual JSON input
     function showManualJsonInput() {
         if (manualJsonArea) {
+            spreadsheetImport.hide();
+            oaiPmhHarvest.hide();
             manualJsonArea.style.display = 'block';
             manualJsonTextarea.focus();
             
@@ -662,23 +1403,82 @@ export function setupInputStep(state) {
     }
     
     function hideManualJsonInput() {
-        if (manualJsonArea) {
+        if (manualJsonArea && manualJsonArea.style.display !== 'none') {
             manualJsonArea.style.display = 'none';
             manualJsonTextarea.value = '';
-            
-            // Restore data status if there was previous data
-            const currentState = state.getState();
-            if (currentState.fetchedData) {
-                displayData(currentState.allFetchedData || currentState.fetchedData, 'restored');
-                if (viewRawJsonBtn) viewRawJsonBtn.style.display = 'inline-block';
-            } else {
-                if (dataStatus) {
-                    dataStatus.innerHTML = '<p class="placeholder">Data status will appear here after fetching</p>';
-                }
+            restoreDataStatus();
+        }
+    }
+
+    // Restore data status if there was previous data
+    function restoreDataStatus() {
+        const currentState = state.getState();
+        if (currentState.fetchedData) {
+            displayData(currentState.allFetchedData || currentState.fetchedData, 'restored');
+            if (viewRawJsonBtn && currentState.apiUrl) viewRawJsonBtn.style.display = 'inline-block';
+        } else {
+            if (dataStatus) {
+                dataStatus.innerHTML = '<p class="placeholder">Data status will appear here after fetching</p>';
             }
         }
     }
     
+    // Spreadsheet import panel
+    const spreadsheetImport = setupSpreadsheetImport({
+        onShow: () => {
+            hideManualJsonInput();
+            oaiPmhHarvest.hide();
+            if (dataStatus) {
+                dataStatus.innerHTML = '<p class="placeholder">Choose or paste a spreadsheet above, check the columns and click "Import Spreadsheet"</p>';
+            }
+            if (viewRawJsonBtn) viewRawJsonBtn.style.display = 'none';
+            if (proceedToMappingBtn) proceedToMappingBtn.disabled = true;
+        },
+        onHide: ({ imported }) => {
+            if (!imported) {
+                restoreDataStatus();
+            }
+        },
+        onImport: (items, { fileName }) => {
+            if (!confirmProjectReplacement('')) {
+                return false;
+            }
+
+            // Spreadsheet rows have no Omeka S endpoint or resource templates behind them
+            state.updateState('apiUrl', '', false);
+            state.updateState('resourceTemplates', [], false);
+            processSuccessfulData(items, 'spreadsheet', { fileName });
+            if (viewRawJsonBtn) viewRawJsonBtn.style.display = 'none';
+            return true;
+        }
+    });
+
+    // OAI-PMH harvesting panel
+    const oaiPmhHarvest = setupOaiPmhHarvest({
+        onShow: () => {
+            hideManualJsonInput();
+            spreadsheetImport.hide();
+            if (dataStatus) {
+                dataStatus.innerHTML = '<p class="placeholder">Enter an OAI-PMH base URL above and click "Harvest Records"</p>';
+            }
+            if (viewRawJsonBtn) viewRawJsonBtn.style.display = 'none';
+            if (proceedToMappingBtn) proceedToMappingBtn.disabled = true;
+        },
+        onHide: ({ imported }) => {
+            if (!imported) {
+                restoreDataStatus();
+            }
+        },
+        onBeforeHarvest: () => confirmProjectReplacement(''),
+        onImport: (items, details) => {
+            // Harvested records have no Omeka S endpoint or resource templates behind them
+            state.updateState('apiUrl', '', false);
+            state.updateState('resourceTemplates', [], false);
+            processSuccessfulData(items, 'oai-pmh', details);
+            if (viewRawJsonBtn) viewRawJsonBtn.style.display = 'none';
+        }
+    });
+
     function processManualJsonInput() {
         const jsonText = manualJsonTextarea.value.trim();
         const preservedApiUrl = apiUrlInput?.value.trim() || '';
@@ -911,7 +1711,7 @@ export function setupInputStep(state) {
      * to make the data available for the mapping step.
      * 
      * @param {Object|Array} data - Validated Omeka S data structure
-     * @param {string} method - How data was acquired ('direct', 'proxy', 'manual')
+     * @param {string} method - How data was acquired ('direct', 'proxy', 'manual', 'spreadsheet', 'oai-pmh')
      * 
      * @description
      * Processing steps:
@@ -927,6 +1727,8 @@ export function setupInputStep(state) {
      */
     function processSuccessfulData(data, method = 'direct', details = {}) {
         // Preserve the original dataset while the active working dataset may be filtered by template
+        state.updateState('lastHarvest', details.lastHarvest || null, false);
+        state.updateState('dataSources', [], false);
         state.updateState('selectedTemplates', [], false);
         state.updateState('allFetchedData', data, false);
         state.updateState('fetchedData', data, false);
@@ -939,6 +1741,9 @@ export function setupInputStep(state) {
         if (viewRawJsonBtn) viewRawJsonBtn.style.display = 'inline-block';
 
         // Note: proceed button will be enabled/disabled by template selection UI
+        updateIncrementalHarvestControls();
+        updateDataSourcesPanel();
+        updateItemFilterPanel();
     }
 
     // Helper function to display data
@@ -961,12 +1766,24 @@ export function setupInputStep(state) {
         let methodMessage = '';
         if (method === 'manual') {
             methodMessage = 'Data processed from manual input';
+        } else if (method === 'spreadsheet') {
+            methodMessage = details.fileName
+                ? `Data imported from spreadsheet ${details.fileName}`
+                : 'Data imported from spreadsheet';
+        } else if (method === 'oai-pmh') {
+            methodMessage = details.baseUrl
+                ? `Data harvested from OAI-PMH repository ${details.baseUrl}`
+                : 'Data harvested from OAI-PMH repository';
         } else if (method === 'direct') {
             methodMessage = 'Data loaded successfully via direct connection';
         } else if (method === 'proxy') {
             methodMessage = 'Data loaded successfully via CORS proxy';
         } else if (method === 'restored') {
             methodMessage = 'Data restored from previous session';
+        } else if (method === 'sources') {
+            methodMessage = 'Data combined from the project sources';
+        } else if (method === 'filtered') {
+            methodMessage = 'Item filter updated';
         }
 
         const templateStats = new Map();
@@ -1018,12 +1835,65 @@ export function setupInputStep(state) {
             ])
         );
 
+        const dataSources = currentState.dataSources || [];
+        if (dataSources.length > 1) {
+            const sourceCounts = countItemsBySource(itemsArray);
+            summaryContainer.appendChild(
+                createElement('p', {}, `Items from ${dataSources.length} sources: ${dataSources
+                    .map(source => `${source.name} (${sourceCounts.get(source.id) || 0})`)
+                    .join(', ')}`)
+            );
+        }
+
         if (method === 'proxy' && details.proxyUsed) {
             summaryContainer.appendChild(
                 createElement('p', { className: 'proxy-success-message' }, `Proxy used: ${details.proxyUsed}`)
             );
         }
 
+        if (details.authenticated) {
+            summaryContainer.appendChild(
+                createElement('p', { className: 'hint' }, [
+                    createElement('em', {}, method === 'proxy'
+                        ? `Requests were authenticated with your API key, sent only through ${details.proxyUsed ? `"${details.proxyUsed}", ` : ''}a custom proxy you marked as trusted with API keys.`
+                        : 'Requests were authenticated with your API key.')
+                ])
+            );
+        }
+
+        if (details.incremental) {
+            const { updatedCount, addedCount, pages } = details.incremental;
+            const changeSummary = updatedCount === 0 && addedCount === 0
+                ? 'No items were created or modified since the last harvest.'
+                : `${updatedCount} changed item${updatedCount === 1 ? '' : 's'} updated and ${addedCount} new item${addedCount === 1 ? '' : 's'} added (${pages} page request${pages === 1 ? '' : 's'}). Existing mappings and reconciliation decisions were kept; only changed values need reconciling again.`;
+
+            summaryContainer.appendChild(
+                createElement('p', { className: 'hint' }, [
+                    createElement('em', {}, `${changeSummary} Items deleted in Omeka S are only removed by a full fetch.`)
+                ])
+            );
+        }
+
+        if (method === 'oai-pmh') {
+            const scope = [
+                details.set ? `set ${details.set}` : 'all records',
+                details.from ? `from ${details.from}` : '',
+                details.until ? `until ${details.until}` : ''
+            ].filter(Boolean).join(', ');
+            const deletedNote = details.deletedCount > 0
+                ? ` ${details.deletedCount} deleted record${details.deletedCount === 1 ? ' was' : 's were'} skipped.`
+                : '';
+            const truncatedNote = details.truncated
+                ? ' The harvest stopped at the page limit; narrow the set or date window to get the remaining records.'
+                : '';
+
+            summaryContainer.appendChild(
+                createElement('p', { className: 'hint' }, [
+                    createElement('em', {}, `Harvested ${itemCount} oai_dc record${itemCount === 1 ? '' : 's'} (${scope}) across ${details.pages} page${details.pages === 1 ? '' : 's'}.${deletedNote}${truncatedNote}`)
+                ])
+            );
+        }
+
         if (details.fetchedAllPages) {
             const pageSummary = details.fetchedPages > 1
                 ? `Fetched ${details.itemCount} matching items across ${details.fetchedPages} pages for the selected scope.`
@@ -1036,6 +1906,25 @@ export function setupInputStep(state) {
             );
         }
 
+        const privateItemCount = countPrivateItems(itemsArray);
+        if (privateItemCount > 0) {
+            summaryContainer.appendChild(
+                createElement('p', { className: 'private-items-notice' }, [
+                    createElement('strong', {}, `🔒 ${privateItemCount} private item${privateItemCount === 1 ? '' : 's'} loaded.`),
+                    ' These items are not publicly visible in Omeka S. Check that their data may be published before exporting to Wikidata.'
+                ])
+            );
+        }
+
+        const linkedReferences = collectLinkedResourceReferences(itemsArray);
+        if (linkedReferences.size > 0) {
+            summaryContainer.appendChild(createLinkedResourcesSection(
+                linkedReferences,
+                details.hydration,
+                hasHydratedLinkedResources(itemsArray)
+            ));
+        }
+
         const summaryList = createElement('ul');
         summaryList.appendChild(createElement('li', {}, `Items found: ${itemCount}`));
         summaryList.appendChild(createElement('li', {}, `Properties per item: ${propertyCount}`));
@@ -1101,7 +1990,7 @@ export function setupInputStep(state) {
             );
             summaryContainer.appendChild(templateSection);
 
-            const recompute = () => {
+            const recompute = ({ preserveWorkflow = false } = {}) => {
                 const selectedIds = checkboxes
                     .filter(checkbox => checkbox.checked)
                     .map(checkbox => checkbox.dataset.templateId);
@@ -1122,7 +2011,11 @@ export function setupInputStep(state) {
                     return selectedIds.includes(templateId);
                 });
                 const filteredData = wrapItemsLikeOriginalData(data, filteredItems);
-                updateActiveInputData(filteredData);
+                if (preserveWorkflow) {
+                    setActiveInputData(filteredData);
+                } else {
+                    updateActiveInputData(filteredData);
+                }
                 state.completeStep(1);
 
                 if (proceedToMappingBtn) {
@@ -1130,7 +2023,7 @@ export function setupInputStep(state) {
                 }
             };
 
-            checkboxes.forEach(checkbox => checkbox.addEventListener('change', recompute));
+            checkboxes.forEach(checkbox => checkbox.addEventListener('change', () => recompute()));
             selectAllButton.addEventListener('click', () => {
                 checkboxes.forEach(checkbox => {
                     checkbox.checked = true;
@@ -1145,10 +2038,10 @@ export function setupInputStep(state) {
             });
 
             if (selectedTemplateIds.size > 0) {
-                recompute();
+                recompute({ preserveWorkflow: Boolean(details.preserveWorkflow) });
             } else if (templateEntries.length === 1 && checkboxes[0]) {
                 checkboxes[0].checked = true;
-                recompute();
+                recompute({ preserveWorkflow: Boolean(details.preserveWorkflow) });
             } else if (proceedToMappingBtn) {
                 proceedToMappingBtn.disabled = true;
             }
@@ -1158,13 +2051,29 @@ export function setupInputStep(state) {
                     createElement('em', {}, 'No resource template metadata detected. All items will be used.')
                 ])
             );
-            updateActiveInputData(data, false);
+            if (details.preserveWorkflow) {
+                setActiveInputData(data);
+            } else {
+                updateActiveInputData(data, false);
+            }
             state.completeStep(1);
             if (proceedToMappingBtn) {
                 proceedToMappingBtn.disabled = false;
             }
         }
 
+        const activeState = state.getState();
+        if (isItemFilterActive(activeState.itemFilter)) {
+            const activeItemCount = normalizeItems(activeState.fetchedData).length;
+            summaryContainer.appendChild(
+                createElement('p', { className: 'item-filter-notice' },
+                    `Item filter active: ${activeItemCount} item${activeItemCount === 1 ? '' : 's'} will be used for mapping, reconciliation and export.`)
+            );
+            if (activeItemCount === 0 && proceedToMappingBtn) {
+                proceedToMappingBtn.disabled = true;
+            }
+        }
+
         summaryContainer.appendChild(
             createElement('p', {}, [
                 createElement('em', {}, 'Click "Continue to Mapping" to proceed, or "View Raw JSON" to see the full structure.')
@@ -1226,8 +2135,14 @@ export function setupInputStep(state) {
         if (apiUrlInput && currentState.apiUrl) {
             apiUrlInput.value = currentState.apiUrl;
             syncApiParameterControls(currentState.apiUrl);
+            switchApiKeyInputsTo(currentState.apiUrl);
         }
         
+        updateIncrementalHarvestControls();
+        updateResumeFetchControls();
+        updateDataSourcesPanel();
+        updateItemFilterPanel();
+
         // Update data status if there's fetched data
         if (currentState.fetchedData) {
             displayData(currentState.fetchedData);
@@ -1262,9 +2177,15 @@ export function setupInputStep(state) {
     eventSystem.subscribe(eventSystem.Events.STATE_CHANGED, (data) => {
         if (data.restored) {
             // When state is restored, update the UI
+            syncCorsProxySettings();
             updateUIFromState();
         }
     });
+
+    // A new project keeps this browser's proxy settings
+    eventSystem.subscribe(eventSystem.Events.STATE_RESET, () => {
+        syncCorsProxySettings();
+    });
     
     // Listen for step changes to update UI when navigating to step 1
     eventSystem.subscribe(eventSystem.Events.STEP_CHANGED, (data) => {
@@ -1275,5 +2196,6 @@ export function setupInputStep(state) {
     });
     
     // Initialize UI from current state on setup
+    syncCorsProxySettings();
     updateUIFromState();
 }
@@ -77,8 +77,17 @@ import {
     createMappingModalContent,
     openRawJsonModal 
 } from '../mapping/ui/property-modals.js';
+import { buildDatasetProfile, downloadDatasetProfile } from '../mapping/core/dataset-profile.js';
+import { setupAutoMappingPanel } from '../mapping/ui/auto-mapping-ui.js';
+import { MAPPING_FILE_VERSION, MappingFileError, readMappingFile } from '../mapping/core/mapping-file-format.js';
+import { openMappingFileErrorModal } from '../mapping/ui/modals/mapping-file-error-modal.js';
+import { setupMappingTemplateLibrary } from '../mapping/ui/mapping-template-library-ui.js';
+import { setupTermLanguagePanel } from '../mapping/ui/term-language-ui.js';
+import { setupTermTemplatePanel } from '../mapping/ui/term-template-ui.js';
+import { setupClassInstanceTablePanel } from '../mapping/ui/class-instance-table-ui.js';
 import { initializeEntitySchemaSelector } from '../entity-schemas/entity-schema-selector.js';
 import { initializeSchemaOverview } from '../entity-schemas/entity-schema-overview.js';
+import { setupEntitySchemaAssignmentPanel } from '../entity-schemas/entity-schema-assignments.js';
 
 /**
  * Initializes the mapping step interface and sets up all event handlers
@@ -146,6 +155,14 @@ export function setupMappingStep(state) {
         const overview = initializeSchemaOverview(state);
         overviewContainer.appendChild(overview);
     }
+
+    // Initialize the mapping template library and first-pass mapping proposals
+    setupMappingTemplateLibrary(state);
+    setupAutoMappingPanel(state);
+    setupTermLanguagePanel(state);
+    setupTermTemplatePanel(state);
+    setupClassInstanceTablePanel(state);
+    setupEntitySchemaAssignmentPanel(state);
     
     // Listen for step changes via event system
     eventSystem.subscribe(eventSystem.Events.STEP_CHANGED, (data) => {
@@ -188,17 +205,27 @@ export function setupMappingStep(state) {
             
             try {
                 const text = await file.text();
-                const mappingData = JSON.parse(text);
+                const { data: mappingData, fromVersion, applied } = readMappingFile(text);
                 
                 await loadMappingFromData(mappingData, state);
-                showMessage('Mapping loaded successfully', 'success', 3000);
-                
-                // Reset the file input
-                event.target.value = '';
+                showMessage(
+                    applied.length > 0
+                        ? `Mapping loaded and upgraded from format ${fromVersion} to ${MAPPING_FILE_VERSION}`
+                        : 'Mapping loaded successfully',
+                    'success',
+                    applied.length > 0 ? 5000 : 3000
+                );
                 
             } catch (error) {
                 console.error('Error loading mapping file:', error);
-                showMessage('Error loading mapping file: ' + error.message, 'error', 5000);
+                if (error instanceof MappingFileError && error.errors.length > 0) {
+                    openMappingFileErrorModal(file.name, error);
+                } else {
+                    showMessage('Error loading mapping file: ' + error.message, 'error', 5000);
+                }
+            } finally {
+                // Reset the file input so the same file can be loaded again after fixing it
+                event.target.value = '';
             }
         });
     }
@@ -211,6 +238,24 @@ export function setupMappingStep(state) {
             showMessage('Mapping file downloaded', 'success', 3000);
         });
     }
+
+    // Field profile report of the loaded dataset
+    const downloadFieldProfile = (format) => {
+        const fetchedData = state.getState().fetchedData;
+        const items = Array.isArray(fetchedData)
+            ? fetchedData
+            : (fetchedData?.items || (fetchedData ? [fetchedData] : []));
+
+        if (items.length === 0) {
+            showMessage('No data loaded. Please fetch data in the input step first.', 'warning', 3000);
+            return;
+        }
+
+        downloadDatasetProfile(buildDatasetProfile(items), format);
+        showMessage('Field profile downloaded', 'success', 3000);
+    };
+    document.getElementById('download-field-profile')?.addEventListener('click', () => downloadFieldProfile('csv'));
+    document.getElementById('download-field-profile-json')?.addEventListener('click', () => downloadFieldProfile('json'));
     
     // Add Wikidata property functionality
     const addWikidataPropertyBtn = document.getElementById('add-wikidata-property');
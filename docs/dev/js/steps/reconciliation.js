@@ -36,6 +36,7 @@ import {
     // Core data processing
     calculateTotalReconciliableCells,
     extractPropertyValues,
+    extractPropertyValueDetails,
     combineAndSortProperties,
     createMockDataLoader,
     createOriginalKeyInfoGetter,
@@ -66,6 +67,7 @@ import {
     // Batch processing
     createBatchAutoAcceptanceProcessor,
     createColumnReconciliationProcessor,
+    createTermColumnAcceptor,
     createNextUnprocessedCellReconciler,
     createAutoAdvanceSettingGetter,
     createAutoAdvanceToggleSetup,
@@ -234,7 +236,7 @@ export function setupReconciliationStep(state) {
         
         // Batch processing functions
         const performBatchAutoAcceptance = createBatchAutoAcceptanceProcessor({
-            extractPropertyValues,
+            extractPropertyValueDetails,
             markCellAsReconciled: cellMarkers.markCellAsReconciled,
             storeAllMatches,
             storeEmptyMatches,
@@ -259,6 +261,13 @@ export function setupReconciliationStep(state) {
             state
         });
         
+        const acceptTermColumn = createTermColumnAcceptor({
+            markCellAsReconciled: cellMarkers.markCellAsReconciled,
+            updateProceedButton,
+            reconciliationData,
+            state
+        });
+        
         const reconcileNextUnprocessedCell = createNextUnprocessedCellReconciler({
             calculateCurrentProgress,
             state,
@@ -294,6 +303,7 @@ export function setupReconciliationStep(state) {
             restoreReconciliationDisplay,
             openReconciliationModal,
             reconcileColumn,
+            acceptTermColumn,
             state
         });
         
@@ -70,7 +70,8 @@ function handleStep4Entry(state, container) {
 
     // Detect references from the fetched data
     const detectionResults = detectReferences(currentState.fetchedData, {
-        apiUrl: currentState.apiUrl
+        apiUrl: currentState.apiUrl,
+        sources: currentState.dataSources
     });
 
     // Store results in state
@@ -4,6 +4,8 @@
  * @module transformations
  */
 
+import { DATE_LANGUAGES, parseNaturalDate } from './utils/date-parser.js';
+
 /**
  * Block type definitions
  */
@@ -12,7 +14,8 @@ export const BLOCK_TYPES = {
     SUFFIX: 'suffix', 
     FIND_REPLACE: 'findReplace',
     COMPOSE: 'compose',
-    REGEX: 'regex'
+    REGEX: 'regex',
+    DATE: 'date'
 };
 
 /**
@@ -63,6 +66,14 @@ export const BLOCK_METADATA = {
             replacement: '',
             flags: 'g'
         }
+    },
+    [BLOCK_TYPES.DATE]: {
+        name: 'Parse Date',
+        description: 'Read dates written in words, such as "15 maart 1743" or "ca. 1650", as a date Wikidata accepts',
+        icon: '📅',
+        defaultConfig: {
+            languages: Object.keys(DATE_LANGUAGES)
+        }
     }
 };
 
@@ -70,7 +81,7 @@ export const BLOCK_METADATA = {
  * Applies a single transformation block to a value
  * @param {string} value - The input value
  * @param {Object} block - The transformation block
- * @returns {string} The transformed value
+ * @returns {string|Object} The transformed value; a date block returns a structured date, see applyDateTransformation
  */
 export function applyTransformation(value, block) {
     // Allow empty strings through, but protect against null/undefined
@@ -95,6 +106,9 @@ export function applyTransformation(value, block) {
             case BLOCK_TYPES.REGEX:
                 return applyRegexTransformation(value, block.config);
                 
+            case BLOCK_TYPES.DATE:
+                return applyDateTransformation(value, block.config);
+                
             default:
                 console.warn(`Unknown transformation type: ${block.type}`);
                 return value;
@@ -165,6 +179,7 @@ export function applyTransformation(value, block) {
  * @returns {Array<Object>} Array of transformation steps with progression
  * @returns {string} returns[].value - Value after applying transformations up to this step
  * @returns {string|null} returns[].blockId - ID of block that produced this value, null for initial
+ * @returns {Object} [returns[].date] - Structured date from a date block, kept while later blocks leave its text unchanged
  * 
  * @example
  * // Basic transformation chain
@@ -205,10 +220,20 @@ export function applyTransformationChain(initialValue, blocks) {
     
     const results = [{ value: initialValue, blockId: null }];
     let currentValue = initialValue;
+    let date = null;
     
     for (const block of sortedBlocks) {
-        currentValue = applyTransformation(currentValue, block);
-        results.push({ value: currentValue, blockId: block.id });
+        const output = applyTransformation(currentValue, block);
+        if (output && typeof output === 'object') {
+            // A structured date from the date block; later blocks work on its text
+            date = output;
+            currentValue = output.displayValue;
+        } else {
+            // A block that changes the text leaves the parsed date behind
+            if (output !== currentValue) date = null;
+            currentValue = output;
+        }
+        results.push(date ? { value: currentValue, blockId: block.id, date } : { value: currentValue, blockId: block.id });
     }
     
     return results;
@@ -316,6 +341,38 @@ function applyRegexTransformation(value, config) {
     }
 }
 
+/**
+ * Apply date transformation
+ * Parses the date once into a structured date: the standardized time, its
+ * precision and the qualifiers that say how it is known (approximate,
+ * uncertain, earliest and latest year). Reconciliation accepts it as it is
+ * and the export writes the qualifiers as P1480, P1319 and P1326. The
+ * display value ('circa 1650', 'second half of the 17th century') is what
+ * previews and later blocks see. Values that are not a recognized date pass
+ * unchanged.
+ * @param {string} value - Input value
+ * @param {Object} config - Configuration {languages}
+ * @returns {{time: string, precision: string, qualifiers: {approximate: boolean, uncertain: boolean, earliest: string|null, latest: string|null}, displayValue: string}|string} Structured date, or the value unchanged
+ */
+function applyDateTransformation(value, config) {
+    const { languages = Object.keys(DATE_LANGUAGES) } = config;
+    const parsed = parseNaturalDate(value, { languages });
+    if (!parsed) {
+        return value;
+    }
+    return {
+        time: parsed.date,
+        precision: parsed.precision,
+        qualifiers: {
+            approximate: parsed.approximate,
+            uncertain: parsed.uncertain,
+            earliest: parsed.earliest || null,
+            latest: parsed.latest || null
+        },
+        displayValue: parsed.displayValue
+    };
+}
+
 /**
  * Get value from object by dot-notation path
  * @param {Object} obj - Source object
@@ -450,6 +507,14 @@ export function validateTransformationBlock(block) {
                 errors.push('Invalid regex pattern');
             }
             break;
+            
+        case BLOCK_TYPES.DATE:
+            if (!Array.isArray(block.config.languages) || block.config.languages.length === 0) {
+                errors.push('At least one date language is required');
+            } else if (block.config.languages.some(language => !DATE_LANGUAGES[language])) {
+                errors.push('Unknown date language');
+            }
+            break;
     }
     
     return { isValid: errors.length === 0, errors };
@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { BLOCK_TYPES, applyTransformationChain, createTransformationBlock } from './transformations.js';
+
+const block = (type, config, order) => ({ id: `${type}-${order}`, order, ...createTransformationBlock(type, config) });
+
+test('the date block hands on a structured date with its qualifiers', () => {
+    const steps = applyTransformationChain('ca. 1650', [block(BLOCK_TYPES.DATE, {}, 1)]);
+    const last = steps[steps.length - 1];
+    assert.equal(last.value, 'circa 1650');
+    assert.deepEqual(last.date, {
+        time: '1650-01-01',
+        precision: 'year',
+        qualifiers: { approximate: true, uncertain: false, earliest: null, latest: null },
+        displayValue: 'circa 1650'
+    });
+});
+
+test('centuries keep their first and last year', () => {
+    const [, step] = applyTransformationChain('tweede helft 17e eeuw', [block(BLOCK_TYPES.DATE, {}, 1)]);
+    assert.equal(step.date.precision, 'century');
+    assert.deepEqual([step.date.qualifiers.earliest, step.date.qualifiers.latest], ['1651', '1700']);
+});
+
+test('values that are not dates pass unchanged without a date', () => {
+    const [, step] = applyTransformationChain('unknown', [block(BLOCK_TYPES.DATE, {}, 1)]);
+    assert.equal(step.value, 'unknown');
+    assert.equal(step.date, undefined);
+});
+
+test('a block that changes the date text drops the parsed date', () => {
+    const kept = applyTransformationChain('1650', [block(BLOCK_TYPES.DATE, {}, 1), block(BLOCK_TYPES.SUFFIX, { text: '' }, 2)]);
+    assert.equal(kept[kept.length - 1].date.time, '1650-01-01');
+
+    const changed = applyTransformationChain('1650', [block(BLOCK_TYPES.DATE, {}, 1), block(BLOCK_TYPES.SUFFIX, { text: ' (print)' }, 2)]);
+    assert.equal(changed[changed.length - 1].value, '1650 (print)');
+    assert.equal(changed[changed.length - 1].date, undefined);
+});
+
+test('text blocks before the date block shape what is parsed', () => {
+    const steps = applyTransformationChain('Printed 1743', [
+        block(BLOCK_TYPES.FIND_REPLACE, { find: 'Printed ', replace: '' }, 1),
+        block(BLOCK_TYPES.DATE, {}, 2)
+    ]);
+    assert.equal(steps[steps.length - 1].date.time, '1743-01-01');
+});
@@ -0,0 +1,347 @@
+/**
+ * CORS proxy registry
+ * Holds the built-in proxy services plus user-registered proxies, and the
+ * order and enabled state the user chose for them. Settings are kept in
+ * localStorage so they apply to every project in this browser; settings that
+ * come with a project are only used for the current tab once the user agrees.
+ * @module utils/cors-proxy-registry
+ */
+
+const STORAGE_KEY = 'cors_proxy_settings';
+
+/**
+ * How a proxy wraps the upstream response
+ */
+export const PROXY_RESPONSE_MODES = {
+    RAW: 'raw',
+    ALLORIGINS: 'allorigins',
+    JSON_FIELD: 'json-field'
+};
+
+function decodeDataUrl(contents) {
+    const base64Part = contents.split(',')[1] || '';
+    return new TextDecoder().decode(Uint8Array.from(atob(base64Part), character => character.charCodeAt(0)));
+}
+
+function parseAllOriginsText(response) {
+    // AllOrigins wraps all content in a {contents, status} envelope
+    const contents = response?.contents;
+    if (typeof contents !== 'string') {
+        throw new Error('AllOrigins returned unexpected response format');
+    }
+    return contents.startsWith('data:') ? decodeDataUrl(contents) : contents;
+}
+
+function parseAllOriginsJson(response) {
+    if (response && typeof response === 'object' && response.contents && typeof response.contents === 'object') {
+        return response.contents;
+    }
+
+    const contents = parseAllOriginsText(response);
+    try {
+        return JSON.parse(contents);
+    } catch (parseError) {
+        console.error('AllOrigins content parsing failed:', parseError);
+        throw new Error(`AllOrigins returned invalid JSON: ${parseError.message}`);
+    }
+}
+
+/**
+ * Built-in proxy services, ordered by browser-level verification against the
+ * Radboud sample API
+ */
+export const BUILT_IN_CORS_PROXIES = [
+    {
+        id: 'corsproxy-io',
+        name: 'CORSPROXY',
+        transform: (url) => `https://corsproxy.io/?url=${encodeURIComponent(url)}`,
+        parseResponse: (response) => response,
+        headers: {}
+    },
+    {
+        id: 'codetabs',
+        name: 'CodeTabs Proxy',
+        transform: (url) => `https://api.codetabs.com/v1/proxy/?quest=${encodeURIComponent(url)}`,
+        parseResponse: (response) => response,
+        headers: {}
+    },
+    {
+        id: 'corsfix',
+        name: 'Corsfix',
+        transform: (url) => `https://proxy.corsfix.com/?${url}`,
+        parseResponse: (response) => response,
+        headers: {}
+    },
+    {
+        id: 'cors-lol',
+        name: 'Community CORS Proxy (CORS.lol)',
+        transform: (url) => `https://api.cors.lol/?url=${encodeURIComponent(url)}`,
+        parseResponse: (response) => response,
+        headers: {}
+    },
+    {
+        id: 'allorigins',
+        name: 'AllOrigins',
+        transform: (url) => `https://api.allorigins.win/get?url=${encodeURIComponent(url)}`,
+        parseTextResponse: parseAllOriginsText,
+        parseResponse: parseAllOriginsJson,
+        headers: {}
+    }
+];
+
+function getDefaultSettings() {
+    return {
+        order: BUILT_IN_CORS_PROXIES.map(proxy => proxy.id),
+        disabled: [],
+        customProxies: []
+    };
+}
+
+let settings = loadSettings();
+
+/**
+ * True while settings suggested by a project are in use; they are never saved
+ */
+let usingProjectSettings = false;
+
+function loadSettings() {
+    try {
+        const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(STORAGE_KEY) : null;
+        return stored ? normalizeCorsProxySettings(JSON.parse(stored)) : getDefaultSettings();
+    } catch (error) {
+        console.warn('Could not load CORS proxy settings, using defaults:', error);
+        return getDefaultSettings();
+    }
+}
+
+function saveSettings() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.warn('Could not save CORS proxy settings:', error);
+    }
+}
+
+/**
+ * Checks a custom proxy entry
+ * @param {Object} entry - Custom proxy fields
+ * @returns {string|null} Error message, or null when the entry is usable
+ */
+export function validateCustomCorsProxy(entry) {
+    if (!entry?.name?.trim()) {
+        return 'Give the proxy a name.';
+    }
+
+    const template = entry.urlTemplate?.trim() || '';
+    if (!template.includes('{url}') && !template.includes('{rawUrl}')) {
+        return 'The URL template must contain {url} (encoded) or {rawUrl} (as is).';
+    }
+
+    try {
+        const parsed = new URL(template.replace('{url}', 'x').replace('{rawUrl}', 'x'));
+        if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+            return 'The URL template must start with http:// or https://.';
+        }
+    } catch {
+        return 'The URL template is not a valid URL.';
+    }
+
+    if (entry.responseMode === PROXY_RESPONSE_MODES.JSON_FIELD && !entry.responseField?.trim()) {
+        return 'Enter the JSON field that holds the upstream response.';
+    }
+
+    return null;
+}
+
+/**
+ * Cleans up settings read from storage or a project file
+ * Unknown built-in ids are dropped and new built-ins are appended, so
+ * settings saved by an older version keep working.
+ * @param {Object} rawSettings - Stored settings
+ * @returns {{order: Array<string>, disabled: Array<string>, customProxies: Array<Object>}} Usable settings
+ */
+export function normalizeCorsProxySettings(rawSettings) {
+    const customProxies = (Array.isArray(rawSettings?.customProxies) ? rawSettings.customProxies : [])
+        .filter(entry => entry?.id && validateCustomCorsProxy(entry) === null)
+        .map(entry => ({
+            id: String(entry.id),
+            name: entry.name.trim(),
+            urlTemplate: entry.urlTemplate.trim(),
+            responseMode: Object.values(PROXY_RESPONSE_MODES).includes(entry.responseMode)
+                ? entry.responseMode
+                : PROXY_RESPONSE_MODES.RAW,
+            responseField: entry.responseField?.trim() || '',
+            headers: entry.headers && typeof entry.headers === 'object' ? { ...entry.headers } : {},
+            trustedWithApiKey: entry.trustedWithApiKey === true
+        }));
+
+    const knownIds = new Set([
+        ...BUILT_IN_CORS_PROXIES.map(proxy => proxy.id),
+        ...customProxies.map(entry => entry.id)
+    ]);
+    const order = (Array.isArray(rawSettings?.order) ? rawSettings.order : [])
+        .filter((id, index, ids) => knownIds.has(id) && ids.indexOf(id) === index);
+    knownIds.forEach(id => {
+        if (!order.includes(id)) {
+            order.push(id);
+        }
+    });
+
+    return {
+        order,
+        disabled: (Array.isArray(rawSettings?.disabled) ? rawSettings.disabled : []).filter(id => knownIds.has(id)),
+        customProxies
+    };
+}
+
+/**
+ * Gets a copy of the current proxy settings
+ * @returns {Object} Settings as stored and exported with projects
+ */
+export function getCorsProxySettings() {
+    return JSON.parse(JSON.stringify(settings));
+}
+
+/**
+ * Gets the proxy settings in the form that is shared with project files
+ * Custom proxy headers can hold access tokens and API key trust must be given
+ * in each browser, so both are left out.
+ * @param {Object} [source] - Settings to convert; defaults to the settings in use
+ * @returns {Object} Settings without headers or API key trust
+ */
+export function getShareableCorsProxySettings(source = settings) {
+    const normalized = normalizeCorsProxySettings(source);
+    return {
+        ...normalized,
+        customProxies: normalized.customProxies.map(({ headers, trustedWithApiKey, ...entry }) => entry)
+    };
+}
+
+/**
+ * Replaces the proxy settings
+ * Changes are saved in this browser unless project settings are in use for
+ * this tab, so a project never overwrites the user's own settings.
+ * @param {Object} nextSettings - New settings
+ * @returns {Object} The normalized settings now in use
+ */
+export function setCorsProxySettings(nextSettings) {
+    settings = normalizeCorsProxySettings(nextSettings);
+    if (!usingProjectSettings) {
+        saveSettings();
+    }
+    return getCorsProxySettings();
+}
+
+/**
+ * Uses proxy settings from a project for this tab without saving them
+ * Custom proxies this browser already knows keep their local headers and API
+ * key trust; proxies new to this browser get neither.
+ * @param {Object} projectSettings - Settings exported with a project
+ * @returns {Object} The normalized settings now in use
+ */
+export function useProjectCorsProxySettings(projectSettings) {
+    const browserSettings = usingProjectSettings ? loadSettings() : settings;
+    const localProxies = new Map(browserSettings.customProxies.map(entry => [entry.id, entry]));
+    const shareable = getShareableCorsProxySettings(projectSettings);
+
+    settings = normalizeCorsProxySettings({
+        ...shareable,
+        customProxies: shareable.customProxies.map(entry => localProxies.get(entry.id) || entry)
+    });
+    usingProjectSettings = true;
+    return getCorsProxySettings();
+}
+
+/**
+ * Goes back to the proxy settings saved in this browser
+ * @returns {Object} The normalized settings now in use
+ */
+export function useBrowserCorsProxySettings() {
+    settings = loadSettings();
+    usingProjectSettings = false;
+    return getCorsProxySettings();
+}
+
+/**
+ * Checks whether settings from a project are in use for this tab
+ * @returns {boolean} True when the browser's own settings are set aside
+ */
+export function isUsingProjectCorsProxySettings() {
+    return usingProjectSettings;
+}
+
+function readField(data, path) {
+    return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), data);
+}
+
+/**
+ * Turns a stored custom proxy entry into a proxy service object
+ * @param {Object} entry - Custom proxy entry
+ * @returns {Object} Proxy with transform/parseResponse/parseTextResponse
+ */
+function buildCustomProxy(entry) {
+    const unwrapField = (response) => {
+        const value = readField(response, entry.responseField);
+        if (value === undefined) {
+            throw new Error(`${entry.name} response has no "${entry.responseField}" field`);
+        }
+        return value;
+    };
+
+    const proxy = {
+        id: entry.id,
+        name: entry.name,
+        custom: true,
+        transform: (url) => entry.urlTemplate
+            .replace('{url}', encodeURIComponent(url))
+            .replace('{rawUrl}', url),
+        parseResponse: (response) => response,
+        headers: entry.headers,
+        trustedWithApiKey: entry.trustedWithApiKey
+    };
+
+    if (entry.responseMode === PROXY_RESPONSE_MODES.ALLORIGINS) {
+        proxy.parseResponse = parseAllOriginsJson;
+        proxy.parseTextResponse = parseAllOriginsText;
+    } else if (entry.responseMode === PROXY_RESPONSE_MODES.JSON_FIELD) {
+        proxy.parseResponse = (response) => {
+            const value = unwrapField(response);
+            return typeof value === 'string' ? JSON.parse(value) : value;
+        };
+        proxy.parseTextResponse = (response) => {
+            const value = unwrapField(response);
+            return typeof value === 'string' ? value : JSON.stringify(value);
+        };
+    }
+
+    return proxy;
+}
+
+/**
+ * Lists every registered proxy in the configured order
+ * @returns {Array<{proxy: Object, builtIn: boolean, enabled: boolean}>} Proxies with their status
+ */
+export function listCorsProxies() {
+    const proxiesById = new Map([
+        ...BUILT_IN_CORS_PROXIES.map(proxy => [proxy.id, { proxy, builtIn: true }]),
+        ...settings.customProxies.map(entry => [entry.id, { proxy: buildCustomProxy(entry), builtIn: false, entry }])
+    ]);
+    const disabled = new Set(settings.disabled);
+
+    return settings.order
+        .filter(id => proxiesById.has(id))
+        .map(id => ({ ...proxiesById.get(id), enabled: !disabled.has(id) }));
+}
+
+/**
+ * Gets the enabled proxies in the order they should be tried
+ * @param {Object} [options] - Filter options
+ * @param {boolean} [options.withApiKey=false] - Only return custom proxies the user trusted with API keys
+ * @returns {Array<Object>} Proxy service objects
+ */
+export function getActiveCorsProxies({ withApiKey = false } = {}) {
+    return listCorsProxies()
+        .filter(entry => entry.enabled)
+        .map(entry => entry.proxy)
+        .filter(proxy => !withApiKey || (proxy.custom && proxy.trustedWithApiKey));
+}
@@ -1,7 +1,10 @@
 /**
  * CORS Proxy utilities for handling cross-origin requests to Omeka S APIs
- * Provides tiered fallback system with multiple proxy services
+ * Provides tiered fallback system with multiple proxy services; the services
+ * and their order come from utils/cors-proxy-registry.js
  */
+import { appendOmekaApiKey } from './omeka-api-key.js';
+import { getActiveCorsProxies, listCorsProxies } from './cors-proxy-registry.js';
 
 /**
  * Domain memory cache for tracking CORS-blocked domains
@@ -23,73 +26,6 @@ function extractDomain(url) {
     }
 }
 
-/**
- * Configuration for available CORS proxy services.
- * Ordered by current browser-level verification against the Radboud sample API.
- */
-const CORS_PROXIES = [
-    {
-        name: 'CORSPROXY',
-        transform: (url) => `https://corsproxy.io/?url=${encodeURIComponent(url)}`,
-        parseResponse: (response) => response,
-        headers: {}
-    },
-    {
-        name: 'CodeTabs Proxy',
-        transform: (url) => `https://api.codetabs.com/v1/proxy/?quest=${encodeURIComponent(url)}`,
-        parseResponse: (response) => response,
-        headers: {}
-    },
-    {
-        name: 'Corsfix',
-        transform: (url) => `https://proxy.corsfix.com/?${url}`,
-        parseResponse: (response) => response,
-        headers: {}
-    },
-    {
-        name: 'Community CORS Proxy (CORS.lol)',
-        transform: (url) => `https://api.cors.lol/?url=${encodeURIComponent(url)}`,
-        parseResponse: (response) => response,
-        headers: {}
-    },
-    {
-        name: 'AllOrigins',
-        transform: (url) => `https://api.allorigins.win/get?url=${encodeURIComponent(url)}`,
-        parseResponse: (response) => {
-            console.log('AllOrigins raw response:', response);
-            // AllOrigins wraps the response in {contents, status}
-            if (response && typeof response === 'object' && response.contents) {
-                try {
-                    // Check if contents is base64 encoded (starts with "data:")
-                    if (typeof response.contents === 'string' && response.contents.startsWith('data:')) {
-                        // Extract base64 part and decode
-                        const base64Part = response.contents.split(',')[1];
-                        if (base64Part) {
-                            const decodedString = atob(base64Part);
-                            return JSON.parse(decodedString);
-                        }
-                    }
-                    // Contents should be a string containing JSON
-                    if (typeof response.contents === 'string') {
-                        return JSON.parse(response.contents);
-                    } else {
-                        // If contents is already an object, return it directly
-                        return response.contents;
-                    }
-                } catch (parseError) {
-                    console.error('AllOrigins content parsing failed:', parseError);
-                    console.error('Contents type:', typeof response.contents);
-                    console.error('Contents sample:', response.contents.substring ? response.contents.substring(0, 200) : response.contents);
-                    throw new Error(`AllOrigins returned invalid JSON: ${parseError.message}`);
-                }
-            }
-            console.error('AllOrigins unexpected response format:', response);
-            throw new Error('AllOrigins returned unexpected response format');
-        },
-        headers: {}
-    }
-];
-
 function isJsonContentType(contentType) {
     if (!contentType) {
         return false;
@@ -115,14 +51,51 @@ async function parseJsonResponse(response, sourceName) {
     }
 }
 
+async function parseProxyTextResponse(response, proxy) {
+    if (!proxy.parseTextResponse) {
+        return response.text();
+    }
+
+    return proxy.parseTextResponse(await parseJsonResponse(response, proxy.name));
+}
+
+async function fetchThroughProxy(proxy, requestUrl, fetchOptions, responseType) {
+    const proxyUrl = proxy.transform(requestUrl);
+    const proxyOptions = {
+        ...fetchOptions,
+        headers: {
+            ...fetchOptions.headers,
+            ...proxy.headers
+        }
+    };
+
+    const response = await fetch(proxyUrl, proxyOptions);
+
+    if (!response.ok) {
+        throw new Error(`Proxy ${proxy.name} returned ${response.status}: ${response.statusText}`);
+    }
+
+    const data = responseType === 'text'
+        ? await parseProxyTextResponse(response, proxy)
+        : proxy.parseResponse(await parseJsonResponse(response, proxy.name));
+
+    return { data, response };
+}
+
 /**
  * Attempts to fetch data using direct request first, then CORS proxies as fallback
  * Remembers CORS-blocked domains to skip direct fetch and reduce console noise
  * @param {string} url - The original API URL to fetch
  * @param {Object} options - Fetch options (optional)
- * @returns {Promise<{data: Object, method: string, proxyUsed: string|null}>}
+ * @param {{identity: string, credential: string}|null} [options.apiKey] - Omeka S API key added to the request URL only;
+ *   a keyed request is only ever proxied through custom proxies marked as trusted with API keys
+ * @param {'json'|'text'} [options.responseType='json'] - Use 'text' for XML sources such as OAI-PMH
+ * @param {AbortSignal} [options.signal] - Cancels the request; an aborted request never falls back to proxies
+ * @returns {Promise<{data: Object|string, method: string, proxyUsed: string|null, headers: Headers}>}
  */
 export async function fetchWithCorsProxy(url, options = {}) {
+    const { apiKey = null, responseType = 'json', ...fetchOptions } = options;
+    const requestUrl = appendOmekaApiKey(url, apiKey);
     let lastError = null;
     const domain = extractDomain(url);
     const isKnownCorsBlocked = corsBlockedDomains.has(domain);
@@ -133,18 +106,21 @@ export async function fetchWithCorsProxy(url, options = {}) {
     } else {
         // First attempt: Direct fetch (no proxy)
         try {
-            const response = await fetch(url, options);
+            const response = await fetch(requestUrl, fetchOptions);
 
             if (!response.ok) {
                 throw new Error(`HTTP error! Status: ${response.status} - ${response.statusText}`);
             }
 
-            const data = await parseJsonResponse(response, 'Response');
+            const data = responseType === 'text'
+                ? await response.text()
+                : await parseJsonResponse(response, 'Response');
 
             return {
                 data,
                 method: 'direct',
                 proxyUsed: null,
+                headers: response.headers,
                 success: true
             };
 
@@ -163,9 +139,18 @@ export async function fetchWithCorsProxy(url, options = {}) {
         }
     }
     
+    // The key is part of the request URL, so it would be readable by the proxy operator
+    const proxies = getActiveCorsProxies({ withApiKey: Boolean(apiKey) });
+    if (proxies.length === 0 && apiKey) {
+        throw new Error('CORS blocked: the server does not allow direct requests from this page, and requests with an API key are never sent through public CORS proxies. Ask the Omeka S administrator to enable CORS, or add a proxy you run yourself and mark it as trusted with API keys.');
+    }
+    if (proxies.length === 0) {
+        throw new Error(`Direct request was blocked and all CORS proxies are disabled. Last error: ${lastError?.message || 'Unknown error'}`);
+    }
+
     // Attempt each proxy in order
-    for (let i = 0; i < CORS_PROXIES.length; i++) {
-        const proxy = CORS_PROXIES[i];
+    for (let i = 0; i < proxies.length; i++) {
+        const proxy = proxies[i];
 
         try {
             // Only show attempting message if previous proxies failed
@@ -173,23 +158,7 @@ export async function fetchWithCorsProxy(url, options = {}) {
                 console.log(`  Trying ${proxy.name}...`);
             }
 
-            const proxyUrl = proxy.transform(url);
-            const proxyOptions = {
-                ...options,
-                headers: {
-                    ...options.headers,
-                    ...proxy.headers
-                }
-            };
-
-            const response = await fetch(proxyUrl, proxyOptions);
-
-            if (!response.ok) {
-                throw new Error(`Proxy ${proxy.name} returned ${response.status}: ${response.statusText}`);
-            }
-
-            const rawData = await parseJsonResponse(response, proxy.name);
-            const data = proxy.parseResponse(rawData);
+            const { data, response } = await fetchThroughProxy(proxy, requestUrl, fetchOptions, responseType);
 
             console.log(`✅ Fetched via ${proxy.name}`);
 
@@ -197,12 +166,17 @@ export async function fetchWithCorsProxy(url, options = {}) {
                 data,
                 method: 'proxy',
                 proxyUsed: proxy.name,
+                headers: response.headers,
                 success: true
             };
 
         } catch (error) {
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+
             // Only log failures if we're going to try another proxy
-            if (i < CORS_PROXIES.length - 1) {
+            if (i < proxies.length - 1) {
                 console.log(`  ⚠️ ${proxy.name} failed, trying next...`);
             }
             lastError = error;
@@ -214,6 +188,53 @@ export async function fetchWithCorsProxy(url, options = {}) {
     throw new Error(`All fetch methods failed. Last error: ${lastError?.message || 'Unknown error'}`);
 }
 
+/**
+ * Requests a test URL through every registered proxy, including disabled ones
+ * Proxies are checked one after another so latencies are not skewed by
+ * parallel requests.
+ * @param {string} testUrl - Small JSON resource to fetch, e.g. one page of items
+ * @param {Object} [options] - Check options
+ * @param {number} [options.timeoutMs=15000] - Time after which a proxy counts as failed
+ * @param {Function} [options.onResult] - Called with each result as it arrives
+ * @returns {Promise<Array<{id: string, name: string, enabled: boolean, ok: boolean, latencyMs: number, error: string|null}>>}
+ */
+export async function checkCorsProxyHealth(testUrl, { timeoutMs = 15000, onResult = null } = {}) {
+    const results = [];
+
+    for (const { proxy, enabled } of listCorsProxies()) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+        const startedAt = performance.now();
+        let error = null;
+
+        try {
+            const { data } = await fetchThroughProxy(proxy, testUrl, { signal: controller.signal }, 'json');
+            if (data === null || typeof data !== 'object') {
+                throw new Error('Response is not JSON');
+            }
+        } catch (fetchError) {
+            error = fetchError.name === 'AbortError'
+                ? `No response within ${Math.round(timeoutMs / 1000)} s`
+                : fetchError.message;
+        } finally {
+            clearTimeout(timer);
+        }
+
+        const result = {
+            id: proxy.id,
+            name: proxy.name,
+            enabled,
+            ok: error === null,
+            latencyMs: Math.round(performance.now() - startedAt),
+            error
+        };
+        results.push(result);
+        onResult?.(result);
+    }
+
+    return results;
+}
+
 /**
  * Determines if an error is likely a CORS error
  * @param {Error} error - The error to check
@@ -250,7 +271,7 @@ export function getCorsExplanation() {
             },
             {
                 title: "Use Proxy Service",
-                description: "We can route your request through a proxy service (data remains public)",
+                description: "We can route your request through a proxy service (public data only; API keys are never sent through public proxies)",
                 action: "try-proxy"
             },
             {
@@ -275,12 +296,13 @@ export function getAdminEmailTemplate(domain) {
 I am trying to access your Omeka S API from a web application (${domain || 'a cultural heritage mapping tool'}) but am encountering CORS (Cross-Origin Resource Sharing) restrictions.
 
 WHAT IS NEEDED:
-Enable CORS headers on your Omeka S installation to allow web applications to access your public API.
+Enable CORS headers on your Omeka S installation to allow web applications to access your API.
 
 WHY THIS IS SAFE:
 - CORS only affects browser-based access, not direct API access
-- This change only allows reading public data that's already accessible via your API
-- No authentication or private data is involved
+- Without an API key, this only allows reading public data that's already accessible via your API
+- Users with an Omeka S API key can fetch their private items directly from their own browser; without CORS the key would have to pass through a third-party proxy, which this tool refuses to do
+- API keys still only grant the permissions of the user they belong to, exactly as for any other API client
 - This is a standard configuration for public APIs
 
 HOW TO IMPLEMENT:
@@ -0,0 +1,74 @@
+/**
+ * CSV report helpers
+ * Serializes records through a column list and downloads the result, so every
+ * CSV report in the tool quotes cells and encodes text the same way
+ * @module utils/csv
+ */
+
+import { createDownloadLink } from '../ui/components.js';
+
+/**
+ * Characters that make spreadsheet programs read a cell as a formula
+ */
+const FORMULA_TRIGGER = /^[=+\-@\t\r]/;
+
+/**
+ * Quotes a cell when it holds a comma, quote or line break
+ * Text that a spreadsheet would run as a formula (starting with `=`, `+`, `-`,
+ * `@`, a tab or a carriage return) gets a leading `'` so it opens as text.
+ * Numbers are written as they are.
+ * @param {*} value - Cell value; null and undefined become empty cells
+ * @returns {string} CSV-safe cell text
+ */
+export function escapeCsvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value !== 'number' && FORMULA_TRIGGER.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes records as CSV with a header row
+ * @param {Array<{header: string, value: Function}>} columns - Column headers and cell getters
+ * @param {Array<Object>} records - One record per row
+ * @returns {string} CSV text with CRLF line endings
+ */
+export function recordsToCsv(columns, records) {
+    const rows = [
+        columns.map(column => column.header),
+        ...records.map(record => columns.map(column => column.value(record)))
+    ];
+    return rows.map(row => row.map(escapeCsvCell).join(',')).join('\r\n');
+}
+
+/**
+ * Downloads text as a file
+ * @param {Array<string>|string} content - File content, or parts to join
+ * @param {string} filename - Name for the downloaded file
+ * @param {string} type - MIME type
+ */
+export function downloadTextFile(content, filename, type) {
+    const blob = new Blob(Array.isArray(content) ? content : [content], { type });
+    const url = URL.createObjectURL(blob);
+
+    const downloadLink = createDownloadLink(url, filename, {
+        onClick: () => {
+            setTimeout(() => URL.revokeObjectURL(url), 100);
+        }
+    });
+
+    document.body.appendChild(downloadLink);
+    downloadLink.click();
+    document.body.removeChild(downloadLink);
+}
+
+/**
+ * Downloads CSV text as a file
+ * @param {string} csv - CSV text
+ * @param {string} filename - Name for the downloaded file
+ */
+export function downloadCsv(csv, filename) {
+    // The byte order mark makes spreadsheet programs read the CSV as UTF-8
+    downloadTextFile(['\ufeff', csv], filename, 'text/csv');
+}
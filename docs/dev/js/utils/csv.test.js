@@ -0,0 +1,35 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeCsvCell, recordsToCsv } from './csv.js';
+
+test('quotes cells with commas, quotes or line breaks', () => {
+    assert.equal(escapeCsvCell('plain'), 'plain');
+    assert.equal(escapeCsvCell('a, b'), '"a, b"');
+    assert.equal(escapeCsvCell('say "hi"'), '"say ""hi"""');
+    assert.equal(escapeCsvCell('two\nlines'), '"two\nlines"');
+    assert.equal(escapeCsvCell(null), '');
+    assert.equal(escapeCsvCell(undefined), '');
+});
+
+test('text that a spreadsheet would run as a formula opens as text', () => {
+    assert.equal(escapeCsvCell('=HYPERLINK("http://example.org")'), '"\'=HYPERLINK(""http://example.org"")"');
+    assert.equal(escapeCsvCell('+31 20 123'), "'+31 20 123");
+    assert.equal(escapeCsvCell('-2+3'), "'-2+3");
+    assert.equal(escapeCsvCell('@SUM(A1:A2)'), "'@SUM(A1:A2)");
+    assert.equal(escapeCsvCell('\tcmd'), "'\tcmd");
+    assert.equal(escapeCsvCell('a = b'), 'a = b');
+});
+
+test('numbers are written as they are', () => {
+    assert.equal(escapeCsvCell(-5), '-5');
+    assert.equal(escapeCsvCell(0), '0');
+});
+
+test('records are serialized with a header row and CRLF line endings', () => {
+    const columns = [
+        { header: 'Field', value: record => record.key },
+        { header: 'Top values', value: record => record.top }
+    ];
+    const csv = recordsToCsv(columns, [{ key: 'dcterms:title', top: '=1+1' }, { key: 'dcterms:date', top: '1650, 1651' }]);
+    assert.equal(csv, "Field,Top values\r\ndcterms:title,'=1+1\r\ndcterms:date,\"1650, 1651\"");
+});
@@ -0,0 +1,587 @@
+/**
+ * Natural-language date parsing
+ * Reads dates the way catalogers write them in Dutch, English, French and German
+ * ("15 maart 1743", "ca. 1650", "tweede helft 17e eeuw", "[1890?]", "XVIIe siecle")
+ * into the standardized date and precision that standardizeDateInput returns,
+ * so the time modal and formatDateForQuickStatements can use the result as is.
+ * @module utils/date-parser
+ */
+
+export const DATE_LANGUAGES = {
+    nl: 'Dutch',
+    en: 'English',
+    fr: 'French',
+    de: 'German'
+};
+
+// Words are lowercase and without diacritics, the way normalizeDateText leaves the input.
+// Month names are listed with their abbreviations, January first.
+const LOCALES = {
+    nl: {
+        months: [['januari', 'jan'], ['februari', 'feb', 'febr'], ['maart', 'mrt'], ['april', 'apr'], ['mei'], ['juni', 'jun'],
+            ['juli', 'jul'], ['augustus', 'aug'], ['september', 'sep', 'sept'], ['oktober', 'okt'], ['november', 'nov'], ['december', 'dec']],
+        approximate: ['omstreeks', 'omtrent', 'ongeveer', 'rond', 'rondom', 'plm'],
+        uncertain: ['waarschijnlijk', 'vermoedelijk', 'mogelijk', 'wellicht'],
+        century: ['eeuw'],
+        decade: ['jaren'],
+        ordinals: [['eerste'], ['tweede'], ['derde'], ['vierde']],
+        last: ['laatste'],
+        half: ['helft'],
+        quarter: ['kwart'],
+        early: ['begin', 'vroeg', 'vroege'],
+        middle: ['midden', 'medio'],
+        late: ['eind', 'einde', 'laat', 'late'],
+        fillers: ['van de', 'van het', 'van', 'de', 'het', 'der']
+    },
+    en: {
+        months: [['january', 'jan'], ['february', 'feb'], ['march', 'mar'], ['april', 'apr'], ['may'], ['june', 'jun'],
+            ['july', 'jul'], ['august', 'aug'], ['september', 'sep', 'sept'], ['october', 'oct'], ['november', 'nov'], ['december', 'dec']],
+        approximate: ['about', 'around', 'approximately', 'approx'],
+        uncertain: ['probably', 'possibly', 'perhaps'],
+        century: ['century', 'cent', 'c'],
+        decade: [],
+        ordinals: [['first'], ['second'], ['third'], ['fourth']],
+        last: ['last', 'final'],
+        half: ['half'],
+        quarter: ['quarter'],
+        early: ['early', 'beginning'],
+        middle: ['mid', 'middle'],
+        late: ['late', 'end'],
+        fillers: ['of the', 'of', 'the']
+    },
+    fr: {
+        months: [['janvier', 'janv'], ['fevrier', 'fevr', 'fev'], ['mars'], ['avril', 'avr'], ['mai'], ['juin'],
+            ['juillet', 'juil'], ['aout'], ['septembre', 'sept'], ['octobre', 'oct'], ['novembre', 'nov'], ['decembre', 'dec']],
+        approximate: ['vers', 'environ'],
+        uncertain: ['probablement', 'peut-etre'],
+        century: ['siecle'],
+        decade: ['annees'],
+        ordinals: [['premier', 'premiere'], ['deuxieme', 'second', 'seconde'], ['troisieme'], ['quatrieme']],
+        last: ['dernier', 'derniere'],
+        half: ['moitie'],
+        quarter: ['quart'],
+        early: ['debut'],
+        middle: ['milieu'],
+        late: ['fin'],
+        fillers: ['de la', 'du', 'des', 'de', 'le', 'la', 'les', "l'"]
+    },
+    de: {
+        months: [['januar', 'jan', 'janner'], ['februar', 'feb', 'febr'], ['marz', 'maerz', 'mrz'], ['april', 'apr'], ['mai'], ['juni', 'jun'],
+            ['juli', 'jul'], ['august', 'aug'], ['september', 'sep', 'sept'], ['oktober', 'okt'], ['november', 'nov'], ['dezember', 'dez']],
+        approximate: ['um', 'etwa', 'gegen', 'ungefahr'],
+        uncertain: ['vermutlich', 'wahrscheinlich', 'moglicherweise'],
+        century: ['jahrhunderts', 'jahrhundert', 'jhdt', 'jhd', 'jh'],
+        decade: [],
+        ordinals: [['erste', 'erstes', 'ersten'], ['zweite', 'zweites', 'zweiten'], ['dritte', 'drittes', 'dritten'], ['vierte', 'viertes', 'vierten']],
+        last: ['letzte', 'letztes', 'letzten'],
+        half: ['halfte'],
+        quarter: ['viertel'],
+        early: ['anfang', 'fruhes', 'fruh'],
+        middle: ['mitte'],
+        late: ['ende', 'spates', 'spat'],
+        fillers: ['des', 'der', 'die', 'im', 'am']
+    }
+};
+
+// Markers every language uses
+const COMMON_APPROXIMATE = ['circa', 'ca', 'c', '~'];
+const COMMON_PREFIXES = ['anno'];
+
+// Suffixes of numeric ordinals: 17e, 17de, 17ste, 17th, 2nd, 17eme, 1er, 17.
+const ORDINAL_SUFFIX = '(?:e|de|ste|st|nd|rd|th|eme|ieme|er|re|\\.)?';
+
+const ROMAN_PATTERN = /^m{0,4}(cm|cd|d?c{0,3})(xc|xl|l?x{0,3})(ix|iv|v?i{0,3})$/;
+const ROMAN_VALUES = { m: 1000, d: 500, c: 100, l: 50, x: 10, v: 5, i: 1 };
+
+const MAX_CENTURY = 21;
+
+/**
+ * Lowercases a date and strips diacritics, brackets and extra whitespace
+ * @param {string} text - Date as written
+ * @returns {string} Normalized text
+ */
+function normalizeDateText(text) {
+    return text
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[[\]()]/g, ' ')
+        .replace(/[–—]/g, '-')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Alternation of words, longest first so 'circa' wins over 'c'
+function alternation(words) {
+    return [...new Set(words)]
+        .sort((a, b) => b.length - a.length)
+        .map(escapeRegex)
+        .join('|');
+}
+
+function parseRomanNumeral(text) {
+    if (!text || !ROMAN_PATTERN.test(text)) {
+        return null;
+    }
+    let total = 0;
+    for (let index = 0; index < text.length; index++) {
+        const value = ROMAN_VALUES[text[index]];
+        const next = ROMAN_VALUES[text[index + 1]] || 0;
+        total += value < next ? -value : value;
+    }
+    return total;
+}
+
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function padYear(year) {
+    return String(year).padStart(4, '0');
+}
+
+function pad2(number) {
+    return String(number).padStart(2, '0');
+}
+
+/**
+ * Formats a century as an English ordinal
+ * @param {number} century - Century number, 17 for 1601-1700
+ * @returns {string} Label such as '17th century'
+ */
+export function formatCenturyLabel(century) {
+    const lastTwo = century % 100;
+    const suffix = lastTwo >= 11 && lastTwo <= 13
+        ? 'th'
+        : ({ 1: 'st', 2: 'nd', 3: 'rd' }[century % 10] || 'th');
+    return `${century}${suffix} century`;
+}
+
+/**
+ * Builds the vocabulary of the selected languages
+ * @param {Array<string>} languages - Language codes from DATE_LANGUAGES
+ * @returns {Object} Regex alternations and month numbers
+ */
+function buildVocabulary(languages) {
+    const locales = languages.map(language => LOCALES[language]).filter(Boolean);
+    const collect = key => locales.flatMap(locale => locale[key]);
+    const monthNumbers = new Map();
+    locales.forEach(locale => {
+        locale.months.forEach((names, index) => {
+            names.forEach(name => {
+                if (!monthNumbers.has(name)) {
+                    monthNumbers.set(name, index + 1);
+                }
+            });
+        });
+    });
+
+    return {
+        monthNumbers,
+        months: alternation(Array.from(monthNumbers.keys())),
+        approximate: alternation([...COMMON_APPROXIMATE, ...collect('approximate')]),
+        // After the date, a lone 'c' abbreviates century ('17th c.') rather than circa
+        approximateAfter: alternation(['circa', 'ca', ...collect('approximate')]),
+        uncertain: alternation(collect('uncertain')),
+        century: alternation(collect('century')),
+        decade: alternation(collect('decade')),
+        fillers: alternation(collect('fillers')),
+        ordinals: [0, 1, 2, 3].map(index => alternation(locales.flatMap(locale => locale.ordinals[index]))),
+        last: alternation(collect('last')),
+        half: alternation(collect('half')),
+        quarter: alternation(collect('quarter')),
+        early: alternation(collect('early')),
+        middle: alternation(collect('middle')),
+        late: alternation(collect('late'))
+    };
+}
+
+const vocabularyCache = new Map();
+
+function getVocabulary(languages) {
+    const key = languages.join(',');
+    if (!vocabularyCache.has(key)) {
+        vocabularyCache.set(key, buildVocabulary(languages));
+    }
+    return vocabularyCache.get(key);
+}
+
+/**
+ * Strips approximate and uncertain markers from the start and end of a date
+ * @param {string} text - Normalized date
+ * @param {Object} vocabulary - Result of buildVocabulary
+ * @returns {{text: string, approximate: boolean, uncertain: boolean}} Remaining date and markers found
+ */
+function stripDateMarkers(text, vocabulary) {
+    let rest = text;
+    let uncertain = false;
+    let approximate = false;
+
+    if (rest.includes('?')) {
+        uncertain = true;
+        rest = rest.replace(/\?/g, ' ').replace(/\s+/g, ' ').trim();
+    }
+
+    const leading = (words) => words ? new RegExp(`^(?:${words})(?:\\.\\s*|\\s+|(?=\\d))`) : null;
+    const trailing = (words) => words ? new RegExp(`[\\s,]+(?:${words})\\.?$`) : null;
+    const approximatePatterns = [leading(vocabulary.approximate), trailing(vocabulary.approximateAfter)].filter(Boolean);
+    const uncertainPatterns = [leading(vocabulary.uncertain), trailing(vocabulary.uncertain)].filter(Boolean);
+    const prefixPattern = leading(alternation(COMMON_PREFIXES));
+
+    let changed = true;
+    while (changed && rest) {
+        changed = false;
+        if (approximatePatterns.some(pattern => pattern.test(rest))) {
+            approximatePatterns.forEach(pattern => { rest = rest.replace(pattern, ''); });
+            approximate = true;
+            changed = true;
+        }
+        if (uncertainPatterns.some(pattern => pattern.test(rest))) {
+            uncertainPatterns.forEach(pattern => { rest = rest.replace(pattern, ''); });
+            uncertain = true;
+            changed = true;
+        }
+        if (prefixPattern.test(rest)) {
+            rest = rest.replace(prefixPattern, '');
+            changed = true;
+        }
+        rest = rest.replace(/^[\s,.]+|[\s,]+$/g, '').replace(/(\d{3,4})\.$/, '$1');
+    }
+
+    return { text: rest, approximate, uncertain };
+}
+
+/**
+ * Strips articles and prepositions from the start of a date, such as 'le' in
+ * 'le 3 mars 1743', 'am' in 'am 3. März 1743' or 'de' in 'de 17e eeuw'
+ * @param {string} text - Date without markers
+ * @param {Object} vocabulary - Result of buildVocabulary
+ * @returns {string} Date without leading fillers
+ */
+function stripLeadingFillers(text, vocabulary) {
+    return vocabulary.fillers
+        ? text.replace(new RegExp(`^(?:(?:${vocabulary.fillers})(?:\\s+|(?<=')\\s*))+`), '')
+        : text;
+}
+
+/**
+ * Reads a century such as '17e eeuw', '17th century', 'xviie siecle' or '17. jahrhundert'
+ * @param {string} text - Date without markers
+ * @param {Object} vocabulary - Result of buildVocabulary
+ * @returns {number|null} Century number
+ */
+function parseCentury(text, vocabulary) {
+    if (!vocabulary.century) {
+        return null;
+    }
+    const match = text.match(new RegExp(`^(\\d{1,2}|[ivxl]+)${ORDINAL_SUFFIX}[\\s-]*(?:${vocabulary.century})\\.?$`));
+    if (!match) {
+        return null;
+    }
+    const century = /^\d+$/.test(match[1]) ? Number(match[1]) : parseRomanNumeral(match[1]);
+    return century >= 1 && century <= MAX_CENTURY ? century : null;
+}
+
+/**
+ * Reads a decade such as '1890s', "jaren 1890", 'annees 1890' or '1890er jahre'
+ * @param {string} text - Date without markers
+ * @param {Object} vocabulary - Result of buildVocabulary
+ * @returns {number|null} First year of the decade
+ */
+function parseDecade(text, vocabulary) {
+    const patterns = [
+        /^(\d{3}0) ?'?s$/,
+        /^(\d{3}0)er(?: jahre)?$/
+    ];
+    if (vocabulary.decade) {
+        patterns.push(new RegExp(`^(?:${vocabulary.decade}) (\\d{3}0)$`));
+    }
+    for (const pattern of patterns) {
+        const match = text.match(pattern);
+        if (match) {
+            return Number(match[1]);
+        }
+    }
+    return null;
+}
+
+/**
+ * Reads the part of a period that a phrase names: halves, quarters, or early, mid and late
+ * @param {string} phrase - Part phrase such as 'tweede helft' or 'mid'
+ * @param {Object} vocabulary - Result of buildVocabulary
+ * @returns {{index: number, of: number, label: string}|null} Part as the index-th of equal slices
+ */
+function parsePeriodPart(phrase, vocabulary) {
+    const matchesWord = (words, text) => Boolean(words) && new RegExp(`^(?:${words})$`).test(text);
+    if (matchesWord(vocabulary.early, phrase)) return { index: 1, of: 3, label: 'early' };
+    if (matchesWord(vocabulary.middle, phrase)) return { index: 2, of: 3, label: 'mid' };
+    if (matchesWord(vocabulary.late, phrase)) return { index: 3, of: 3, label: 'late' };
+
+    const slices = [vocabulary.half, vocabulary.quarter].filter(Boolean).join('|');
+    const match = slices && phrase.match(new RegExp(`^(\\S+) (${slices})$`));
+    if (!match) {
+        return null;
+    }
+    const of = matchesWord(vocabulary.half, match[2]) ? 2 : 4;
+
+    let index = null;
+    const numeric = match[1].match(new RegExp(`^(\\d)${ORDINAL_SUFFIX}$`));
+    if (numeric) {
+        index = Number(numeric[1]);
+    } else if (matchesWord(vocabulary.last, match[1])) {
+        index = of;
+    } else {
+        index = vocabulary.ordinals.findIndex(words => matchesWord(words, match[1])) + 1;
+    }
+    if (!index || index > of) {
+        return null;
+    }
+
+    const ordinal = index === of ? (of === 2 ? 'second' : 'last') : ['first', 'second', 'third'][index - 1];
+    return { index, of, label: `${ordinal} ${of === 2 ? 'half' : 'quarter'} of the` };
+}
+
+/**
+ * Reads a whole century or decade
+ * @param {string} text - Date without markers or leading fillers
+ * @param {Object} vocabulary - Result of buildVocabulary
+ * @returns {Object|null} Period with precision, first and last year and label
+ */
+function parseWholePeriod(text, vocabulary) {
+    const century = parseCentury(text, vocabulary);
+    if (century) {
+        return { precision: 'century', start: (century - 1) * 100 + 1, end: century * 100, label: formatCenturyLabel(century) };
+    }
+    const decade = parseDecade(text, vocabulary);
+    if (decade !== null) {
+        return { precision: 'decade', start: decade, end: decade + 9, label: `${decade}s` };
+    }
+    return null;
+}
+
+/**
+ * Reads a century or decade, optionally narrowed to a part of it
+ * such as 'tweede helft van de 17e eeuw' or 'Anfang des 17. Jahrhunderts'
+ * @param {string} text - Date without markers
+ * @param {Object} vocabulary - Result of buildVocabulary
+ * @returns {Object|null} Period with precision, first and last year and label
+ */
+function parsePeriod(text, vocabulary) {
+    const stripped = stripLeadingFillers(text, vocabulary);
+    const whole = parseWholePeriod(stripped, vocabulary);
+    if (whole) {
+        return whole;
+    }
+
+    // Part phrases are one or two words, then come fillers and the period
+    const words = stripped.split(/[\s-]+/);
+    for (let split = 1; split <= 2 && split < words.length; split++) {
+        const part = parsePeriodPart(words.slice(0, split).join(' '), vocabulary);
+        const period = part && parseWholePeriod(stripLeadingFillers(words.slice(split).join(' '), vocabulary), vocabulary);
+        if (!period) continue;
+
+        const size = period.end - period.start + 1;
+        return {
+            precision: period.precision,
+            start: period.start + Math.floor(size * (part.index - 1) / part.of),
+            end: period.start + Math.floor(size * part.index / part.of) - 1,
+            label: `${part.label} ${period.label}`
+        };
+    }
+    return null;
+}
+
+/**
+ * Reads a date with a month name: '15 maart 1743', 'le 1er mars 1743', 'March 15, 1743', 'maart 1743'
+ * @param {string} text - Date without markers
+ * @param {Object} vocabulary - Result of buildVocabulary
+ * @returns {{year: number, month: number, day: number|null}|null} Date parts
+ */
+function parseMonthNameDate(text, vocabulary) {
+    if (!vocabulary.months) {
+        return null;
+    }
+    const month = `(${vocabulary.months})\\.?`;
+    const year = '(\\d{3,4})';
+    const day = `(\\d{1,2})${ORDINAL_SUFFIX}`;
+    const date = stripLeadingFillers(text, vocabulary);
+
+    const dayMonthYear = date.match(new RegExp(`^${day}\\s*${month},?\\s+${year}$`));
+    if (dayMonthYear) {
+        return { day: Number(dayMonthYear[1]), month: vocabulary.monthNumbers.get(dayMonthYear[2]), year: Number(dayMonthYear[3]) };
+    }
+    const monthDayYear = date.match(new RegExp(`^${month}\\s+${day},?\\s+${year}$`));
+    if (monthDayYear) {
+        return { day: Number(monthDayYear[2]), month: vocabulary.monthNumbers.get(monthDayYear[1]), year: Number(monthDayYear[3]) };
+    }
+    const monthYear = date.match(new RegExp(`^${month},?\\s+${year}$`));
+    if (monthYear) {
+        return { day: null, month: vocabulary.monthNumbers.get(monthYear[1]), year: Number(monthYear[2]) };
+    }
+    return null;
+}
+
+/**
+ * Reads a numeric date: '1743', '1743-03', '1743-03-15', '15-03-1743', '15/03/1743', '15.03.1743'
+ * @param {string} text - Date without markers
+ * @returns {{year: number, month: number|null, day: number|null}|null} Date parts
+ */
+function parseNumericDate(text) {
+    let match = text.match(/^(\d{3,4})$/);
+    if (match) return { year: Number(match[1]), month: null, day: null };
+
+    match = text.match(/^(\d{4})-(\d{1,2})$/);
+    if (match) return { year: Number(match[1]), month: Number(match[2]), day: null };
+
+    match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (match) return { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+
+    // Day first, like standardizeDateInput
+    match = text.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{4})$/);
+    if (match) return { year: Number(match[3]), month: Number(match[2]), day: Number(match[1]) };
+
+    return null;
+}
+
+/**
+ * Reads a range of years such as '1650-1655', '1650-60' or '1600-1700'
+ * Ranges of up to ten years, such as '1650-60', have decade precision and
+ * longer ranges of up to a century have century precision; the first and
+ * last year keep the exact range.
+ * @param {string} text - Date without markers
+ * @returns {Object|null} Period with precision, first and last year and label; null for ranges longer than a century
+ */
+function parseYearRange(text) {
+    const match = text.match(/^(\d{3,4}) ?- ?(\d{2}|\d{3,4})$/);
+    if (!match) {
+        return null;
+    }
+    const start = Number(match[1]);
+    // '1650-60' leaves out the century of the end year
+    const end = match[2].length === 2 ? Math.floor(start / 100) * 100 + Number(match[2]) : Number(match[2]);
+    if (end < start) {
+        return null;
+    }
+    const label = `${padYear(start)}-${padYear(end)}`;
+    if (end - start <= 10) {
+        return { precision: 'decade', start, end, label };
+    }
+    if (end - start <= 100) {
+        return { precision: 'century', start, end, label };
+    }
+    return null;
+}
+
+/**
+ * Turns date parts into a standardized date
+ * @param {{year: number, month: number|null, day: number|null}} parts - Date parts
+ * @returns {{date: string, precision: string, label: string}|null} Standardized date, null when the parts are not a date
+ */
+function standardizeDateParts({ year, month, day }) {
+    if (!year) {
+        return null;
+    }
+    if (month === null || month === undefined) {
+        return { date: `${padYear(year)}-01-01`, precision: 'year', label: padYear(year) };
+    }
+    if (!month || month < 1 || month > 12) {
+        return null;
+    }
+    if (day === null || day === undefined) {
+        return { date: `${padYear(year)}-${pad2(month)}-01`, precision: 'month', label: `${padYear(year)}-${pad2(month)}` };
+    }
+    if (day < 1 || day > daysInMonth(year, month)) {
+        return null;
+    }
+    const date = `${padYear(year)}-${pad2(month)}-${pad2(day)}`;
+    return { date, precision: 'day', label: date };
+}
+
+/**
+ * Turns a decade or century period into a standardized date
+ * Decades use the first year of the decade the middle of the period falls in,
+ * as standardizeDateInput does; centuries use the middle of the period, which
+ * Wikidata shows as that century whichever convention for the first year of a
+ * century the reader follows.
+ * @param {Object} period - Period from parsePeriod or parseYearRange
+ * @returns {{date: string, precision: string, label: string, earliest: string, latest: string}} Standardized date
+ */
+function standardizePeriod(period) {
+    const year = period.precision === 'decade'
+        ? Math.floor((period.start + period.end) / 20) * 10
+        : Math.floor((period.start + period.end) / 2);
+    return {
+        date: `${padYear(year)}-01-01`,
+        precision: period.precision,
+        label: period.label,
+        earliest: padYear(period.start),
+        latest: padYear(period.end)
+    };
+}
+
+/**
+ * Parses a date written in natural language
+ * @param {string} text - Date as written, such as 'ca. 1650' or 'tweede helft 17e eeuw'
+ * @param {Object} [options] - Options
+ * @param {Array<string>} [options.languages] - Languages of month names and phrases, codes from DATE_LANGUAGES; all by default
+ * @returns {{date: string, precision: string, displayValue: string, approximate: boolean, uncertain: boolean, earliest?: string, latest?: string}|null}
+ *   Standardized date as standardizeDateInput returns it, with the markers found and, for decades and centuries,
+ *   the first and last year meant; null when the text is not a date this parser knows
+ * @example
+ * parseNaturalDate('circa 1650')
+ * // { date: '1650-01-01', precision: 'year', displayValue: 'circa 1650', approximate: true, uncertain: false }
+ * parseNaturalDate('le 3 mars 1743')
+ * // { date: '1743-03-03', precision: 'day', displayValue: '1743-03-03', approximate: false, uncertain: false }
+ * parseNaturalDate('1650-60')
+ * // { date: '1650-01-01', precision: 'decade', earliest: '1650', latest: '1660', displayValue: '1650-1660', ... }
+ * parseNaturalDate('1600-1700')
+ * // { date: '1650-01-01', precision: 'century', earliest: '1600', latest: '1700', displayValue: '1600-1700', ... }
+ */
+export function parseNaturalDate(text, { languages = Object.keys(DATE_LANGUAGES) } = {}) {
+    if (typeof text !== 'string' || !text.trim()) {
+        return null;
+    }
+
+    const vocabulary = getVocabulary(languages);
+    const { text: rest, approximate, uncertain } = stripDateMarkers(normalizeDateText(text), vocabulary);
+    if (!rest) {
+        return null;
+    }
+
+    // Roman numerals are only read as centuries ('XVe siecle'), never as years: 'MIX' or 'MM' stay text
+    const parts = parseNumericDate(rest) || parseMonthNameDate(rest, vocabulary);
+    let standardized = parts ? standardizeDateParts(parts) : null;
+    if (!standardized) {
+        const period = parseYearRange(rest) || parsePeriod(rest, vocabulary);
+        standardized = period ? standardizePeriod(period) : null;
+    }
+    if (!standardized) {
+        return null;
+    }
+
+    const { label, ...result } = standardized;
+    return {
+        ...result,
+        displayValue: formatNaturalDateLabel(label, { approximate, uncertain }),
+        approximate,
+        uncertain
+    };
+}
+
+/**
+ * Adds the approximate and uncertain markers to a date label
+ * The result parses back to the same date, so it can travel through
+ * transformations and reconciliation as plain text.
+ * @param {string} label - Date label such as '1650' or '17th century'
+ * @param {Object} markers - Markers
+ * @param {boolean} [markers.approximate] - Whether the date is approximate
+ * @param {boolean} [markers.uncertain] - Whether the date is uncertain
+ * @returns {string} Label such as 'circa 1650?'
+ */
+function formatNaturalDateLabel(label, { approximate = false, uncertain = false } = {}) {
+    return `${approximate ? 'circa ' : ''}${label}${uncertain ? '?' : ''}`;
+}
@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseNaturalDate } from './date-parser.js';
+
+const pick = (text, options) => {
+    const parsed = parseNaturalDate(text, options);
+    return parsed && { date: parsed.date, precision: parsed.precision, displayValue: parsed.displayValue };
+};
+
+test('reads numeric dates at their precision', () => {
+    assert.deepEqual(pick('1743'), { date: '1743-01-01', precision: 'year', displayValue: '1743' });
+    assert.deepEqual(pick('1743-03'), { date: '1743-03-01', precision: 'month', displayValue: '1743-03' });
+    assert.deepEqual(pick('15/03/1743'), { date: '1743-03-15', precision: 'day', displayValue: '1743-03-15' });
+    assert.equal(parseNaturalDate('31/02/1743'), null);
+});
+
+test('reads month names after articles in each language', () => {
+    assert.equal(pick('15 maart 1743').date, '1743-03-15');
+    assert.equal(pick('le 1er mars 1743').date, '1743-03-01');
+    assert.equal(pick('am 3. März 1743').date, '1743-03-03');
+    assert.equal(pick('March 15, 1743').date, '1743-03-15');
+});
+
+test('only reads the month names of the chosen languages', () => {
+    assert.equal(parseNaturalDate('15 maart 1743', { languages: ['en'] }), null);
+});
+
+test('reads approximate and uncertain markers', () => {
+    const parsed = parseNaturalDate('ca. 1650?');
+    assert.equal(parsed.date, '1650-01-01');
+    assert.equal(parsed.approximate, true);
+    assert.equal(parsed.uncertain, true);
+    assert.equal(parsed.displayValue, 'circa 1650?');
+    assert.equal(parseNaturalDate('[1890?]').uncertain, true);
+});
+
+test('reads centuries and their parts with the years they cover', () => {
+    const century = parseNaturalDate('17e eeuw');
+    assert.equal(century.precision, 'century');
+    assert.equal(century.earliest, '1601');
+    assert.equal(century.latest, '1700');
+    assert.equal(pick('tweede helft 17e eeuw').displayValue, 'second half of the 17th century');
+});
+
+test('reads Roman numerals as centuries', () => {
+    assert.equal(pick('XVe siècle').displayValue, '15th century');
+    assert.equal(pick('xviie siecle').displayValue, '17th century');
+    assert.equal(pick('XIX c.').displayValue, '19th century');
+    assert.equal(pick('19th c.').displayValue, '19th century');
+});
+
+test('never reads bare Roman numerals as years', () => {
+    assert.equal(parseNaturalDate('MIX'), null);
+    assert.equal(parseNaturalDate('MM'), null);
+    assert.equal(parseNaturalDate('MDCL'), null);
+    assert.equal(parseNaturalDate('3 mars MDCCXLIII'), null);
+});
+
+test('reads decades and year ranges', () => {
+    assert.equal(pick('1890s').precision, 'decade');
+    assert.equal(pick('jaren 1890').date, '1890-01-01');
+    const shortRange = parseNaturalDate('1650-60');
+    assert.deepEqual([shortRange.precision, shortRange.earliest, shortRange.latest], ['decade', '1650', '1660']);
+    const longRange = parseNaturalDate('1600-1700');
+    assert.deepEqual([longRange.precision, longRange.date], ['century', '1650-01-01']);
+    assert.equal(parseNaturalDate('1500-1700'), null);
+});
+
+test('leaves text that is not a date alone', () => {
+    assert.equal(parseNaturalDate('mix'), null);
+    assert.equal(parseNaturalDate('unknown'), null);
+    assert.equal(parseNaturalDate(''), null);
+});
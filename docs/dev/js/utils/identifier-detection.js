@@ -6,6 +6,7 @@
 
 import { extractAvailableFields } from '../mapping/core/data-analyzer.js';
 import { getPropertyInfo, getPropertyConstraints } from '../api/wikidata.js';
+import { getLinkedResourceFields } from '../input/core/linked-resource-hydration.js';
 
 /**
  * Mapping of identifier types to their corresponding Wikidata properties
@@ -509,20 +510,13 @@ export function analyzeFieldsForIdentifiers(items) {
 }
 
 /**
- * Detects identifier in a value object's @id field
- * @param {Object} valueObj - The value object containing @id field
+ * Matches a single string against the identifier patterns
+ * @param {string} idValue - URI or identifier string
  * @returns {Object|null} Detection result with type and extracted ID, or null if no identifier found
  */
-export function detectValueIdentifier(valueObj) {
-    if (!valueObj || typeof valueObj !== 'object' || !valueObj['@id']) {
-        return null;
-    }
-    
-    const idValue = valueObj['@id'];
-    
-    // Check against each identifier pattern
+function matchIdentifierPattern(idValue) {
     for (const [type, config] of Object.entries(IDENTIFIER_PROPERTY_MAPPINGS)) {
-        const match = idValue.match(config.pattern);
+        const match = String(idValue).match(config.pattern);
         if (match) {
             // Extract the actual identifier value
             const identifierValue = match[1] || match[2] || match[0];
@@ -539,3 +533,36 @@ export function detectValueIdentifier(valueObj) {
     
     return null;
 }
+
+/**
+ * Detects identifiers in the fields copied from a hydrated linked resource
+ * These identify the linked resource (e.g. the person behind a creator value),
+ * not the item itself, so field-level detection does not use them.
+ * @param {Object} valueObj - Value object with `linked:` fields
+ * @returns {Array<Object>} Detection results, each with the `linkedField` it came from
+ */
+export function detectLinkedResourceIdentifiers(valueObj) {
+    return getLinkedResourceFields(valueObj)
+        .map(([linkedField, fieldValue]) => {
+            const detection = matchIdentifierPattern(fieldValue);
+            return detection ? { ...detection, linkedField } : null;
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Detects identifier in a value object's @id field
+ * For a link to another Omeka resource, falls back to identifiers found on
+ * the hydrated linked resource.
+ * @param {Object} valueObj - The value object containing @id field
+ * @returns {Object|null} Detection result with type and extracted ID, or null if no identifier found
+ */
+export function detectValueIdentifier(valueObj) {
+    if (!valueObj || typeof valueObj !== 'object' || !valueObj['@id']) {
+        return null;
+    }
+    
+    return matchIdentifierPattern(valueObj['@id'])
+        || detectLinkedResourceIdentifiers(valueObj)[0]
+        || null;
+}
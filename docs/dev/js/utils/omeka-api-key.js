@@ -0,0 +1,166 @@
+/**
+ * Omeka S API key handling
+ * Holds key_identity/key_credential pairs for the current browser tab only,
+ * one per Omeka S installation (URL origin), so a project combining several
+ * data sources never sends one server's key to another. The keys live in
+ * module memory so they never reach the persisted session snapshot in
+ * state.js or a saved project file.
+ * @module utils/omeka-api-key
+ */
+
+const KEY_IDENTITY_PARAM = 'key_identity';
+const KEY_CREDENTIAL_PARAM = 'key_credential';
+
+/**
+ * API keys for this tab, keyed by the origin of the installation that issued them
+ */
+const apiKeysByOrigin = new Map();
+
+function getUrlOrigin(url) {
+    try {
+        return new URL(url).origin;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Stores an API key pair for requests to one Omeka S installation
+ * Passing an empty identity or credential clears the key for that installation.
+ * @param {string} sourceUrl - API URL of the data source the key belongs to
+ * @param {string} identity - Omeka S key identity
+ * @param {string} credential - Omeka S key credential
+ */
+export function setOmekaApiKey(sourceUrl, identity, credential) {
+    const origin = getUrlOrigin(sourceUrl);
+    if (!origin) {
+        return;
+    }
+
+    const trimmedIdentity = typeof identity === 'string' ? identity.trim() : '';
+    const trimmedCredential = typeof credential === 'string' ? credential.trim() : '';
+
+    if (trimmedIdentity && trimmedCredential) {
+        apiKeysByOrigin.set(origin, { identity: trimmedIdentity, credential: trimmedCredential });
+    } else {
+        apiKeysByOrigin.delete(origin);
+    }
+}
+
+/**
+ * Forgets stored API keys
+ * @param {string} [sourceUrl] - Only forget the key for this URL's installation; omit to forget all keys
+ */
+export function clearOmekaApiKey(sourceUrl) {
+    if (sourceUrl === undefined) {
+        apiKeysByOrigin.clear();
+        return;
+    }
+
+    const origin = getUrlOrigin(sourceUrl);
+    if (origin) {
+        apiKeysByOrigin.delete(origin);
+    }
+}
+
+/**
+ * Gets a copy of the API key that may be sent with a request
+ * @param {string} url - URL about to be requested
+ * @returns {{identity: string, credential: string}|null} Key of the installation serving the URL, or null
+ */
+export function getOmekaApiKey(url) {
+    const apiKey = apiKeysByOrigin.get(getUrlOrigin(url));
+    return apiKey ? { ...apiKey } : null;
+}
+
+/**
+ * Checks whether an API key is stored
+ * @param {string} [url] - Only check the installation serving this URL; omit to check for any key
+ * @returns {boolean} True when requests will be authenticated
+ */
+export function hasOmekaApiKey(url) {
+    return url === undefined
+        ? apiKeysByOrigin.size > 0
+        : apiKeysByOrigin.has(getUrlOrigin(url));
+}
+
+/**
+ * Checks whether two URLs point at the same Omeka S installation
+ * @param {string} url - URL about to be requested
+ * @param {string} sourceUrl - API URL of the source the key belongs to
+ * @returns {boolean} True when both URLs share scheme, host and port
+ */
+export function isSameOmekaOrigin(url, sourceUrl) {
+    const origin = getUrlOrigin(url);
+    return origin !== null && origin === getUrlOrigin(sourceUrl);
+}
+
+/**
+ * Adds API key parameters to an Omeka S URL
+ * @param {string} url - Omeka S API URL
+ * @param {{identity: string, credential: string}|null} apiKey - Key pair to add
+ * @returns {string} URL with key_identity and key_credential, or the original URL
+ * @example
+ * appendOmekaApiKey('https://example.org/api/items?page=1', { identity: 'abc', credential: 'xyz' })
+ * // 'https://example.org/api/items?page=1&key_identity=abc&key_credential=xyz'
+ */
+export function appendOmekaApiKey(url, apiKey) {
+    if (!apiKey?.identity || !apiKey?.credential) {
+        return url;
+    }
+
+    try {
+        const parsedUrl = new URL(url);
+        parsedUrl.searchParams.set(KEY_IDENTITY_PARAM, apiKey.identity);
+        parsedUrl.searchParams.set(KEY_CREDENTIAL_PARAM, apiKey.credential);
+        return parsedUrl.toString();
+    } catch {
+        return url;
+    }
+}
+
+/**
+ * Splits API key parameters from a URL so the URL can be stored safely
+ * @param {string} url - URL that may contain key_identity/key_credential
+ * @returns {{url: string, apiKey: {identity: string, credential: string}|null}} Clean URL and extracted key
+ */
+export function extractOmekaApiKey(url) {
+    try {
+        const parsedUrl = new URL(url);
+        const identity = parsedUrl.searchParams.get(KEY_IDENTITY_PARAM) || '';
+        const credential = parsedUrl.searchParams.get(KEY_CREDENTIAL_PARAM) || '';
+
+        if (!parsedUrl.searchParams.has(KEY_IDENTITY_PARAM) && !parsedUrl.searchParams.has(KEY_CREDENTIAL_PARAM)) {
+            return { url, apiKey: null };
+        }
+
+        parsedUrl.searchParams.delete(KEY_IDENTITY_PARAM);
+        parsedUrl.searchParams.delete(KEY_CREDENTIAL_PARAM);
+
+        return {
+            url: parsedUrl.toString(),
+            apiKey: identity && credential ? { identity, credential } : null
+        };
+    } catch {
+        return { url, apiKey: null };
+    }
+}
+
+/**
+ * Removes API key parameters from a URL
+ * @param {string} url - URL that may contain key_identity/key_credential
+ * @returns {string} URL without credentials
+ */
+export function stripOmekaApiKey(url) {
+    return extractOmekaApiKey(url).url;
+}
+
+/**
+ * Counts items that Omeka S marks as private
+ * Private items are only returned when the request carried a valid API key.
+ * @param {Array} items - Omeka S item objects
+ * @returns {number} Number of items with o:is_public set to false
+ */
+export function countPrivateItems(items = []) {
+    return (items || []).filter(item => item && item['o:is_public'] === false).length;
+}
@@ -25,6 +25,8 @@
  * @module property-types
  */
 
+import { parseNaturalDate } from './date-parser.js';
+
 /**
  * Canonical mapping from Wikidata property datatypes to internal processing types
  * 
@@ -382,6 +384,7 @@ export function createInputHTML(propertyType, value = '', propertyName = '') {
                             <option value="month">Month precision</option>
                             <option value="year">Year precision</option>
                             <option value="decade">Decade precision</option>
+                            <option value="century">Century precision</option>
                         </select>
                     ` : ''}
                     ${config.calendar ? `
@@ -391,7 +394,7 @@ export function createInputHTML(propertyType, value = '', propertyName = '') {
                         </select>
                     ` : ''}
                     <div class="date-format-hint">
-                        Supports: Year (2023), Month (2023-06), Day (2023-06-15), Decade (1990s)
+                        Supports: Year (2023), Month (2023-06), Day (2023-06-15), Decade (1990s), Century (17th century), written dates (15 maart 1743, ca. 1650)
                     </div>
                 </div>
             `;
@@ -526,11 +529,24 @@ export function getCommonUnits(propertyName) {
     return COMMON_UNITS[normalizedProperty] || [];
 }
 
+/**
+ * Parses dates written in words, with approximate or uncertain markers, or as
+ * year ranges; plain numeric dates are left to the patterns of detectDatePrecision
+ * @param {string} input - Trimmed date input
+ * @returns {Object|null} Result of parseNaturalDate
+ */
+function parseWrittenDate(input) {
+    if (/^[\d\s./-]+$/.test(input) && !/^\d{3,4}\s*-\s*\d{2,4}$/.test(input)) {
+        return null;
+    }
+    return parseNaturalDate(input);
+}
+
 /**
  * Detect date precision based on input format
  * Mimics Wikidata's behavior where precision adapts to the input format
  * @param {string} dateInput - The date input string
- * @returns {string} Detected precision ('year', 'month', 'day', 'decade')
+ * @returns {string} Detected precision ('year', 'month', 'day', 'decade', 'century')
  */
 export function detectDatePrecision(dateInput) {
     if (!dateInput || dateInput.trim() === '') {
@@ -542,6 +558,12 @@ export function detectDatePrecision(dateInput) {
     if (/^\d{3,4}\s*\/\s*\d{3,4}$/.test(input)) {
         return 'year';
     }
+
+    // Month names, centuries and markers such as "ca. 1650" or "tweede helft 17e eeuw"
+    const writtenDate = parseWrittenDate(input);
+    if (writtenDate) {
+        return writtenDate.precision;
+    }
     
     // Check for year only (4 digits) - MUST come before decade check
     if (/^\d{4}$/.test(input)) {
@@ -580,6 +602,8 @@ export function detectDatePrecision(dateInput) {
 
 /**
  * Convert various date input formats to standardized format
+ * Dates written in words also report whether they are approximate or
+ * uncertain and, for decades and centuries, the earliest and latest year meant.
  * @param {string} dateInput - The date input string
  * @returns {Object} Object containing standardized date and detected precision
  */
@@ -628,6 +652,11 @@ export function standardizeDateInput(dateInput) {
             ]
         };
     }
+
+    const writtenDate = parseWrittenDate(input);
+    if (writtenDate) {
+        return writtenDate;
+    }
     
     // Handle decade format
     if (precision === 'decade') {
@@ -812,7 +841,7 @@ function updateDateInputFeedback(dateInput, precision, inputValue) {
     });
     
     // Remove existing feedback classes
-    dateInput.classList.remove('precision-year', 'precision-month', 'precision-day', 'precision-decade');
+    dateInput.classList.remove('precision-year', 'precision-month', 'precision-day', 'precision-decade', 'precision-century');
     
     // Add precision class for styling
     dateInput.classList.add(`precision-${precision}`);
@@ -823,7 +852,7 @@ function updateDateInputFeedback(dateInput, precision, inputValue) {
         hint.textContent = `Detected: ${precision} precision (${standardized.displayValue || inputValue})`;
         hint.style.color = '#2e7d32'; // Green color for successful detection
     } else if (hint) {
-        hint.textContent = 'Supports: Year (2023), Month (2023-06), Day (2023-06-15), Decade (1990s)';
+        hint.textContent = 'Supports: Year (2023), Month (2023-06), Day (2023-06-15), Decade (1990s), Century (17th century), written dates (15 maart 1743, ca. 1650)';
         hint.style.color = '#666';
     }
 }